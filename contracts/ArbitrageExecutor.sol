@@ -0,0 +1,297 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./interfaces/IPriceMonitor.sol";
+import "./interfaces/IArbitrageAdapters.sol";
+
+/**
+ * @title ArbitrageExecutor
+ * @dev Acts on an opportunity reported by BasicPriceMonitor: buys on the cheaper chain through
+ * a swap adapter, bridges to the dearer chain and sells there, in a single transaction
+ * @notice The whole route only settles atomically when the bridge adapter delivers within the
+ * call (the local mocks, or fast-fill bridges that front the funds on the destination chain).
+ * Every leg has a min-out, and the trade aborts if the monitor's spread has collapsed or its
+ * route changed since detection. With a risk manager set, every trade also counts against its
+ * daily notional caps. The orchestrator lives in scripts/lib/executor.js.
+ */
+contract ArbitrageExecutor is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS & ENUMS
+    // ═══════════════════════════════════════════════════════════════════
+
+    enum Leg { BUY, BRIDGE, SELL }
+
+    struct ExecutionParams {
+        address token;                  // Monitored token (the price key in BasicPriceMonitor)
+        address asset;                  // ERC20 bought, bridged and sold
+        address quoteToken;             // ERC20 spent on the buy leg and received from the sell leg
+        uint256 amountIn;               // quoteToken spent, pulled from the caller
+        uint256 buyChainId;             // Route seen at detection
+        uint256 sellChainId;
+        uint256 minSpreadBasisPoints;   // Abort below this monitor spread
+        uint256 maxPriceAge;            // Abort if the monitor's prices are older (seconds)
+        uint256 minAssetOut;            // Buy leg min-out
+        uint256 minBridgedOut;          // Bridge min-received
+        uint256 minQuoteOut;            // Sell leg min-out
+        uint256 deadline;               // Latest block timestamp to execute in
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    IPriceMonitor public immutable priceMonitor;
+
+    mapping(uint256 => ISwapAdapter) public swapAdapters; // chainId => venue
+    mapping(uint256 => mapping(uint256 => IBridgeAdapter)) public bridgeAdapters; // from chainId => to chainId => bridge
+
+    // Accounts allowed to execute besides the owner
+    mapping(address => bool) public isExecutor;
+
+    IRiskManager public riskManager; // Daily notional caps (optional)
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Emitted when a route settles
+     */
+    event ArbitrageExecuted(
+        address indexed token,
+        address indexed executor,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 amountIn,
+        uint256 amountOut,
+        uint256 spreadBasisPoints
+    );
+
+    /**
+     * @dev Emitted when a chain's swap adapter is set or cleared
+     */
+    event SwapAdapterUpdated(uint256 indexed chainId, address oldAdapter, address newAdapter);
+
+    /**
+     * @dev Emitted when the bridge between two chains is set or cleared
+     */
+    event BridgeAdapterUpdated(uint256 indexed fromChainId, uint256 indexed toChainId, address oldAdapter, address newAdapter);
+
+    /**
+     * @dev Emitted when an executor is added or removed
+     */
+    event ExecutorSet(address indexed executor, bool allowed);
+
+    /**
+     * @dev Emitted when the risk manager is set or cleared
+     */
+    event RiskManagerUpdated(address oldManager, address newManager);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ERRORS
+    // ═══════════════════════════════════════════════════════════════════
+
+    error DeadlineExpired(uint256 deadline);
+    error StalePrices(address token, uint256 maxPriceAge);
+    error SpreadCollapsed(address token, uint256 spreadBasisPoints, uint256 minSpreadBasisPoints);
+    error RouteChanged(address token, uint256 buyChainId, uint256 sellChainId);
+    error AdapterNotSet(uint256 fromChainId, uint256 toChainId);
+    error InsufficientOutput(Leg leg, uint256 amountOut, uint256 minAmountOut);
+    error Unprofitable(uint256 amountIn, uint256 amountOut);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // MODIFIERS
+    // ═══════════════════════════════════════════════════════════════════
+
+    modifier onlyExecutor() {
+        require(isExecutor[msg.sender] || msg.sender == owner(), "Not executor");
+        _;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    constructor(address _priceMonitor) {
+        require(_priceMonitor != address(0), "Invalid monitor");
+        priceMonitor = IPriceMonitor(_priceMonitor);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EXECUTION
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Buy, bridge and sell along the monitor's current best route
+     * @notice The caller approves `amountIn` of quoteToken; the sell proceeds go back to the caller
+     * @param params Route, amounts and limits, see ExecutionParams
+     * @return amountOut quoteToken received from the sell leg
+     */
+    function execute(ExecutionParams calldata params) external nonReentrant onlyExecutor returns (uint256 amountOut) {
+        if (block.timestamp > params.deadline) revert DeadlineExpired(params.deadline);
+        uint256 spread = _checkOpportunity(params);
+
+        ISwapAdapter buyVenue = _swapAdapter(params.buyChainId);
+        ISwapAdapter sellVenue = _swapAdapter(params.sellChainId);
+        IBridgeAdapter bridgeAdapter = _bridgeAdapter(params.buyChainId, params.sellChainId);
+
+        IERC20(params.quoteToken).safeTransferFrom(msg.sender, address(this), params.amountIn);
+
+        // Buy on the cheaper chain
+        IERC20(params.quoteToken).forceApprove(address(buyVenue), params.amountIn);
+        uint256 bought = buyVenue.swap(params.quoteToken, params.asset, params.amountIn, params.minAssetOut, address(this));
+        if (bought < params.minAssetOut) revert InsufficientOutput(Leg.BUY, bought, params.minAssetOut);
+        if (address(riskManager) != address(0)) {
+            // The monitor values trades in 18-decimal token units
+            riskManager.recordExecution(params.token, (bought * 1e18) / 10 ** IERC20Metadata(params.asset).decimals());
+        }
+
+        // Move it to the dearer chain
+        IERC20(params.asset).forceApprove(address(bridgeAdapter), bought);
+        uint256 bridged = bridgeAdapter.bridge(params.asset, bought, params.sellChainId, params.minBridgedOut, address(this));
+        if (bridged < params.minBridgedOut) revert InsufficientOutput(Leg.BRIDGE, bridged, params.minBridgedOut);
+
+        // Sell there, straight back to the caller
+        IERC20(params.asset).forceApprove(address(sellVenue), bridged);
+        amountOut = sellVenue.swap(params.asset, params.quoteToken, bridged, params.minQuoteOut, msg.sender);
+        if (amountOut < params.minQuoteOut) revert InsufficientOutput(Leg.SELL, amountOut, params.minQuoteOut);
+        if (amountOut <= params.amountIn) revert Unprofitable(params.amountIn, amountOut);
+
+        emit ArbitrageExecuted(
+            params.token,
+            msg.sender,
+            params.buyChainId,
+            params.sellChainId,
+            params.amountIn,
+            amountOut,
+            spread
+        );
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ADMIN FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Set the venue used to trade on a chain
+     * @param chainId Chain the venue trades on
+     * @param adapter Swap adapter, or address(0) to clear it
+     */
+    function setSwapAdapter(uint256 chainId, address adapter) external onlyOwner {
+        require(chainId != 0, "Invalid chain");
+        address oldAdapter = address(swapAdapters[chainId]);
+        swapAdapters[chainId] = ISwapAdapter(adapter);
+        emit SwapAdapterUpdated(chainId, oldAdapter, adapter);
+    }
+
+    /**
+     * @dev Set the bridge used to move funds from one chain to another
+     * @param fromChainId Chain the funds leave
+     * @param toChainId Chain the funds arrive on
+     * @param adapter Bridge adapter, or address(0) to clear it
+     */
+    function setBridgeAdapter(uint256 fromChainId, uint256 toChainId, address adapter) external onlyOwner {
+        require(fromChainId != 0 && toChainId != 0 && fromChainId != toChainId, "Invalid chain");
+        address oldAdapter = address(bridgeAdapters[fromChainId][toChainId]);
+        bridgeAdapters[fromChainId][toChainId] = IBridgeAdapter(adapter);
+        emit BridgeAdapterUpdated(fromChainId, toChainId, oldAdapter, adapter);
+    }
+
+    /**
+     * @dev Allow or revoke an account to execute routes
+     * @param executor Account (e.g. the orchestrator's signer)
+     * @param allowed True to allow
+     */
+    function setExecutor(address executor, bool allowed) external onlyOwner {
+        isExecutor[executor] = allowed;
+        emit ExecutorSet(executor, allowed);
+    }
+
+    /**
+     * @dev Count every trade against a risk manager's notional caps
+     * @param newManager IRiskManager that lists this executor, or address(0) to trade uncapped
+     */
+    function setRiskManager(address newManager) external onlyOwner {
+        address oldManager = address(riskManager);
+        riskManager = IRiskManager(newManager);
+        emit RiskManagerUpdated(oldManager, newManager);
+    }
+
+    /**
+     * @dev Recover tokens sent to the executor by mistake (it holds nothing between calls)
+     * @param token Token to recover
+     * @param to Recipient
+     * @param amount Amount to send
+     */
+    function rescueTokens(address token, address to, uint256 amount) external onlyOwner {
+        IERC20(token).safeTransfer(to, amount);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Expected output of every leg at current adapter prices, for setting min-outs
+     * @param asset ERC20 bought, bridged and sold
+     * @param quoteToken ERC20 spent and received
+     * @param amountIn quoteToken spent
+     * @param buyChainId Chain to buy on
+     * @param sellChainId Chain to sell on
+     * @return assetOut Bought on the buy chain
+     * @return bridgedOut Delivered on the sell chain
+     * @return quoteOut Received from the sell leg
+     */
+    function quoteExecution(
+        address asset,
+        address quoteToken,
+        uint256 amountIn,
+        uint256 buyChainId,
+        uint256 sellChainId
+    ) external view returns (uint256 assetOut, uint256 bridgedOut, uint256 quoteOut) {
+        assetOut = _swapAdapter(buyChainId).quote(quoteToken, asset, amountIn);
+        bridgedOut = _bridgeAdapter(buyChainId, sellChainId).quote(asset, assetOut, sellChainId);
+        quoteOut = _swapAdapter(sellChainId).quote(asset, quoteToken, bridgedOut);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Re-check the opportunity against the monitor at execution time
+     * @param params Execution parameters
+     * @return spread Monitor spread in basis points
+     */
+    function _checkOpportunity(ExecutionParams calldata params) internal view returns (uint256 spread) {
+        if (!priceMonitor.isPriceDataFresh(params.token, params.maxPriceAge)) {
+            revert StalePrices(params.token, params.maxPriceAge);
+        }
+
+        IPriceMonitor.ArbitrageOpportunity memory opportunity = priceMonitor.getArbitrageOpportunity(params.token);
+        if (opportunity.buyChainId != params.buyChainId || opportunity.sellChainId != params.sellChainId) {
+            revert RouteChanged(params.token, opportunity.buyChainId, opportunity.sellChainId);
+        }
+        if (!opportunity.isProfitable || opportunity.spreadBasisPoints < params.minSpreadBasisPoints) {
+            revert SpreadCollapsed(params.token, opportunity.spreadBasisPoints, params.minSpreadBasisPoints);
+        }
+        return opportunity.spreadBasisPoints;
+    }
+
+    function _swapAdapter(uint256 chainId) internal view returns (ISwapAdapter adapter) {
+        adapter = swapAdapters[chainId];
+        if (address(adapter) == address(0)) revert AdapterNotSet(chainId, chainId);
+    }
+
+    function _bridgeAdapter(uint256 fromChainId, uint256 toChainId) internal view returns (IBridgeAdapter adapter) {
+        adapter = bridgeAdapters[fromChainId][toChainId];
+        if (address(adapter) == address(0)) revert AdapterNotSet(fromChainId, toChainId);
+    }
+}
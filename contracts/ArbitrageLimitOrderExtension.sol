@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./interfaces/IPriceMonitor.sol";
+
+/**
+ * @title ArbitrageLimitOrderExtension
+ * @dev Predicate for 1inch Limit Order Protocol orders that should only fill during an arbitrage window
+ * @notice Orders embed `arbitraryStaticCall(extension, checkArbitrage(...))` as their predicate
+ * (see scripts/lib/limit-orders.js); the protocol treats a return value of 1 as fillable
+ */
+contract ArbitrageLimitOrderExtension {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    uint256 public constant ETHEREUM_CHAIN_ID = 1;
+    uint256 public constant ARBITRUM_CHAIN_ID = 42161;
+
+    IPriceMonitor public immutable priceMonitor;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    constructor(address _priceMonitor) {
+        require(_priceMonitor != address(0), "Invalid monitor");
+        priceMonitor = IPriceMonitor(_priceMonitor);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Predicate entry point for the limit order protocol
+     * @param token Monitored token the order arbitrages
+     * @param minSpreadBasisPoints Maker's minimum cross-chain spread
+     * @param isEthToArb Direction the maker trades: true buys on Ethereum and sells on Arbitrum
+     * @param maxPriceAge Maximum age of the monitor's price data in seconds
+     * @return fillable 1 if the order may be filled, 0 otherwise
+     */
+    function checkArbitrage(
+        address token,
+        uint256 minSpreadBasisPoints,
+        bool isEthToArb,
+        uint256 maxPriceAge
+    ) external view returns (uint256 fillable) {
+        return isArbitrageFillable(token, minSpreadBasisPoints, isEthToArb, maxPriceAge) ? 1 : 0;
+    }
+
+    /**
+     * @dev Predicate entry point for orders on any pair of monitored chains
+     * @param token Monitored token the order arbitrages
+     * @param minSpreadBasisPoints Maker's minimum cross-chain spread
+     * @param buyChainId Chain the maker buys on
+     * @param sellChainId Chain the maker sells on
+     * @param maxPriceAge Maximum age of the monitor's price data in seconds
+     * @return fillable 1 if the order may be filled, 0 otherwise
+     */
+    function checkArbitrageRoute(
+        address token,
+        uint256 minSpreadBasisPoints,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 maxPriceAge
+    ) external view returns (uint256 fillable) {
+        return isRouteFillable(token, minSpreadBasisPoints, buyChainId, sellChainId, maxPriceAge) ? 1 : 0;
+    }
+
+    /**
+     * @dev True while the monitor reports a fresh, profitable spread in the maker's direction
+     * @param token Monitored token the order arbitrages
+     * @param minSpreadBasisPoints Maker's minimum cross-chain spread
+     * @param isEthToArb Direction the maker trades: true buys on Ethereum and sells on Arbitrum
+     * @param maxPriceAge Maximum age of the monitor's price data in seconds
+     * @return isFillable Whether every condition holds
+     */
+    function isArbitrageFillable(
+        address token,
+        uint256 minSpreadBasisPoints,
+        bool isEthToArb,
+        uint256 maxPriceAge
+    ) public view returns (bool isFillable) {
+        return isEthToArb
+            ? isRouteFillable(token, minSpreadBasisPoints, ETHEREUM_CHAIN_ID, ARBITRUM_CHAIN_ID, maxPriceAge)
+            : isRouteFillable(token, minSpreadBasisPoints, ARBITRUM_CHAIN_ID, ETHEREUM_CHAIN_ID, maxPriceAge);
+    }
+
+    /**
+     * @dev True while the monitor's best route is the maker's and has a fresh, profitable spread
+     * @param token Monitored token the order arbitrages
+     * @param minSpreadBasisPoints Maker's minimum cross-chain spread
+     * @param buyChainId Chain the maker buys on
+     * @param sellChainId Chain the maker sells on
+     * @param maxPriceAge Maximum age of the monitor's price data in seconds
+     * @return isFillable Whether every condition holds
+     */
+    function isRouteFillable(
+        address token,
+        uint256 minSpreadBasisPoints,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 maxPriceAge
+    ) public view returns (bool isFillable) {
+        if (!priceMonitor.isPriceDataFresh(token, maxPriceAge)) {
+            return false;
+        }
+
+        (bool isProfitable, uint256 spreadBasisPoints) = priceMonitor.isProfitableArbitrage(token);
+        if (!isProfitable || spreadBasisPoints < minSpreadBasisPoints) {
+            return false;
+        }
+
+        IPriceMonitor.ArbitrageOpportunity memory opportunity = priceMonitor.getArbitrageOpportunity(token);
+        return opportunity.buyChainId == buyChainId && opportunity.sellChainId == sellChainId;
+    }
+}
@@ -0,0 +1,282 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IPriceMonitor.sol";
+
+/**
+ * @title ArbitrageRiskManager
+ * @dev Risk limits for BasicPriceMonitor signals and ArbitrageExecutor trades
+ * @notice Plugged into the monitor with setRiskManager, it de-duplicates
+ * ArbitrageOpportunityDetected: a token/direction is signalled again only after signalCooldown,
+ * and only if its spread widened by minSpreadDeltaBasisPoints since the last signal or the
+ * spread closed and reopened in between. Plugged into the executor, it caps the USD notional
+ * traded per token and across all tokens each UTC day.
+ */
+contract ArbitrageRiskManager is IRiskManager, Ownable {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    struct Signal {
+        uint256 spreadBasisPoints;  // Spread when last signalled
+        uint256 timestamp;          // When last signalled (0 if never)
+        uint256 streakStartedAt;    // Monitor's spreadStreakStartedAt then; a new value means the spread reopened
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    uint256 private constant PRICE_PRECISION = 1e18;
+
+    IPriceMonitor public immutable priceMonitor;
+
+    // Signal de-duplication
+    uint256 public signalCooldown = 5 minutes;       // Min time between signals for a token/direction
+    uint256 public minSpreadDeltaBasisPoints = 10;   // Widening needed to signal the same spread again
+    mapping(address => mapping(uint256 => mapping(uint256 => Signal))) public lastSignal; // token => buy chainId => sell chainId
+
+    // Notional caps, USD with 18 decimals per UTC day (0 = uncapped)
+    uint256 public globalDailyCap;
+    mapping(address => uint256) public tokenDailyCap;
+    mapping(uint256 => uint256) public globalNotionalByDay; // day => USD traded
+    mapping(address => mapping(uint256 => uint256)) public tokenNotionalByDay; // token => day => USD traded
+
+    uint256 public maxPriceAge = 5 minutes; // canExecute is false on older monitor prices
+
+    // Accounts allowed to record executions besides the owner (e.g. ArbitrageExecutor)
+    mapping(address => bool) public isExecutor;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Emitted when the monitor's opportunity signal is held back
+     */
+    event SignalSuppressed(address indexed token, uint256 buyChainId, uint256 sellChainId, uint256 spreadBasisPoints);
+
+    /**
+     * @dev Emitted when a trade is counted against the caps
+     */
+    event ExecutionRecorded(address indexed token, address indexed executor, uint256 amount, uint256 notional, uint256 day);
+
+    /**
+     * @dev Emitted when the de-duplication settings change
+     */
+    event SignalParametersUpdated(uint256 cooldown, uint256 minSpreadDeltaBasisPoints);
+
+    /**
+     * @dev Emitted when a daily cap changes (token is address(0) for the global cap)
+     */
+    event DailyCapUpdated(address indexed token, uint256 oldCap, uint256 newCap);
+
+    /**
+     * @dev Emitted when the canExecute freshness limit changes
+     */
+    event MaxPriceAgeUpdated(uint256 oldMaxAge, uint256 newMaxAge);
+
+    /**
+     * @dev Emitted when an executor is added or removed
+     */
+    event ExecutorSet(address indexed executor, bool allowed);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ERRORS
+    // ═══════════════════════════════════════════════════════════════════
+
+    error NoPrice(address token);
+    error NotionalCapExceeded(address token, uint256 notional, uint256 remaining);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // MODIFIERS
+    // ═══════════════════════════════════════════════════════════════════
+
+    modifier onlyExecutor() {
+        require(isExecutor[msg.sender] || msg.sender == owner(), "Not executor");
+        _;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    constructor(address _priceMonitor) {
+        require(_priceMonitor != address(0), "Invalid monitor");
+        priceMonitor = IPriceMonitor(_priceMonitor);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // HOOKS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Decide whether the monitor emits ArbitrageOpportunityDetected for its latest update
+     * @notice Called by the monitor only, once it has stored a profitable update
+     * @param token Token just updated
+     * @return emitSignal False to suppress the event
+     */
+    function recordSignal(address token) external override returns (bool emitSignal) {
+        require(msg.sender == address(priceMonitor), "Not monitor");
+
+        IPriceMonitor.PriceData memory data = priceMonitor.getTokenPriceData(token);
+        uint256 streakStartedAt = priceMonitor.spreadStreakStartedAt(token);
+        Signal storage last = lastSignal[token][data.buyChainId][data.sellChainId];
+
+        bool cooledDown = block.timestamp >= last.timestamp + signalCooldown;
+        bool isNew = streakStartedAt != last.streakStartedAt ||
+            data.spread >= last.spreadBasisPoints + minSpreadDeltaBasisPoints;
+        if (!cooledDown || !isNew) {
+            emit SignalSuppressed(token, data.buyChainId, data.sellChainId, data.spread);
+            return false;
+        }
+
+        last.spreadBasisPoints = data.spread;
+        last.timestamp = block.timestamp;
+        last.streakStartedAt = streakStartedAt;
+        return true;
+    }
+
+    /**
+     * @dev Count a trade against today's caps
+     * @notice Valued at the monitor's price on the buy chain of its current route
+     * @param token Monitored token traded
+     * @param amount Token units bought (18 decimals)
+     */
+    function recordExecution(address token, uint256 amount) external override onlyExecutor {
+        uint256 notional = notionalValue(token, amount);
+        uint256 remaining = remainingNotional(token);
+        if (notional > remaining) revert NotionalCapExceeded(token, notional, remaining);
+
+        uint256 day = currentDay();
+        globalNotionalByDay[day] += notional;
+        tokenNotionalByDay[token][day] += notional;
+        emit ExecutionRecorded(token, msg.sender, amount, notional, day);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ADMIN FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Update signal de-duplication
+     * @param cooldown Seconds between signals for the same token and direction
+     * @param minSpreadDelta Basis points a spread must widen by to be signalled again
+     */
+    function setSignalParameters(uint256 cooldown, uint256 minSpreadDelta) external onlyOwner {
+        signalCooldown = cooldown;
+        minSpreadDeltaBasisPoints = minSpreadDelta;
+        emit SignalParametersUpdated(cooldown, minSpreadDelta);
+    }
+
+    /**
+     * @dev Cap the USD notional traded across all tokens per day
+     * @param newCap USD with 18 decimals, 0 to uncap
+     */
+    function setGlobalDailyCap(uint256 newCap) external onlyOwner {
+        uint256 oldCap = globalDailyCap;
+        globalDailyCap = newCap;
+        emit DailyCapUpdated(address(0), oldCap, newCap);
+    }
+
+    /**
+     * @dev Cap the USD notional traded in one token per day
+     * @param token Monitored token
+     * @param newCap USD with 18 decimals, 0 to uncap
+     */
+    function setTokenDailyCap(address token, uint256 newCap) external onlyOwner {
+        require(token != address(0), "Invalid token");
+        uint256 oldCap = tokenDailyCap[token];
+        tokenDailyCap[token] = newCap;
+        emit DailyCapUpdated(token, oldCap, newCap);
+    }
+
+    /**
+     * @dev Set how old the monitor's prices may be for canExecute
+     * @param newMaxAge Seconds
+     */
+    function setMaxPriceAge(uint256 newMaxAge) external onlyOwner {
+        require(newMaxAge > 0, "Invalid age");
+        uint256 oldMaxAge = maxPriceAge;
+        maxPriceAge = newMaxAge;
+        emit MaxPriceAgeUpdated(oldMaxAge, newMaxAge);
+    }
+
+    /**
+     * @dev Allow or revoke an account to record executions
+     * @param executor Account (e.g. ArbitrageExecutor)
+     * @param allowed True to allow
+     */
+    function setExecutor(address executor, bool allowed) external onlyOwner {
+        isExecutor[executor] = allowed;
+        emit ExecutorSet(executor, allowed);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Whether trading `amount` of a token now is fresh, profitable and within today's caps
+     * @param token Monitored token
+     * @param amount Token units (18 decimals)
+     * @return True if an executor may trade it
+     */
+    function canExecute(address token, uint256 amount) external view override returns (bool) {
+        if (!priceMonitor.isPriceDataFresh(token, maxPriceAge)) {
+            return false;
+        }
+        if (!priceMonitor.getProfitBreakdown(token, amount).isProfitable) {
+            return false;
+        }
+        return notionalValue(token, amount) <= remainingNotional(token);
+    }
+
+    /**
+     * @dev USD notional a token can still trade today under both caps
+     * @param token Monitored token
+     * @return remaining USD with 18 decimals (type(uint256).max if uncapped)
+     */
+    function remainingNotional(address token) public view returns (uint256 remaining) {
+        uint256 day = currentDay();
+        remaining = type(uint256).max;
+        if (globalDailyCap != 0) {
+            uint256 used = globalNotionalByDay[day];
+            remaining = used >= globalDailyCap ? 0 : globalDailyCap - used;
+        }
+        uint256 tokenCap = tokenDailyCap[token];
+        if (tokenCap != 0) {
+            uint256 used = tokenNotionalByDay[token][day];
+            uint256 tokenRemaining = used >= tokenCap ? 0 : tokenCap - used;
+            if (tokenRemaining < remaining) {
+                remaining = tokenRemaining;
+            }
+        }
+    }
+
+    /**
+     * @dev USD value of a trade at the monitor's buy-chain price
+     * @param token Monitored token
+     * @param amount Token units (18 decimals)
+     * @return notional USD with 18 decimals
+     */
+    function notionalValue(address token, uint256 amount) public view returns (uint256 notional) {
+        uint256 buyChainId = priceMonitor.getTokenPriceData(token).buyChainId;
+        (uint256[] memory chainIds, uint256[] memory prices) = priceMonitor.getChainPrices(token);
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            if (chainIds[i] == buyChainId && prices[i] != 0) {
+                return (amount * prices[i]) / PRICE_PRECISION;
+            }
+        }
+        revert NoPrice(token);
+    }
+
+    /**
+     * @dev Index of the current UTC day, as used by the notional counters
+     */
+    function currentDay() public view returns (uint256) {
+        return block.timestamp / 1 days;
+    }
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./interfaces/IEscrow.sol";
+
+/**
+ * @title BaseEscrow
+ * @dev Escrow bookkeeping, hashlock and timelocks shared by EscrowSrc and EscrowDst
+ * @notice Withdrawing takes the secret and is open between withdrawAfter and cancelAfter; from
+ * cancelAfter either the maker or the taker can cancel. Who may withdraw and where the funds go
+ * in each case is up to the source or destination side.
+ */
+abstract contract BaseEscrow is IEscrow, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    mapping(bytes32 => Escrow) internal _escrows; // escrowId => escrow
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ESCROW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Release the funds by revealing the secret
+     * @param id Escrow to withdraw from (see escrowId)
+     * @param secret Preimage of the escrow's hashlock
+     */
+    function withdraw(bytes32 id, bytes32 secret) external override nonReentrant {
+        Escrow storage escrow = _activeEscrow(id);
+        Immutables memory immutables = escrow.immutables;
+
+        if (!_canWithdraw(immutables, msg.sender)) revert InvalidCaller();
+        if (block.timestamp < immutables.withdrawAfter || block.timestamp >= immutables.cancelAfter) revert InvalidTime();
+        if (keccak256(abi.encodePacked(secret)) != immutables.hashlock) revert InvalidSecret();
+
+        escrow.status = Status.WITHDRAWN;
+        address recipient = _withdrawRecipient(immutables);
+        IERC20(immutables.token).safeTransfer(recipient, immutables.amount);
+        emit EscrowWithdrawn(id, secret, recipient);
+    }
+
+    /**
+     * @dev Return the funds to whoever locked them once the escrow has expired
+     * @param id Escrow to cancel (see escrowId)
+     */
+    function cancel(bytes32 id) external override nonReentrant {
+        Escrow storage escrow = _activeEscrow(id);
+        Immutables memory immutables = escrow.immutables;
+
+        if (msg.sender != immutables.maker && msg.sender != immutables.taker) revert InvalidCaller();
+        if (block.timestamp < immutables.cancelAfter) revert InvalidTime();
+
+        escrow.status = Status.CANCELLED;
+        address recipient = _refundRecipient(immutables);
+        IERC20(immutables.token).safeTransfer(recipient, immutables.amount);
+        emit EscrowCancelled(id, recipient);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Escrow terms and status (status NONE if it was never created)
+     * @param id Escrow identifier (see escrowId)
+     * @return Escrow data
+     */
+    function getEscrow(bytes32 id) external view override returns (Escrow memory) {
+        return _escrows[id];
+    }
+
+    /**
+     * @dev Identifier of the escrow with these terms
+     * @param immutables Escrow terms
+     * @return keccak256(abi.encode(immutables))
+     */
+    function escrowId(Immutables calldata immutables) public pure override returns (bytes32) {
+        return keccak256(abi.encode(immutables));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Validate and store a new escrow, pulling its funds from the payer
+     * @param immutables Escrow terms
+     * @param payer Account whose approved tokens are locked
+     */
+    function _createEscrow(Immutables calldata immutables, address payer) internal {
+        bytes32 id = escrowId(immutables);
+        if (_escrows[id].status != Status.NONE) revert EscrowExists(id);
+        if (
+            immutables.maker == address(0) ||
+            immutables.taker == address(0) ||
+            immutables.token == address(0) ||
+            immutables.amount == 0 ||
+            immutables.hashlock == bytes32(0) ||
+            immutables.cancelAfter <= immutables.withdrawAfter ||
+            immutables.cancelAfter <= block.timestamp
+        ) revert InvalidImmutables();
+
+        _escrows[id] = Escrow({ immutables: immutables, status: Status.ACTIVE });
+        IERC20(immutables.token).safeTransferFrom(payer, address(this), immutables.amount);
+
+        emit EscrowCreated(id, immutables.orderHash, immutables.taker, immutables);
+    }
+
+    function _activeEscrow(bytes32 id) internal view returns (Escrow storage escrow) {
+        escrow = _escrows[id];
+        if (escrow.status != Status.ACTIVE) revert EscrowNotActive(id);
+    }
+
+    // Who may reveal the secret to release the funds
+    function _canWithdraw(Immutables memory immutables, address caller) internal pure virtual returns (bool);
+
+    // Who receives the funds when the secret is revealed
+    function _withdrawRecipient(Immutables memory immutables) internal pure virtual returns (address);
+
+    // Who receives the funds back on cancellation
+    function _refundRecipient(Immutables memory immutables) internal pure virtual returns (address);
+}
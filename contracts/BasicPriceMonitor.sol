@@ -2,41 +2,122 @@
 pragma solidity ^0.8.19;
 
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./interfaces/IPriceMonitor.sol";
+import "./libraries/ArbitrageRoutes.sol";
+import "./libraries/OracleReader.sol";
+import "./libraries/PriceHistory.sol";
 
 /**
  * @title BasicPriceMonitor
- * @dev Monitors ETH prices across Ethereum and Arbitrum to detect arbitrage opportunities
- * @notice This is the foundation for our cross-chain arbitrage limit orders
+ * @dev Monitors token prices across any number of chains to detect arbitrage opportunities
+ * @notice This is the foundation for our cross-chain arbitrage limit orders. Each update reads
+ * every chain a token is registered on and picks the buy/sell chain pair with the best net profit
+ * (oracle reads, route math and the price history live in the linked OracleReader,
+ * ArbitrageRoutes and PriceHistory libraries).
+ * Register it as a custom-logic Chainlink Automation upkeep to refresh prices without a keeper.
+ *
+ * Roles: DEFAULT_ADMIN_ROLE wires oracles and manages roles, RISK_MANAGER_ROLE tunes the
+ * profitability and safety thresholds, PAUSER_ROLE can freeze the monitor and UPDATER_ROLE
+ * may refresh prices (enforced only while updaterRoleRequired is set). The deployer starts
+ * with every role.
  */
-contract BasicPriceMonitor is Ownable, ReentrancyGuard {
+contract BasicPriceMonitor is AccessControl, Pausable, ReentrancyGuard, AutomationCompatibleInterface {
     
     // ═══════════════════════════════════════════════════════════════════
     // STRUCTS & ENUMS
     // ═══════════════════════════════════════════════════════════════════
     
     struct PriceData {
-        uint256 ethereumPrice;      // ETH price on Ethereum (18 decimals)
-        uint256 arbitrumPrice;      // ETH price on Arbitrum (18 decimals)
+        uint256 ethereumPrice;      // Price on Ethereum (18 decimals, 0 if not monitored there)
+        uint256 arbitrumPrice;      // Price on Arbitrum (18 decimals, 0 if not monitored there)
         uint256 timestamp;          // Last update timestamp
-        uint256 spread;             // Price difference in basis points (10000 = 100%)
+        uint256 spread;             // Spread of the best route in basis points (10000 = 100%)
         bool isEthereumHigher;      // True if Ethereum price > Arbitrum price
+        uint256 buyChainId;         // Best route at the last update: chain to buy on
+        uint256 sellChainId;        // Best route at the last update: chain to sell on
     }
     
     struct ArbitrageOpportunity {
-        uint256 spreadBasisPoints;  // Price spread in basis points
-        uint256 estimatedProfit;    // Estimated profit after gas costs (18 decimals)
-        uint256 gasEstimate;        // Estimated gas cost in wei
-        bool isProfitable;          // True if profit > gas costs
-        bool isEthToArb;           // True for ETH->ARB arbitrage, false for ARB->ETH
+        uint256 spreadBasisPoints;  // Price spread of the best route in basis points
+        uint256 estimatedProfit;    // Net profit in USD for defaultTradeAmount (18 decimals)
+        uint256 gasEstimate;        // Gas on both chains in USD (18 decimals); chains pay in different native tokens
+        bool isProfitable;          // True if net profit > 0 and spread >= minProfitBasisPoints
+        bool isEthToArb;            // True if the route buys on Ethereum and sells on Arbitrum
+        uint256 buyChainId;         // Chain to buy on (0 if the token has no route)
+        uint256 sellChainId;        // Chain to sell on (0 if the token has no route)
+    }
+    
+    struct ProfitBreakdown {
+        uint256 tradeAmount;        // Notional in token units (18 decimals)
+        uint256 grossSpread;        // Sell proceeds minus buy cost in USD (18 decimals)
+        uint256 buyGasCost;         // Gas on the buy chain in USD (18 decimals)
+        uint256 sellGasCost;        // Gas on the sell chain in USD (18 decimals)
+        uint256 dexFees;            // Swap fees on both legs in USD (18 decimals)
+        uint256 bridgeFees;         // Bridge fee in USD (18 decimals)
+        uint256 slippageCost;       // Slippage allowance on both legs in USD (18 decimals)
+        uint256 totalCosts;         // Sum of all cost components in USD (18 decimals)
+        uint256 netProfit;          // grossSpread - totalCosts, 0 if the trade loses money
+        bool isProfitable;          // True if net profit > 0 and spread >= minProfitBasisPoints
+        bool isEthToArb;            // True if the route buys on Ethereum and sells on Arbitrum
+        uint256 spreadBasisPoints;  // Sell price over buy price in basis points
+        uint256 buyChainId;         // Chain to buy on
+        uint256 sellChainId;        // Chain to sell on
     }
     
     struct OracleConfig {
         AggregatorV3Interface chainlinkFeed;
-        address uniswapV3Pool;      // For future TWAP implementation
+        address uniswapV3Pool;      // TWAP source, address(0) for Chainlink only
         uint256 maxStaleness;       // Maximum acceptable data age in seconds
         bool isActive;              // Whether this oracle is currently used
+        bool isAggregated;          // Feed is a MedianPriceFeed, aggregated by every update
+    }
+    
+    struct SpreadStatistics {
+        uint256 observations;       // History entries the statistics cover
+        uint256 averageSpread;      // Mean spread over those entries in basis points
+        uint256 maxSpread;          // Largest spread over those entries in basis points
+        uint256 consecutiveUpdates; // Current run of updates at or above minProfitBasisPoints
+        uint256 aboveThresholdSince; // Timestamp the current run started (0 if none)
+        uint256 aboveThresholdDuration; // Seconds the spread has stayed above the threshold
+    }
+    
+    // Packed history entry (2 storage slots instead of 7)
+    struct PriceObservation {
+        uint128 ethereumPrice;
+        uint128 arbitrumPrice;
+        uint40 timestamp;
+        uint64 spread;
+        bool isEthereumHigher;
+        uint64 buyChainId;
+        uint64 sellChainId;
+    }
+    
+    enum FeedStatus {
+        OK,                         // Usable answer
+        INCOMPLETE_ROUND,           // Round has no updatedAt yet
+        STALE_ROUND,                // Answer carried over from an earlier round
+        INVALID_PRICE,              // Answer is not positive (or scales to zero)
+        STALE_PRICE                 // Answer is older than maxStaleness
+    }
+    
+    struct ChainlinkReading {
+        uint256 price;              // Answer scaled to 18 decimals (0 if not positive)
+        int256 answer;              // Raw feed answer
+        uint80 roundId;             // Latest round
+        uint80 answeredInRound;     // Round the answer was computed in
+        uint256 updatedAt;          // Timestamp of the answer
+        FeedStatus status;          // First check the reading failed, OK if usable
+    }
+    
+    struct TwapConfig {
+        uint32 window;              // TWAP averaging window in seconds
+        bool baseIsToken0;          // True if the monitored token is the pool's token0
+        uint8 baseDecimals;         // ERC20 decimals of the monitored token
+        uint8 quoteDecimals;        // ERC20 decimals of the USD stablecoin it is quoted in
     }
     
     // ═══════════════════════════════════════════════════════════════════
@@ -45,19 +126,82 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
     
     // Core price tracking
     mapping(address => PriceData) public tokenPrices;  // token => latest price data
+    mapping(address => mapping(uint256 => uint256)) public chainPrices; // token => chainId => price at the last update
+    
+    // Monitored chains (Ethereum and Arbitrum from the start, more through addChain)
+    uint256[] public supportedChains;
+    mapping(uint256 => bool) public isChainSupported;
+    mapping(address => uint256[]) private _tokenChains; // token => chains it has an oracle on
     
     // Oracle configurations for each chain
     mapping(uint256 => mapping(address => OracleConfig)) public oracles; // chainId => token => oracle
+    mapping(uint256 => mapping(address => TwapConfig)) public twapConfigs; // chainId => token => TWAP settings
+    
+    // Uniswap V3 TWAP source and Chainlink deviation guard
+    IUniswapV3Oracle public twapOracle;
+    uint256 public maxDeviationBasisPoints = 200; // Max Chainlink/TWAP disagreement (2%)
+    bool public revertOnDeviation = true;         // Revert updates on deviation, otherwise flag the token
+    mapping(address => bool) public isPriceFlagged; // token => sources disagreed on last update
+    
+    // Per-token price history (ring buffer of the last historyLength updates)
+    uint256 public constant MAX_HISTORY_LENGTH = 1000;
+    uint256 public historyLength = 24;
+    mapping(address => mapping(uint256 => PriceObservation)) private _priceHistory; // token => slot => entry
+    mapping(address => uint256) public historyCount; // token => entries written since the last reset
+    
+    // Spread persistence: consecutive updates at or above minProfitBasisPoints in one direction
+    uint256 public minPersistenceUpdates = 1; // Updates required before ArbitrageOpportunityDetected fires
+    mapping(address => uint256) public spreadStreak;
+    mapping(address => uint256) public spreadStreakStartedAt;
+    
+    // L2 sequencer uptime feed (address(0) when the monitor runs on L1)
+    AggregatorV3Interface public sequencerUptimeFeed;
+    uint256 public sequencerGracePeriod = 1 hours; // Feeds are distrusted this long after a restart
+    
+    // Chainlink Automation: refresh on a heartbeat or as soon as either feed publishes a new round
+    uint256 public upkeepHeartbeat = 1 hours;
+    mapping(uint256 => mapping(address => uint80)) public lastSeenRoundId; // chainId => token => feed round at last update
+    
+    // token => chainId => skipped (ChainPriceSkipped) at the last update; its stored price is kept
+    // for the circuit breaker but left out of routes and reported prices until it is read again
+    mapping(address => mapping(uint256 => bool)) public isChainSkipped;
+    
+    // Roles (DEFAULT_ADMIN_ROLE is the admin of each)
+    bytes32 public constant UPDATER_ROLE = keccak256("UPDATER_ROLE");
+    bytes32 public constant RISK_MANAGER_ROLE = keccak256("RISK_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bool public updaterRoleRequired; // Restrict price updates to UPDATER_ROLE (open to anyone by default)
+    
+    // Circuit breaker: pause when one update moves a price further than this (0 disables it)
+    uint256 public maxPriceMoveBasisPoints;
+    uint256 public circuitBreakerResetAt; // Last unpause; older stored prices are not compared against
+    
+    // Registered tokens
+    address[] public supportedTokens;
+    mapping(address => bool) public isTokenSupported;
     
     // Gas cost estimation parameters
     uint256 public constant ARBITRAGE_GAS_LIMIT = 350000; // Estimated gas for cross-chain arbitrage
-    uint256 public gasPrice = 20 gwei; // Current gas price estimate
+    uint256 public gasPrice = 20 gwei; // Fallback gas price estimate when no estimator is set or it cannot quote a chain
+    IGasEstimator public gasEstimator; // Per-chain gas pricing (optional)
+    mapping(uint256 => address) public nativeToken; // chainId => registered token gas is paid in (unset: ETH)
+    IRiskManager public riskManager; // Opportunity signal de-duplication (optional)
+    uint256 public constant RISK_HOOK_GAS_LIMIT = 150000; // Gas forwarded to riskManager.recordSignal
     uint256 public minProfitBasisPoints = 50; // Minimum 0.5% profit required
     
-    // Supported tokens (starting with ETH)
+    // Trading cost parameters (basis points of traded value)
+    uint256 public dexFeeBasisPoints = 30;    // Per swap, charged on both legs
+    uint256 public bridgeFeeBasisPoints = 5;  // Charged on the bridged value
+    uint256 public slippageBasisPoints = 10;  // Per swap, charged on both legs
+    uint256 public defaultTradeAmount = 1 ether; // Notional used by getArbitrageOpportunity (1 token)
+    
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 private constant PRICE_PRECISION = 1e18;
+    
+    // Native ETH sentinel (other tokens are registered by address)
     address public constant ETH = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
     
-    // Chain IDs
+    // Chain IDs of the original pair (isEthToArb and the ethereum/arbitrum price fields refer to these)
     uint256 public constant ETHEREUM_CHAIN_ID = 1;
     uint256 public constant ARBITRUM_CHAIN_ID = 42161;
     
@@ -73,18 +217,44 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
         uint256 spreadBasisPoints,
         uint256 estimatedProfit,
         bool isEthToArb,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 buyChainId,
+        uint256 sellChainId
     );
     
     /**
-     * @dev Emitted when prices are updated
+     * @dev Emitted when prices are updated, with the best route and its prices on both chains
      */
     event PricesUpdated(
         address indexed token,
         uint256 ethereumPrice,
         uint256 arbitrumPrice,
         uint256 spread,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 buyPrice,
+        uint256 sellPrice
+    );
+    
+    /**
+     * @dev Emitted when a chain is added to the monitored set
+     */
+    event ChainAdded(uint256 indexed chainId);
+    
+    /**
+     * @dev Emitted when a token is registered on a chain or its feed there is replaced
+     */
+    event TokenChainRegistered(address indexed token, uint256 indexed chainId, address feed, uint256 maxStaleness);
+    
+    /**
+     * @dev Emitted when a token is registered or its feeds are replaced
+     */
+    event TokenRegistered(
+        address indexed token,
+        address ethereumFeed,
+        address arbitrumFeed,
+        uint256 maxStaleness
     );
     
     /**
@@ -92,11 +262,181 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
      */
     event GasPriceUpdated(uint256 oldPrice, uint256 newPrice);
     
+    /**
+     * @dev Emitted when the gas estimator is replaced
+     */
+    event GasEstimatorUpdated(address oldEstimator, address newEstimator);
+    
+    /**
+     * @dev Emitted when the token a chain pays gas in is changed
+     */
+    event NativeTokenUpdated(uint256 indexed chainId, address oldToken, address newToken);
+    
+    /**
+     * @dev Emitted when the risk manager is replaced
+     */
+    event RiskManagerUpdated(address oldManager, address newManager);
+    
+    /**
+     * @dev Emitted when riskManager.recordSignal reverts or runs out of gas; the signal is emitted anyway
+     */
+    event RiskHookFailed(address indexed token, address riskManager);
+    
+    /**
+     * @dev Emitted when performUpkeep could not update a due token; the other tokens still update
+     */
+    event UpkeepTokenFailed(address indexed token, bytes reason);
+    
+    /**
+     * @dev Emitted when the minimum spread for a profitable opportunity changes
+     */
+    event MinProfitBasisPointsUpdated(uint256 oldBasisPoints, uint256 newBasisPoints);
+    
+    /**
+     * @dev Emitted when a token's Chainlink feed on one chain is replaced
+     */
+    event OracleFeedUpdated(uint256 indexed chainId, address indexed token, address oldFeed, address newFeed);
+    
+    /**
+     * @dev Emitted when a median feed cannot produce a usable price; the chain sits out that
+     * update instead of reverting it, and keeps its last stored price
+     */
+    event ChainPriceSkipped(uint256 indexed chainId, address indexed token);
+    
+    /**
+     * @dev Emitted when a feed's maximum staleness changes
+     */
+    event OracleStalenessUpdated(uint256 indexed chainId, address indexed token, uint256 oldMaxStaleness, uint256 newMaxStaleness);
+    
+    /**
+     * @dev Emitted when a token's oracle on one chain is enabled or disabled
+     */
+    event OracleActiveUpdated(uint256 indexed chainId, address indexed token, bool isActive);
+    
+    /**
+     * @dev Emitted when trading cost parameters are updated
+     */
+    event CostParametersUpdated(uint256 dexFeeBasisPoints, uint256 bridgeFeeBasisPoints, uint256 slippageBasisPoints);
+    
+    /**
+     * @dev Emitted when the default trade amount is updated
+     */
+    event DefaultTradeAmountUpdated(uint256 oldAmount, uint256 newAmount);
+    
+    /**
+     * @dev Emitted when the TWAP oracle is replaced
+     */
+    event TwapOracleUpdated(address oldOracle, address newOracle);
+    
+    /**
+     * @dev Emitted when a token's Uniswap V3 pool is set on a chain
+     */
+    event TwapSourceUpdated(uint256 indexed chainId, address indexed token, address pool, uint32 window);
+    
+    /**
+     * @dev Emitted when the deviation guard is reconfigured
+     */
+    event DeviationGuardUpdated(uint256 maxDeviationBasisPoints, bool revertOnDeviation);
+    
+    /**
+     * @dev Emitted when the price history length changes (history is cleared)
+     */
+    event HistoryLengthUpdated(uint256 oldLength, uint256 newLength);
+    
+    /**
+     * @dev Emitted when the number of persistent updates required for detection changes
+     */
+    event MinPersistenceUpdatesUpdated(uint256 oldUpdates, uint256 newUpdates);
+    
+    /**
+     * @dev Emitted when the upkeep heartbeat changes
+     */
+    event UpkeepHeartbeatUpdated(uint256 oldHeartbeat, uint256 newHeartbeat);
+    
+    /**
+     * @dev Emitted when the L2 sequencer uptime feed or its grace period changes
+     */
+    event SequencerUptimeFeedUpdated(address oldFeed, address newFeed, uint256 gracePeriod);
+    
+    /**
+     * @dev Emitted when price updates are restricted to UPDATER_ROLE or opened to anyone
+     */
+    event UpdaterRoleRequiredUpdated(bool required);
+    
+    /**
+     * @dev Emitted when the circuit breaker threshold changes
+     */
+    event MaxPriceMoveUpdated(uint256 oldBasisPoints, uint256 newBasisPoints);
+    
+    /**
+     * @dev Emitted when an update moves a price past maxPriceMoveBasisPoints and the monitor pauses itself
+     */
+    event CircuitBreakerTripped(
+        uint256 indexed chainId,
+        address indexed token,
+        uint256 previousPrice,
+        uint256 newPrice,
+        uint256 moveBasisPoints
+    );
+    
+    /**
+     * @dev Emitted when Chainlink is stale or invalid and the TWAP is used instead
+     */
+    event PriceSourceFallback(uint256 indexed chainId, address indexed token, uint256 twapPrice);
+    
+    /**
+     * @dev Emitted when Chainlink and the TWAP disagree and revertOnDeviation is off
+     */
+    event PriceDeviationFlagged(
+        uint256 indexed chainId,
+        address indexed token,
+        uint256 chainlinkPrice,
+        uint256 twapPrice,
+        uint256 deviationBasisPoints
+    );
+    
+    // ═══════════════════════════════════════════════════════════════════
+    // ERRORS
+    // ═══════════════════════════════════════════════════════════════════
+    
+    // Oracle read errors (and the two events above) are raised by OracleReader in the
+    // monitor's context; they are declared here so they are part of the monitor's ABI
+    error OracleNotActive(uint256 chainId, address token);
+    error NotEnoughActiveChains(address token, uint256 activeChains);
+    error IncompleteRound(address feed, uint80 roundId);
+    error StaleRound(address feed, uint80 roundId, uint80 answeredInRound);
+    error InvalidChainlinkPrice(address feed, int256 answer);
+    error StalePrice(address feed, uint256 updatedAt, uint256 maxStaleness);
+    error SequencerDown(address sequencerFeed);
+    error SequencerGracePeriodNotOver(address sequencerFeed, uint256 upSince, uint256 gracePeriod);
+    
+    // ═══════════════════════════════════════════════════════════════════
+    // MODIFIERS
+    // ═══════════════════════════════════════════════════════════════════
+    
+    /**
+     * @dev Require UPDATER_ROLE for price updates while updaterRoleRequired is set
+     */
+    modifier onlyUpdater() {
+        if (updaterRoleRequired) {
+            _checkRole(UPDATER_ROLE);
+        }
+        _;
+    }
+    
     // ═══════════════════════════════════════════════════════════════════
     // CONSTRUCTOR
     // ═══════════════════════════════════════════════════════════════════
     
     constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(UPDATER_ROLE, msg.sender);
+        _grantRole(RISK_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        
+        _addChain(ETHEREUM_CHAIN_ID);
+        _addChain(ARBITRUM_CHAIN_ID);
+        
         // Initialize with Chainlink ETH/USD price feeds
         // Ethereum Mainnet ETH/USD: 0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419
         // Arbitrum ETH/USD: 0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612
@@ -116,32 +456,151 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
     function initializeOracles(
         address ethereumChainlinkFeed,
         address arbitrumChainlinkFeed
-    ) external onlyOwner {
-        // Ethereum oracle config
-        oracles[ETHEREUM_CHAIN_ID][ETH] = OracleConfig({
-            chainlinkFeed: AggregatorV3Interface(ethereumChainlinkFeed),
-            uniswapV3Pool: address(0), // Will add later
-            maxStaleness: 3600, // 1 hour
-            isActive: true
-        });
-        
-        // Arbitrum oracle config  
-        oracles[ARBITRUM_CHAIN_ID][ETH] = OracleConfig({
-            chainlinkFeed: AggregatorV3Interface(arbitrumChainlinkFeed),
-            uniswapV3Pool: address(0), // Will add later
-            maxStaleness: 3600, // 1 hour
-            isActive: true
-        });
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _registerToken(ETH, ethereumChainlinkFeed, arbitrumChainlinkFeed, 3600); // 1 hour
+    }
+    
+    /**
+     * @dev Add a chain tokens can be registered on
+     * @notice Configure the gas estimator for the chain before registering tokens on it
+     * @param chainId EVM chain ID (e.g. 10 Optimism, 8453 Base, 137 Polygon)
+     */
+    function addChain(uint256 chainId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _addChain(chainId);
+    }
+    
+    /**
+     * @dev Register a token on one chain (or replace its feed there)
+     * @notice Registers the token itself on first use; prices update once two chains are active
+     * @param token Token address (ETH sentinel for native ETH)
+     * @param chainId Monitored chain the feed prices
+     * @param feed Chainlink (or SignedPriceFeed) token/USD feed
+     * @param maxStaleness Maximum acceptable feed age in seconds
+     */
+    function registerTokenChain(
+        address token,
+        uint256 chainId,
+        address feed,
+        uint256 maxStaleness
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _registerTokenChain(token, chainId, feed, maxStaleness);
+    }
+    
+    /**
+     * @dev Register a token (or replace its feeds) with a Chainlink feed on Ethereum and Arbitrum
+     * @param token Token address (ETH sentinel for native ETH)
+     * @param ethereumChainlinkFeed Chainlink token/USD feed on Ethereum
+     * @param arbitrumChainlinkFeed Chainlink token/USD feed on Arbitrum
+     * @param maxStaleness Maximum acceptable feed age in seconds
+     * @notice Feeds must be readable on the chain the monitor runs on; the remote chain's
+     * price is provided by a SignedPriceFeed kept current by scripts/price-relayer.js
+     */
+    function registerToken(
+        address token,
+        address ethereumChainlinkFeed,
+        address arbitrumChainlinkFeed,
+        uint256 maxStaleness
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _registerToken(token, ethereumChainlinkFeed, arbitrumChainlinkFeed, maxStaleness);
     }
     
     /**
      * @dev Update ETH prices from both chains and detect arbitrage opportunities
      * @notice This function will be called by our monitoring system
      */
-    function updateETHPrices() external nonReentrant {
+    function updateETHPrices() external nonReentrant whenNotPaused onlyUpdater {
         _updateTokenPrices(ETH);
     }
     
+    /**
+     * @dev Update prices for a single registered token
+     * @param token Token to update
+     */
+    function updateTokenPrices(address token) external nonReentrant whenNotPaused onlyUpdater {
+        _updateTokenPrices(token);
+    }
+    
+    /**
+     * @dev Update prices for a batch of registered tokens
+     * @notice Stops at the token that trips the circuit breaker; later tokens keep their old prices
+     * @param tokens Tokens to update
+     */
+    function updatePrices(address[] calldata tokens) external nonReentrant whenNotPaused onlyUpdater {
+        for (uint256 i = 0; i < tokens.length && !paused(); i++) {
+            _updateTokenPrices(tokens[i]);
+        }
+    }
+    
+    /**
+     * @dev Chainlink Automation check: find tokens whose stored prices are due for a refresh
+     * @notice A token is due once upkeepHeartbeat has passed since its last update, or when
+     * either chain's feed has moved to a new round since then. Nothing is due while paused.
+     * @param checkData abi.encode(address[]) to watch a subset of tokens, empty for all supported tokens
+     * @return upkeepNeeded True if at least one token is due
+     * @return performData abi.encode(address[]) of the due tokens
+     */
+    function checkUpkeep(bytes calldata checkData) external view override returns (bool upkeepNeeded, bytes memory performData) {
+        if (paused()) {
+            return (false, "");
+        }
+        address[] memory candidates = checkData.length > 0 ? abi.decode(checkData, (address[])) : supportedTokens;
+        
+        uint256 dueCount = 0;
+        bool[] memory isDue = new bool[](candidates.length);
+        for (uint256 i = 0; i < candidates.length; i++) {
+            if (_isUpkeepDue(candidates[i])) {
+                isDue[i] = true;
+                dueCount++;
+            }
+        }
+        
+        address[] memory dueTokens = new address[](dueCount);
+        uint256 index = 0;
+        for (uint256 i = 0; i < candidates.length; i++) {
+            if (isDue[i]) {
+                dueTokens[index++] = candidates[i];
+            }
+        }
+        
+        return (dueCount > 0, abi.encode(dueTokens));
+    }
+    
+    /**
+     * @dev Chainlink Automation perform: update the tokens returned by checkUpkeep
+     * @notice Conditions are re-checked on-chain; tokens refreshed since the check are skipped.
+     * A token whose update reverts (a stale feed, say) is reported with UpkeepTokenFailed and the
+     * rest still update; the call reverts only if no token updated, so the registry's simulation
+     * stops paying for upkeeps that cannot make progress.
+     * With updaterRoleRequired set, grant UPDATER_ROLE to the upkeep's forwarder.
+     * @param performData abi.encode(address[]) from checkUpkeep
+     */
+    function performUpkeep(bytes calldata performData) external override nonReentrant whenNotPaused onlyUpdater {
+        address[] memory tokens = abi.decode(performData, (address[]));
+        
+        uint256 updated = 0;
+        for (uint256 i = 0; i < tokens.length && !paused(); i++) {
+            if (!_isUpkeepDue(tokens[i])) {
+                continue;
+            }
+            try this.performTokenUpkeep(tokens[i]) {
+                updated++;
+            } catch (bytes memory reason) {
+                emit UpkeepTokenFailed(tokens[i], reason);
+            }
+        }
+        require(updated > 0, "Upkeep not needed");
+    }
+    
+    /**
+     * @dev Update one token on behalf of performUpkeep, in a call of its own so a revert only
+     * undoes that token
+     * @param token Token to update
+     */
+    function performTokenUpkeep(address token) external {
+        require(msg.sender == address(this), "Only the monitor");
+        _updateTokenPrices(token);
+    }
+    
     /**
      * @dev Get the latest arbitrage opportunity for ETH
      * @return opportunity Detailed arbitrage opportunity data
@@ -150,8 +609,59 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
         return _calculateArbitrageOpportunity(ETH);
     }
     
+    /**
+     * @dev Get the latest arbitrage opportunity for a token
+     * @param token Token to query
+     * @return opportunity Detailed arbitrage opportunity data
+     */
+    function getArbitrageOpportunity(address token) external view returns (ArbitrageOpportunity memory opportunity) {
+        return _calculateArbitrageOpportunity(token);
+    }
+    
+    /**
+     * @dev Get the latest arbitrage opportunities for a batch of tokens
+     * @param tokens Tokens to query
+     * @return opportunities Opportunity data, in the same order as `tokens`
+     */
+    function getArbitrageOpportunities(address[] calldata tokens) external view returns (ArbitrageOpportunity[] memory opportunities) {
+        opportunities = new ArbitrageOpportunity[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            opportunities[i] = _calculateArbitrageOpportunity(tokens[i]);
+        }
+    }
+    
+    /**
+     * @dev Model an arbitrage of a given size over the best route, with every cost component in USD
+     * @param token Token to trade
+     * @param amount Notional in token units (18 decimals, 1e18 = one token)
+     * @return breakdown Route, gross spread, gas, fees, slippage and net profit
+     */
+    function getProfitBreakdown(address token, uint256 amount) external view returns (ProfitBreakdown memory breakdown) {
+        return _calculateProfitBreakdown(token, amount);
+    }
+    
+    /**
+     * @dev Model an arbitrage of a given size over a specific route
+     * @param token Token to trade
+     * @param buyChainId Chain to buy on
+     * @param sellChainId Chain to sell on
+     * @param amount Notional in token units (18 decimals)
+     * @return breakdown Gross spread (0 if the sell chain is cheaper), gas, fees, slippage and net profit
+     */
+    function getRouteBreakdown(
+        address token,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 amount
+    ) external view returns (ProfitBreakdown memory breakdown) {
+        _oracleConfig(buyChainId, token);
+        _oracleConfig(sellChainId, token);
+        return _calculateRouteBreakdown(token, buyChainId, sellChainId, amount);
+    }
+    
     /**
      * @dev Check if there's currently a profitable arbitrage opportunity
+     * @notice Always false while the monitor is paused
      * @return isProfitable True if arbitrage is profitable after gas costs
      * @return spreadBasisPoints The price spread in basis points
      */
@@ -160,146 +670,727 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
         return (opp.isProfitable, opp.spreadBasisPoints);
     }
     
+    /**
+     * @dev Check if there's currently a profitable arbitrage opportunity for a token
+     * @notice Always false while the monitor is paused
+     * @param token Token to check
+     * @return isProfitable True if arbitrage is profitable after gas costs
+     * @return spreadBasisPoints The price spread in basis points
+     */
+    function isProfitableArbitrage(address token) external view returns (bool isProfitable, uint256 spreadBasisPoints) {
+        ArbitrageOpportunity memory opp = _calculateArbitrageOpportunity(token);
+        return (opp.isProfitable, opp.spreadBasisPoints);
+    }
+    
     /**
      * @dev Update gas price estimate (important for profitability calculations)
      * @param newGasPrice New gas price in wei
      */
-    function updateGasPrice(uint256 newGasPrice) external onlyOwner {
+    function updateGasPrice(uint256 newGasPrice) external onlyRole(RISK_MANAGER_ROLE) {
         uint256 oldPrice = gasPrice;
         gasPrice = newGasPrice;
         emit GasPriceUpdated(oldPrice, newGasPrice);
     }
     
+    /**
+     * @dev Point gas cost estimation at a per-chain estimator
+     * @param newEstimator IGasEstimator implementation, or address(0) to fall back to gasPrice
+     */
+    function setGasEstimator(address newEstimator) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newEstimator == address(0) || newEstimator.code.length > 0, "Invalid gas estimator");
+        address oldEstimator = address(gasEstimator);
+        gasEstimator = IGasEstimator(newEstimator);
+        emit GasEstimatorUpdated(oldEstimator, newEstimator);
+    }
+    
+    /**
+     * @dev Set the token a chain pays gas in, such as POL on Polygon
+     * @notice Gas is priced with the token's monitored price on that chain, or on Ethereum where
+     * it has no feed on the chain itself
+     * @param chainId Monitored chain
+     * @param token Registered token, or address(0) for ETH
+     */
+    function setNativeToken(uint256 chainId, address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(isChainSupported[chainId], "Unsupported chain");
+        require(token == address(0) || isTokenSupported[token], "Unsupported token");
+        address oldToken = nativeToken[chainId];
+        nativeToken[chainId] = token;
+        emit NativeTokenUpdated(chainId, oldToken, token);
+    }
+    
+    /**
+     * @dev Let a risk manager decide which opportunity signals are emitted
+     * @param newManager IRiskManager implementation, or address(0) to emit on every profitable update
+     */
+    function setRiskManager(address newManager) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        // Calls to an address without code revert before the hook's try/catch can absorb them
+        require(newManager == address(0) || newManager.code.length > 0, "Invalid risk manager");
+        address oldManager = address(riskManager);
+        riskManager = IRiskManager(newManager);
+        emit RiskManagerUpdated(oldManager, newManager);
+    }
+    
+    /**
+     * @dev Update trading cost assumptions used in profit estimation
+     * @param newDexFeeBasisPoints Swap fee per leg in basis points
+     * @param newBridgeFeeBasisPoints Bridge fee in basis points
+     * @param newSlippageBasisPoints Slippage allowance per leg in basis points
+     */
+    function setCostParameters(
+        uint256 newDexFeeBasisPoints,
+        uint256 newBridgeFeeBasisPoints,
+        uint256 newSlippageBasisPoints
+    ) external onlyRole(RISK_MANAGER_ROLE) {
+        require(
+            newDexFeeBasisPoints <= BASIS_POINTS &&
+            newBridgeFeeBasisPoints <= BASIS_POINTS &&
+            newSlippageBasisPoints <= BASIS_POINTS,
+            "Invalid basis points"
+        );
+        dexFeeBasisPoints = newDexFeeBasisPoints;
+        bridgeFeeBasisPoints = newBridgeFeeBasisPoints;
+        slippageBasisPoints = newSlippageBasisPoints;
+        emit CostParametersUpdated(newDexFeeBasisPoints, newBridgeFeeBasisPoints, newSlippageBasisPoints);
+    }
+    
+    /**
+     * @dev Update the notional used by getArbitrageOpportunity and the detection event
+     * @param newAmount Trade size in token units (18 decimals)
+     */
+    function setDefaultTradeAmount(uint256 newAmount) external onlyRole(RISK_MANAGER_ROLE) {
+        require(newAmount > 0, "Invalid trade amount");
+        uint256 oldAmount = defaultTradeAmount;
+        defaultTradeAmount = newAmount;
+        emit DefaultTradeAmountUpdated(oldAmount, newAmount);
+    }
+    
+    /**
+     * @dev Set the minimum spread an opportunity needs to count as profitable
+     * @param newBasisPoints Minimum spread in basis points
+     */
+    function setMinProfitBasisPoints(uint256 newBasisPoints) external onlyRole(RISK_MANAGER_ROLE) {
+        require(newBasisPoints <= BASIS_POINTS, "Invalid basis points");
+        uint256 oldBasisPoints = minProfitBasisPoints;
+        minProfitBasisPoints = newBasisPoints;
+        emit MinProfitBasisPointsUpdated(oldBasisPoints, newBasisPoints);
+    }
+    
+    /**
+     * @dev Replace a token's Chainlink feed on one chain, keeping the rest of its config
+     * @param chainId Chain the feed prices (ETHEREUM_CHAIN_ID or ARBITRUM_CHAIN_ID)
+     * @param token Registered token
+     * @param newFeed Chainlink (or SignedPriceFeed) token/USD feed
+     */
+    function setFeed(uint256 chainId, address token, address newFeed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeed(chainId, token, newFeed, false);
+    }
+    
+    /**
+     * @dev Read a token on one chain through a MedianPriceFeed that every update aggregates first
+     * @notice A failed aggregation (quorum lost) or an unusable median skips the chain for that
+     * update with ChainPriceSkipped instead of reverting it
+     * @param chainId Chain the feed prices
+     * @param token Registered token
+     * @param medianFeed IMedianPriceFeed implementation (MedianPriceFeed)
+     */
+    function setMedianFeed(uint256 chainId, address token, address medianFeed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setFeed(chainId, token, medianFeed, true);
+    }
+    
+    /**
+     * @dev Set how old a feed's answer may be before it counts as stale
+     * @param chainId Chain the feed prices
+     * @param token Registered token
+     * @param newMaxStaleness Maximum acceptable feed age in seconds (match the feed's heartbeat)
+     */
+    function setMaxStaleness(uint256 chainId, address token, uint256 newMaxStaleness) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        OracleConfig storage config = _oracleConfig(chainId, token);
+        require(newMaxStaleness > 0, "Invalid staleness");
+        
+        uint256 oldMaxStaleness = config.maxStaleness;
+        config.maxStaleness = newMaxStaleness;
+        emit OracleStalenessUpdated(chainId, token, oldMaxStaleness, newMaxStaleness);
+    }
+    
+    /**
+     * @dev Enable or disable a token's oracle on one chain
+     * @notice Disabled chains are left out of updates and routes; updates for the token revert
+     * with NotEnoughActiveChains while fewer than two of its chains are active
+     * @param chainId Chain the feed prices
+     * @param token Registered token
+     * @param active True to enable, false to disable
+     */
+    function setOracleActive(uint256 chainId, address token, bool active) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _oracleConfig(chainId, token).isActive = active;
+        emit OracleActiveUpdated(chainId, token, active);
+    }
+    
+    /**
+     * @dev Point TWAP reads at a Uniswap V3 oracle
+     * @param newOracle IUniswapV3Oracle implementation, or address(0) to disable TWAP reads
+     */
+    function setTwapOracle(address newOracle) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldOracle = address(twapOracle);
+        twapOracle = IUniswapV3Oracle(newOracle);
+        emit TwapOracleUpdated(oldOracle, newOracle);
+    }
+    
+    /**
+     * @dev Configure the Uniswap V3 pool used as a second price source for a token
+     * @param chainId Chain the pool lives on
+     * @param token Registered token
+     * @param pool Uniswap V3 pool against a USD stablecoin, or address(0) for Chainlink only
+     * @param window TWAP averaging window in seconds
+     * @param baseIsToken0 True if the token is the pool's token0
+     * @param baseDecimals ERC20 decimals of the token (18 for ETH/WETH)
+     * @param quoteDecimals ERC20 decimals of the stablecoin (6 for USDC)
+     */
+    function setTwapSource(
+        uint256 chainId,
+        address token,
+        address pool,
+        uint32 window,
+        bool baseIsToken0,
+        uint8 baseDecimals,
+        uint8 quoteDecimals
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(oracles[chainId][token].isActive, "Oracle not active");
+        require(pool == address(0) || address(twapOracle) != address(0), "TWAP oracle not set");
+        require(pool == address(0) || window > 0, "Invalid TWAP window");
+        
+        oracles[chainId][token].uniswapV3Pool = pool;
+        twapConfigs[chainId][token] = TwapConfig({
+            window: window,
+            baseIsToken0: baseIsToken0,
+            baseDecimals: baseDecimals,
+            quoteDecimals: quoteDecimals
+        });
+        
+        emit TwapSourceUpdated(chainId, token, pool, window);
+    }
+    
+    /**
+     * @dev Configure how far Chainlink and the TWAP may disagree
+     * @param newMaxDeviationBasisPoints Allowed deviation in basis points
+     * @param newRevertOnDeviation True to revert updates, false to flag the token as unprofitable
+     */
+    function setDeviationGuard(uint256 newMaxDeviationBasisPoints, bool newRevertOnDeviation) external onlyRole(RISK_MANAGER_ROLE) {
+        require(newMaxDeviationBasisPoints <= BASIS_POINTS, "Invalid basis points");
+        maxDeviationBasisPoints = newMaxDeviationBasisPoints;
+        revertOnDeviation = newRevertOnDeviation;
+        emit DeviationGuardUpdated(newMaxDeviationBasisPoints, newRevertOnDeviation);
+    }
+    
+    /**
+     * @dev Change how many updates are kept per token; clears existing history
+     * @param newLength Entries per token (1..MAX_HISTORY_LENGTH)
+     */
+    function setHistoryLength(uint256 newLength) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newLength > 0 && newLength <= MAX_HISTORY_LENGTH, "Invalid history length");
+        uint256 oldLength = historyLength;
+        historyLength = newLength;
+        
+        // Slots map to different positions under the new length, so start over
+        for (uint256 i = 0; i < supportedTokens.length; i++) {
+            historyCount[supportedTokens[i]] = 0;
+        }
+        
+        emit HistoryLengthUpdated(oldLength, newLength);
+    }
+    
+    /**
+     * @dev Require the spread to persist before ArbitrageOpportunityDetected is emitted
+     * @param newUpdates Consecutive updates at or above minProfitBasisPoints (1 emits immediately)
+     */
+    function setMinPersistenceUpdates(uint256 newUpdates) external onlyRole(RISK_MANAGER_ROLE) {
+        require(newUpdates > 0, "Invalid persistence");
+        uint256 oldUpdates = minPersistenceUpdates;
+        minPersistenceUpdates = newUpdates;
+        emit MinPersistenceUpdatesUpdated(oldUpdates, newUpdates);
+    }
+    
+    /**
+     * @dev Set the L2 sequencer uptime feed consulted before every update
+     * @param newFeed Chainlink sequencer uptime feed, address(0) to disable (L1 deployments)
+     * @param gracePeriod Seconds after the sequencer comes back up before prices are trusted
+     */
+    function setSequencerUptimeFeed(address newFeed, uint256 gracePeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldFeed = address(sequencerUptimeFeed);
+        sequencerUptimeFeed = AggregatorV3Interface(newFeed);
+        sequencerGracePeriod = gracePeriod;
+        emit SequencerUptimeFeedUpdated(oldFeed, newFeed, gracePeriod);
+    }
+    
+    /**
+     * @dev Set how often checkUpkeep requests a refresh when the feeds have not moved
+     * @param newHeartbeat Maximum seconds between upkeep updates
+     */
+    function setUpkeepHeartbeat(uint256 newHeartbeat) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newHeartbeat > 0, "Invalid heartbeat");
+        uint256 oldHeartbeat = upkeepHeartbeat;
+        upkeepHeartbeat = newHeartbeat;
+        emit UpkeepHeartbeatUpdated(oldHeartbeat, newHeartbeat);
+    }
+    
+    /**
+     * @dev Restrict price updates (and performUpkeep) to UPDATER_ROLE, or open them to anyone
+     * @param required True to enforce UPDATER_ROLE
+     */
+    function setUpdaterRoleRequired(bool required) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        updaterRoleRequired = required;
+        emit UpdaterRoleRequiredUpdated(required);
+    }
+    
+    /**
+     * @dev Set how far one update may move a token's price before the monitor pauses itself
+     * @param newBasisPoints Maximum move per chain in basis points, 0 to disable the circuit breaker
+     */
+    function setMaxPriceMove(uint256 newBasisPoints) external onlyRole(RISK_MANAGER_ROLE) {
+        uint256 oldBasisPoints = maxPriceMoveBasisPoints;
+        maxPriceMoveBasisPoints = newBasisPoints;
+        emit MaxPriceMoveUpdated(oldBasisPoints, newBasisPoints);
+    }
+    
+    /**
+     * @dev Freeze price updates and report every opportunity as unprofitable
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @dev Resume price updates
+     * @notice Admin only, so a tripped breaker is reviewed before trading resumes. The first
+     * update after resuming is not compared against the prices stored before the pause.
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        circuitBreakerResetAt = block.timestamp;
+        _unpause();
+    }
+    
     // ═══════════════════════════════════════════════════════════════════
     // INTERNAL FUNCTIONS
     // ═══════════════════════════════════════════════════════════════════
     
     /**
-     * @dev Internal function to update prices for a specific token
+     * @dev Track a chain as monitored
+     */
+    function _addChain(uint256 chainId) internal {
+        require(chainId > 0 && chainId <= type(uint64).max, "Invalid chain");
+        require(!isChainSupported[chainId], "Chain already added");
+        isChainSupported[chainId] = true;
+        supportedChains.push(chainId);
+        emit ChainAdded(chainId);
+    }
+    
+    /**
+     * @dev Register a token on Ethereum and Arbitrum
+     */
+    function _registerToken(
+        address token,
+        address ethereumChainlinkFeed,
+        address arbitrumChainlinkFeed,
+        uint256 maxStaleness
+    ) internal {
+        _registerTokenChain(token, ETHEREUM_CHAIN_ID, ethereumChainlinkFeed, maxStaleness);
+        _registerTokenChain(token, ARBITRUM_CHAIN_ID, arbitrumChainlinkFeed, maxStaleness);
+        emit TokenRegistered(token, ethereumChainlinkFeed, arbitrumChainlinkFeed, maxStaleness);
+    }
+    
+    /**
+     * @dev Write a token's oracle config on one chain and track the token and chain as supported
+     */
+    function _registerTokenChain(address token, uint256 chainId, address feed, uint256 maxStaleness) internal {
+        require(token != address(0), "Invalid token");
+        require(isChainSupported[chainId], "Unsupported chain");
+        require(feed != address(0), "Invalid feed");
+        require(maxStaleness > 0, "Invalid staleness");
+        
+        OracleConfig storage config = oracles[chainId][token];
+        if (address(config.chainlinkFeed) == address(0)) {
+            _tokenChains[token].push(chainId);
+        }
+        // The TWAP source is kept on re-registration
+        config.chainlinkFeed = AggregatorV3Interface(feed);
+        config.maxStaleness = maxStaleness;
+        config.isActive = true;
+        config.isAggregated = false;
+        
+        if (!isTokenSupported[token]) {
+            isTokenSupported[token] = true;
+            supportedTokens.push(token);
+        }
+        
+        emit TokenChainRegistered(token, chainId, feed, maxStaleness);
+    }
+    
+    /**
+     * @dev Replace a slot's feed, recording whether updates aggregate it first
+     */
+    function _setFeed(uint256 chainId, address token, address newFeed, bool aggregated) internal {
+        OracleConfig storage config = _oracleConfig(chainId, token);
+        require(newFeed != address(0), "Invalid feed");
+        
+        address oldFeed = address(config.chainlinkFeed);
+        config.chainlinkFeed = AggregatorV3Interface(newFeed);
+        config.isAggregated = aggregated;
+        emit OracleFeedUpdated(chainId, token, oldFeed, newFeed);
+    }
+    
+    /**
+     * @dev Oracle config of a registered token on a monitored chain
+     */
+    function _oracleConfig(uint256 chainId, address token) internal view returns (OracleConfig storage config) {
+        require(isChainSupported[chainId], "Unsupported chain");
+        require(isTokenSupported[token], "Token not supported");
+        config = oracles[chainId][token];
+        require(address(config.chainlinkFeed) != address(0), "Token not on chain");
+    }
+    
+    /**
+     * @dev Chains a token is registered and currently active on, in registration order
+     */
+    function _activeChains(address token) internal view returns (uint256[] memory chainIds) {
+        uint256[] memory registered = _tokenChains[token];
+        chainIds = new uint256[](registered.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < registered.length; i++) {
+            if (oracles[registered[i]][token].isActive) {
+                chainIds[count++] = registered[i];
+            }
+        }
+        // Trim the array to the active chains
+        assembly {
+            mstore(chainIds, count)
+        }
+    }
+    
+    /**
+     * @dev Internal function to update prices for a specific token on all its active chains
      * @param token Token address to update prices for
      */
     function _updateTokenPrices(address token) internal {
-        // Get Ethereum price
-        uint256 ethPrice = _getChainlinkPrice(ETHEREUM_CHAIN_ID, token);
+        OracleReader.checkSequencer(address(sequencerUptimeFeed), sequencerGracePeriod);
         
-        // Get Arbitrum price
-        uint256 arbPrice = _getChainlinkPrice(ARBITRUM_CHAIN_ID, token);
+        uint256[] memory chainIds = _activeChains(token);
+        if (chainIds.length < 2) revert NotEnoughActiveChains(token, chainIds.length);
         
-        // Calculate spread
-        uint256 spread;
-        bool isEthereumHigher;
+        // Read every chain before storing anything: a price jump beyond maxPriceMoveBasisPoints
+        // pauses the monitor instead of being stored
+        uint256 previousTimestamp = tokenPrices[token].timestamp;
+        uint256[] memory prices = new uint256[](chainIds.length);
+        bool flagged;
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            bool chainFlagged;
+            (prices[i], chainFlagged) = OracleReader.readPrice(
+                oracles[chainIds[i]][token],
+                twapConfigs[chainIds[i]][token],
+                OracleReader.DeviationGuard(twapOracle, maxDeviationBasisPoints, revertOnDeviation),
+                chainIds[i],
+                token
+            );
+            flagged = flagged || chainFlagged;
+            // A skipped chain (price 0) is not compared; its stored price is kept for the next read
+            if (prices[i] != 0 && _tripsCircuitBreaker(chainIds[i], token, chainPrices[token][chainIds[i]], prices[i], previousTimestamp)) {
+                return;
+            }
+        }
         
-        if (ethPrice > arbPrice) {
-            spread = ((ethPrice - arbPrice) * 10000) / arbPrice;
-            isEthereumHigher = true;
-        } else if (arbPrice > ethPrice) {
-            spread = ((arbPrice - ethPrice) * 10000) / ethPrice;
-            isEthereumHigher = false;
-        } else {
-            // Prices are equal
-            spread = 0;
-            isEthereumHigher = false; // Doesn't matter when equal
+        isPriceFlagged[token] = flagged;
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            isChainSkipped[token][chainIds[i]] = prices[i] == 0;
+            if (prices[i] != 0) {
+                chainPrices[token][chainIds[i]] = prices[i];
+                lastSeenRoundId[chainIds[i]][token] = _latestRoundId(chainIds[i], token);
+            }
         }
         
-        // Update stored data
-        tokenPrices[token] = PriceData({
-            ethereumPrice: ethPrice,
-            arbitrumPrice: arbPrice,
-            timestamp: block.timestamp,
-            spread: spread,
-            isEthereumHigher: isEthereumHigher
-        });
+        PriceData storage data = tokenPrices[token];
+        (uint256 previousBuyChainId, uint256 previousSellChainId) = (data.buyChainId, data.sellChainId);
+        data.ethereumPrice = _quotedPrice(token, ETHEREUM_CHAIN_ID);
+        data.arbitrumPrice = _quotedPrice(token, ARBITRUM_CHAIN_ID);
+        data.isEthereumHigher = data.ethereumPrice > data.arbitrumPrice;
+        data.timestamp = block.timestamp;
+        
+        // Best buy/sell chain pair by net profit for defaultTradeAmount
+        ProfitBreakdown memory route = _calculateProfitBreakdown(token, defaultTradeAmount);
+        data.spread = route.spreadBasisPoints;
+        data.buyChainId = route.buyChainId;
+        data.sellChainId = route.sellChainId;
         
-        emit PricesUpdated(token, ethPrice, arbPrice, spread, block.timestamp);
+        // Track how long the spread has held on the same route
+        if (route.spreadBasisPoints < minProfitBasisPoints) {
+            spreadStreak[token] = 0;
+            spreadStreakStartedAt[token] = 0;
+        } else if (
+            spreadStreak[token] == 0 ||
+            previousBuyChainId != route.buyChainId ||
+            previousSellChainId != route.sellChainId
+        ) {
+            spreadStreak[token] = 1;
+            spreadStreakStartedAt[token] = block.timestamp;
+        } else {
+            spreadStreak[token]++;
+        }
         
-        // Check for arbitrage opportunity
-        ArbitrageOpportunity memory opportunity = _calculateArbitrageOpportunity(token);
+        PriceHistory.record(_priceHistory[token], historyCount[token]++, historyLength, data);
+        _emitPricesUpdated(token, data);
         
-        if (opportunity.isProfitable) {
+        if (
+            route.isProfitable &&
+            spreadStreak[token] >= minPersistenceUpdates &&
+            _riskManagerAllows(token)
+        ) {
             emit ArbitrageOpportunityDetected(
                 token,
-                opportunity.spreadBasisPoints,
-                opportunity.estimatedProfit,
-                opportunity.isEthToArb,
-                block.timestamp
+                route.spreadBasisPoints,
+                route.netProfit,
+                route.isEthToArb,
+                block.timestamp,
+                route.buyChainId,
+                route.sellChainId
             );
         }
     }
     
     /**
-     * @dev Get price from Chainlink oracle
-     * @param chainId Chain ID to get price from
-     * @param token Token to get price for
-     * @return price Token price in 18 decimals
+     * @dev Emit PricesUpdated for a stored update, with the prices on both chains of its route
      */
-    function _getChainlinkPrice(uint256 chainId, address token) internal view returns (uint256 price) {
-        OracleConfig memory config = oracles[chainId][token];
-        require(config.isActive, "Oracle not active");
-        
-        (
-            , // roundId - not needed for basic price fetching
-            int256 price256,
-            , // startedAt - not needed for basic price fetching
-            uint256 updatedAt,
-            // answeredInRound - not needed for basic price fetching
-        ) = config.chainlinkFeed.latestRoundData();
+    function _emitPricesUpdated(address token, PriceData storage data) internal {
+        emit PricesUpdated(
+            token,
+            data.ethereumPrice,
+            data.arbitrumPrice,
+            data.spread,
+            data.timestamp,
+            data.buyChainId,
+            data.sellChainId,
+            chainPrices[token][data.buyChainId],
+            chainPrices[token][data.sellChainId]
+        );
+    }
+    
+    /**
+     * @dev Ask the risk manager whether to emit an opportunity signal
+     * @notice The hook runs under RISK_HOOK_GAS_LIMIT and a failing hook never blocks the
+     * price update: the signal is emitted and RiskHookFailed reports the failure
+     * @param token Token just updated
+     * @return True to emit ArbitrageOpportunityDetected
+     */
+    function _riskManagerAllows(address token) internal returns (bool) {
+        if (address(riskManager) == address(0)) {
+            return true;
+        }
+        try riskManager.recordSignal{gas: RISK_HOOK_GAS_LIMIT}(token) returns (bool emitSignal) {
+            return emitSignal;
+        } catch {
+            // A caller starving the hook of its gas cannot skip de-duplication
+            require(gasleft() > RISK_HOOK_GAS_LIMIT / 63, "Risk hook out of gas");
+            emit RiskHookFailed(token, address(riskManager));
+            return true;
+        }
+    }
+    
+    /**
+     * @dev Pause the monitor if a new price moved too far from the stored one
+     * @param chainId Chain the price is from
+     * @param token Token being updated
+     * @param previousPrice Stored price (18 decimals)
+     * @param newPrice Freshly read price (18 decimals)
+     * @param previousTimestamp When previousPrice was stored (0 if never)
+     * @return tripped True if the monitor was paused
+     */
+    function _tripsCircuitBreaker(
+        uint256 chainId,
+        address token,
+        uint256 previousPrice,
+        uint256 newPrice,
+        uint256 previousTimestamp
+    ) internal returns (bool tripped) {
+        if (
+            maxPriceMoveBasisPoints == 0 ||
+            previousPrice == 0 || // First price on this chain
+            previousTimestamp == 0 ||
+            previousTimestamp < circuitBreakerResetAt
+        ) {
+            return false;
+        }
         
-        require(price256 > 0, "Invalid price from Chainlink");
-        require(block.timestamp - updatedAt <= config.maxStaleness, "Price data too stale");
+        uint256 move = newPrice > previousPrice
+            ? ((newPrice - previousPrice) * BASIS_POINTS) / previousPrice
+            : ((previousPrice - newPrice) * BASIS_POINTS) / previousPrice;
+        if (move <= maxPriceMoveBasisPoints) {
+            return false;
+        }
         
-        // Convert to 18 decimals (Chainlink ETH/USD is 8 decimals)
-        uint8 decimals = config.chainlinkFeed.decimals();
-        price = uint256(price256) * (10 ** (18 - decimals));
+        _pause();
+        emit CircuitBreakerTripped(chainId, token, previousPrice, newPrice, move);
+        return true;
+    }
+    
+    /**
+     * @dev Latest round of a token's Chainlink feed on a chain (0 if the feed reverts)
+     */
+    function _latestRoundId(uint256 chainId, address token) internal view returns (uint80) {
+        try oracles[chainId][token].chainlinkFeed.latestRoundData() returns (uint80 roundId, int256, uint256, uint256, uint80) {
+            return roundId;
+        } catch {
+            return 0;
+        }
     }
     
     /**
-     * @dev Calculate detailed arbitrage opportunity
+     * @dev Whether the upkeep should refresh a token (heartbeat elapsed or a feed has a new round)
+     */
+    function _isUpkeepDue(address token) internal view returns (bool) {
+        uint256[] memory chainIds = _activeChains(token);
+        if (chainIds.length < 2) {
+            return false;
+        }
+        if (block.timestamp >= tokenPrices[token].timestamp + upkeepHeartbeat) {
+            return true;
+        }
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            if (_latestRoundId(chainIds[i], token) != lastSeenRoundId[chainIds[i]][token]) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Calculate detailed arbitrage opportunity for defaultTradeAmount over the best route
      * @param token Token to calculate arbitrage for
      * @return opportunity Complete arbitrage opportunity data
      */
     function _calculateArbitrageOpportunity(address token) internal view returns (ArbitrageOpportunity memory opportunity) {
-        PriceData memory prices = tokenPrices[token];
-        
-        if (prices.timestamp == 0) {
+        if (tokenPrices[token].timestamp == 0) {
             // No price data available
             return opportunity;
         }
         
-        // Calculate gas cost in wei
-        uint256 gasCostWei = gasPrice * ARBITRAGE_GAS_LIMIT;
-        opportunity.gasEstimate = gasCostWei;
-        
-        // Determine arbitrage direction and calculate profit (with overflow protection)
-        if (prices.isEthereumHigher) {
-            // Buy on Arbitrum, sell on Ethereum
-            opportunity.isEthToArb = false;
-            opportunity.spreadBasisPoints = prices.spread;
-            
-            // Safe profit calculation - check for underflow
-            uint256 totalCost = prices.arbitrumPrice + gasCostWei;
-            if (prices.ethereumPrice > totalCost) {
-                opportunity.estimatedProfit = prices.ethereumPrice - totalCost;
-            } else {
-                opportunity.estimatedProfit = 0; // Would result in loss
-            }
-        } else {
-            // Buy on Ethereum, sell on Arbitrum  
-            opportunity.isEthToArb = true;
-            opportunity.spreadBasisPoints = prices.spread;
-            
-            // Safe profit calculation - check for underflow
-            uint256 totalCost = prices.ethereumPrice + gasCostWei;
-            if (prices.arbitrumPrice > totalCost) {
-                opportunity.estimatedProfit = prices.arbitrumPrice - totalCost;
-            } else {
-                opportunity.estimatedProfit = 0; // Would result in loss
-            }
+        ProfitBreakdown memory breakdown = _calculateProfitBreakdown(token, defaultTradeAmount);
+        if (breakdown.buyChainId == 0) {
+            // Fewer than two priced, active chains
+            return opportunity;
         }
         
-        opportunity.isProfitable = (
-            opportunity.estimatedProfit > 0 && 
-            opportunity.spreadBasisPoints >= minProfitBasisPoints
-        );
+        opportunity.spreadBasisPoints = breakdown.spreadBasisPoints;
+        opportunity.estimatedProfit = breakdown.netProfit;
+        opportunity.gasEstimate = breakdown.buyGasCost + breakdown.sellGasCost;
+        opportunity.isProfitable = breakdown.isProfitable;
+        opportunity.isEthToArb = breakdown.isEthToArb;
+        opportunity.buyChainId = breakdown.buyChainId;
+        opportunity.sellChainId = breakdown.sellChainId;
+    }
+    
+    /**
+     * @dev Pick the route with the highest net profit among every pair of active chains
+     * @param token Token to trade
+     * @param amount Notional in token units (18 decimals)
+     * @return Breakdown of the best route (zero chain IDs if there is none)
+     */
+    function _calculateProfitBreakdown(address token, uint256 amount) internal view returns (ProfitBreakdown memory) {
+        if (tokenPrices[token].timestamp == 0) {
+            // No price data available
+            ProfitBreakdown memory empty;
+            empty.tradeAmount = amount;
+            return empty;
+        }
+        return ArbitrageRoutes.bestRoute(_chainQuotes(token, _activeChains(token)), amount, _costParameters(token));
+    }
+    
+    /**
+     * @dev Model buying `amount` on one chain and selling it on another, in USD
+     * @notice Gas is priced in the token the chain pays it in (nativeToken, ETH by default) at
+     * that token's monitored price on the chain (its Ethereum price where it has no feed there).
+     * Routes are only reported as profitable once ETH itself has price data
+     * @param token Token to trade
+     * @param buyChainId Chain to buy on
+     * @param sellChainId Chain to sell on
+     * @param amount Notional in token units (18 decimals)
+     * @return Every cost component and the resulting net profit
+     */
+    function _calculateRouteBreakdown(
+        address token,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 amount
+    ) internal view returns (ProfitBreakdown memory) {
+        uint256[] memory chainIds = new uint256[](2);
+        chainIds[0] = buyChainId;
+        chainIds[1] = sellChainId;
+        ArbitrageRoutes.ChainQuote[] memory quotes = _chainQuotes(token, chainIds);
+        return ArbitrageRoutes.routeBreakdown(quotes[0], quotes[1], amount, _costParameters(token));
+    }
+    
+    /**
+     * @dev Stored price and gas costs of a token on each chain, as ArbitrageRoutes takes them
+     */
+    function _chainQuotes(address token, uint256[] memory chainIds) internal view returns (ArbitrageRoutes.ChainQuote[] memory quotes) {
+        quotes = new ArbitrageRoutes.ChainQuote[](chainIds.length);
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            quotes[i] = ArbitrageRoutes.ChainQuote({
+                chainId: chainIds[i],
+                price: _quotedPrice(token, chainIds[i]),
+                buyGasCost: _gasCostUsd(chainIds[i], true),
+                sellGasCost: _gasCostUsd(chainIds[i], false)
+            });
+        }
+    }
+    
+    /**
+     * @dev Price a token was read at on a chain in the last update (0 if skipped or never read)
+     */
+    function _quotedPrice(address token, uint256 chainId) internal view returns (uint256) {
+        return isChainSkipped[token][chainId] ? 0 : chainPrices[token][chainId];
+    }
+    
+    /**
+     * @dev Fee and profitability settings for a token's routes
+     */
+    function _costParameters(address token) internal view returns (ArbitrageRoutes.CostParameters memory) {
+        return ArbitrageRoutes.CostParameters({
+            dexFeeBasisPoints: dexFeeBasisPoints,
+            bridgeFeeBasisPoints: bridgeFeeBasisPoints,
+            slippageBasisPoints: slippageBasisPoints,
+            minProfitBasisPoints: minProfitBasisPoints,
+            tradable: tokenPrices[ETH].timestamp != 0 && !paused() && !isPriceFlagged[token]
+        });
+    }
+    
+    /**
+     * @dev Estimated gas cost of the legs executed on a chain, in USD
+     * @param chainId Chain the legs run on
+     * @param isSourceLeg True for the buy side, false for the sell side
+     * @return Cost in USD (18 decimals)
+     */
+    function _gasCostUsd(uint256 chainId, bool isSourceLeg) internal view returns (uint256) {
+        address native = nativeToken[chainId];
+        if (native == address(0)) {
+            native = ETH;
+        }
+        uint256 nativePrice = chainPrices[native][chainId];
+        if (nativePrice == 0) {
+            nativePrice = chainPrices[native][ETHEREUM_CHAIN_ID];
+        }
+        return (_gasCostWei(chainId, isSourceLeg) * nativePrice) / PRICE_PRECISION;
+    }
+    
+    /**
+     * @dev Estimated gas cost of the arbitrage legs executed on a chain
+     * @param chainId Chain the legs run on
+     * @param isSourceLeg True for the buy side, false for the sell side
+     * @return gasCost Cost in wei of the token that chain pays gas in
+     */
+    function _gasCostWei(uint256 chainId, bool isSourceLeg) internal view returns (uint256 gasCost) {
+        if (address(gasEstimator) != address(0)) {
+            try gasEstimator.estimateChainGasCost(chainId, isSourceLeg) returns (uint256 estimate) {
+                return estimate;
+            } catch {}
+        }
+        // No estimator, or it cannot quote the chain (unconfigured or stale): same owner-set estimate on every chain
+        return gasPrice * ARBITRAGE_GAS_LIMIT;
     }
     
     // ═══════════════════════════════════════════════════════════════════
@@ -315,6 +1406,115 @@ contract BasicPriceMonitor is Ownable, ReentrancyGuard {
         return tokenPrices[token];
     }
     
+    /**
+     * @dev Current TWAP price for a token from its configured Uniswap V3 pool
+     * @param chainId Chain the pool lives on
+     * @param token Token address
+     * @return price Token price in 18 decimals
+     */
+    function getTwapPrice(uint256 chainId, address token) external view returns (uint256 price) {
+        return OracleReader.twapPriceOf(oracles[chainId][token], twapConfigs[chainId][token], twapOracle);
+    }
+    
+    /**
+     * @dev Get all registered tokens
+     * @return tokens Registered token addresses, in registration order
+     */
+    function getSupportedTokens() external view returns (address[] memory tokens) {
+        return supportedTokens;
+    }
+    
+    /**
+     * @dev Get all monitored chains
+     * @return chainIds Chain IDs, in the order they were added
+     */
+    function getSupportedChains() external view returns (uint256[] memory chainIds) {
+        return supportedChains;
+    }
+    
+    /**
+     * @dev Chains a token is registered on, active or not
+     * @param token Token address
+     * @return chainIds Chain IDs, in registration order
+     */
+    function getTokenChains(address token) external view returns (uint256[] memory chainIds) {
+        return _tokenChains[token];
+    }
+    
+    /**
+     * @dev Prices stored for a token on each of its chains at the last update
+     * @param token Token address
+     * @return chainIds Chain IDs, in registration order
+     * @return prices Prices in 18 decimals (0 for chains not priced yet or skipped)
+     */
+    function getChainPrices(address token) external view returns (uint256[] memory chainIds, uint256[] memory prices) {
+        chainIds = _tokenChains[token];
+        prices = new uint256[](chainIds.length);
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            prices[i] = _quotedPrice(token, chainIds[i]);
+        }
+    }
+    
+    /**
+     * @dev Pairwise spreads between a token's active chains at the last update
+     * @param token Token address
+     * @return chainIds Active chain IDs, indexing both matrix dimensions
+     * @return spreads spreads[i][j] is the basis points gained buying on chainIds[i] and selling
+     * on chainIds[j] (negative when chainIds[j] is cheaper, 0 for unpriced chains)
+     */
+    function getSpreadMatrix(address token) external view returns (uint256[] memory chainIds, int256[][] memory spreads) {
+        chainIds = _activeChains(token);
+        spreads = new int256[][](chainIds.length);
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            spreads[i] = new int256[](chainIds.length);
+            int256 buyPrice = int256(_quotedPrice(token, chainIds[i]));
+            for (uint256 j = 0; j < chainIds.length; j++) {
+                int256 sellPrice = int256(_quotedPrice(token, chainIds[j]));
+                if (buyPrice > 0 && sellPrice > 0) {
+                    spreads[i][j] = ((sellPrice - buyPrice) * int256(BASIS_POINTS)) / buyPrice;
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Most recent price updates for a token
+     * @param token Token address
+     * @param count Number of entries wanted (capped at what is stored)
+     * @return history Entries ordered oldest to newest
+     */
+    function getPriceHistory(address token, uint256 count) public view returns (PriceData[] memory history) {
+        return PriceHistory.recent(_priceHistory[token], historyCount[token], historyLength, count);
+    }
+    
+    /**
+     * @dev Spread statistics over the most recent updates and the current above-threshold run
+     * @param token Token address
+     * @param count Number of history entries to cover (capped at what is stored)
+     * @return stats Average/max spread and persistence of the current spread
+     */
+    function getSpreadStatistics(address token, uint256 count) external view returns (SpreadStatistics memory stats) {
+        PriceData[] memory history = getPriceHistory(token, count);
+        stats.observations = history.length;
+        
+        uint256 totalSpread;
+        for (uint256 i = 0; i < history.length; i++) {
+            totalSpread += history[i].spread;
+            if (history[i].spread > stats.maxSpread) {
+                stats.maxSpread = history[i].spread;
+            }
+        }
+        if (history.length > 0) {
+            stats.averageSpread = totalSpread / history.length;
+        }
+        
+        stats.consecutiveUpdates = spreadStreak[token];
+        stats.aboveThresholdSince = spreadStreakStartedAt[token];
+        if (stats.aboveThresholdSince != 0) {
+            stats.aboveThresholdDuration = block.timestamp - stats.aboveThresholdSince;
+        }
+    }
+    
     /**
      * @dev Check if price data is fresh enough for trading
      * @param token Token to check
@@ -0,0 +1,209 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IPriceMonitor.sol";
+
+/**
+ * @title CrossChainGasEstimator
+ * @dev Per-chain gas pricing for the legs of a cross-chain arbitrage
+ * @notice Gas prices are pushed by an off-chain updater (scripts/update-gas-oracle.js);
+ * L2 chains additionally pay an L1 data fee for every transaction they post. Estimates
+ * revert once a chain's prices are older than maxAge.
+ */
+contract CrossChainGasEstimator is IGasEstimator, Ownable {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS & ENUMS
+    // ═══════════════════════════════════════════════════════════════════
+
+    enum Leg { SWAP, BRIDGE, SETTLE }
+
+    struct ChainGasConfig {
+        uint256 gasPrice;           // Execution gas price in wei
+        uint256 l1BaseFee;          // L1 base fee used for data posting in wei (L2 only)
+        uint256 l1DataGasPerTx;     // L1 gas charged per transaction for calldata (0 on L1)
+        uint256 updatedAt;          // Last gas price push
+        bool isConfigured;          // Whether leg gas limits have been set for this chain
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    mapping(uint256 => ChainGasConfig) public chainGas; // chainId => gas config
+    mapping(uint256 => mapping(Leg => uint256)) public legGasLimits; // chainId => leg => gas units
+
+    // Accounts allowed to push gas prices besides the owner
+    mapping(address => bool) public isUpdater;
+
+    uint256 public maxAge = 1 hours; // Seconds a gas price push is quoted for
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Emitted when a chain's leg gas limits or L1 data gas are configured
+     */
+    event ChainConfigured(
+        uint256 indexed chainId,
+        uint256 swapGas,
+        uint256 bridgeGas,
+        uint256 settleGas,
+        uint256 l1DataGasPerTx
+    );
+
+    /**
+     * @dev Emitted when gas prices for a chain are pushed
+     */
+    event ChainGasPriceUpdated(uint256 indexed chainId, uint256 gasPrice, uint256 l1BaseFee);
+
+    /**
+     * @dev Emitted when an updater is added or removed
+     */
+    event UpdaterSet(address indexed updater, bool allowed);
+
+    /**
+     * @dev Emitted when the gas price staleness limit changes
+     */
+    event MaxAgeUpdated(uint256 oldMaxAge, uint256 newMaxAge);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // MODIFIERS
+    // ═══════════════════════════════════════════════════════════════════
+
+    modifier onlyUpdater() {
+        require(isUpdater[msg.sender] || msg.sender == owner(), "Not gas updater");
+        _;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EXTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Set gas limits per leg and the L1 data gas for a chain
+     * @param chainId Chain to configure
+     * @param swapGas Gas units for a DEX swap on this chain
+     * @param bridgeGas Gas units to send funds over the bridge from this chain
+     * @param settleGas Gas units to claim bridged funds on this chain
+     * @param l1DataGasPerTx L1 gas charged per transaction for calldata (0 for L1 chains)
+     */
+    function configureChain(
+        uint256 chainId,
+        uint256 swapGas,
+        uint256 bridgeGas,
+        uint256 settleGas,
+        uint256 l1DataGasPerTx
+    ) external onlyOwner {
+        legGasLimits[chainId][Leg.SWAP] = swapGas;
+        legGasLimits[chainId][Leg.BRIDGE] = bridgeGas;
+        legGasLimits[chainId][Leg.SETTLE] = settleGas;
+
+        ChainGasConfig storage config = chainGas[chainId];
+        config.l1DataGasPerTx = l1DataGasPerTx;
+        config.isConfigured = true;
+
+        emit ChainConfigured(chainId, swapGas, bridgeGas, settleGas, l1DataGasPerTx);
+    }
+
+    /**
+     * @dev Push current gas prices for a batch of chains
+     * @param chainIds Chains to update
+     * @param gasPrices Execution gas price per chain in wei
+     * @param l1BaseFees L1 base fee per chain in wei (ignored where l1DataGasPerTx is 0)
+     */
+    function updateGasPrices(
+        uint256[] calldata chainIds,
+        uint256[] calldata gasPrices,
+        uint256[] calldata l1BaseFees
+    ) external onlyUpdater {
+        require(chainIds.length == gasPrices.length && chainIds.length == l1BaseFees.length, "Length mismatch");
+
+        for (uint256 i = 0; i < chainIds.length; i++) {
+            ChainGasConfig storage config = chainGas[chainIds[i]];
+            require(config.isConfigured, "Chain not configured");
+
+            config.gasPrice = gasPrices[i];
+            config.l1BaseFee = l1BaseFees[i];
+            config.updatedAt = block.timestamp;
+
+            emit ChainGasPriceUpdated(chainIds[i], gasPrices[i], l1BaseFees[i]);
+        }
+    }
+
+    /**
+     * @dev Allow or revoke an account to push gas prices
+     * @param updater Account running the gas oracle updater
+     * @param allowed True to allow, false to revoke
+     */
+    function setUpdater(address updater, bool allowed) external onlyOwner {
+        isUpdater[updater] = allowed;
+        emit UpdaterSet(updater, allowed);
+    }
+
+    /**
+     * @dev Set how long a gas price push is quoted for
+     * @param newMaxAge Seconds; should cover the updater's push interval
+     */
+    function setMaxAge(uint256 newMaxAge) external onlyOwner {
+        require(newMaxAge > 0, "Invalid max age");
+        emit MaxAgeUpdated(maxAge, newMaxAge);
+        maxAge = newMaxAge;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Whether a chain's gas prices can be quoted
+     * @param chainId Chain to check
+     * @return True if the chain is configured and its prices were pushed at most maxAge ago
+     */
+    function isFresh(uint256 chainId) public view returns (bool) {
+        ChainGasConfig memory config = chainGas[chainId];
+        return config.isConfigured && config.updatedAt != 0 && block.timestamp - config.updatedAt <= maxAge;
+    }
+
+    /**
+     * @dev Total gas cost of a cross-chain arbitrage: swap + bridge on the source chain,
+     * settle + swap on the destination chain
+     * @return gasCost Combined cost in wei, only meaningful when both chains pay gas in the same token
+     */
+    function estimateCrossChainGasCost(
+        address, // token - legs cost the same for every token for now
+        uint256, // amount - gas does not depend on trade size
+        uint256 sourceChain,
+        uint256 destChain
+    ) external view override returns (uint256 gasCost) {
+        return estimateChainGasCost(sourceChain, true) + estimateChainGasCost(destChain, false);
+    }
+
+    /**
+     * @dev Gas cost of the legs executed on one chain
+     * @param chainId Chain the legs run on
+     * @param isSourceLeg True for the buy side (swap + bridge), false for the sell side (settle + swap)
+     * @return gasCost Cost in wei of the token that chain pays gas in (ETH, or POL on Polygon)
+     */
+    function estimateChainGasCost(uint256 chainId, bool isSourceLeg) public view override returns (uint256 gasCost) {
+        Leg secondLeg = isSourceLeg ? Leg.BRIDGE : Leg.SETTLE;
+        return estimateLegGasCost(chainId, Leg.SWAP) + estimateLegGasCost(chainId, secondLeg);
+    }
+
+    /**
+     * @dev Gas cost of a single leg (one transaction) on a chain
+     * @param chainId Chain the leg runs on
+     * @param leg Leg to price
+     * @return gasCost Execution cost plus L1 data fee, in wei
+     */
+    function estimateLegGasCost(uint256 chainId, Leg leg) public view returns (uint256 gasCost) {
+        ChainGasConfig memory config = chainGas[chainId];
+        require(config.isConfigured, "Chain not configured");
+        require(isFresh(chainId), "Gas price stale");
+
+        gasCost = legGasLimits[chainId][leg] * config.gasPrice;
+        gasCost += config.l1DataGasPerTx * config.l1BaseFee;
+    }
+}
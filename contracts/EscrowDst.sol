@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./BaseEscrow.sol";
+
+/**
+ * @title EscrowDst
+ * @dev Destination-chain escrow: locks the resolver's funds owed to the maker
+ * @notice The resolver funds it after seeing the maker's EscrowSrc escrow, under the same
+ * orderHash and hashlock. Withdrawing reveals the secret and pays the maker; cancelling refunds
+ * the resolver. Anyone holding the secret may withdraw, so a resolver that claims the source
+ * funds cannot leave the maker unpaid by waiting out cancelAfter here. Its cancelAfter must come
+ * before the source escrow's.
+ */
+contract EscrowDst is BaseEscrow {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ESCROW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Lock the resolver's funds for an order
+     * @param immutables Escrow terms; msg.sender must be the taker and approve the amount
+     */
+    function createEscrow(Immutables calldata immutables) external nonReentrant {
+        if (msg.sender != immutables.taker) revert InvalidCaller();
+        _createEscrow(immutables, msg.sender);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    // The funds can only go to the maker, so the maker (or anyone) may settle with the secret
+    function _canWithdraw(Immutables memory, address) internal pure override returns (bool) {
+        return true;
+    }
+
+    function _withdrawRecipient(Immutables memory immutables) internal pure override returns (address) {
+        return immutables.maker;
+    }
+
+    function _refundRecipient(Immutables memory immutables) internal pure override returns (address) {
+        return immutables.taker;
+    }
+}
@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./BaseEscrow.sol";
+import "./ArbitrageLimitOrderExtension.sol";
+
+/**
+ * @title EscrowSrc
+ * @dev Source-chain escrow: locks the maker's funds for a cross-chain order
+ * @notice The maker creates the escrow only while the monitor reports a fresh spread on the
+ * order's route (the same predicate limit orders use). Revealing the secret pays the resolver;
+ * cancelling refunds the maker. cancelAfter must leave the resolver time to withdraw here after
+ * revealing the secret on the destination chain, which scripts/lib/escrow.js checks.
+ */
+contract EscrowSrc is BaseEscrow {
+
+    struct SpreadCondition {
+        address token;                  // Monitored token
+        uint256 minSpreadBasisPoints;
+        uint256 buyChainId;
+        uint256 sellChainId;
+        uint256 maxPriceAge;            // seconds
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    ArbitrageLimitOrderExtension public immutable arbitrageGate;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ERRORS
+    // ═══════════════════════════════════════════════════════════════════
+
+    error SpreadConditionNotMet(address token, uint256 buyChainId, uint256 sellChainId);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    constructor(address _arbitrageGate) {
+        require(_arbitrageGate != address(0), "Invalid gate");
+        arbitrageGate = ArbitrageLimitOrderExtension(_arbitrageGate);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ESCROW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Lock the maker's funds for an order while its arbitrage window is open
+     * @param immutables Escrow terms; msg.sender must be the maker and approve the amount
+     * @param condition Route and spread the monitor must currently report
+     */
+    function createEscrow(Immutables calldata immutables, SpreadCondition calldata condition) external nonReentrant {
+        if (msg.sender != immutables.maker) revert InvalidCaller();
+        if (!arbitrageGate.isRouteFillable(
+            condition.token,
+            condition.minSpreadBasisPoints,
+            condition.buyChainId,
+            condition.sellChainId,
+            condition.maxPriceAge
+        )) {
+            revert SpreadConditionNotMet(condition.token, condition.buyChainId, condition.sellChainId);
+        }
+        _createEscrow(immutables, msg.sender);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    function _canWithdraw(Immutables memory immutables, address caller) internal pure override returns (bool) {
+        return caller == immutables.taker;
+    }
+
+    function _withdrawRecipient(Immutables memory immutables) internal pure override returns (address) {
+        return immutables.taker;
+    }
+
+    function _refundRecipient(Immutables memory immutables) internal pure override returns (address) {
+        return immutables.maker;
+    }
+}
@@ -0,0 +1,503 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IPriceMonitor.sol";
+
+/**
+ * @title MedianPriceFeed
+ * @dev Chainlink-compatible feed aggregating several price sources for one chain and token
+ * @notice Sources are Chainlink-compatible feeds (Chainlink aggregators, SignedPriceFeed relays)
+ * or Uniswap V3 TWAPs. Each update reads every source, drops the ones that fail the freshness
+ * and sanity checks or stray too far from the median of the usable readings, and stores the
+ * median of the rest as a new round once at least `quorum` sources agree. The cut-off is
+ * maxDeviationBasisPoints or three median absolute deviations, whichever is wider: sources
+ * that split into camps (half of them wrong, or one of two) widen it instead of all being
+ * excluded, while a lone outlier among agreeing sources is still dropped. BasicPriceMonitor
+ * reads this contract as the slot's feed (setMedianFeed) and calls update() itself on every
+ * price update, so a single bad source no longer reverts or skews its updates; if the quorum
+ * is lost the monitor skips the chain for that update (ChainPriceSkipped) instead of reverting.
+ */
+contract MedianPriceFeed is AggregatorV3Interface, IMedianPriceFeed, Ownable {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS & ENUMS
+    // ═══════════════════════════════════════════════════════════════════
+
+    enum SourceKind { CHAINLINK, TWAP }
+
+    // Why a source was left out of an update, checked in this order
+    enum Exclusion {
+        NONE,
+        READ_FAILED,        // The source reverted
+        INCOMPLETE_ROUND,   // updatedAt == 0
+        STALE_ROUND,        // Answer carried over from an earlier round
+        INVALID_PRICE,      // Zero or negative answer
+        STALE_PRICE,        // Older than the source's maxStaleness
+        DEVIATION           // Further from the median of the usable readings than the cut-off
+    }
+
+    struct Source {
+        SourceKind kind;
+        address target;         // Feed, or Uniswap V3 pool for TWAP sources
+        uint256 maxStaleness;   // CHAINLINK: seconds before an answer is stale
+        uint32 twapWindow;      // TWAP: averaging window in seconds
+        bool baseIsToken0;      // TWAP: whether the priced token is the pool's token0
+        uint8 baseDecimals;     // TWAP: decimals of the priced token
+        uint8 quoteDecimals;    // TWAP: decimals of the quote token
+    }
+
+    struct Round {
+        int256 answer;          // Median, 18 decimals
+        uint256 observedAt;     // Oldest observation in the median (reported as updatedAt)
+        uint256 aggregatedAt;   // Block time of the update (reported as startedAt)
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 private constant MAD_MULTIPLIER = 3;      // Cut-off in median absolute deviations
+
+    uint256 public constant VERSION = 1;
+    uint256 public constant MAX_SOURCES = 10;
+
+    uint8 public constant override decimals = 18;
+    string public override description;
+
+    Source[] internal _sources;
+    uint256 public quorum;                      // Sources that must pass for a new round
+    uint256 public maxDeviationBasisPoints;     // Narrowest outlier cut-off around the median (0 = off)
+    IUniswapV3Oracle public twapOracle;         // Needed for TWAP sources
+
+    // Round history
+    mapping(uint80 => Round) internal _rounds;
+    uint80 public latestRound;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Emitted when an update stores a new median
+     */
+    event AnswerUpdated(uint80 indexed roundId, int256 answer, uint256 observedAt, uint256 sourcesUsed);
+
+    /**
+     * @dev Emitted by every update that left sources out, aligned by index
+     */
+    event SourcesExcluded(address[] sources, Exclusion[] reasons);
+
+    /**
+     * @dev Emitted when too few sources passed to store a new round
+     */
+    event QuorumNotReached(uint256 validSources, uint256 quorum);
+
+    /**
+     * @dev Emitted when a source is registered
+     */
+    event SourceAdded(SourceKind kind, address indexed target);
+
+    /**
+     * @dev Emitted when a source is removed
+     */
+    event SourceRemoved(address indexed target);
+
+    /**
+     * @dev Emitted when the quorum is updated
+     */
+    event QuorumUpdated(uint256 oldQuorum, uint256 newQuorum);
+
+    /**
+     * @dev Emitted when the outlier cut-off is updated
+     */
+    event MaxDeviationUpdated(uint256 oldBasisPoints, uint256 newBasisPoints);
+
+    /**
+     * @dev Emitted when the TWAP oracle is replaced
+     */
+    event TwapOracleUpdated(address oldOracle, address newOracle);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @param _description Feed description, e.g. "ETH / USD (Arbitrum, median)"
+     * @param _quorum Sources that must pass for a new round
+     * @param _maxDeviationBasisPoints Outlier cut-off around the median (0 = off)
+     */
+    constructor(string memory _description, uint256 _quorum, uint256 _maxDeviationBasisPoints) {
+        description = _description;
+        _setQuorum(_quorum);
+        _setMaxDeviation(_maxDeviationBasisPoints);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EXTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Read every source and store their median as a new round if the quorum passes; anyone may call
+     * @return updated True if a new round was stored
+     */
+    function update() external override returns (bool updated) {
+        (int256 answer, uint256 observedAt, uint256 validSources, Exclusion[] memory reasons) = _aggregate();
+
+        uint256 excluded = reasons.length - validSources;
+        if (excluded > 0) {
+            address[] memory excludedSources = new address[](excluded);
+            Exclusion[] memory excludedReasons = new Exclusion[](excluded);
+            uint256 j = 0;
+            for (uint256 i = 0; i < reasons.length; i++) {
+                if (reasons[i] != Exclusion.NONE) {
+                    excludedSources[j] = _sources[i].target;
+                    excludedReasons[j] = reasons[i];
+                    j++;
+                }
+            }
+            emit SourcesExcluded(excludedSources, excludedReasons);
+        }
+
+        if (validSources < quorum) {
+            emit QuorumNotReached(validSources, quorum);
+            return false;
+        }
+
+        uint80 roundId = latestRound + 1;
+        _rounds[roundId] = Round({ answer: answer, observedAt: observedAt, aggregatedAt: block.timestamp });
+        latestRound = roundId;
+        emit AnswerUpdated(roundId, answer, observedAt, validSources);
+        return true;
+    }
+
+    /**
+     * @dev Register a Chainlink-compatible feed (including SignedPriceFeed relays)
+     * @param feed Feed address
+     * @param maxStaleness Seconds before the feed's answer is left out
+     */
+    function addChainlinkSource(address feed, uint256 maxStaleness) external onlyOwner {
+        // Calls to an account without code return nothing and fail decoding outside the try/catch
+        require(feed.code.length > 0, "Invalid feed");
+        require(maxStaleness > 0, "Invalid staleness");
+        _addSource(Source({
+            kind: SourceKind.CHAINLINK,
+            target: feed,
+            maxStaleness: maxStaleness,
+            twapWindow: 0,
+            baseIsToken0: false,
+            baseDecimals: 0,
+            quoteDecimals: 0
+        }));
+    }
+
+    /**
+     * @dev Register a Uniswap V3 pool read through twapOracle
+     * @param pool Pool address
+     * @param window TWAP window in seconds
+     * @param baseIsToken0 Whether the priced token is the pool's token0
+     * @param baseDecimals Decimals of the priced token
+     * @param quoteDecimals Decimals of the quote token
+     */
+    function addTwapSource(
+        address pool,
+        uint32 window,
+        bool baseIsToken0,
+        uint8 baseDecimals,
+        uint8 quoteDecimals
+    ) external onlyOwner {
+        require(pool != address(0), "Invalid pool");
+        require(window > 0, "Invalid TWAP window");
+        require(address(twapOracle) != address(0), "TWAP oracle not set");
+        _addSource(Source({
+            kind: SourceKind.TWAP,
+            target: pool,
+            maxStaleness: 0,
+            twapWindow: window,
+            baseIsToken0: baseIsToken0,
+            baseDecimals: baseDecimals,
+            quoteDecimals: quoteDecimals
+        }));
+    }
+
+    /**
+     * @dev Remove a source; the last source takes its index
+     * @param index Source index (see getSources)
+     */
+    function removeSource(uint256 index) external onlyOwner {
+        require(index < _sources.length, "Invalid source");
+        address target = _sources[index].target;
+        _sources[index] = _sources[_sources.length - 1];
+        _sources.pop();
+        emit SourceRemoved(target);
+    }
+
+    /**
+     * @dev Update the number of sources that must pass for a new round
+     * @param newQuorum New quorum (1..MAX_SOURCES)
+     */
+    function setQuorum(uint256 newQuorum) external onlyOwner {
+        _setQuorum(newQuorum);
+    }
+
+    /**
+     * @dev Update the outlier cut-off around the median
+     * @param newBasisPoints Max distance from the median in basis points (0 = off)
+     */
+    function setMaxDeviation(uint256 newBasisPoints) external onlyOwner {
+        _setMaxDeviation(newBasisPoints);
+    }
+
+    /**
+     * @dev Set the oracle that TWAP sources are read through
+     * @param newOracle IUniswapV3Oracle implementation (UniswapV3TwapOracle)
+     */
+    function setTwapOracle(address newOracle) external onlyOwner {
+        address oldOracle = address(twapOracle);
+        twapOracle = IUniswapV3Oracle(newOracle);
+        emit TwapOracleUpdated(oldOracle, newOracle);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    function _addSource(Source memory source) internal {
+        require(_sources.length < MAX_SOURCES, "Too many sources");
+        for (uint256 i = 0; i < _sources.length; i++) {
+            require(_sources[i].target != source.target, "Source already added");
+        }
+        _sources.push(source);
+        emit SourceAdded(source.kind, source.target);
+    }
+
+    function _setQuorum(uint256 newQuorum) internal {
+        require(newQuorum > 0 && newQuorum <= MAX_SOURCES, "Invalid quorum");
+        uint256 oldQuorum = quorum;
+        quorum = newQuorum;
+        emit QuorumUpdated(oldQuorum, newQuorum);
+    }
+
+    function _setMaxDeviation(uint256 newBasisPoints) internal {
+        require(newBasisPoints <= BASIS_POINTS, "Invalid basis points");
+        uint256 oldBasisPoints = maxDeviationBasisPoints;
+        maxDeviationBasisPoints = newBasisPoints;
+        emit MaxDeviationUpdated(oldBasisPoints, newBasisPoints);
+    }
+
+    /**
+     * @dev Read every source, then drop readings further from the median of the usable ones than
+     * maxDeviationBasisPoints or MAD_MULTIPLIER median absolute deviations, whichever is wider
+     * @return answer Median of the sources kept (0 if none)
+     * @return observedAt Oldest observation among the sources kept
+     * @return validSources Number of sources kept
+     * @return reasons Exclusion per source index (NONE if kept)
+     */
+    function _aggregate() internal view returns (
+        int256 answer,
+        uint256 observedAt,
+        uint256 validSources,
+        Exclusion[] memory reasons
+    ) {
+        uint256 count = _sources.length;
+        reasons = new Exclusion[](count);
+        uint256[] memory prices = new uint256[](count);
+        uint256[] memory observed = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            (prices[i], observed[i], reasons[i]) = _readSource(_sources[i]);
+        }
+
+        uint256 median = _median(prices, reasons);
+        if (median != 0 && maxDeviationBasisPoints != 0) {
+            uint256 cutOff = (median * maxDeviationBasisPoints) / BASIS_POINTS;
+            uint256 spread = MAD_MULTIPLIER * _medianAbsoluteDeviation(prices, reasons, median);
+            if (spread > cutOff) {
+                cutOff = spread;
+            }
+            for (uint256 i = 0; i < count; i++) {
+                if (reasons[i] == Exclusion.NONE && _distance(prices[i], median) > cutOff) {
+                    reasons[i] = Exclusion.DEVIATION;
+                }
+            }
+            median = _median(prices, reasons);
+        }
+
+        for (uint256 i = 0; i < count; i++) {
+            if (reasons[i] == Exclusion.NONE) {
+                validSources++;
+                if (observedAt == 0 || observed[i] < observedAt) {
+                    observedAt = observed[i];
+                }
+            }
+        }
+        return (int256(median), observedAt, validSources, reasons);
+    }
+
+    /**
+     * @dev Read one source without reverting
+     * @return price Price in 18 decimals (0 when excluded)
+     * @return observedAt When the price was observed
+     * @return reason First failed check, NONE if the price is usable
+     */
+    function _readSource(Source memory source) internal view returns (uint256 price, uint256 observedAt, Exclusion reason) {
+        if (source.kind == SourceKind.TWAP) {
+            try twapOracle.getTwapPrice(
+                source.target,
+                source.twapWindow,
+                source.baseIsToken0,
+                source.baseDecimals,
+                source.quoteDecimals
+            ) returns (uint256 twapPrice) {
+                if (twapPrice == 0) {
+                    return (0, 0, Exclusion.INVALID_PRICE);
+                }
+                return (twapPrice, block.timestamp, Exclusion.NONE);
+            } catch {
+                return (0, 0, Exclusion.READ_FAILED);
+            }
+        }
+
+        AggregatorV3Interface feed = AggregatorV3Interface(source.target);
+        uint8 feedDecimals;
+        try feed.decimals() returns (uint8 value) {
+            feedDecimals = value;
+        } catch {
+            return (0, 0, Exclusion.READ_FAILED);
+        }
+        try feed.latestRoundData() returns (uint80 roundId, int256 answer, uint256, uint256 updatedAt, uint80 answeredInRound) {
+            if (updatedAt == 0) {
+                return (0, 0, Exclusion.INCOMPLETE_ROUND);
+            }
+            if (answeredInRound < roundId) {
+                return (0, 0, Exclusion.STALE_ROUND);
+            }
+            if (answer <= 0) {
+                return (0, 0, Exclusion.INVALID_PRICE);
+            }
+            price = _scaleTo18Decimals(uint256(answer), feedDecimals);
+            if (price == 0) {
+                return (0, 0, Exclusion.INVALID_PRICE);
+            }
+            if (block.timestamp > updatedAt && block.timestamp - updatedAt > source.maxStaleness) {
+                return (0, 0, Exclusion.STALE_PRICE);
+            }
+            return (price, updatedAt, Exclusion.NONE);
+        } catch {
+            return (0, 0, Exclusion.READ_FAILED);
+        }
+    }
+
+    /**
+     * @dev Median of the prices whose reason is NONE (mean of the middle two for an even count)
+     */
+    function _median(uint256[] memory prices, Exclusion[] memory reasons) internal pure returns (uint256) {
+        uint256[] memory kept = new uint256[](prices.length);
+        uint256 n = 0;
+        for (uint256 i = 0; i < prices.length; i++) {
+            if (reasons[i] != Exclusion.NONE) {
+                continue;
+            }
+            // Insertion sort; there are at most MAX_SOURCES entries
+            uint256 j = n;
+            while (j > 0 && kept[j - 1] > prices[i]) {
+                kept[j] = kept[j - 1];
+                j--;
+            }
+            kept[j] = prices[i];
+            n++;
+        }
+        if (n == 0) {
+            return 0;
+        }
+        return n % 2 == 1 ? kept[n / 2] : (kept[n / 2 - 1] + kept[n / 2]) / 2;
+    }
+
+    /**
+     * @dev Median distance of the usable readings from their median
+     */
+    function _medianAbsoluteDeviation(
+        uint256[] memory prices,
+        Exclusion[] memory reasons,
+        uint256 median
+    ) internal pure returns (uint256) {
+        uint256[] memory distances = new uint256[](prices.length);
+        for (uint256 i = 0; i < prices.length; i++) {
+            distances[i] = _distance(prices[i], median);
+        }
+        return _median(distances, reasons);
+    }
+
+    function _distance(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a > b ? a - b : b - a;
+    }
+
+    /**
+     * @dev Scale a feed answer to 18 decimals, as BasicPriceMonitor does
+     */
+    function _scaleTo18Decimals(uint256 answer, uint8 feedDecimals) internal pure returns (uint256) {
+        if (feedDecimals <= 18) {
+            return answer * (10 ** (18 - feedDecimals));
+        }
+        uint256 excess = feedDecimals - 18;
+        return excess > 76 ? 0 : answer / (10 ** excess);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Registered sources, in index order
+     */
+    function getSources() external view returns (Source[] memory) {
+        return _sources;
+    }
+
+    /**
+     * @dev What update() would do now, without storing it
+     * @return answer Median of the sources that pass (18 decimals)
+     * @return observedAt Oldest observation among them
+     * @return validSources Number of sources that pass
+     * @return reasons Exclusion per source index (NONE if kept)
+     */
+    function previewUpdate() external view returns (
+        int256 answer,
+        uint256 observedAt,
+        uint256 validSources,
+        Exclusion[] memory reasons
+    ) {
+        return _aggregate();
+    }
+
+    function version() external pure override returns (uint256) {
+        return VERSION;
+    }
+
+    function getRoundData(uint80 roundId_) external view override returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        require(roundId_ > 0 && roundId_ <= latestRound, "No data present");
+        Round memory round = _rounds[roundId_];
+        return (roundId_, round.answer, round.aggregatedAt, round.observedAt, roundId_);
+    }
+
+    /**
+     * @dev Latest stored median; all zeros before the first successful update
+     */
+    function latestRoundData() external view override returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        Round memory round = _rounds[latestRound];
+        return (latestRound, round.answer, round.aggregatedAt, round.observedAt, latestRound);
+    }
+}
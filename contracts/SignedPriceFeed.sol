@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title SignedPriceFeed
+ * @dev Chainlink-compatible feed for a price observed on another chain
+ * @notice Relayers (scripts/price-relayer.js) read the source feed on its own network and
+ * submit EIP-712 reports signed by a threshold of trusted signers. BasicPriceMonitor reads
+ * this contract as the remote chain's feed, so its staleness checks apply to the source
+ * observation time.
+ */
+contract SignedPriceFeed is AggregatorV3Interface, EIP712, Ownable {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS & ENUMS
+    // ═══════════════════════════════════════════════════════════════════
+
+    struct PriceReport {
+        uint256 sourceChainId;      // Chain the price was observed on
+        address sourceFeed;         // Feed the price was read from on the source chain
+        uint80 roundId;             // Must be latestRound + 1 (replay protection)
+        int256 answer;              // Price in this feed's decimals
+        uint256 observedAt;         // Source chain timestamp of the observation
+    }
+
+    struct Round {
+        int256 answer;
+        uint256 observedAt;         // Source observation time (reported as updatedAt)
+        uint256 submittedAt;        // Destination block time of the submission (reported as startedAt)
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STATE VARIABLES
+    // ═══════════════════════════════════════════════════════════════════
+
+    bytes32 public constant REPORT_TYPEHASH = keccak256(
+        "PriceReport(uint256 sourceChainId,address sourceFeed,uint80 roundId,int256 answer,uint256 observedAt)"
+    );
+
+    uint256 public constant VERSION = 1;
+
+    // Source this feed mirrors
+    uint256 public immutable sourceChainId;
+    address public immutable sourceFeed;
+    uint8 public immutable override decimals;
+    string public override description;
+
+    // Signer set
+    mapping(address => bool) public isSigner;
+    uint256 public signerCount;
+    uint256 public threshold;               // Signatures required per report
+
+    uint256 public maxReportAge;            // Oldest observation accepted on submission, in seconds
+
+    // Report history
+    mapping(uint80 => Round) private _rounds;
+    uint80 public latestRound;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Emitted when a signed report is accepted
+     */
+    event ReportSubmitted(uint80 indexed roundId, int256 answer, uint256 observedAt, address submitter);
+
+    /**
+     * @dev Emitted when a signer is added or removed
+     */
+    event SignerSet(address indexed signer, bool allowed);
+
+    /**
+     * @dev Emitted when the signature threshold is updated
+     */
+    event ThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
+    /**
+     * @dev Emitted when the maximum report age is updated
+     */
+    event MaxReportAgeUpdated(uint256 oldMaxAge, uint256 newMaxAge);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // CONSTRUCTOR
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @param _sourceChainId Chain the mirrored feed lives on
+     * @param _sourceFeed Feed address on the source chain
+     * @param _decimals Decimals of reported answers (8 for Chainlink USD feeds)
+     * @param _description Feed description, e.g. "ETH / USD (Arbitrum)"
+     * @param signers Initial signer set
+     * @param _threshold Signatures required per report
+     * @param _maxReportAge Oldest observation accepted on submission, in seconds
+     */
+    constructor(
+        uint256 _sourceChainId,
+        address _sourceFeed,
+        uint8 _decimals,
+        string memory _description,
+        address[] memory signers,
+        uint256 _threshold,
+        uint256 _maxReportAge
+    ) EIP712("SignedPriceFeed", "1") {
+        require(_sourceFeed != address(0), "Invalid feed");
+        require(_maxReportAge > 0, "Invalid report age");
+
+        sourceChainId = _sourceChainId;
+        sourceFeed = _sourceFeed;
+        decimals = _decimals;
+        description = _description;
+        maxReportAge = _maxReportAge;
+
+        for (uint256 i = 0; i < signers.length; i++) {
+            _setSigner(signers[i], true);
+        }
+        _setThreshold(_threshold);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EXTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Submit a signed price report; anyone may relay it
+     * @param report Report for the next round
+     * @param signatures Signer signatures over the report, ordered by ascending signer address
+     */
+    function submitReport(PriceReport calldata report, bytes[] calldata signatures) external {
+        require(report.sourceChainId == sourceChainId && report.sourceFeed == sourceFeed, "Wrong source");
+        require(report.roundId == latestRound + 1, "Invalid round");
+        require(report.answer > 0, "Invalid answer");
+        require(report.observedAt <= block.timestamp, "Report from the future");
+        require(block.timestamp - report.observedAt <= maxReportAge, "Report too old");
+        require(report.observedAt > _rounds[latestRound].observedAt, "Report not newer");
+
+        _verifySignatures(hashReport(report), signatures);
+
+        _rounds[report.roundId] = Round({
+            answer: report.answer,
+            observedAt: report.observedAt,
+            submittedAt: block.timestamp
+        });
+        latestRound = report.roundId;
+
+        emit ReportSubmitted(report.roundId, report.answer, report.observedAt, msg.sender);
+    }
+
+    /**
+     * @dev Add or remove a report signer
+     * @param signer Signer address
+     * @param allowed True to add, false to remove
+     */
+    function setSigner(address signer, bool allowed) external onlyOwner {
+        _setSigner(signer, allowed);
+        require(threshold <= signerCount, "Threshold above signer count");
+    }
+
+    /**
+     * @dev Update the number of signatures required per report
+     * @param newThreshold New threshold (1..signerCount)
+     */
+    function setThreshold(uint256 newThreshold) external onlyOwner {
+        _setThreshold(newThreshold);
+    }
+
+    /**
+     * @dev Update the oldest observation accepted on submission
+     * @param newMaxAge Maximum report age in seconds
+     */
+    function setMaxReportAge(uint256 newMaxAge) external onlyOwner {
+        require(newMaxAge > 0, "Invalid report age");
+        uint256 oldMaxAge = maxReportAge;
+        maxReportAge = newMaxAge;
+        emit MaxReportAgeUpdated(oldMaxAge, newMaxAge);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    function _setSigner(address signer, bool allowed) internal {
+        require(signer != address(0), "Invalid signer");
+        if (isSigner[signer] != allowed) {
+            isSigner[signer] = allowed;
+            if (allowed) {
+                signerCount++;
+            } else {
+                signerCount--;
+            }
+        }
+        emit SignerSet(signer, allowed);
+    }
+
+    function _setThreshold(uint256 newThreshold) internal {
+        require(newThreshold > 0 && newThreshold <= signerCount, "Invalid threshold");
+        uint256 oldThreshold = threshold;
+        threshold = newThreshold;
+        emit ThresholdUpdated(oldThreshold, newThreshold);
+    }
+
+    /**
+     * @dev Require at least `threshold` distinct signers; ascending order rules out duplicates
+     */
+    function _verifySignatures(bytes32 digest, bytes[] calldata signatures) internal view {
+        require(signatures.length >= threshold, "Not enough signatures");
+
+        address lastSigner = address(0);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = ECDSA.recover(digest, signatures[i]);
+            require(isSigner[signer], "Unknown signer");
+            require(signer > lastSigner, "Signers not sorted");
+            lastSigner = signer;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev EIP-712 digest signers sign for a report
+     * @param report Price report
+     * @return digest Typed data hash bound to this feed and chain
+     */
+    function hashReport(PriceReport calldata report) public view returns (bytes32 digest) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            REPORT_TYPEHASH,
+            report.sourceChainId,
+            report.sourceFeed,
+            report.roundId,
+            report.answer,
+            report.observedAt
+        )));
+    }
+
+    function version() external pure override returns (uint256) {
+        return VERSION;
+    }
+
+    function getRoundData(uint80 roundId_) external view override returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        require(roundId_ > 0 && roundId_ <= latestRound, "No data present");
+        Round memory round = _rounds[roundId_];
+        return (roundId_, round.answer, round.submittedAt, round.observedAt, roundId_);
+    }
+
+    /**
+     * @dev Latest relayed answer; all zeros before the first report
+     */
+    function latestRoundData() external view override returns (
+        uint80 roundId,
+        int256 answer,
+        uint256 startedAt,
+        uint256 updatedAt,
+        uint80 answeredInRound
+    ) {
+        Round memory round = _rounds[latestRound];
+        return (latestRound, round.answer, round.submittedAt, round.observedAt, latestRound);
+    }
+}
@@ -0,0 +1,117 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@uniswap/v3-core/contracts/interfaces/pool/IUniswapV3PoolDerivedState.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IPriceMonitor.sol";
+import "./libraries/TickMath.sol";
+
+/**
+ * @title UniswapV3TwapOracle
+ * @dev Reads time-weighted average prices from Uniswap V3 pool observations
+ * @notice Second price source for BasicPriceMonitor next to Chainlink
+ */
+contract UniswapV3TwapOracle is IUniswapV3Oracle {
+
+    uint256 private constant PRICE_PRECISION = 1e18;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev TWAP of token0 priced in token1, in raw token units
+     * @param pool Uniswap V3 pool
+     * @param secondsAgo Averaging window in seconds
+     * @return price token1 units per 1e18 token0 units
+     */
+    function getTimeWeightedAveragePrice(
+        address pool,
+        uint32 secondsAgo
+    ) external view override returns (uint256 price) {
+        int24 tick = getArithmeticMeanTick(pool, secondsAgo);
+        return _getQuoteAtTick(tick, PRICE_PRECISION, true);
+    }
+
+    /**
+     * @dev TWAP of one whole base token in quote tokens, scaled to 18 decimals
+     * @param pool Uniswap V3 pool
+     * @param secondsAgo Averaging window in seconds
+     * @param baseIsToken0 True if the priced asset is the pool's token0
+     * @param baseDecimals ERC20 decimals of the priced asset
+     * @param quoteDecimals ERC20 decimals of the quote asset (e.g. 6 for USDC)
+     * @return price Quote per base token (18 decimals)
+     */
+    function getTwapPrice(
+        address pool,
+        uint32 secondsAgo,
+        bool baseIsToken0,
+        uint8 baseDecimals,
+        uint8 quoteDecimals
+    ) external view override returns (uint256 price) {
+        int24 tick = getArithmeticMeanTick(pool, secondsAgo);
+        uint256 quoteAmount = _getQuoteAtTick(tick, 10 ** baseDecimals, baseIsToken0);
+
+        if (quoteDecimals < 18) {
+            price = quoteAmount * (10 ** (18 - quoteDecimals));
+        } else {
+            price = quoteAmount / (10 ** (quoteDecimals - 18));
+        }
+    }
+
+    /**
+     * @dev Arithmetic mean tick over a window, rounded towards negative infinity
+     * @param pool Uniswap V3 pool
+     * @param secondsAgo Averaging window in seconds
+     * @return tick Mean tick (log base 1.0001 of token1/token0)
+     */
+    function getArithmeticMeanTick(address pool, uint32 secondsAgo) public view returns (int24 tick) {
+        require(secondsAgo > 0, "Invalid TWAP window");
+
+        uint32[] memory secondsAgos = new uint32[](2);
+        secondsAgos[0] = secondsAgo;
+        secondsAgos[1] = 0;
+
+        (int56[] memory tickCumulatives, ) = IUniswapV3PoolDerivedState(pool).observe(secondsAgos);
+
+        int56 tickCumulativesDelta = tickCumulatives[1] - tickCumulatives[0];
+        int56 window = int56(uint56(secondsAgo));
+
+        tick = int24(tickCumulativesDelta / window);
+        if (tickCumulativesDelta < 0 && (tickCumulativesDelta % window != 0)) {
+            tick--;
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Amount of the other token received for `baseAmount` at a tick (OracleLibrary.getQuoteAtTick)
+     * @param tick Pool tick
+     * @param baseAmount Amount of the base token in raw units
+     * @param baseIsToken0 True if the base token is token0
+     * @return quoteAmount Amount of the quote token in raw units
+     */
+    function _getQuoteAtTick(
+        int24 tick,
+        uint256 baseAmount,
+        bool baseIsToken0
+    ) internal pure returns (uint256 quoteAmount) {
+        uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(tick);
+
+        // Calculate quoteAmount with better precision if it doesn't overflow when multiplied by itself
+        if (sqrtRatioX96 <= type(uint128).max) {
+            uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+            quoteAmount = baseIsToken0
+                ? Math.mulDiv(ratioX192, baseAmount, 1 << 192)
+                : Math.mulDiv(1 << 192, baseAmount, ratioX192);
+        } else {
+            uint256 ratioX128 = Math.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+            quoteAmount = baseIsToken0
+                ? Math.mulDiv(ratioX128, baseAmount, 1 << 128)
+                : Math.mulDiv(1 << 128, baseAmount, ratioX128);
+        }
+    }
+}
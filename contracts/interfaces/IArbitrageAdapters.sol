@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ISwapAdapter
+ * @dev One trading venue on one chain, as used by ArbitrageExecutor
+ * @notice The adapter pulls `amountIn` of tokenIn from the caller (which approves it first)
+ * and must revert rather than deliver less than `minAmountOut`
+ */
+interface ISwapAdapter {
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external returns (uint256 amountOut);
+
+    // Expected output for amountIn at current venue prices
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) external view returns (uint256 amountOut);
+}
+
+/**
+ * @title IBridgeAdapter
+ * @dev Moves a token from the chain the executor runs on to another chain
+ * @notice The adapter pulls `amount` from the caller; `amountReceived` is what the recipient
+ * gets on the destination chain after bridge fees
+ */
+interface IBridgeAdapter {
+    function bridge(
+        address token,
+        uint256 amount,
+        uint256 destChainId,
+        uint256 minAmountReceived,
+        address recipient
+    ) external returns (uint256 amountReceived);
+
+    // Expected amount delivered on the destination chain
+    function quote(address token, uint256 amount, uint256 destChainId) external view returns (uint256 amountReceived);
+}
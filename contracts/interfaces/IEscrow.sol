@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title IEscrow
+ * @dev Hashlock/timelock escrow shared by EscrowSrc and EscrowDst
+ * @notice One cross-chain order locks funds on both chains under the same orderHash and
+ * hashlock: the maker's on the source chain, the resolver's on the destination chain.
+ * Revealing the secret releases both; once the timelocks expire each side gets its funds back.
+ * Each escrow is keyed by the hash of its full terms (escrowId), so nobody can squat an order's
+ * escrow by creating one first under the same orderHash with other terms.
+ */
+interface IEscrow {
+    enum Status { NONE, ACTIVE, WITHDRAWN, CANCELLED }
+
+    struct Immutables {
+        bytes32 orderHash;      // Same on both chains; several escrows may share it
+        bytes32 hashlock;       // keccak256(secret), same on both chains
+        address maker;
+        address taker;          // Resolver
+        address token;          // Token locked on this chain
+        uint256 amount;
+        uint64 withdrawAfter;   // Withdrawals open at this time (finality lock)...
+        uint64 cancelAfter;     // ...until this time, after which either side may cancel
+    }
+
+    struct Escrow {
+        Immutables immutables;
+        Status status;
+    }
+
+    event EscrowCreated(bytes32 indexed escrowId, bytes32 indexed orderHash, address indexed taker, Immutables immutables);
+    event EscrowWithdrawn(bytes32 indexed escrowId, bytes32 secret, address recipient);
+    event EscrowCancelled(bytes32 indexed escrowId, address recipient);
+
+    error EscrowExists(bytes32 escrowId);
+    error EscrowNotActive(bytes32 escrowId);
+    error InvalidImmutables();
+    error InvalidCaller();
+    error InvalidSecret();
+    error InvalidTime();
+
+    function withdraw(bytes32 escrowId, bytes32 secret) external;
+    function cancel(bytes32 escrowId) external;
+    function getEscrow(bytes32 escrowId) external view returns (Escrow memory);
+    function escrowId(Immutables calldata immutables) external pure returns (bytes32);
+}
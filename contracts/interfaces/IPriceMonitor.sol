@@ -4,7 +4,7 @@ pragma solidity ^0.8.19;
 /**
  * @title IPriceMonitor
  * @dev Interface for our price monitoring system
- * @notice This interface will be used by limit order extensions
+ * @notice Used by limit order extensions (see ArbitrageLimitOrderExtension)
  */
 interface IPriceMonitor {
     struct ArbitrageOpportunity {
@@ -13,6 +13,25 @@ interface IPriceMonitor {
         uint256 gasEstimate;
         bool isProfitable;
         bool isEthToArb;
+        uint256 buyChainId;
+        uint256 sellChainId;
+    }
+    
+    struct ProfitBreakdown {
+        uint256 tradeAmount;
+        uint256 grossSpread;
+        uint256 buyGasCost;
+        uint256 sellGasCost;
+        uint256 dexFees;
+        uint256 bridgeFees;
+        uint256 slippageCost;
+        uint256 totalCosts;
+        uint256 netProfit;
+        bool isProfitable;
+        bool isEthToArb;
+        uint256 spreadBasisPoints;
+        uint256 buyChainId;
+        uint256 sellChainId;
     }
     
     struct PriceData {
@@ -21,6 +40,17 @@ interface IPriceMonitor {
         uint256 timestamp;
         uint256 spread;
         bool isEthereumHigher;
+        uint256 buyChainId;
+        uint256 sellChainId;
+    }
+    
+    struct SpreadStatistics {
+        uint256 observations;
+        uint256 averageSpread;
+        uint256 maxSpread;
+        uint256 consecutiveUpdates;
+        uint256 aboveThresholdSince;
+        uint256 aboveThresholdDuration;
     }
     
     // Core functions that limit orders will call
@@ -29,30 +59,80 @@ interface IPriceMonitor {
     function getTokenPriceData(address token) external view returns (PriceData memory);
     function isPriceDataFresh(address token, uint256 maxAge) external view returns (bool);
     
+    // Per-token variants
+    function getArbitrageOpportunity(address token) external view returns (ArbitrageOpportunity memory);
+    function getArbitrageOpportunities(address[] calldata tokens) external view returns (ArbitrageOpportunity[] memory);
+    function isProfitableArbitrage(address token) external view returns (bool isProfitable, uint256 spreadBasisPoints);
+    function getSupportedTokens() external view returns (address[] memory);
+    
+    // Profit modelling for a caller-supplied notional (token units, 18 decimals)
+    function getProfitBreakdown(address token, uint256 amount) external view returns (ProfitBreakdown memory);
+    
+    // Per-chain prices and pairwise spreads (basis points, buy on row, sell on column)
+    function getSupportedChains() external view returns (uint256[] memory);
+    function getTokenChains(address token) external view returns (uint256[] memory);
+    function getChainPrices(address token) external view returns (uint256[] memory chainIds, uint256[] memory prices);
+    function getSpreadMatrix(address token) external view returns (uint256[] memory chainIds, int256[][] memory spreads);
+    function getRouteBreakdown(
+        address token,
+        uint256 buyChainId,
+        uint256 sellChainId,
+        uint256 amount
+    ) external view returns (ProfitBreakdown memory);
+    
+    // Recent history and spread persistence
+    function getPriceHistory(address token, uint256 count) external view returns (PriceData[] memory);
+    function getSpreadStatistics(address token, uint256 count) external view returns (SpreadStatistics memory);
+    function spreadStreakStartedAt(address token) external view returns (uint256);
+    
+    // Price refresh (single token or batch)
+    function updateTokenPrices(address token) external;
+    function updatePrices(address[] calldata tokens) external;
+    
     // Events limit orders can listen to
     event ArbitrageOpportunityDetected(
         address indexed token,
         uint256 spreadBasisPoints,
         uint256 estimatedProfit,
         bool isEthToArb,
-        uint256 timestamp
+        uint256 timestamp,
+        uint256 buyChainId,
+        uint256 sellChainId
     );
 }
 
+/**
+ * @title IMedianPriceFeed
+ * @dev Feed that aggregates its sources on demand (implemented by MedianPriceFeed)
+ */
+interface IMedianPriceFeed {
+    // Store the median of the sources as a new round; false if too few sources passed
+    function update() external returns (bool updated);
+}
+
 /**
  * @title IUniswapV3Oracle  
- * @dev Interface for Uniswap V3 TWAP oracle integration (future enhancement)
+ * @dev Interface for Uniswap V3 TWAP oracle integration (implemented by UniswapV3TwapOracle)
  */
 interface IUniswapV3Oracle {
     function getTimeWeightedAveragePrice(
         address pool,
         uint32 secondsAgo
     ) external view returns (uint256 price);
+    
+    // Quote per whole base token, scaled to 18 decimals
+    function getTwapPrice(
+        address pool,
+        uint32 secondsAgo,
+        bool baseIsToken0,
+        uint8 baseDecimals,
+        uint8 quoteDecimals
+    ) external view returns (uint256 price);
 }
 
 /**
  * @title IGasEstimator
- * @dev Interface for gas cost estimation (future enhancement)
+ * @dev Interface for gas cost estimation (implemented by CrossChainGasEstimator)
  */
 interface IGasEstimator {
     function estimateCrossChainGasCost(
@@ -61,4 +141,22 @@ interface IGasEstimator {
         uint256 sourceChain,
         uint256 destChain
     ) external view returns (uint256 gasCost);
-}
\ No newline at end of file
+    
+    // Cost in wei of the legs run on one chain (source = buy side), in the token that chain pays gas in
+    function estimateChainGasCost(uint256 chainId, bool isSourceLeg) external view returns (uint256 gasCost);
+}
+
+/**
+ * @title IRiskManager
+ * @dev Signal de-duplication and execution limits (implemented by ArbitrageRiskManager)
+ */
+interface IRiskManager {
+    // Called by the monitor after storing a profitable update; false suppresses ArbitrageOpportunityDetected
+    function recordSignal(address token) external returns (bool emitSignal);
+    
+    // Limits plus profitability for trading `amount` of token now
+    function canExecute(address token, uint256 amount) external view returns (bool);
+    
+    // Called by executors; reverts if the trade would exceed a notional cap
+    function recordExecution(address token, uint256 amount) external;
+}
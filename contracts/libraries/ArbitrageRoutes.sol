@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../BasicPriceMonitor.sol";
+
+/**
+ * @title ArbitrageRoutes
+ * @dev Route selection and profit modelling for BasicPriceMonitor
+ * @notice Deployed once and linked into the monitor, which keeps the monitor under the
+ * contract size limit. The monitor gathers each chain's price and gas costs; everything
+ * here is pure arithmetic on those quotes.
+ */
+library ArbitrageRoutes {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    struct ChainQuote {
+        uint256 chainId;
+        uint256 price;              // Token price in 18 decimals (0 if not priced)
+        uint256 buyGasCost;         // Gas of the buy-side legs on this chain in USD (18 decimals)
+        uint256 sellGasCost;        // Gas of the sell-side legs on this chain in USD (18 decimals)
+    }
+
+    struct CostParameters {
+        uint256 dexFeeBasisPoints;      // Per swap, charged on both legs
+        uint256 bridgeFeeBasisPoints;   // Charged on the bridged value
+        uint256 slippageBasisPoints;    // Per swap, charged on both legs
+        uint256 minProfitBasisPoints;   // Minimum spread for a profitable route
+        bool tradable;                  // False while ETH is unpriced, the monitor is paused or the token flagged
+    }
+
+    uint256 private constant BASIS_POINTS = 10000;
+    uint256 private constant PRICE_PRECISION = 1e18;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // ROUTES
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Pick the route with the highest net profit among every pair of quoted chains
+     * @notice Only routes that sell at or above the buy price are considered; ties go to the
+     * wider spread, then to the earlier quotes
+     * @param quotes Price and gas costs of each active chain, in registration order
+     * @param amount Notional in token units (18 decimals)
+     * @param params Fees and profitability thresholds
+     * @return best Breakdown of the best route (zero chain IDs if there is none)
+     */
+    function bestRoute(
+        ChainQuote[] memory quotes,
+        uint256 amount,
+        CostParameters memory params
+    ) external pure returns (BasicPriceMonitor.ProfitBreakdown memory best) {
+        best.tradeAmount = amount;
+        for (uint256 i = 0; i < quotes.length; i++) {
+            for (uint256 j = 0; j < quotes.length; j++) {
+                if (i == j || quotes[i].price == 0 || quotes[j].price < quotes[i].price) {
+                    continue;
+                }
+                BasicPriceMonitor.ProfitBreakdown memory route = routeBreakdown(quotes[i], quotes[j], amount, params);
+                if (
+                    best.buyChainId == 0 ||
+                    route.netProfit > best.netProfit ||
+                    (route.netProfit == best.netProfit && route.spreadBasisPoints > best.spreadBasisPoints)
+                ) {
+                    best = route;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Model buying `amount` on one chain and selling it on another, in USD
+     * @param buy Quote of the chain to buy on
+     * @param sell Quote of the chain to sell on
+     * @param amount Notional in token units (18 decimals)
+     * @param params Fees and profitability thresholds
+     * @return breakdown Every cost component and the resulting net profit (costs are left at
+     * zero when either chain is unpriced)
+     */
+    function routeBreakdown(
+        ChainQuote memory buy,
+        ChainQuote memory sell,
+        uint256 amount,
+        CostParameters memory params
+    ) public pure returns (BasicPriceMonitor.ProfitBreakdown memory breakdown) {
+        breakdown.tradeAmount = amount;
+        breakdown.buyChainId = buy.chainId;
+        breakdown.sellChainId = sell.chainId;
+        breakdown.isEthToArb = buy.chainId == 1 && sell.chainId == 42161; // ETHEREUM_CHAIN_ID → ARBITRUM_CHAIN_ID
+        if (buy.price == 0 || sell.price == 0) {
+            // No price data available
+            return breakdown;
+        }
+
+        uint256 buyValue = (amount * buy.price) / PRICE_PRECISION;
+        uint256 sellValue = (amount * sell.price) / PRICE_PRECISION;
+        if (sell.price > buy.price) {
+            breakdown.grossSpread = sellValue - buyValue;
+            breakdown.spreadBasisPoints = ((sell.price - buy.price) * BASIS_POINTS) / buy.price;
+        }
+
+        breakdown.buyGasCost = buy.buyGasCost;
+        breakdown.sellGasCost = sell.sellGasCost;
+
+        breakdown.dexFees = ((buyValue + sellValue) * params.dexFeeBasisPoints) / BASIS_POINTS;
+        breakdown.bridgeFees = (buyValue * params.bridgeFeeBasisPoints) / BASIS_POINTS;
+        breakdown.slippageCost = ((buyValue + sellValue) * params.slippageBasisPoints) / BASIS_POINTS;
+
+        breakdown.totalCosts = breakdown.buyGasCost + breakdown.sellGasCost +
+            breakdown.dexFees + breakdown.bridgeFees + breakdown.slippageCost;
+
+        if (breakdown.grossSpread > breakdown.totalCosts) {
+            breakdown.netProfit = breakdown.grossSpread - breakdown.totalCosts;
+        }
+
+        breakdown.isProfitable = (
+            params.tradable &&
+            breakdown.netProfit > 0 &&
+            breakdown.spreadBasisPoints >= params.minProfitBasisPoints
+        );
+    }
+}
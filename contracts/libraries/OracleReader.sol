@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "../interfaces/IPriceMonitor.sol";
+import "../BasicPriceMonitor.sol";
+
+/**
+ * @title OracleReader
+ * @dev Chainlink, TWAP and sequencer reads for BasicPriceMonitor
+ * @notice Deployed once and linked into the monitor, which keeps the monitor under the
+ * contract size limit. Functions run in the monitor's context: the oracle configs are the
+ * monitor's storage, and events and errors surface as the monitor's own (it declares the
+ * same ones).
+ */
+library OracleReader {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // STRUCTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    struct DeviationGuard {
+        IUniswapV3Oracle twapOracle;
+        uint256 maxDeviationBasisPoints;    // Max Chainlink/TWAP disagreement
+        bool revertOnDeviation;             // Revert on deviation, otherwise flag the price
+    }
+
+    uint256 private constant BASIS_POINTS = 10000;
+
+    // ═══════════════════════════════════════════════════════════════════
+    // EVENTS & ERRORS (mirrored in BasicPriceMonitor)
+    // ═══════════════════════════════════════════════════════════════════
+
+    event PriceSourceFallback(uint256 indexed chainId, address indexed token, uint256 twapPrice);
+    event ChainPriceSkipped(uint256 indexed chainId, address indexed token);
+    event PriceDeviationFlagged(
+        uint256 indexed chainId,
+        address indexed token,
+        uint256 chainlinkPrice,
+        uint256 twapPrice,
+        uint256 deviationBasisPoints
+    );
+
+    error OracleNotActive(uint256 chainId, address token);
+    error IncompleteRound(address feed, uint80 roundId);
+    error StaleRound(address feed, uint80 roundId, uint80 answeredInRound);
+    error InvalidChainlinkPrice(address feed, int256 answer);
+    error StalePrice(address feed, uint256 updatedAt, uint256 maxStaleness);
+    error SequencerDown(address sequencerFeed);
+    error SequencerGracePeriodNotOver(address sequencerFeed, uint256 upSince, uint256 gracePeriod);
+
+    // ═══════════════════════════════════════════════════════════════════
+    // READS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Combined Chainlink + TWAP price for a token on a chain
+     * @notice Chainlink is read first. Without a pool, or when the TWAP read fails, this is
+     * the plain Chainlink price. With a TWAP, a stale or invalid Chainlink answer falls back to
+     * it, and a deviation above maxDeviationBasisPoints reverts or flags the price depending
+     * on revertOnDeviation. Median feeds are aggregated first; if that fails, or their answer
+     * is unusable with no TWAP to fall back on, the chain is skipped with price 0.
+     * @param config Oracle config of the token on the chain
+     * @param twap TWAP settings of the token on the chain
+     * @param guard TWAP oracle and deviation settings
+     * @param chainId Chain the price is from
+     * @param token Token being priced
+     * @return price Token price in 18 decimals
+     * @return flagged True if the sources disagreed and the price should not be traded on
+     */
+    function readPrice(
+        BasicPriceMonitor.OracleConfig storage config,
+        BasicPriceMonitor.TwapConfig storage twap,
+        DeviationGuard memory guard,
+        uint256 chainId,
+        address token
+    ) external returns (uint256 price, bool flagged) {
+        if (!config.isActive) revert OracleNotActive(chainId, token);
+        if (config.isAggregated && !_aggregate(config)) {
+            emit ChainPriceSkipped(chainId, token);
+            return (0, false);
+        }
+
+        BasicPriceMonitor.ChainlinkReading memory reading = _readChainlink(config);
+        uint256 twapPrice = _tryTwapPrice(config, twap, guard.twapOracle);
+
+        if (twapPrice == 0) {
+            if (config.isAggregated && reading.status != BasicPriceMonitor.FeedStatus.OK) {
+                emit ChainPriceSkipped(chainId, token);
+                return (0, false);
+            }
+            // No second source: Chainlink has to stand on its own
+            return (_validChainlinkPrice(config, reading), false);
+        }
+        if (reading.status != BasicPriceMonitor.FeedStatus.OK) {
+            emit PriceSourceFallback(chainId, token, twapPrice);
+            return (twapPrice, false);
+        }
+        uint256 chainlinkPrice = reading.price;
+
+        uint256 deviation = chainlinkPrice > twapPrice
+            ? ((chainlinkPrice - twapPrice) * BASIS_POINTS) / twapPrice
+            : ((twapPrice - chainlinkPrice) * BASIS_POINTS) / twapPrice;
+
+        if (deviation > guard.maxDeviationBasisPoints) {
+            require(!guard.revertOnDeviation, "Price sources deviate");
+            emit PriceDeviationFlagged(chainId, token, chainlinkPrice, twapPrice, deviation);
+            return (chainlinkPrice, true);
+        }
+
+        return (chainlinkPrice, false);
+    }
+
+    /**
+     * @dev TWAP price from the token's Uniswap V3 pool
+     * @param config Oracle config holding the pool
+     * @param twap TWAP settings of the token on the chain
+     * @param twapOracle Oracle the pool is read through
+     * @return price Token price in 18 decimals
+     */
+    function twapPriceOf(
+        BasicPriceMonitor.OracleConfig storage config,
+        BasicPriceMonitor.TwapConfig storage twap,
+        IUniswapV3Oracle twapOracle
+    ) public view returns (uint256 price) {
+        address pool = config.uniswapV3Pool;
+        require(pool != address(0), "No TWAP source");
+
+        price = twapOracle.getTwapPrice(pool, twap.window, twap.baseIsToken0, twap.baseDecimals, twap.quoteDecimals);
+        require(price > 0, "Invalid TWAP price");
+    }
+
+    /**
+     * @dev Revert if the L2 sequencer is down or restarted less than gracePeriod ago
+     * @param sequencerUptimeFeed Chainlink sequencer uptime feed, address(0) on L1
+     * @param gracePeriod Seconds after a restart before prices are trusted
+     */
+    function checkSequencer(address sequencerUptimeFeed, uint256 gracePeriod) external view {
+        if (sequencerUptimeFeed == address(0)) {
+            return;
+        }
+
+        // answer: 0 = up, 1 = down; startedAt: when the current status began
+        (uint80 roundId, int256 answer, uint256 startedAt, , ) = AggregatorV3Interface(sequencerUptimeFeed).latestRoundData();
+        if (startedAt == 0) revert IncompleteRound(sequencerUptimeFeed, roundId);
+        if (answer != 0) revert SequencerDown(sequencerUptimeFeed);
+        if (block.timestamp - startedAt <= gracePeriod) {
+            revert SequencerGracePeriodNotOver(sequencerUptimeFeed, startedAt, gracePeriod);
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    // INTERNAL FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Store a fresh median in the slot's MedianPriceFeed
+     * @return True if the feed stored a new round
+     */
+    function _aggregate(BasicPriceMonitor.OracleConfig storage config) private returns (bool) {
+        try IMedianPriceFeed(address(config.chainlinkFeed)).update() returns (bool updated) {
+            return updated;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @dev TWAP price as a second source, or 0 when there is no pool or oracle or the read fails
+     */
+    function _tryTwapPrice(
+        BasicPriceMonitor.OracleConfig storage config,
+        BasicPriceMonitor.TwapConfig storage twap,
+        IUniswapV3Oracle twapOracle
+    ) private view returns (uint256) {
+        if (config.uniswapV3Pool == address(0) || address(twapOracle) == address(0)) {
+            return 0;
+        }
+        try twapOracle.getTwapPrice(
+            config.uniswapV3Pool, twap.window, twap.baseIsToken0, twap.baseDecimals, twap.quoteDecimals
+        ) returns (uint256 price) {
+            return price;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Chainlink price of a reading, reverting with the first check the answer failed
+     */
+    function _validChainlinkPrice(
+        BasicPriceMonitor.OracleConfig storage config,
+        BasicPriceMonitor.ChainlinkReading memory reading
+    ) private view returns (uint256) {
+        address feed = address(config.chainlinkFeed);
+
+        if (reading.status == BasicPriceMonitor.FeedStatus.INCOMPLETE_ROUND) revert IncompleteRound(feed, reading.roundId);
+        if (reading.status == BasicPriceMonitor.FeedStatus.STALE_ROUND) revert StaleRound(feed, reading.roundId, reading.answeredInRound);
+        if (reading.status == BasicPriceMonitor.FeedStatus.INVALID_PRICE) revert InvalidChainlinkPrice(feed, reading.answer);
+        if (reading.status == BasicPriceMonitor.FeedStatus.STALE_PRICE) revert StalePrice(feed, reading.updatedAt, config.maxStaleness);
+
+        return reading.price;
+    }
+
+    /**
+     * @dev Read and classify the latest Chainlink round without reverting
+     * @notice Checks run in order: round completeness, carried-over answers, answer sign, staleness
+     */
+    function _readChainlink(BasicPriceMonitor.OracleConfig storage config) private view returns (BasicPriceMonitor.ChainlinkReading memory reading) {
+        AggregatorV3Interface feed = config.chainlinkFeed;
+        (
+            reading.roundId,
+            reading.answer,
+            , // startedAt - not needed, updatedAt marks completion
+            reading.updatedAt,
+            reading.answeredInRound
+        ) = feed.latestRoundData();
+
+        if (reading.updatedAt == 0) {
+            reading.status = BasicPriceMonitor.FeedStatus.INCOMPLETE_ROUND;
+        } else if (reading.answeredInRound < reading.roundId) {
+            reading.status = BasicPriceMonitor.FeedStatus.STALE_ROUND;
+        } else if (reading.answer <= 0) {
+            reading.status = BasicPriceMonitor.FeedStatus.INVALID_PRICE;
+        } else {
+            reading.price = _scaleTo18Decimals(uint256(reading.answer), feed.decimals());
+            if (reading.price == 0) {
+                reading.status = BasicPriceMonitor.FeedStatus.INVALID_PRICE;
+            } else if (block.timestamp > reading.updatedAt && block.timestamp - reading.updatedAt > config.maxStaleness) {
+                reading.status = BasicPriceMonitor.FeedStatus.STALE_PRICE;
+            }
+        }
+    }
+
+    /**
+     * @dev Scale a feed answer to 18 decimals, up or down
+     * @param answer Positive feed answer
+     * @param feedDecimals Decimals the feed reports in
+     * @return Answer in 18 decimals (rounded down)
+     */
+    function _scaleTo18Decimals(uint256 answer, uint8 feedDecimals) private pure returns (uint256) {
+        if (feedDecimals <= 18) {
+            return answer * (10 ** (18 - feedDecimals));
+        }
+        uint256 excess = feedDecimals - 18;
+        // Past 10**76 every int256 answer rounds to zero (and 10**78 overflows)
+        return excess > 76 ? 0 : answer / (10 ** excess);
+    }
+}
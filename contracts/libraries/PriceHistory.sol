@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../BasicPriceMonitor.sol";
+
+/**
+ * @title PriceHistory
+ * @dev Per-token ring buffer of packed price updates for BasicPriceMonitor
+ * @notice Deployed once and linked into the monitor, which keeps the monitor under the
+ * contract size limit. Functions run in the monitor's context on the monitor's storage.
+ */
+library PriceHistory {
+
+    // ═══════════════════════════════════════════════════════════════════
+    // RING BUFFER
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * @dev Append an update, overwriting the oldest entry when the buffer is full
+     * @notice Values that do not fit an observation revert instead of being truncated
+     * @param history Token's entries by slot
+     * @param total Entries written so far
+     * @param length Buffer length
+     * @param data Update to append
+     */
+    function record(
+        mapping(uint256 => BasicPriceMonitor.PriceObservation) storage history,
+        uint256 total,
+        uint256 length,
+        BasicPriceMonitor.PriceData storage data
+    ) external {
+        history[total % length] = BasicPriceMonitor.PriceObservation({
+            ethereumPrice: SafeCast.toUint128(data.ethereumPrice),
+            arbitrumPrice: SafeCast.toUint128(data.arbitrumPrice),
+            timestamp: SafeCast.toUint40(data.timestamp),
+            spread: SafeCast.toUint64(data.spread),
+            isEthereumHigher: data.isEthereumHigher,
+            buyChainId: SafeCast.toUint64(data.buyChainId),
+            sellChainId: SafeCast.toUint64(data.sellChainId)
+        });
+    }
+
+    /**
+     * @dev Most recent entries, unpacked
+     * @param history Token's entries by slot
+     * @param total Entries written so far
+     * @param length Buffer length
+     * @param count Number of entries wanted (capped at what is stored)
+     * @return entries Entries ordered oldest to newest
+     */
+    function recent(
+        mapping(uint256 => BasicPriceMonitor.PriceObservation) storage history,
+        uint256 total,
+        uint256 length,
+        uint256 count
+    ) external view returns (BasicPriceMonitor.PriceData[] memory entries) {
+        uint256 stored = total < length ? total : length;
+        if (count > stored) {
+            count = stored;
+        }
+
+        entries = new BasicPriceMonitor.PriceData[](count);
+        for (uint256 i = 0; i < count; i++) {
+            BasicPriceMonitor.PriceObservation memory entry = history[(total - count + i) % length];
+            entries[i] = BasicPriceMonitor.PriceData({
+                ethereumPrice: entry.ethereumPrice,
+                arbitrumPrice: entry.arbitrumPrice,
+                timestamp: entry.timestamp,
+                spread: entry.spread,
+                isEthereumHigher: entry.isEthereumHigher,
+                buyChainId: entry.buyChainId,
+                sellChainId: entry.sellChainId
+            });
+        }
+    }
+}
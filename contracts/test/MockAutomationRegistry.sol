@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/automation/interfaces/AutomationCompatibleInterface.sol";
+
+/**
+ * @title MockAutomationRegistry
+ * @dev Local stand-in for a Chainlink Automation registry
+ * @notice Does what the registry's nodes do for a custom-logic upkeep: simulate
+ * checkUpkeep and, when it reports work, call performUpkeep with its performData
+ */
+contract MockAutomationRegistry {
+
+    event UpkeepPerformed(address indexed target, bytes performData);
+
+    /**
+     * @dev Run one check/perform cycle against an upkeep
+     * @param target Contract implementing AutomationCompatibleInterface
+     * @param checkData Data registered with the upkeep
+     * @return performed True if checkUpkeep asked for work and performUpkeep ran
+     */
+    function runUpkeep(address target, bytes calldata checkData) external returns (bool performed) {
+        (bool upkeepNeeded, bytes memory performData) = AutomationCompatibleInterface(target).checkUpkeep(checkData);
+        if (!upkeepNeeded) {
+            return false;
+        }
+
+        AutomationCompatibleInterface(target).performUpkeep(performData);
+        emit UpkeepPerformed(target, performData);
+        return true;
+    }
+}
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IArbitrageAdapters.sol";
+
+/**
+ * @title MockBridgeAdapter
+ * @dev Mock bridge for testing purposes: takes a fee and delivers the rest immediately
+ * @notice Everything runs on one local network, so "delivering on the destination chain"
+ * means transferring to the recipient within the same call
+ */
+contract MockBridgeAdapter is IBridgeAdapter {
+    using SafeERC20 for IERC20;
+
+    uint256 private constant BASIS_POINTS = 10000;
+
+    uint256 public feeBasisPoints;
+
+    event Bridged(address indexed token, uint256 amount, uint256 indexed destChainId, uint256 amountReceived, address recipient);
+
+    constructor(uint256 _feeBasisPoints) {
+        setFee(_feeBasisPoints);
+    }
+
+    /**
+     * @dev Set the bridge fee
+     * @param _feeBasisPoints Fee kept by the bridge, in basis points
+     */
+    function setFee(uint256 _feeBasisPoints) public {
+        require(_feeBasisPoints <= BASIS_POINTS, "Fee too high");
+        feeBasisPoints = _feeBasisPoints;
+    }
+
+    function bridge(
+        address token,
+        uint256 amount,
+        uint256 destChainId,
+        uint256 minAmountReceived,
+        address recipient
+    ) external override returns (uint256 amountReceived) {
+        amountReceived = quote(token, amount, destChainId);
+        require(amountReceived >= minAmountReceived, "Insufficient output");
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeTransfer(recipient, amountReceived);
+        emit Bridged(token, amount, destChainId, amountReceived, recipient);
+    }
+
+    function quote(address, uint256 amount, uint256) public view override returns (uint256) {
+        return amount - (amount * feeBasisPoints) / BASIS_POINTS;
+    }
+}
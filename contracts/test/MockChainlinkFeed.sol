@@ -10,13 +10,19 @@ import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
  */
 contract MockChainlinkFeed is AggregatorV3Interface {
     int256 private _price;
+    uint256 private _startedAt;
     uint256 private _updatedAt;
     uint80 private _roundId;
+    uint80 private _answeredInRound;
+    uint8 private _decimals;
     
     constructor() {
         _price = 300000000000; // $3000 with 8 decimals
+        _startedAt = block.timestamp;
         _updatedAt = block.timestamp;
         _roundId = 1;
+        _answeredInRound = 1;
+        _decimals = 8;
     }
     
     /**
@@ -25,8 +31,10 @@ contract MockChainlinkFeed is AggregatorV3Interface {
      */
     function setPrice(int256 price) external {
         _price = price;
+        _startedAt = block.timestamp;
         _updatedAt = block.timestamp;
         _roundId++;
+        _answeredInRound = _roundId;
     }
     
     /**
@@ -38,12 +46,43 @@ contract MockChainlinkFeed is AggregatorV3Interface {
         // Don't increment round ID when just setting timestamp for staleness testing
     }
     
+    /**
+     * @dev Set the round IDs directly (for testing incomplete or carried-over rounds)
+     * @param roundId Latest round ID
+     * @param answeredInRound Round the answer was computed in (below roundId for a carried-over answer)
+     */
+    function setRound(uint80 roundId, uint80 answeredInRound) external {
+        _roundId = roundId;
+        _answeredInRound = answeredInRound;
+    }
+    
+    /**
+     * @dev Set the number of decimals the feed reports in
+     * @param newDecimals Decimals returned by decimals()
+     */
+    function setDecimals(uint8 newDecimals) external {
+        _decimals = newDecimals;
+    }
+    
+    /**
+     * @dev Report L2 sequencer status, as a sequencer uptime feed does
+     * @param isDown True if the sequencer is down (answer 1), false if up (answer 0)
+     * @param since When the current status began (startedAt)
+     */
+    function setSequencerStatus(bool isDown, uint256 since) external {
+        _price = isDown ? int256(1) : int256(0);
+        _startedAt = since;
+        _updatedAt = block.timestamp;
+        _roundId++;
+        _answeredInRound = _roundId;
+    }
+    
     /**
      * @dev Returns the number of decimals for the price feed
-     * @return Number of decimals (8 for ETH/USD feeds)
+     * @return Number of decimals (8 for ETH/USD feeds unless overridden)
      */
-    function decimals() external pure override returns (uint8) {
-        return 8;
+    function decimals() external view override returns (uint8) {
+        return _decimals;
     }
     
     /**
@@ -78,7 +117,7 @@ contract MockChainlinkFeed is AggregatorV3Interface {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (roundId_, _price, _updatedAt, _updatedAt, roundId_);
+        return (roundId_, _price, _startedAt, _updatedAt, roundId_);
     }
     
     /**
@@ -96,6 +135,6 @@ contract MockChainlinkFeed is AggregatorV3Interface {
         uint256 updatedAt,
         uint80 answeredInRound
     ) {
-        return (_roundId, _price, _updatedAt, _updatedAt, _roundId);
+        return (_roundId, _price, _startedAt, _updatedAt, _answeredInRound);
     }
 }
\ No newline at end of file
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockLimitOrderProtocol
+ * @dev Minimal stand-in for the predicate evaluation of the 1inch Limit Order Protocol
+ * @notice Mirrors PredicateHelper.arbitraryStaticCall and OrderMixin's predicate check:
+ * the predicate is calldata executed against the protocol itself and must return 1
+ */
+contract MockLimitOrderProtocol {
+
+    /**
+     * @dev Static call to an arbitrary target, returning the first word of the result
+     * @param target Contract to call
+     * @param data Calldata for the target
+     * @return result Returned value
+     */
+    function arbitraryStaticCall(address target, bytes calldata data) external view returns (uint256 result) {
+        (bool success, bytes memory returned) = target.staticcall(data);
+        require(success && returned.length >= 32, "Arbitrary call failed");
+        result = abi.decode(returned, (uint256));
+    }
+
+    /**
+     * @dev Evaluate an order predicate the way the protocol does before a fill
+     * @param predicate Calldata executed against this contract
+     * @return True if the predicate returned exactly 1
+     */
+    function checkPredicate(bytes calldata predicate) external view returns (bool) {
+        (bool success, bytes memory returned) = address(this).staticcall(predicate);
+        return success && returned.length == 32 && abi.decode(returned, (uint256)) == 1;
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IArbitrageAdapters.sol";
+
+/**
+ * @title MockSwapAdapter
+ * @dev Mock DEX for testing purposes: fixed per-pair rates paid out of pre-funded balances
+ * @notice Deploy one per simulated chain and set its rates from that chain's price.
+ * amountOut = amountIn * rate / 1e18, so a rate is "tokenOut per tokenIn" scaled by 1e18
+ * and already accounts for the two tokens' decimals.
+ */
+contract MockSwapAdapter is ISwapAdapter {
+    using SafeERC20 for IERC20;
+
+    uint256 private constant RATE_PRECISION = 1e18;
+
+    mapping(address => mapping(address => uint256)) public rates; // tokenIn => tokenOut => rate
+
+    /**
+     * @dev Set the rate for one direction of a pair
+     * @param tokenIn Token sold
+     * @param tokenOut Token bought
+     * @param rate tokenOut per tokenIn, scaled by 1e18 (0 disables the direction)
+     */
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address recipient
+    ) external override returns (uint256 amountOut) {
+        amountOut = quote(tokenIn, tokenOut, amountIn);
+        require(amountOut >= minAmountOut, "Insufficient output");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenOut).safeTransfer(recipient, amountOut);
+    }
+
+    function quote(address tokenIn, address tokenOut, uint256 amountIn) public view override returns (uint256) {
+        uint256 rate = rates[tokenIn][tokenOut];
+        require(rate > 0, "Pair not supported");
+        return (amountIn * rate) / RATE_PRECISION;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title MockUniswapV3Pool
+ * @dev Mock Uniswap V3 pool exposing observe() for TWAP tests
+ * @notice The pool reports a constant tick over any window, so the TWAP equals the configured tick
+ */
+contract MockUniswapV3Pool {
+    int24 private _tick;
+
+    constructor(int24 tick) {
+        _tick = tick;
+    }
+
+    /**
+     * @dev Set the tick the pool has averaged over every window
+     * @param tick New average tick (log base 1.0001 of token1/token0)
+     */
+    function setTick(int24 tick) external {
+        _tick = tick;
+    }
+
+    /**
+     * @dev Returns cumulative tick values as of each `secondsAgos` from the current block timestamp
+     * @param secondsAgos From how long ago each cumulative value should be returned
+     * @return tickCumulatives Cumulative tick values
+     * @return secondsPerLiquidityCumulativeX128s Always zero in this mock
+     */
+    function observe(uint32[] calldata secondsAgos) external view returns (
+        int56[] memory tickCumulatives,
+        uint160[] memory secondsPerLiquidityCumulativeX128s
+    ) {
+        tickCumulatives = new int56[](secondsAgos.length);
+        secondsPerLiquidityCumulativeX128s = new uint160[](secondsAgos.length);
+
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            int56 elapsed = int56(uint56(block.timestamp - secondsAgos[i]));
+            tickCumulatives[i] = int56(_tick) * elapsed;
+        }
+    }
+}
@@ -3,11 +3,19 @@ require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+require("./tasks/monitor");
+require("./tasks/events");
+const { hardhatNetworks } = require("./scripts/lib/chains");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x" + "0".repeat(64);
 const INFURA_API_KEY = process.env.INFURA_API_KEY || "";
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY || "";
 
+// Mainnet forking is opt-in: set FORK_RPC_URL, or FORK=true to fork through Infura
+const FORK_RPC_URL = process.env.FORK_RPC_URL ||
+  (process.env.FORK === "true" ? `https://mainnet.infura.io/v3/${INFURA_API_KEY}` : "");
+const FORK_BLOCK_NUMBER = process.env.FORK_BLOCK_NUMBER; // Pin for reproducible, cached forks
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -22,39 +30,25 @@ module.exports = {
   },
   networks: {
     hardhat: {
-      forking: {
-        url: `https://mainnet.infura.io/v3/${INFURA_API_KEY}`,
-      },
+      ...(FORK_RPC_URL && {
+        forking: {
+          url: FORK_RPC_URL,
+          ...(FORK_BLOCK_NUMBER && { blockNumber: Number(FORK_BLOCK_NUMBER) }),
+        },
+      }),
       chainId: 31337,
     },
     localhost: {
       url: "http://127.0.0.1:8545",
       chainId: 31337,
     },
-    sepolia: {
-      url: `https://sepolia.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [PRIVATE_KEY],
-      chainId: 11155111,
-      gasPrice: 20000000000, // 20 gwei
-    },
-    arbitrumSepolia: {
-      url: `https://arbitrum-sepolia.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [PRIVATE_KEY],
-      chainId: 421614,
-      gasPrice: 1000000000, // 1 gwei
-    },
-    mainnet: {
-      url: `https://mainnet.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [PRIVATE_KEY],
-      chainId: 1,
-      gasPrice: 25000000000, // 25 gwei
-    },
-    arbitrum: {
-      url: `https://arbitrum-mainnet.infura.io/v3/${INFURA_API_KEY}`,
-      accounts: [PRIVATE_KEY],
-      chainId: 42161,
-      gasPrice: 1000000000, // 1 gwei
+    // Second local node (npm run node:dst), the destination chain for scripts/resolver.js
+    localhostDst: {
+      url: "http://127.0.0.1:8546",
+      chainId: 31337,
     },
+    // Live networks come from config/chains.json
+    ...hardhatNetworks([PRIVATE_KEY]),
   },
   etherscan: {
     apiKey: {
@@ -0,0 +1,52 @@
+const { ethers, network } = require("hardhat");
+const { resolveAddress } = require("./lib/deployments");
+const { loadTokenConfig } = require("./lib/tokens");
+const { PriceApiServer, DEFAULT_OPTIONS } = require("./lib/api");
+
+/**
+ * API server settings from the environment
+ * @return {object} { port, host, options } where options are PriceApiServer options
+ */
+function apiOptions() {
+    return {
+        port: Number(process.env.API_PORT || 8080),
+        host: process.env.API_HOST || "127.0.0.1",
+        options: {
+            maxAge: Number(process.env.API_MAX_AGE || DEFAULT_OPTIONS.maxAge),
+            pollInterval: Number(process.env.API_POLL_INTERVAL || DEFAULT_OPTIONS.pollInterval / 1000) * 1000,
+            tokens: loadTokenConfig(network.name).map(({ symbol, address }) => ({ symbol, address }))
+        }
+    };
+}
+
+async function runApiServer() {
+    const contractAddress = resolveAddress(network.name);
+    const { port, host, options } = apiOptions();
+
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", contractAddress);
+    const api = new PriceApiServer(priceMonitor, options);
+    const boundPort = await api.listen(port, host);
+
+    console.log(`Price API on ${network.name}...`);
+    console.log("  Contract Address:", contractAddress);
+    console.log(`  REST: http://${host}:${boundPort}/health`);
+    console.log(`  WebSocket: ws://${host}:${boundPort}/ws`);
+    console.log("  Stale After:", options.maxAge, "seconds");
+
+    const shutdown = async () => {
+        console.log("\nStopping API server...");
+        await api.close();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+    runApiServer().catch((error) => {
+        console.error("API server error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { apiOptions };
@@ -0,0 +1,349 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadGasConfig, configureEstimator } = require("./update-gas-oracle");
+const { CHAIN_IDS, decodeMonitorError } = require("../src");
+const { getPriceMonitorFactory } = require("./lib/monitor");
+
+const { ethers } = hre;
+
+const DEFAULT_THRESHOLDS = [10, 25, 50, 75, 100, 150, 200];
+
+/**
+ * Parse per-chain price rounds from CSV (header: timestamp,chain,price[,gasPriceGwei])
+ * @param {string} text CSV contents
+ * @return {object[]} Rounds: { timestamp, chain, price, gasPriceGwei? }
+ */
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+    const header = lines.shift().split(",").map((column) => column.trim());
+
+    return lines.map((line) => {
+        const values = line.split(",").map((value) => value.trim());
+        const row = {};
+        header.forEach((column, i) => {
+            if (values[i] !== undefined && values[i] !== "") {
+                row[column] = values[i];
+            }
+        });
+        return row;
+    });
+}
+
+/**
+ * Load and normalize price rounds from a CSV or JSON file
+ * @param {string} filePath .csv, or .json holding an array of rounds (or { rounds: [...] })
+ * @return {object[]} Rounds sorted by timestamp: { timestamp: number, chain, price: string, gasPriceGwei?: string }
+ */
+function loadRounds(filePath) {
+    const text = fs.readFileSync(filePath, "utf8");
+    let rows;
+    if (path.extname(filePath).toLowerCase() === ".json") {
+        const parsed = JSON.parse(text);
+        rows = Array.isArray(parsed) ? parsed : parsed.rounds;
+    } else {
+        rows = parseCsv(text);
+    }
+
+    return rows.map((row, i) => {
+        const chain = String(row.chain).toLowerCase();
+        if (!CHAIN_IDS[chain]) {
+            throw new Error(`Round ${i + 1}: unknown chain "${row.chain}" (expected ethereum or arbitrum)`);
+        }
+        if (row.price === undefined && row.gasPriceGwei === undefined) {
+            throw new Error(`Round ${i + 1}: needs a price, a gasPriceGwei, or both`);
+        }
+        return {
+            timestamp: Number(row.timestamp),
+            chain,
+            price: row.price !== undefined ? String(row.price) : undefined,
+            gasPriceGwei: row.gasPriceGwei !== undefined ? String(row.gasPriceGwei) : undefined
+        };
+    }).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Count opportunities each minimum-spread threshold would have flagged
+ * @param {object[]} observations Successful updates from runBacktest
+ * @param {number[]} thresholds Candidate minProfitBasisPoints values
+ * @return {object[]} Per threshold: { threshold, hits, hitRate, totalProfit, averageProfit }
+ */
+function summarizeThresholds(observations, thresholds) {
+    return thresholds.map((threshold) => {
+        // Mirrors the isProfitable rule: positive net profit and spread >= threshold
+        const hits = observations.filter((obs) => obs.netProfit > 0n && obs.spread >= BigInt(threshold));
+        const totalProfit = hits.reduce((sum, obs) => sum + obs.netProfit, 0n);
+        return {
+            threshold,
+            hits: hits.length,
+            hitRate: observations.length > 0 ? hits.length / observations.length : 0,
+            totalProfit,
+            averageProfit: hits.length > 0 ? totalProfit / BigInt(hits.length) : 0n
+        };
+    });
+}
+
+/**
+ * Recover the revert reason of a failed update by re-running it against the block it failed in
+ * @param {object} priceMonitor BasicPriceMonitor contract
+ * @param {Error} error Error thrown by the update's wait()
+ * @return {Promise<string>} Revert reason
+ */
+async function revertReason(priceMonitor, error) {
+    try {
+        await priceMonitor.updateETHPrices.staticCall({ blockTag: error.receipt.blockNumber });
+    } catch (callError) {
+        const decoded = decodeMonitorError(callError, priceMonitor.interface);
+        if (decoded !== callError) {
+            return decoded.reason;
+        }
+    }
+    return error.shortMessage || error.message;
+}
+
+/**
+ * Replay price rounds through a fresh BasicPriceMonitor on the in-process hardhat network
+ * @notice Each batch of rounds sharing a timestamp is mined into one block, so feed
+ * updatedAt values keep their historical spacing (shifted to the current chain time)
+ * @param {object[]} rounds Output of loadRounds
+ * @param {object} [options]
+ * @param {number[]} [options.thresholds] minProfitBasisPoints values to evaluate
+ * @param {bigint} [options.tradeAmount] Notional in whole-token units (18 decimals)
+ * @param {number} [options.persistence] Consecutive updates required before detection
+ * @return {Promise<object>} { observations, detections, skipped, minProfitBasisPoints, thresholds }
+ */
+async function runBacktest(rounds, options = {}) {
+    if (rounds.length === 0) {
+        throw new Error("No rounds to replay");
+    }
+    const thresholds = options.thresholds || DEFAULT_THRESHOLDS;
+
+    // Contracts under test
+    const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+    const feeds = { ethereum: await MockChainlinkFeed.deploy(), arbitrum: await MockChainlinkFeed.deploy() };
+
+    const BasicPriceMonitor = await getPriceMonitorFactory();
+    const priceMonitor = await BasicPriceMonitor.deploy();
+    await (await priceMonitor.initializeOracles(
+        await feeds.ethereum.getAddress(),
+        await feeds.arbitrum.getAddress()
+    )).wait();
+
+    const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+    const gasEstimator = await CrossChainGasEstimator.deploy();
+    const gasConfig = loadGasConfig();
+    await configureEstimator(gasEstimator, gasConfig);
+    await (await priceMonitor.setGasEstimator(await gasEstimator.getAddress())).wait();
+
+    if (options.tradeAmount) {
+        await (await priceMonitor.setDefaultTradeAmount(options.tradeAmount)).wait();
+    }
+    if (options.persistence) {
+        await (await priceMonitor.setMinPersistenceUpdates(options.persistence)).wait();
+    }
+
+    const ETH = await priceMonitor.ETH();
+    const tradeAmount = await priceMonitor.defaultTradeAmount();
+    const minProfitBasisPoints = await priceMonitor.minProfitBasisPoints();
+
+    // Group rounds that share a timestamp into one block
+    const batches = [];
+    for (const round of rounds) {
+        const last = batches[batches.length - 1];
+        if (last && last.timestamp === round.timestamp) {
+            last.rounds.push(round);
+        } else {
+            batches.push({ timestamp: round.timestamp, rounds: [round] });
+        }
+    }
+
+    const startTime = BigInt((await ethers.provider.getBlock("latest")).timestamp) + 1n;
+    const firstTimestamp = BigInt(batches[0].timestamp);
+    const seen = { ethereum: false, arbitrum: false };
+    const lastGasPrice = {
+        ethereum: ethers.parseUnits(gasConfig.chains[CHAIN_IDS.ethereum].defaultGasPriceGwei, "gwei"),
+        arbitrum: ethers.parseUnits(gasConfig.chains[CHAIN_IDS.arbitrum].defaultGasPriceGwei, "gwei")
+    };
+
+    const observations = [];
+    const detections = [];
+    const skipped = [];
+
+    await hre.network.provider.send("evm_setAutomine", [false]);
+    try {
+        for (const batch of batches) {
+            const pending = [];
+            const gasChains = new Set();
+
+            for (const round of batch.rounds) {
+                if (round.price !== undefined) {
+                    pending.push(await feeds[round.chain].setPrice(ethers.parseUnits(round.price, 8)));
+                    seen[round.chain] = true;
+                }
+                if (round.gasPriceGwei !== undefined) {
+                    lastGasPrice[round.chain] = ethers.parseUnits(round.gasPriceGwei, "gwei");
+                    gasChains.add(round.chain);
+                }
+            }
+            if (gasChains.size > 0) {
+                const chains = [...gasChains];
+                pending.push(await gasEstimator.updateGasPrices(
+                    chains.map((chain) => CHAIN_IDS[chain]),
+                    chains.map((chain) => lastGasPrice[chain]),
+                    // Arbitrum posts its data to Ethereum at the latest Ethereum gas price
+                    chains.map((chain) => (chain === "arbitrum" ? lastGasPrice.ethereum : 0n))
+                ));
+            }
+
+            // Both chains need a real round before the spread means anything
+            const update = seen.ethereum && seen.arbitrum ? await priceMonitor.updateETHPrices({ gasLimit: 1000000 }) : null;
+
+            const blockTime = startTime + BigInt(batch.timestamp) - firstTimestamp;
+            await hre.network.provider.send("evm_mine", [ethers.toQuantity(blockTime)]);
+            await Promise.all(pending.map((tx) => tx.wait()));
+
+            if (!update) {
+                continue;
+            }
+
+            let receipt;
+            try {
+                receipt = await update.wait();
+            } catch (error) {
+                skipped.push({ timestamp: batch.timestamp, reason: await revertReason(priceMonitor, error) });
+                continue;
+            }
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH);
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH, tradeAmount);
+            const observation = {
+                timestamp: batch.timestamp,
+                ethereumPrice: priceData.ethereumPrice,
+                arbitrumPrice: priceData.arbitrumPrice,
+                spread: priceData.spread,
+                isEthToArb: breakdown.isEthToArb,
+                buyChainId: breakdown.buyChainId,
+                sellChainId: breakdown.sellChainId,
+                grossSpread: breakdown.grossSpread,
+                totalCosts: breakdown.totalCosts,
+                netProfit: breakdown.netProfit,
+                detected: false
+            };
+
+            for (const log of receipt.logs) {
+                const parsed = priceMonitor.interface.parseLog(log);
+                if (parsed && parsed.name === "ArbitrageOpportunityDetected") {
+                    observation.detected = true;
+                    detections.push({ ...observation, estimatedProfit: parsed.args.estimatedProfit });
+                }
+            }
+            observations.push(observation);
+        }
+    } finally {
+        await hre.network.provider.send("evm_setAutomine", [true]);
+    }
+
+    return {
+        observations,
+        detections,
+        skipped,
+        tradeAmount,
+        minProfitBasisPoints,
+        thresholds: summarizeThresholds(observations, thresholds)
+    };
+}
+
+/**
+ * Print a backtest report
+ * @param {object} result Output of runBacktest
+ */
+function printReport(result) {
+    const formatTime = (timestamp) => new Date(timestamp * 1000).toISOString();
+
+    console.log("\nBacktest Summary:");
+    console.log("  Price Updates:", result.observations.length);
+    console.log("  Skipped Updates:", result.skipped.length);
+    console.log("  Trade Amount:", ethers.formatEther(result.tradeAmount), "tokens");
+
+    console.log(`\nDetected Opportunities (minProfitBasisPoints = ${result.minProfitBasisPoints}):`);
+    if (result.detections.length === 0) {
+        console.log("  None");
+    }
+    for (const detection of result.detections) {
+        console.log(
+            `  ${formatTime(detection.timestamp)}  ${detection.spread.toString().padStart(5)} bps  ` +
+            `${detection.isEthToArb ? "ETH → ARB" : "ARB → ETH"}  $${ethers.formatEther(detection.estimatedProfit)}`
+        );
+    }
+
+    for (const skip of result.skipped) {
+        console.log(`  Skipped ${formatTime(skip.timestamp)}: ${skip.reason}`);
+    }
+
+    console.log("\nThreshold Sweep:");
+    console.log("  Min Spread (bps) | Hits | Hit Rate | Total Profit ($) | Avg Profit ($)");
+    for (const row of result.thresholds) {
+        console.log(
+            `  ${String(row.threshold).padStart(16)} | ${String(row.hits).padStart(4)} | ` +
+            `${(row.hitRate * 100).toFixed(1).padStart(7)}% | ` +
+            `${Number(ethers.formatEther(row.totalProfit)).toFixed(2).padStart(16)} | ` +
+            `${Number(ethers.formatEther(row.averageProfit)).toFixed(2).padStart(14)}`
+        );
+    }
+}
+
+/**
+ * Parse CLI arguments: <file> [--thresholds 25,50,100] [--trade-amount 10] [--persistence 3] [--json out.json]
+ * @param {string[]} argv Arguments after the script name
+ * @return {object}
+ */
+function parseArgs(argv) {
+    const args = { file: process.env.BACKTEST_DATA };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--thresholds") {
+            args.thresholds = argv[++i].split(",").map(Number);
+        } else if (arg === "--trade-amount") {
+            args.tradeAmount = ethers.parseEther(argv[++i]);
+        } else if (arg === "--persistence") {
+            args.persistence = Number(argv[++i]);
+        } else if (arg === "--json") {
+            args.json = argv[++i];
+        } else {
+            args.file = arg;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error("Usage: node scripts/backtest.js <rounds.csv|rounds.json> [--thresholds 25,50,100] [--trade-amount 1] [--persistence 1] [--json report.json]");
+        process.exit(1);
+    }
+
+    const rounds = loadRounds(args.file);
+    console.log(`Replaying ${rounds.length} rounds from ${args.file}...`);
+
+    const result = await runBacktest(rounds, args);
+    printReport(result);
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(result, (key, value) => (
+            typeof value === "bigint" ? value.toString() : value
+        ), 2));
+        console.log("\nReport written to", args.json);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Backtest failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseCsv, loadRounds, summarizeThresholds, runBacktest };
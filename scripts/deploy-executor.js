@@ -0,0 +1,122 @@
+const { ethers, network, artifacts } = require("hardhat");
+const { LOCAL_NETWORKS } = require("./lib/tokens");
+const { resolveAddress, recordContract, abiHash } = require("./lib/deployments");
+const { mockSwapRates } = require("./lib/executor");
+const { formatChain } = require("./lib/format");
+const { PriceMonitorClient, ETH_ADDRESS, formatUsd } = require("../src");
+
+// Local setup: a mock WETH/USD pair, one mock venue per monitored chain and mock bridges between them
+const MOCK_ASSET = { name: "Mock Wrapped Ether", symbol: "mWETH", decimals: 18 };
+const MOCK_QUOTE = { name: "Mock USD", symbol: "mUSD", decimals: 6 };
+const MOCK_BRIDGE_FEE_BPS = 5;
+const MOCK_LIQUIDITY = { asset: ethers.parseUnits("1000", 18), quote: ethers.parseUnits("10000000", 6) };
+const MOCK_TRADER_BALANCE = ethers.parseUnits("1000000", 6);
+
+async function deploymentEntry(name, contract, constructorArgs) {
+    const receipt = await contract.deploymentTransaction().wait();
+    return {
+        address: await contract.getAddress(),
+        constructorArgs,
+        abiHash: abiHash((await artifacts.readArtifact(name)).abi),
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+        deployedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Deploy mock tokens and adapters priced from the monitor's current chain prices, and wire
+ * them into the executor
+ * @param {object} executor ArbitrageExecutor
+ * @param {object} priceMonitor BasicPriceMonitor
+ * @param {object} deployer Signer that receives the trading balance
+ * @return {Promise<{asset: object, quoteToken: object}>}
+ */
+async function deployMockAdapters(executor, priceMonitor, deployer) {
+    const client = new PriceMonitorClient(priceMonitor);
+    let { chains } = await client.getPrices(ETH_ADDRESS);
+    if (chains.some((chain) => chain.price === 0n)) {
+        await client.refresh([ETH_ADDRESS]);
+        ({ chains } = await client.getPrices(ETH_ADDRESS));
+    }
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const asset = await MockERC20.deploy(MOCK_ASSET.name, MOCK_ASSET.symbol, MOCK_ASSET.decimals);
+    const quoteToken = await MockERC20.deploy(MOCK_QUOTE.name, MOCK_QUOTE.symbol, MOCK_QUOTE.decimals);
+    await Promise.all([asset.waitForDeployment(), quoteToken.waitForDeployment()]);
+    const assetAddress = await asset.getAddress();
+    const quoteAddress = await quoteToken.getAddress();
+
+    const MockSwapAdapter = await ethers.getContractFactory("MockSwapAdapter");
+    for (const { chainId, price } of chains) {
+        const venue = await MockSwapAdapter.deploy();
+        await venue.waitForDeployment();
+        const venueAddress = await venue.getAddress();
+        const { buyRate, sellRate } = mockSwapRates(price, MOCK_ASSET.decimals, MOCK_QUOTE.decimals);
+        await (await venue.setRate(quoteAddress, assetAddress, buyRate)).wait();
+        await (await venue.setRate(assetAddress, quoteAddress, sellRate)).wait();
+        await (await asset.mint(venueAddress, MOCK_LIQUIDITY.asset)).wait();
+        await (await quoteToken.mint(venueAddress, MOCK_LIQUIDITY.quote)).wait();
+        await (await executor.setSwapAdapter(chainId, venueAddress)).wait();
+        console.log(`  ${formatChain(chainId)} venue: ${venueAddress} ($${formatUsd(price)})`);
+    }
+
+    const MockBridgeAdapter = await ethers.getContractFactory("MockBridgeAdapter");
+    const bridge = await MockBridgeAdapter.deploy(MOCK_BRIDGE_FEE_BPS);
+    await bridge.waitForDeployment();
+    for (const from of chains) {
+        for (const to of chains) {
+            if (from.chainId !== to.chainId) {
+                await (await executor.setBridgeAdapter(from.chainId, to.chainId, await bridge.getAddress())).wait();
+            }
+        }
+    }
+    console.log(`  Bridge: ${await bridge.getAddress()} (${MOCK_BRIDGE_FEE_BPS} bps fee, all routes)`);
+
+    await (await quoteToken.mint(deployer.address, MOCK_TRADER_BALANCE)).wait();
+    console.log(`  Minted ${ethers.formatUnits(MOCK_TRADER_BALANCE, MOCK_QUOTE.decimals)} ${MOCK_QUOTE.symbol} to ${deployer.address}`);
+    return { asset, quoteToken };
+}
+
+async function main() {
+    const [deployer] = await ethers.getSigners();
+    const monitorAddress = resolveAddress(network.name);
+
+    console.log(`\nDeploying ArbitrageExecutor to ${network.name}...\n`);
+    console.log("Price Monitor:", monitorAddress);
+
+    const ArbitrageExecutor = await ethers.getContractFactory("ArbitrageExecutor");
+    const executor = await ArbitrageExecutor.deploy(monitorAddress);
+    await executor.waitForDeployment();
+    console.log("ArbitrageExecutor deployed to:", await executor.getAddress());
+    const record = network.name !== "hardhat";
+    if (record) {
+        recordContract(network.name, "ArbitrageExecutor", await deploymentEntry("ArbitrageExecutor", executor, [monitorAddress]));
+    }
+
+    if (!LOCAL_NETWORKS.includes(network.name)) {
+        console.log("\nNo adapters on live networks yet: register them with setSwapAdapter / setBridgeAdapter,");
+        console.log("then set EXECUTOR_ASSET and EXECUTOR_QUOTE_TOKEN for scripts/executor.js");
+        return;
+    }
+
+    console.log("\nDeploying mock adapters:");
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", monitorAddress);
+    const { asset, quoteToken } = await deployMockAdapters(executor, priceMonitor, deployer);
+    if (record) {
+        recordContract(network.name, "ExecutorAsset", await deploymentEntry("MockERC20", asset, [MOCK_ASSET.name, MOCK_ASSET.symbol, MOCK_ASSET.decimals]));
+        recordContract(network.name, "ExecutorQuoteToken", await deploymentEntry("MockERC20", quoteToken, [MOCK_QUOTE.name, MOCK_QUOTE.symbol, MOCK_QUOTE.decimals]));
+    }
+    console.log("\nRun the orchestrator with: npm run executor:local");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Deployment failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { deployMockAdapters };
@@ -0,0 +1,57 @@
+const { ethers, network, artifacts } = require("hardhat");
+const { loadTokenConfig } = require("./lib/tokens");
+const { resolveAddress, recordContract, abiHash } = require("./lib/deployments");
+const { encodeArbitragePredicate, LIMIT_ORDER_PROTOCOL_ADDRESS } = require("./lib/limit-orders");
+
+async function main() {
+    const monitorAddress = resolveAddress(network.name);
+
+    console.log(`\nDeploying ArbitrageLimitOrderExtension to ${network.name}...\n`);
+    console.log("Price Monitor:", monitorAddress);
+
+    const ArbitrageLimitOrderExtension = await ethers.getContractFactory("ArbitrageLimitOrderExtension");
+    const extension = await ArbitrageLimitOrderExtension.deploy(monitorAddress);
+    await extension.waitForDeployment();
+
+    const extensionAddress = await extension.getAddress();
+    console.log("ArbitrageLimitOrderExtension deployed to:", extensionAddress);
+
+    if (network.name !== "hardhat") {
+        const receipt = await extension.deploymentTransaction().wait();
+        recordContract(network.name, "ArbitrageLimitOrderExtension", {
+            address: extensionAddress,
+            constructorArgs: [monitorAddress],
+            abiHash: abiHash((await artifacts.readArtifact("ArbitrageLimitOrderExtension")).abi),
+            blockNumber: receipt.blockNumber,
+            transactionHash: receipt.hash,
+            deployedAt: new Date().toISOString()
+        });
+    }
+
+    // Show the current predicate result for each token in both directions
+    const tokens = loadTokenConfig(network.name);
+    console.log("\nCurrent predicate results (0 bps minimum, 5 minute max age):");
+    for (const token of tokens) {
+        for (const isEthToArb of [true, false]) {
+            const fillable = await extension.isArbitrageFillable(token.address, 0, isEthToArb, 300);
+            console.log(`  ${token.symbol} ${isEthToArb ? "ETH → ARB" : "ARB → ETH"}: ${fillable ? "fillable" : "not fillable"}`);
+        }
+    }
+
+    const example = encodeArbitragePredicate(extensionAddress, {
+        token: tokens[0].address,
+        minSpreadBasisPoints: 50,
+        isEthToArb: true,
+        maxPriceAge: 300
+    });
+    console.log("\nExample predicate (50 bps, ETH → ARB):", example);
+    console.log("Limit Order Protocol:", LIMIT_ORDER_PROTOCOL_ADDRESS);
+    console.log("\nBuild orders against it with scripts/lib/limit-orders.js");
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Deployment failed:", error);
+        process.exit(1);
+    });
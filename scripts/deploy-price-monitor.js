@@ -1,141 +1,635 @@
-const { ethers, network } = require("hardhat");
-
-// Chainlink ETH/USD Price Feed Addresses
-const CHAINLINK_FEEDS = {
-    ethereum: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419", // ETH/USD on Ethereum Mainnet
-    sepolia: "0x694AA1769357215DE4FAC081bf1f309aDC325306",   // ETH/USD on Sepolia
-    arbitrum: "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612", // ETH/USD on Arbitrum
-    arbitrumSepolia: "0xd30e2101a97dcbAeBCBC04F14C3f624E67A35165" // ETH/USD on Arbitrum Sepolia
+const { ethers, network, artifacts } = require("hardhat");
+const { loadTokenConfig, LOCAL_NETWORKS } = require("./lib/tokens");
+const { printProfitBreakdown, printPriceData, printOpportunity } = require("./lib/format");
+const { loadDeployment, saveDeployment, deploymentPath, abiHash } = require("./lib/deployments");
+const { loadGasConfig, configureEstimator } = require("./update-gas-oracle");
+const { loadRelayConfig } = require("./price-relayer");
+const { loadChainConfig, monitoredChainId } = require("./lib/chains");
+const { deployMonitorLibraries, getPriceMonitorFactory } = require("./lib/monitor");
+const { PriceMonitorClient } = require("../src");
+
+// Token lists and Chainlink feed addresses per network live in config/tokens.json, keyed by
+// the chain names in config/chains.json; deployments are recorded in deployments/<network>.json (see scripts/lib/deployments.js)
+
+// The in-process hardhat chain is gone once the script exits, so it is never recorded
+const EPHEMERAL_NETWORKS = ["hardhat"];
+
+// Comma-separated accounts granted each monitor role on deploy (the deployer holds them all)
+const ROLE_ENV_VARS = {
+    UPDATER_ROLE: "UPDATER_ADDRESSES",
+    RISK_MANAGER_ROLE: "RISK_MANAGER_ADDRESSES",
+    PAUSER_ROLE: "PAUSER_ADDRESSES"
 };
 
+/**
+ * SignedPriceFeed constructor arguments mirroring a feed that lives on another chain
+ * @param {object} token Token entry (with resolved feed addresses)
+ * @param {string} chainId Relayed chain ID
+ * @param {object} relayConfig Parsed relay config
+ * @param {string[]} signers Report signer addresses
+ * @return {Array}
+ */
+function relayFeedArgs(token, chainId, relayConfig, signers) {
+    const chainName = relayConfig.chains[chainId];
+    return [
+        chainId,
+        token.feeds[chainName],
+        relayConfig.decimals,
+        `${token.symbol} / USD (${chainName})`,
+        signers,
+        relayConfig.threshold,
+        relayConfig.maxReportAge
+    ];
+}
+
+/**
+ * Deploy a SignedPriceFeed relay
+ * @param {Array} constructorArgs Output of relayFeedArgs
+ * @return {Promise<string>} Relay feed address
+ */
+async function deployRelayFeed(constructorArgs) {
+    const SignedPriceFeed = await ethers.getContractFactory("SignedPriceFeed");
+    const relayFeed = await SignedPriceFeed.deploy(...constructorArgs);
+    await relayFeed.waitForDeployment();
+    return relayFeed.getAddress();
+}
+
+/**
+ * Starting prices in USD for a token's mock feeds; for ETH, MOCK_ARBITRUM_PRICE=3100 etc. opens a spread
+ * @param {object} token Token entry from the token config
+ * @return {object} Price per chain name
+ */
+function mockFeedPrices(token) {
+    const mockPrices = { ...token.mockPrices };
+    if (token.symbol === "ETH") {
+        mockPrices.ethereum = process.env.MOCK_ETHEREUM_PRICE || mockPrices.ethereum;
+        mockPrices.arbitrum = process.env.MOCK_ARBITRUM_PRICE || mockPrices.arbitrum;
+    }
+    return mockPrices;
+}
+
+/**
+ * Deploy MockChainlinkFeed instances standing in for each chain on a blank local chain
+ * @param {object} mockPrices Output of mockFeedPrices
+ * @return {Promise<object>} Mock feed address per chain name (ethereum and arbitrum for tokens
+ * registered as a pair, plus every chain with a mock price)
+ */
+async function deployMockFeeds(mockPrices) {
+    const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+
+    const feeds = {};
+    const pair = mockPrices.arbitrum !== undefined ? ["ethereum", "arbitrum"] : [];
+    for (const chain of new Set([...pair, ...Object.keys(mockPrices)])) {
+        const mockFeed = await MockChainlinkFeed.deploy();
+        await mockFeed.waitForDeployment();
+        if (mockPrices[chain]) {
+            await (await mockFeed.setPrice(ethers.parseUnits(mockPrices[chain], 8))).wait();
+        }
+        feeds[chain] = await mockFeed.getAddress();
+    }
+    return feeds;
+}
+
+/**
+ * Feeds for a token on a mainnet fork. Only Ethereum's feeds have code there, so each other
+ * chain's feed is swapped for a MockChainlinkFeed seeded with the forked Ethereum answer
+ * @param {object} token Token entry from the mainnet token config
+ * @return {Promise<object>} Feed address per chain name
+ */
+async function deployForkFeeds(token) {
+    const feeds = { ...token.feeds };
+    const missing = [];
+    for (const [chain, feed] of Object.entries(feeds)) {
+        if ((await ethers.provider.getCode(feed)) === "0x") {
+            missing.push(chain);
+        }
+    }
+    if (missing.length === 0) {
+        return feeds;
+    }
+    if (missing.includes("ethereum")) {
+        throw new Error(`${token.symbol} Ethereum feed ${feeds.ethereum} has no code on this fork`);
+    }
+
+    const ethereumFeed = await ethers.getContractAt("AggregatorV3Interface", feeds.ethereum);
+    const [decimals, round] = await Promise.all([ethereumFeed.decimals(), ethereumFeed.latestRoundData()]);
+    const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+    for (const chain of missing) {
+        const mockFeed = await MockChainlinkFeed.deploy();
+        await mockFeed.waitForDeployment();
+        await (await mockFeed.setDecimals(decimals)).wait();
+        await (await mockFeed.setPrice(round.answer)).wait();
+        feeds[chain] = await mockFeed.getAddress();
+    }
+    console.log(`Warning: ${token.symbol} feeds for ${missing.join(", ")} only exist on their own chains; ` +
+        "using mocks at the forked Ethereum price");
+    return feeds;
+}
+
+/**
+ * Register a token on Ethereum and Arbitrum, then on every other chain it has a feed for,
+ * adding chains the monitor does not watch yet. Tokens without an Arbitrum feed (POL) are
+ * registered chain by chain
+ * @param {object} priceMonitor BasicPriceMonitor contract (connected to the admin)
+ * @param {object} token Token entry with resolved feeds ({ [chainName]: feed })
+ */
+async function registerTokenFeeds(priceMonitor, token) {
+    const pair = token.feeds.ethereum && token.feeds.arbitrum ? ["ethereum", "arbitrum"] : [];
+    if (pair.length > 0) {
+        await (await priceMonitor.registerToken(
+            token.address,
+            token.feeds.ethereum,
+            token.feeds.arbitrum,
+            token.maxStaleness
+        )).wait();
+    }
+
+    for (const [chain, feed] of Object.entries(token.feeds)) {
+        if (pair.includes(chain)) {
+            continue;
+        }
+        const chainId = monitoredChainId(chain);
+        if (!(await priceMonitor.isChainSupported(chainId))) {
+            await (await priceMonitor.addChain(chainId)).wait();
+            console.log(`  Monitoring ${chain} (${chainId})`);
+        }
+        await (await priceMonitor.registerTokenChain(token.address, chainId, feed, token.maxStaleness)).wait();
+    }
+}
+
+/**
+ * Point each chain in config/chains.json `nativeTokens` at the registered token it pays gas in;
+ * chains left out keep pricing gas in ETH
+ * @param {object} priceMonitor BasicPriceMonitor contract (connected to the admin)
+ * @param {object[]} tokens Registered token entries
+ */
+async function registerNativeTokens(priceMonitor, tokens) {
+    for (const [chain, symbol] of Object.entries(loadChainConfig().nativeTokens || {})) {
+        const token = tokens.find((entry) => entry.symbol === symbol);
+        const chainId = monitoredChainId(chain);
+        if (!token || !(await priceMonitor.isChainSupported(chainId))) {
+            console.log(`Warning: ${symbol} or ${chain} is not monitored on this network; ${chain} gas stays priced in ETH`);
+            continue;
+        }
+        await (await priceMonitor.setNativeToken(chainId, token.address)).wait();
+        console.log(`  ${chain} pays gas in ${symbol}`);
+    }
+}
+
+/**
+ * Registry entry for a freshly deployed contract
+ * @param {string} name Contract name
+ * @param {object} contract Deployed ethers contract
+ * @param {Array} constructorArgs Arguments passed to the constructor
+ * @return {Promise<object>} { address, constructorArgs, abiHash, blockNumber, transactionHash, deployedAt }
+ */
+async function contractEntry(name, contract, constructorArgs) {
+    const receipt = await contract.deploymentTransaction().wait();
+    return {
+        address: await contract.getAddress(),
+        constructorArgs,
+        abiHash: abiHash((await artifacts.readArtifact(name)).abi),
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.hash,
+        deployedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * A recorded contract that still has code on the current chain (local nodes get reset)
+ * @param {object} deployment Previous deployment record, or null
+ * @param {string} name Contract name
+ * @return {Promise<object|null>} Registry entry, or null if it cannot be reused
+ */
+async function liveContract(deployment, name) {
+    const entry = deployment && deployment.contracts && deployment.contracts[name];
+    if (!entry || (await ethers.provider.getCode(entry.address)) === "0x") {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Mock feeds a previous deployment recorded for a token, if they were deployed with the same prices
+ * @param {object} [recorded] Token entry from the deployment record
+ * @param {object} mockPrices Output of mockFeedPrices
+ * @return {Promise<object|null>} Mock feed address per chain name, or null if they cannot be reused
+ */
+async function recordedMockFeeds(recorded, mockPrices) {
+    if (!recorded || JSON.stringify(recorded.mockPrices) !== JSON.stringify(mockPrices)) {
+        return null;
+    }
+    // Relayed chains record the relay as the feed and the mock as its source
+    const feeds = { ...recorded.feeds };
+    for (const [chainName, relay] of Object.entries(recorded.relayFeeds || {})) {
+        feeds[chainName] = relay.sourceFeed;
+    }
+    for (const feed of Object.values(feeds)) {
+        if ((await ethers.provider.getCode(feed)) === "0x") {
+            return null;
+        }
+    }
+    return feeds;
+}
+
+/**
+ * Relay feed a previous deployment recorded for a token and chain, if it was deployed with the same arguments
+ * @param {object} [recorded] Token entry from the deployment record
+ * @param {string} chainName Relayed chain name
+ * @param {Array} constructorArgs Output of relayFeedArgs
+ * @return {Promise<string|null>} Relay feed address, or null if it cannot be reused
+ */
+async function recordedRelayFeed(recorded, chainName, constructorArgs) {
+    const relay = recorded && recorded.relayFeeds && recorded.relayFeeds[chainName];
+    if (!relay || JSON.stringify(relay.constructorArgs) !== JSON.stringify(constructorArgs)
+        || (await ethers.provider.getCode(relay.relayFeed)) === "0x") {
+        return null;
+    }
+    return relay.relayFeed;
+}
+
+/**
+ * Record the deployment for the other scripts and tasks
+ * @param {object} deploymentInfo Deployment record
+ */
+function recordDeployment(deploymentInfo) {
+    if (EPHEMERAL_NETWORKS.includes(network.name)) {
+        console.log("\nDeployment Info (not recorded for the in-process hardhat network):");
+        console.log(JSON.stringify(deploymentInfo, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    } else {
+        console.log("\nDeployment recorded in", saveDeployment(network.name, deploymentInfo));
+    }
+}
+
+/**
+ * Grant roles from UPDATER_ADDRESSES / RISK_MANAGER_ADDRESSES / PAUSER_ADDRESSES and apply
+ * REQUIRE_UPDATER_ROLE and MAX_PRICE_MOVE_BPS
+ * @param {object} priceMonitor BasicPriceMonitor contract (connected to the admin)
+ */
+async function configureAccess(priceMonitor) {
+    for (const [role, envVar] of Object.entries(ROLE_ENV_VARS)) {
+        const accounts = (process.env[envVar] || "").split(",").map((account) => account.trim()).filter(Boolean);
+        const roleId = await priceMonitor[role]();
+        for (const account of accounts) {
+            if (!(await priceMonitor.hasRole(roleId, account))) {
+                await (await priceMonitor.grantRole(roleId, account)).wait();
+            }
+            console.log(`${role} granted to ${account}`);
+        }
+    }
+
+    const requireUpdater = process.env.REQUIRE_UPDATER_ROLE === "true";
+    if ((await priceMonitor.updaterRoleRequired()) !== requireUpdater) {
+        await (await priceMonitor.setUpdaterRoleRequired(requireUpdater)).wait();
+    }
+    console.log("Updater role required:", requireUpdater);
+
+    const maxPriceMove = BigInt(process.env.MAX_PRICE_MOVE_BPS || 0);
+    if ((await priceMonitor.maxPriceMoveBasisPoints()) !== maxPriceMove) {
+        await (await priceMonitor.setMaxPriceMove(maxPriceMove)).wait();
+    }
+    console.log("Circuit breaker:", maxPriceMove > 0n ? `pauses on a ${maxPriceMove} bps move` : "disabled");
+}
+
+/**
+ * Resolve which token config applies: offline mocks, a mainnet fork, or a live network
+ * @return {Promise<{mode: string, tokens: (object[]|null)}>} tokens is null for unknown networks
+ */
+async function loadNetworkTokens() {
+    if (LOCAL_NETWORKS.includes(network.name)) {
+        // The mainnet ETH feed only has code when the local chain is a fork
+        const mainnetTokens = loadTokenConfig("mainnet");
+        const isFork = (await ethers.provider.getCode(mainnetTokens[0].feeds.ethereum)) !== "0x";
+        return isFork
+            ? { mode: "fork", tokens: mainnetTokens }
+            : { mode: "offline", tokens: loadTokenConfig(network.name) };
+    }
+    try {
+        return { mode: "live", tokens: loadTokenConfig(network.name) };
+    } catch (error) {
+        console.log(error.message);
+        return { mode: "live", tokens: null };
+    }
+}
+
+/**
+ * Hash of everything the oracle setup depends on, to skip re-initialization when nothing changed
+ * @param {object} networkTokens Output of loadNetworkTokens
+ * @return {string}
+ */
+function deployConfigHash(networkTokens) {
+    const relayConfig = loadRelayConfig();
+    const gasConfig = loadGasConfig();
+    const chainConfig = loadChainConfig();
+    return ethers.id(JSON.stringify({
+        ...networkTokens,
+        relay: { ...relayConfig, relayed: relayConfig.relayed[network.name] || {} },
+        relaySigners: process.env.RELAY_SIGNERS || "",
+        gas: { chains: gasConfig.chains, maxAgeSeconds: gasConfig.maxAgeSeconds },
+        chains: { monitored: chainConfig.monitored, nativeTokens: chainConfig.nativeTokens || {} },
+        sequencer: [process.env.SEQUENCER_UPTIME_FEED || "", process.env.SEQUENCER_GRACE_PERIOD || ""],
+        access: Object.values(ROLE_ENV_VARS).concat("REQUIRE_UPDATER_ROLE", "MAX_PRICE_MOVE_BPS")
+            .map((envVar) => process.env[envVar] || ""),
+        mockPrices: [process.env.MOCK_ETHEREUM_PRICE || "", process.env.MOCK_ARBITRUM_PRICE || ""]
+    }));
+}
+
 async function main() {
     console.log(`\nDeploying BasicPriceMonitor to ${network.name}...\n`);
-    
+
     const [deployer] = await ethers.getSigners();
     console.log("Deploying with account:", deployer.address);
-    
+
     const balance = await ethers.provider.getBalance(deployer.address);
     console.log("Account balance:", ethers.formatEther(balance), "ETH");
 
-    // Deploy the contract
-    const BasicPriceMonitor = await ethers.getContractFactory("BasicPriceMonitor");
-    const priceMonitor = await BasicPriceMonitor.deploy();
-    await priceMonitor.waitForDeployment();
-
-    const contractAddress = await priceMonitor.getAddress();
-    console.log("BasicPriceMonitor deployed to:", contractAddress);
-
-    // Initialize oracles based on network - FIXED LOGIC
-    let ethereumFeed, arbitrumFeed;
-    
-    if (network.name === "sepolia") {
-        // TESTNET FIX: Use the SAME Sepolia feed for both "chains"
-        ethereumFeed = CHAINLINK_FEEDS.sepolia;
-        arbitrumFeed = CHAINLINK_FEEDS.sepolia; // Same feed for both!
-        console.log("Using SAME Sepolia feed for both chains (testnet mode)");
-        console.log("This simulates cross-chain with identical prices");
-    } else if (network.name === "arbitrumSepolia") {
-        // TESTNET FIX: Use the SAME Arbitrum Sepolia feed for both "chains"
-        ethereumFeed = CHAINLINK_FEEDS.arbitrumSepolia;
-        arbitrumFeed = CHAINLINK_FEEDS.arbitrumSepolia; // Same feed for both!
-        console.log("Using SAME Arbitrum Sepolia feed for both chains (testnet mode)");
-    } else if (network.name === "mainnet") {
-        // REAL CROSS-CHAIN: Different feeds for real arbitrage
-        ethereumFeed = CHAINLINK_FEEDS.ethereum;
-        arbitrumFeed = CHAINLINK_FEEDS.arbitrum;
-        console.log("Using REAL cross-chain feeds (mainnet)");
-    } else if (network.name === "localhost" || network.name === "hardhat") {
-        // FORK MODE: Real cross-chain feeds
-        ethereumFeed = CHAINLINK_FEEDS.ethereum;
-        arbitrumFeed = CHAINLINK_FEEDS.arbitrum;
-        console.log("Using mainnet feeds (forked network with real data)");
+    // Reuse the recorded deployment unless FORCE_DEPLOY=true
+    const previous = loadDeployment(network.name);
+    const force = process.env.FORCE_DEPLOY === "true";
+    const networkTokens = await loadNetworkTokens();
+    const configHash = deployConfigHash(networkTokens);
+
+    let priceMonitor;
+    const libraryEntries = {};
+    let monitorEntry = force ? null : await liveContract(previous, "BasicPriceMonitor");
+    if (monitorEntry) {
+        priceMonitor = await ethers.getContractAt("BasicPriceMonitor", monitorEntry.address);
+        console.log("Reusing BasicPriceMonitor at:", monitorEntry.address, "(FORCE_DEPLOY=true to redeploy)");
+        if (monitorEntry.abiHash !== abiHash((await artifacts.readArtifact("BasicPriceMonitor")).abi)) {
+            console.log("Warning: BasicPriceMonitor has changed since this deployment; FORCE_DEPLOY=true to pick it up");
+        }
+        if (previous.configHash === configHash) {
+            console.log("Token, relay, gas, sequencer and access config unchanged, nothing to re-initialize");
+            console.log("Deployment record:", deploymentPath(network.name));
+            return;
+        }
+        console.log("Config changed since the last deployment, re-initializing oracles");
     } else {
+        // Fresh libraries go with a fresh monitor and are recorded next to it
+        const libraries = await deployMonitorLibraries();
+        for (const [name, library] of Object.entries(libraries)) {
+            libraryEntries[name] = await contractEntry(name, library, []);
+            console.log(`${name} library deployed to:`, libraryEntries[name].address);
+        }
+        const BasicPriceMonitor = await getPriceMonitorFactory(undefined, libraries);
+        priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.waitForDeployment();
+        monitorEntry = await contractEntry("BasicPriceMonitor", priceMonitor, []);
+        console.log("BasicPriceMonitor deployed to:", monitorEntry.address);
+    }
+    const contractAddress = monitorEntry.address;
+
+    // When the monitor is reused, so are the contracts recorded alongside it (estimator, extension, ...)
+    const reused = previous && previous.contracts.BasicPriceMonitor === monitorEntry;
+    const contracts = reused ? { ...previous.contracts } : { BasicPriceMonitor: monitorEntry, ...libraryEntries };
+    // ...and so are its relay and mock feeds, as long as they would be deployed with the same parameters
+    const recordedToken = (token) => (reused ? (previous.tokens || []).find((entry) => entry.address === token.address) : undefined);
+
+    // Resolve the token list and feeds for this network
+    if (!networkTokens.tokens) {
         console.log("Unknown network, skipping oracle initialization");
         return;
     }
+    let tokens;
+    const usesMockFeeds = networkTokens.mode === "offline";
+
+    if (networkTokens.mode === "fork") {
+        // FORK MODE: Real Ethereum feeds, mocks for the chains the fork has no feeds for
+        tokens = [];
+        for (const token of networkTokens.tokens) {
+            tokens.push({ ...token, feeds: await deployForkFeeds(token) });
+        }
+        console.log("Using mainnet Ethereum feeds (forked network with real data)");
+    } else if (usesMockFeeds) {
+        // OFFLINE MODE: Blank chain, wire mock feeds instead
+        tokens = [];
+        for (const token of networkTokens.tokens) {
+            const mockPrices = mockFeedPrices(token);
+            let feeds = await recordedMockFeeds(recordedToken(token), mockPrices);
+            if (feeds) {
+                console.log(`Reusing ${token.symbol} mock feeds`);
+            } else {
+                feeds = await deployMockFeeds(mockPrices);
+            }
+            tokens.push({ ...token, feeds, mockPrices });
+        }
+        console.log("Using MockChainlinkFeed for every chain (offline mode)");
+    } else {
+        tokens = networkTokens.tokens.map((token) => ({ ...token, feeds: { ...token.feeds } }));
+    }
+
+    // The remote chain's feeds only exist there; relay them through SignedPriceFeed
+    // (scripts/price-relayer.js keeps them current)
+    const relayConfig = loadRelayConfig();
+    const relayed = relayConfig.relayed[network.name] || {};
+    if (Object.keys(relayed).length > 0) {
+        const signers = process.env.RELAY_SIGNERS
+            ? process.env.RELAY_SIGNERS.split(",").map((signer) => signer.trim())
+            : [deployer.address];
+        console.log(`Deploying relay feeds (${relayConfig.threshold} of ${signers.length} signers)...`);
+
+        for (const token of tokens) {
+            token.relayFeeds = {};
+            for (const chainId of Object.keys(relayed)) {
+                const chainName = relayConfig.chains[chainId];
+                if (!token.feeds[chainName]) {
+                    continue; // Token not monitored on this chain
+                }
+                const constructorArgs = relayFeedArgs(token, chainId, relayConfig, signers);
+                let relayFeed = await recordedRelayFeed(recordedToken(token), chainName, constructorArgs);
+                if (relayFeed) {
+                    console.log(`  Reusing ${token.symbol} ${chainName} relay feed at ${relayFeed}`);
+                } else {
+                    relayFeed = await deployRelayFeed(constructorArgs);
+                }
+                token.relayFeeds[chainName] = { sourceFeed: token.feeds[chainName], relayFeed, constructorArgs };
+                token.feeds[chainName] = relayFeed;
+            }
+        }
+    }
+
+    // Register tokens
+    console.log(`Registering ${tokens.length} token(s)...`);
+    for (const token of tokens) {
+        console.log(`  ${token.symbol} (${token.address})`);
+        for (const [chain, feed] of Object.entries(token.feeds)) {
+            console.log(`    ${chain} feed: ${feed}`);
+        }
+        for (const [chainName, relay] of Object.entries(token.relayFeeds || {})) {
+            console.log(`    Relaying ${chainName} feed ${relay.sourceFeed} (run scripts/price-relayer.js)`);
+        }
+    }
+
+    // Everything deployed so far; configHash is left out until the oracles are initialized
+    const deploymentInfo = async (recordedConfigHash, sequencerUptimeFeed) => ({
+        network: network.name,
+        chainId: network.config.chainId || await ethers.provider.getNetwork().then(n => n.chainId),
+        deployer: deployer.address,
+        configHash: recordedConfigHash,
+        contracts,
+        tokens: tokens.map(({ symbol, address, feeds, maxStaleness, relayFeeds, mockPrices }) => ({
+            symbol, address, feeds, maxStaleness, relayFeeds, mockPrices
+        })),
+        usesMockFeeds,
+        sequencerUptimeFeed,
+        blockNumber: await ethers.provider.getBlockNumber(),
+        updatedAt: new Date().toISOString()
+    });
 
-    // Initialize oracles
-    console.log("Initializing oracles...");
-    console.log("  Ethereum Chain Feed:", ethereumFeed);
-    console.log("  Arbitrum Chain Feed:", arbitrumFeed);
-    
     try {
-        const initTx = await priceMonitor.initializeOracles(ethereumFeed, arbitrumFeed);
-        await initTx.wait();
+        for (const token of tokens) {
+            await registerTokenFeeds(priceMonitor, token);
+        }
+        await registerNativeTokens(priceMonitor, tokens);
         console.log("Oracles initialized successfully");
     } catch (error) {
         console.error("Oracle initialization failed:", error.message);
+        // Keep the new contracts and feeds on record; the next run re-initializes without redeploying them
+        recordDeployment(await deploymentInfo(null, reused ? previous.sequencerUptimeFeed : undefined));
+        process.exitCode = 1;
         return;
     }
-    
-    // Test the deployment
-    console.log("\nTesting deployment...");
+
+    // Per-chain gas pricing (config/gas.json); scripts/update-gas-oracle.js keeps it current
+    let gasEstimatorAddress;
     try {
-        console.log("Testing price update...");
-        const updateTx = await priceMonitor.updateETHPrices({
-            gasLimit: 500000 // Increase gas limit for safety
-        });
-        const receipt = await updateTx.wait();
-        console.log("Price update successful, gas used:", receipt.gasUsed.toString());
-        
-        // Check price data
-        const priceData = await priceMonitor.getTokenPriceData("0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE");
-        console.log("\nETH Prices:");
-        console.log("  Ethereum Price: $", ethers.formatEther(priceData.ethereumPrice));
-        console.log("  Arbitrum Price: $", ethers.formatEther(priceData.arbitrumPrice));
-        console.log("  Spread:", priceData.spread.toString(), "basis points");
-        console.log("  Ethereum Higher:", priceData.isEthereumHigher);
-        
-        // Check arbitrage opportunity
-        const opportunity = await priceMonitor.getArbitrageOpportunity();
-        console.log("\nArbitrage Opportunity:");
-        console.log("  Is Profitable:", opportunity.isProfitable);
-        console.log("  Spread:", opportunity.spreadBasisPoints.toString(), "basis points");
-        console.log("  Estimated Profit:", ethers.formatEther(opportunity.estimatedProfit), "ETH");
-        console.log("  Direction:", opportunity.isEthToArb ? "ETH → ARB" : "ARB → ETH");
-        
-        if (network.name.includes("sepolia")) {
-            console.log("Both prices come from SAME oracle feed");
-        }
-        
+        let gasEstimator;
+        const estimatorEntry = await liveContract({ contracts }, "CrossChainGasEstimator");
+        if (estimatorEntry) {
+            gasEstimator = await ethers.getContractAt("CrossChainGasEstimator", estimatorEntry.address);
+            console.log("\nReusing CrossChainGasEstimator at:", estimatorEntry.address);
+        } else {
+            console.log("\nDeploying CrossChainGasEstimator...");
+            const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+            gasEstimator = await CrossChainGasEstimator.deploy();
+            await gasEstimator.waitForDeployment();
+            contracts.CrossChainGasEstimator = await contractEntry("CrossChainGasEstimator", gasEstimator, []);
+            console.log("CrossChainGasEstimator deployed to:", contracts.CrossChainGasEstimator.address);
+        }
+        gasEstimatorAddress = await gasEstimator.getAddress();
+
+        await configureEstimator(gasEstimator, loadGasConfig());
+        await (await priceMonitor.setGasEstimator(gasEstimatorAddress)).wait();
+        console.log("Gas estimator configured with default gas prices");
     } catch (error) {
-        console.log("Test failed:", error.message);
-        console.log("\nDebug info:");
-        
+        console.error("Gas estimator setup failed:", error.message);
+        console.log("Falling back to the monitor's single gasPrice");
+    }
+
+    // Uniswap V3 TWAP as a second price source where a pool is configured
+    let twapOracleAddress;
+    const twapTokens = tokens.filter((token) => token.twap);
+    if (twapTokens.length > 0) {
         try {
-            // Try to check oracle configuration
-            const ethOracle = await priceMonitor.oracles(1, "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE");
-            const arbOracle = await priceMonitor.oracles(42161, "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE");
-            console.log("  Ethereum oracle active:", ethOracle.isActive);
-            console.log("  Arbitrum oracle active:", arbOracle.isActive);
-        } catch (debugError) {
-            console.log("  Could not read oracle config:", debugError.message);
+            const twapEntry = await liveContract({ contracts }, "UniswapV3TwapOracle");
+            if (twapEntry) {
+                twapOracleAddress = twapEntry.address;
+                console.log("\nReusing UniswapV3TwapOracle at:", twapOracleAddress);
+            } else {
+                console.log("\nDeploying UniswapV3TwapOracle...");
+                const UniswapV3TwapOracle = await ethers.getContractFactory("UniswapV3TwapOracle");
+                const twapOracle = await UniswapV3TwapOracle.deploy();
+                await twapOracle.waitForDeployment();
+                contracts.UniswapV3TwapOracle = await contractEntry("UniswapV3TwapOracle", twapOracle, []);
+                twapOracleAddress = contracts.UniswapV3TwapOracle.address;
+                console.log("UniswapV3TwapOracle deployed to:", twapOracleAddress);
+            }
+
+            await (await priceMonitor.setTwapOracle(twapOracleAddress)).wait();
+
+            for (const token of twapTokens) {
+                for (const [chain, twap] of Object.entries(token.twap)) {
+                    await (await priceMonitor.setTwapSource(
+                        monitoredChainId(chain),
+                        token.address,
+                        twap.pool,
+                        twap.window,
+                        twap.baseIsToken0,
+                        twap.baseDecimals,
+                        twap.quoteDecimals
+                    )).wait();
+                    console.log(`  ${token.symbol} on ${chain}: pool ${twap.pool}, ${twap.window}s window`);
+                }
+            }
+        } catch (error) {
+            console.error("TWAP setup failed:", error.message);
+            console.log("Continuing with Chainlink only");
+        }
+    }
+
+    // L2 sequencer uptime check (Arbitrum deployments)
+    const sequencerFeed = process.env.SEQUENCER_UPTIME_FEED;
+    if (sequencerFeed) {
+        const gracePeriod = process.env.SEQUENCER_GRACE_PERIOD || 3600;
+        await (await priceMonitor.setSequencerUptimeFeed(sequencerFeed, gracePeriod)).wait();
+        console.log(`\nSequencer uptime feed set: ${sequencerFeed} (${gracePeriod}s grace period)`);
+    }
+
+    // Roles and circuit breaker
+    await configureAccess(priceMonitor);
+
+    // Test the deployment
+    console.log("\nTesting deployment...");
+    if (Object.keys(relayed).length > 0) {
+        // Relay feeds have no answer until the first report
+        console.log("Skipping price update test until the relayer has submitted a report:");
+        console.log(`  npx hardhat run scripts/price-relayer.js --network ${network.name}`);
+    } else {
+        try {
+            console.log("Testing price update...");
+            const client = new PriceMonitorClient(priceMonitor);
+            // Gas grows with the square of each token's chain count (every buy/sell pair is costed)
+            const receipt = await client.refresh(tokens.map((token) => token.address));
+            console.log("Price update successful, gas used:", receipt.gasUsed.toString());
+
+            for (const token of tokens) {
+                console.log(`\n${token.symbol} Prices:`);
+                printPriceData(await client.getPrices(token.address));
+
+                console.log(`\n${token.symbol} Arbitrage Opportunity:`);
+                printOpportunity(await client.getOpportunity(token.address));
+
+                console.log(`\n${token.symbol} Profit Breakdown:`);
+                printProfitBreakdown(await client.getProfitBreakdown(token.address), token.symbol);
+            }
+
+        } catch (error) {
+            console.log("Test failed:", error.message);
+            console.log("\nDebug info:");
+
+            try {
+                // Try to check oracle configuration
+                for (const token of tokens) {
+                    for (const chainId of await priceMonitor.getTokenChains(token.address)) {
+                        const oracle = await priceMonitor.oracles(chainId, token.address);
+                        console.log(`  ${token.symbol} chain ${chainId} oracle active:`, oracle.isActive);
+                    }
+                }
+            } catch (debugError) {
+                console.log("  Could not read oracle config:", debugError.message);
+            }
         }
     }
 
     console.log("\nDeployment complete!");
-    
-    // Save deployment info
-    const deploymentInfo = {
-        address: contractAddress,
-        network: network.name,
-        deployer: deployer.address,
-        ethereumFeed,
-        arbitrumFeed,
-        deployedAt: new Date().toISOString(),
-        blockNumber: await ethers.provider.getBlockNumber(),
-        chainId: network.config.chainId || await ethers.provider.getNetwork().then(n => n.chainId)
-    };
-    
-    console.log("\nDeployment Info:");
-    console.log(JSON.stringify(deploymentInfo, null, 2));
-    
-}
-
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error("Deployment failed:", error);
-        console.error("Stack trace:", error.stack);
-        process.exit(1);
-    });
\ No newline at end of file
+    if (!usesMockFeeds) {
+        console.log(`Register ${contractAddress} as a custom-logic Chainlink Automation upkeep (empty checkData watches all tokens)`);
+        if (process.env.REQUIRE_UPDATER_ROLE === "true") {
+            console.log("Then grant UPDATER_ROLE to the upkeep's forwarder: npx hardhat monitor:grant-role --role updater --account <forwarder>");
+        }
+    }
+
+    recordDeployment(await deploymentInfo(configHash, sequencerFeed));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit())
+        .catch((error) => {
+            console.error("Deployment failed:", error);
+            console.error("Stack trace:", error.stack);
+            process.exit(1);
+        });
+}
+
+module.exports = { deployConfigHash, loadNetworkTokens };
@@ -0,0 +1,81 @@
+const { ethers, network, artifacts } = require("hardhat");
+const { resolveAddress, recordContract, abiHash } = require("./lib/deployments");
+const { parseUsd } = require("../src");
+
+/**
+ * Risk limits from the environment (see .env.example)
+ * @return {{cooldown: number, minSpreadDelta: number, globalDailyCap: bigint, maxPriceAge: number}}
+ */
+function riskOptions() {
+    return {
+        cooldown: Number(process.env.RISK_SIGNAL_COOLDOWN || 300),
+        minSpreadDelta: Number(process.env.RISK_MIN_SPREAD_DELTA_BPS || 10),
+        globalDailyCap: parseUsd(process.env.RISK_GLOBAL_DAILY_CAP_USD || "0"),
+        maxPriceAge: Number(process.env.RISK_MAX_AGE || 300)
+    };
+}
+
+function optionalAddress(name) {
+    try {
+        return resolveAddress(network.name, name);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function main() {
+    const monitorAddress = resolveAddress(network.name);
+    const options = riskOptions();
+
+    console.log(`\nDeploying ArbitrageRiskManager to ${network.name}...\n`);
+    console.log("Price Monitor:", monitorAddress);
+
+    const ArbitrageRiskManager = await ethers.getContractFactory("ArbitrageRiskManager");
+    const riskManager = await ArbitrageRiskManager.deploy(monitorAddress);
+    await riskManager.waitForDeployment();
+    const riskManagerAddress = await riskManager.getAddress();
+    console.log("ArbitrageRiskManager deployed to:", riskManagerAddress);
+
+    if (network.name !== "hardhat") {
+        const receipt = await riskManager.deploymentTransaction().wait();
+        recordContract(network.name, "ArbitrageRiskManager", {
+            address: riskManagerAddress,
+            constructorArgs: [monitorAddress],
+            abiHash: abiHash((await artifacts.readArtifact("ArbitrageRiskManager")).abi),
+            blockNumber: receipt.blockNumber,
+            transactionHash: receipt.hash,
+            deployedAt: new Date().toISOString()
+        });
+    }
+
+    await (await riskManager.setSignalParameters(options.cooldown, options.minSpreadDelta)).wait();
+    await (await riskManager.setGlobalDailyCap(options.globalDailyCap)).wait();
+    await (await riskManager.setMaxPriceAge(options.maxPriceAge)).wait();
+    console.log(`  Signals: ${options.cooldown}s cooldown, re-emitted after widening ${options.minSpreadDelta} bps`);
+    console.log(`  Global daily cap: ${options.globalDailyCap === 0n ? "none" : `$${process.env.RISK_GLOBAL_DAILY_CAP_USD}`}`);
+
+    // Needs DEFAULT_ADMIN_ROLE on the monitor
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", monitorAddress);
+    await (await priceMonitor.setRiskManager(riskManagerAddress)).wait();
+    console.log("  Monitor signals now go through the risk manager");
+
+    const executorAddress = optionalAddress("ArbitrageExecutor");
+    if (executorAddress) {
+        const executor = await ethers.getContractAt("ArbitrageExecutor", executorAddress);
+        await (await riskManager.setExecutor(executorAddress, true)).wait();
+        await (await executor.setRiskManager(riskManagerAddress)).wait();
+        console.log("  Executor trades now count against the caps:", executorAddress);
+    }
+    console.log("\nPer-token caps: riskManager.setTokenDailyCap(token, usd18)");
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Deployment failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { riskOptions };
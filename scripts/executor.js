@@ -0,0 +1,83 @@
+const { ethers, network } = require("hardhat");
+const { resolveAddress } = require("./lib/deployments");
+const { formatRoute } = require("./lib/format");
+const { ArbitrageOrchestrator, DEFAULT_OPTIONS } = require("./lib/executor");
+
+/**
+ * Orchestrator settings from the environment
+ * @param {number} quoteDecimals Quote token decimals, to parse EXECUTOR_AMOUNT
+ * @return {object} ArbitrageOrchestrator options plus pollInterval
+ */
+function executorOptions(quoteDecimals) {
+    return {
+        asset: resolveAddress(network.name, "ExecutorAsset"),
+        quoteToken: resolveAddress(network.name, "ExecutorQuoteToken"),
+        amountIn: ethers.parseUnits(process.env.EXECUTOR_AMOUNT || "1000", quoteDecimals),
+        slippageBasisPoints: Number(process.env.EXECUTOR_SLIPPAGE_BPS || DEFAULT_OPTIONS.slippageBasisPoints),
+        spreadToleranceBasisPoints: Number(process.env.EXECUTOR_SPREAD_TOLERANCE_BPS || DEFAULT_OPTIONS.spreadToleranceBasisPoints),
+        deadlineSeconds: Number(process.env.EXECUTOR_DEADLINE || DEFAULT_OPTIONS.deadlineSeconds),
+        maxPriceAge: Number(process.env.EXECUTOR_MAX_AGE || DEFAULT_OPTIONS.maxPriceAge),
+        unlimitedApproval: process.env.EXECUTOR_UNLIMITED_APPROVAL === "true",
+        pollInterval: Number(process.env.EXECUTOR_POLL_INTERVAL || 5) * 1000
+    };
+}
+
+async function runExecutor() {
+    const monitorAddress = resolveAddress(network.name);
+    const executorAddress = resolveAddress(network.name, "ArbitrageExecutor");
+    const [signer] = await ethers.getSigners();
+
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", monitorAddress);
+    const executor = await ethers.getContractAt("ArbitrageExecutor", executorAddress, signer);
+    const quoteToken = await ethers.getContractAt("IERC20Metadata", resolveAddress(network.name, "ExecutorQuoteToken"));
+    const [decimals, symbol] = await Promise.all([quoteToken.decimals(), quoteToken.symbol()]);
+    const { pollInterval, ...options } = executorOptions(decimals);
+
+    console.log(`Starting arbitrage executor on ${network.name}...`);
+    console.log("  Price Monitor:", monitorAddress);
+    console.log("  Executor:", executorAddress);
+    console.log("  Trade Size:", ethers.formatUnits(options.amountIn, decimals), symbol);
+    console.log("  Slippage:", options.slippageBasisPoints, "bps per leg");
+    console.log("  Deadline:", options.deadlineSeconds, "seconds");
+
+    const report = (result) => {
+        const time = new Date().toISOString();
+        if (!result.executed) {
+            console.log(`[${time}] Skipped: ${result.reason}`);
+            return;
+        }
+        console.log(
+            `[${time}] Executed in ${result.receipt.hash}: ${ethers.formatUnits(result.amountIn, decimals)} → ` +
+            `${ethers.formatUnits(result.amountOut, decimals)} ${symbol} (+${ethers.formatUnits(result.profit, decimals)})`
+        );
+    };
+    const reportError = (error) => {
+        console.error(`[${new Date().toISOString()}] Trade aborted: ${error.reason || error.message}`);
+    };
+
+    // Act on whatever is already open, then on each new detection
+    const orchestrator = new ArbitrageOrchestrator(executor, priceMonitor, options);
+    const current = await orchestrator.client.getOpportunity(orchestrator.options.token);
+    if (current.isProfitable) {
+        console.log(`Open opportunity: ${formatRoute(current.buyChainId, current.sellChainId)}, ${current.spreadBasisPoints} bps`);
+        await orchestrator.execute(current).then(report, reportError);
+    }
+    const watcher = orchestrator.watch(report, { pollInterval, onError: reportError });
+
+    const shutdown = () => {
+        console.log("\nStopping executor...");
+        watcher.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+    runExecutor().catch((error) => {
+        console.error("Executor error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { executorOptions };
@@ -0,0 +1,66 @@
+const { ethers, network } = require("hardhat");
+const { resolveAddress, loadDeployment } = require("./lib/deployments");
+const { EventStore, eventLogPath } = require("./lib/event-store");
+const { EventIndexer, DEFAULT_OPTIONS } = require("./lib/indexer");
+
+/**
+ * Indexer settings from the environment
+ * @return {object} EventIndexer options
+ */
+function indexerOptions() {
+    // Backfill from the monitor's deployment block unless INDEXER_FROM_BLOCK says otherwise
+    const deployment = loadDeployment(network.name);
+    const monitorEntry = deployment && deployment.contracts && deployment.contracts.BasicPriceMonitor;
+    const deployBlock = monitorEntry && monitorEntry.blockNumber !== undefined ? monitorEntry.blockNumber : DEFAULT_OPTIONS.fromBlock;
+
+    return {
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || DEFAULT_OPTIONS.confirmations),
+        batchSize: Number(process.env.INDEXER_BATCH_SIZE || DEFAULT_OPTIONS.batchSize),
+        pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || DEFAULT_OPTIONS.pollInterval / 1000) * 1000,
+        fromBlock: Number(process.env.INDEXER_FROM_BLOCK || deployBlock)
+    };
+}
+
+async function runIndexer() {
+    const contractAddress = resolveAddress(network.name);
+    const options = indexerOptions();
+    const store = new EventStore(eventLogPath(network.name));
+
+    console.log(`Starting event indexer on ${network.name}...`);
+    console.log("  Contract Address:", contractAddress);
+    console.log("  Event Log:", store.file);
+    console.log("  Confirmations:", options.confirmations);
+    console.log("  Poll Interval:", options.pollInterval / 1000, "seconds");
+
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", contractAddress);
+    const indexer = new EventIndexer(priceMonitor, store, options);
+
+    const shutdown = () => {
+        console.log("\nStopping indexer...");
+        indexer.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    indexer.start(
+        (result) => {
+            if (result.unwound > 0) {
+                console.log(`[${new Date().toISOString()}] Reorg: dropped ${result.unwound} event(s) for re-indexing`);
+            }
+            if (result.indexed > 0) {
+                console.log(`[${new Date().toISOString()}] Indexed ${result.indexed} event(s) up to block ${result.lastBlock}`);
+            }
+        },
+        (error) => console.error("Indexer sync failed:", error.shortMessage || error.message)
+    );
+}
+
+if (require.main === module) {
+    runIndexer().catch((error) => {
+        console.error("Indexer error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { indexerOptions };
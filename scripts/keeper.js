@@ -0,0 +1,365 @@
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadTokenConfig } = require("./lib/tokens");
+const { resolveAddress } = require("./lib/deployments");
+const { formatRoute } = require("./lib/format");
+const { PriceMonitorClient, MonitorError, ETH_ADDRESS, decodeMonitorError, formatUsd } = require("../src");
+
+// Default keeper settings (all overridable through options or env)
+const DEFAULT_OPTIONS = {
+    pollInterval: 60000,   // ms between ticks
+    maxAge: 300,           // seconds before stored price data counts as stale
+    maxRetries: 3,         // extra attempts after a retryable revert
+    retryDelay: 5000,      // ms before the first retry
+    backoffFactor: 2,      // retry delay multiplier per attempt
+    gasLimit: 750000       // Per token; safety margin
+};
+
+// MedianPriceFeed.Exclusion names, by value
+const EXCLUSION_REASONS = ["NONE", "READ_FAILED", "INCOMPLETE_ROUND", "STALE_ROUND", "INVALID_PRICE", "STALE_PRICE", "DEVIATION"];
+
+// Median feeds aggregated by a monitor update log their exclusions in the same receipt
+const MEDIAN_FEED_EVENTS = new ethers.Interface(["event SourcesExcluded(address[] sources, uint8[] reasons)"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Long-running keeper that drives BasicPriceMonitor price updates for a token list
+ * and dispatches monitor events to pluggable handlers.
+ *
+ * A handler is any object implementing some of:
+ *   onPricesUpdated(event), onArbitrageOpportunity(event), onCircuitBreakerTripped(event),
+ *   onChainPriceSkipped(event), onSourcesExcluded(info), onSkip(info), onRetry(info),
+ *   onTokenFailed(info), onError(error)
+ *
+ * Stale tokens are refreshed in one batch. If the batch reverts they are updated one by one, so
+ * a token whose feed is failing cannot hold back the others: each token that still fails is
+ * reported with onTokenFailed, and the tick fails only when no token could be updated.
+ *
+ * Slots fed by a MedianPriceFeed are aggregated by the monitor's own update; the sources each
+ * feed left out are reported from the keeper's update receipt.
+ */
+class PriceKeeper {
+    constructor(priceMonitor, options = {}) {
+        this.priceMonitor = priceMonitor;
+        this.client = new PriceMonitorClient(priceMonitor);
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.tokens = options.tokens || [ETH_ADDRESS];
+        this.handlers = [];
+        this.lastProcessedBlock = options.fromBlock !== undefined ? options.fromBlock - 1 : undefined;
+        this.running = false;
+        this.timer = null;
+
+        for (const handler of options.handlers || []) {
+            this.addHandler(handler);
+        }
+    }
+
+    addHandler(handler) {
+        this.handlers.push(handler);
+        return this;
+    }
+
+    /**
+     * Run a single keeper cycle: refresh stale tokens, then dispatch new events
+     * @return {Promise<{updated: boolean, tokens: string[], receipts: object[], failed: string[]}>}
+     *   tokens are the stale tokens, failed the ones among them that could not be updated
+     */
+    async tick() {
+        await this._ensureStartBlock();
+
+        if (await this.priceMonitor.paused()) {
+            // Updates revert until an admin unpauses; keep dispatching events meanwhile
+            await this._dispatch("onSkip", { reason: "Monitor is paused" });
+            await this.processEvents();
+            return { updated: false, tokens: [], receipts: [], failed: [] };
+        }
+
+        const freshness = await Promise.all(
+            this.tokens.map((token) => this.priceMonitor.isPriceDataFresh(token, this.options.maxAge))
+        );
+        const staleTokens = this.tokens.filter((token, i) => !freshness[i]);
+
+        let result = { receipts: [], failed: [] };
+        if (staleTokens.length === 0) {
+            await this._dispatch("onSkip", { reason: "Price data still fresh", maxAge: this.options.maxAge });
+        } else {
+            result = await this._updateTokens(staleTokens);
+            for (const receipt of result.receipts) {
+                await this._reportExcludedSources(receipt);
+            }
+        }
+
+        await this.processEvents();
+        return { updated: result.receipts.length > 0, tokens: staleTokens, ...result };
+    }
+
+    /**
+     * Dispatch PricesUpdated / ArbitrageOpportunityDetected / CircuitBreakerTripped /
+     * ChainPriceSkipped logs emitted since the last tick, including ones triggered by other callers
+     */
+    async processEvents() {
+        if (!(await this._ensureStartBlock())) {
+            return;
+        }
+
+        const toBlock = await this.priceMonitor.runner.provider.getBlockNumber();
+        const fromBlock = this.lastProcessedBlock + 1;
+        if (fromBlock > toBlock) {
+            return;
+        }
+
+        const events = await this.client.getEvents(
+            ["PricesUpdated", "ArbitrageOpportunityDetected", "CircuitBreakerTripped", "ChainPriceSkipped"],
+            fromBlock,
+            toBlock
+        );
+
+        for (const { event, logIndex, ...payload } of events) {
+            if (event === "PricesUpdated") {
+                await this._dispatch("onPricesUpdated", payload);
+            } else if (event === "CircuitBreakerTripped") {
+                await this._dispatch("onCircuitBreakerTripped", payload);
+            } else if (event === "ChainPriceSkipped") {
+                await this._dispatch("onChainPriceSkipped", payload);
+            } else {
+                await this._dispatch("onArbitrageOpportunity", payload);
+            }
+        }
+
+        this.lastProcessedBlock = toBlock;
+    }
+
+    /**
+     * Start polling; each tick is scheduled after the previous one finishes
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        const loop = async () => {
+            try {
+                await this.tick();
+            } catch (error) {
+                await this._dispatch("onError", error);
+            }
+            if (this.running) {
+                this.timer = setTimeout(loop, this.options.pollInterval);
+            }
+        };
+        loop();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Anchor event processing at the current block on first use
+     * @return {Promise<boolean>} False if the anchor was only just set
+     */
+    async _ensureStartBlock() {
+        if (this.lastProcessedBlock !== undefined) {
+            return true;
+        }
+        this.lastProcessedBlock = await this.priceMonitor.runner.provider.getBlockNumber();
+        return false;
+    }
+
+    /**
+     * Report the sources each MedianPriceFeed aggregated by an update left out
+     * @param {object} receipt Update transaction receipt
+     */
+    async _reportExcludedSources(receipt) {
+        for (const log of receipt.logs) {
+            const parsed = MEDIAN_FEED_EVENTS.parseLog(log);
+            if (parsed) {
+                await this._dispatch("onSourcesExcluded", {
+                    feed: log.address,
+                    sources: [...parsed.args.sources],
+                    reasons: parsed.args.reasons.map((reason) => EXCLUSION_REASONS[Number(reason)])
+                });
+            }
+        }
+    }
+
+    /**
+     * Update tokens in one batch, falling back to one transaction per token if the batch reverts
+     * @param {string[]} tokens Tokens to update
+     * @return {Promise<{receipts: object[], failed: string[]}>}
+     */
+    async _updateTokens(tokens) {
+        if (tokens.length > 1) {
+            try {
+                return { receipts: [await this._sendUpdate(tokens)], failed: [] };
+            } catch (error) {
+                // Find out below which tokens the revert belongs to
+            }
+        }
+
+        const receipts = [];
+        const failures = [];
+        for (const token of tokens) {
+            try {
+                receipts.push(await this._updateWithRetry([token]));
+            } catch (error) {
+                failures.push({ token, error });
+            }
+        }
+        if (receipts.length === 0) {
+            throw failures[0].error;
+        }
+        for (const failure of failures) {
+            await this._dispatch("onTokenFailed", failure);
+        }
+        return { receipts, failed: failures.map((failure) => failure.token) };
+    }
+
+    async _sendUpdate(tokens) {
+        const tx = await this.priceMonitor.updatePrices(tokens, { gasLimit: this.options.gasLimit * tokens.length });
+        return tx.wait();
+    }
+
+    async _updateWithRetry(tokens) {
+        const { maxRetries, retryDelay, backoffFactor } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._sendUpdate(tokens);
+            } catch (error) {
+                if (!isRetryableError(error) || attempt >= maxRetries) {
+                    throw error;
+                }
+                const delay = retryDelay * backoffFactor ** attempt;
+                await this._dispatch("onRetry", { attempt: attempt + 1, delay, error });
+                await sleep(delay);
+            }
+        }
+    }
+
+    async _dispatch(hook, payload) {
+        for (const handler of this.handlers) {
+            if (typeof handler[hook] !== "function") {
+                continue;
+            }
+            try {
+                await handler[hook](payload);
+            } catch (error) {
+                // A broken handler must not take the keeper down
+                console.error(`Keeper handler ${hook} failed:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Check whether a failed update is worth retrying
+ * @param {Error} error Error thrown by the update transaction
+ * @return {boolean} True for transient oracle reverts (see src/errors.js)
+ */
+function isRetryableError(error) {
+    const decoded = decodeMonitorError(error);
+    return decoded instanceof MonitorError && decoded.retryable;
+}
+
+// Default handler: log everything to the console
+const consoleHandler = {
+    onPricesUpdated(event) {
+        console.log(`[${new Date().toISOString()}] Prices updated (block ${event.blockNumber})`);
+        console.log("  Ethereum Price: $", formatUsd(event.ethereumPrice));
+        console.log("  Arbitrum Price: $", formatUsd(event.arbitrumPrice));
+        console.log("  Spread:", event.spread.toString(), "basis points");
+        console.log("  Route:", formatRoute(event.buyChainId, event.sellChainId),
+            `($${formatUsd(event.buyPrice)} → $${formatUsd(event.sellPrice)})`);
+    },
+    onArbitrageOpportunity(event) {
+        console.log(`[${new Date().toISOString()}] Arbitrage opportunity detected!`);
+        console.log("  Spread:", event.spreadBasisPoints.toString(), "basis points");
+        console.log("  Estimated Profit: $", formatUsd(event.estimatedProfit));
+        console.log("  Route:", formatRoute(event.buyChainId, event.sellChainId));
+    },
+    onCircuitBreakerTripped(event) {
+        console.log(`[${new Date().toISOString()}] Circuit breaker tripped, monitor paused (block ${event.blockNumber})`);
+        console.log(`  Chain ${event.chainId}: $${formatUsd(event.previousPrice)} → $${formatUsd(event.newPrice)}`);
+        console.log("  Move:", event.moveBasisPoints.toString(), "basis points");
+    },
+    onChainPriceSkipped(event) {
+        console.log(`[${new Date().toISOString()}] No usable median for ${event.token} on chain ${event.chainId}, left unpriced`);
+    },
+    onSourcesExcluded(info) {
+        const excluded = info.sources.map((source, i) => `${source} (${info.reasons[i]})`).join(", ");
+        console.log(`[${new Date().toISOString()}] Median feed ${info.feed} left out: ${excluded}`);
+    },
+    onSkip(info) {
+        const detail = info.maxAge !== undefined ? ` (max age ${info.maxAge}s)` : "";
+        console.log(`[${new Date().toISOString()}] Skipping update: ${info.reason}${detail}`);
+    },
+    onRetry(info) {
+        console.log(`Update reverted (${info.error.shortMessage || info.error.message}), retry ${info.attempt} in ${info.delay}ms`);
+    },
+    onTokenFailed(info) {
+        console.error(`Update of ${info.token} failed, other tokens updated:`, info.error.shortMessage || info.error.message);
+    },
+    onError(error) {
+        console.error("Keeper tick failed:", error.shortMessage || error.message);
+    }
+};
+
+/**
+ * Load extra handlers from a comma-separated list of module paths (KEEPER_HANDLERS)
+ * @param {string} list Module paths, relative to the working directory
+ * @return {object[]} Handler objects
+ */
+function loadHandlers(list) {
+    if (!list) {
+        return [];
+    }
+    return list.split(",").map((modulePath) => require(path.resolve(modulePath.trim())));
+}
+
+async function runKeeper() {
+    const contractAddress = resolveAddress(network.name);
+
+    const options = {
+        pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || DEFAULT_OPTIONS.pollInterval / 1000) * 1000,
+        maxAge: Number(process.env.KEEPER_MAX_AGE || DEFAULT_OPTIONS.maxAge),
+        maxRetries: Number(process.env.KEEPER_MAX_RETRIES || DEFAULT_OPTIONS.maxRetries),
+        retryDelay: Number(process.env.KEEPER_RETRY_DELAY || DEFAULT_OPTIONS.retryDelay / 1000) * 1000,
+        tokens: loadTokenConfig(network.name).map((token) => token.address),
+        handlers: [consoleHandler, ...loadHandlers(process.env.KEEPER_HANDLERS)]
+    };
+
+    console.log(`Starting price keeper on ${network.name}...`);
+    console.log("  Contract Address:", contractAddress);
+    console.log("  Poll Interval:", options.pollInterval / 1000, "seconds");
+    console.log("  Max Data Age:", options.maxAge, "seconds");
+    console.log("  Tokens:", options.tokens.join(", "));
+
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", contractAddress);
+    const keeper = new PriceKeeper(priceMonitor, options);
+
+    const shutdown = () => {
+        console.log("\nStopping keeper...");
+        keeper.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+
+    keeper.start();
+}
+
+if (require.main === module) {
+    runKeeper().catch((error) => {
+        console.error("Keeper error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { PriceKeeper, isRetryableError, consoleHandler, DEFAULT_OPTIONS, EXCLUSION_REASONS };
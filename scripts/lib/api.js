@@ -0,0 +1,319 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { WebSocketServer } = require("ws");
+const { formatRoute } = require("./format");
+const { PriceMonitorClient, ETH_ADDRESS, formatUsd, formatTimestamp } = require("../../src");
+
+const DEFAULT_OPTIONS = {
+    maxAge: 300,         // seconds before price data counts as stale (same default as the keeper)
+    pollInterval: 5000,  // ms between event polls for WebSocket pushes
+    tokens: [{ symbol: "ETH", address: ETH_ADDRESS }]
+};
+
+// Events pushed to WebSocket clients
+const STREAMED_EVENTS = ["PricesUpdated", "ArbitrageOpportunityDetected"];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Decode PriceMonitorClient.getPrices into USD strings and bps
+ * @param {object} prices PriceData fields plus chains: [{ chainId, price }]
+ * @return {object}
+ */
+function decodePrices(prices) {
+    return {
+        ethereumPriceUsd: formatUsd(prices.ethereumPrice),
+        arbitrumPriceUsd: formatUsd(prices.arbitrumPrice),
+        spreadBps: Number(prices.spread),
+        isEthereumHigher: prices.isEthereumHigher,
+        buyChainId: Number(prices.buyChainId),
+        sellChainId: Number(prices.sellChainId),
+        route: formatRoute(prices.buyChainId, prices.sellChainId),
+        chains: prices.chains.map(({ chainId, price }) => ({ chainId: Number(chainId), priceUsd: formatUsd(price) })),
+        timestamp: Number(prices.timestamp),
+        updatedAt: formatTimestamp(prices.timestamp)
+    };
+}
+
+/**
+ * Decode PriceMonitorClient.getOpportunity
+ * @param {object} opportunity ArbitrageOpportunity fields
+ * @return {object}
+ */
+function decodeOpportunity(opportunity) {
+    return {
+        isProfitable: opportunity.isProfitable,
+        spreadBps: Number(opportunity.spreadBasisPoints),
+        estimatedProfitUsd: formatUsd(opportunity.estimatedProfit),
+        gasCostUsd: formatUsd(opportunity.gasEstimate),
+        isEthToArb: opportunity.isEthToArb,
+        buyChainId: Number(opportunity.buyChainId),
+        sellChainId: Number(opportunity.sellChainId),
+        route: formatRoute(opportunity.buyChainId, opportunity.sellChainId)
+    };
+}
+
+/**
+ * Decode a streamed monitor event
+ * @param {object} event Event from PriceMonitorClient.getEvents
+ * @return {object} { type, data }
+ */
+function decodeEvent(event) {
+    const meta = { blockNumber: event.blockNumber, transactionHash: event.transactionHash };
+    if (event.event === "PricesUpdated") {
+        return {
+            type: "PricesUpdated",
+            data: {
+                token: event.token,
+                ethereumPriceUsd: formatUsd(event.ethereumPrice),
+                arbitrumPriceUsd: formatUsd(event.arbitrumPrice),
+                spreadBps: Number(event.spread),
+                buyChainId: Number(event.buyChainId),
+                sellChainId: Number(event.sellChainId),
+                buyPriceUsd: formatUsd(event.buyPrice),
+                sellPriceUsd: formatUsd(event.sellPrice),
+                route: formatRoute(event.buyChainId, event.sellChainId),
+                timestamp: Number(event.timestamp),
+                ...meta
+            }
+        };
+    }
+    return {
+        type: "ArbitrageOpportunityDetected",
+        data: {
+            token: event.token,
+            spreadBps: Number(event.spreadBasisPoints),
+            estimatedProfitUsd: formatUsd(event.estimatedProfit),
+            isEthToArb: event.isEthToArb,
+            buyChainId: Number(event.buyChainId),
+            sellChainId: Number(event.sellChainId),
+            route: formatRoute(event.buyChainId, event.sellChainId),
+            timestamp: Number(event.timestamp),
+            ...meta
+        }
+    };
+}
+
+/**
+ * Read-only HTTP/WebSocket API over a deployed BasicPriceMonitor.
+ *
+ * REST (GET, JSON): /health, /tokens, /tokens/:token/prices, /tokens/:token/opportunity,
+ * /tokens/:token/freshness?maxAge=, /tokens/:token/oracles; :token is a symbol or an address.
+ * WebSocket (/ws): pushes { type, data } for PricesUpdated and ArbitrageOpportunityDetected.
+ */
+class PriceApiServer {
+    /**
+     * @param {object} priceMonitor BasicPriceMonitor contract (with a provider)
+     * @param {object} [options] See DEFAULT_OPTIONS
+     */
+    constructor(priceMonitor, options = {}) {
+        this.priceMonitor = priceMonitor;
+        this.client = new PriceMonitorClient(priceMonitor);
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.server = http.createServer((request, response) => this._handle(request, response));
+        this.wss = new WebSocketServer({ server: this.server, path: "/ws" });
+        this.lastBlock = undefined;
+        this.timer = null;
+    }
+
+    get provider() {
+        return this.priceMonitor.runner.provider;
+    }
+
+    /**
+     * Start listening and streaming events
+     * @param {number} [port] TCP port (0 for any free port)
+     * @param {string} [host] Interface to bind
+     * @return {Promise<number>} Bound port
+     */
+    async listen(port = 8080, host = "127.0.0.1") {
+        this.lastBlock = await this.provider.getBlockNumber();
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, resolve);
+        });
+        this._schedulePoll();
+        return this.server.address().port;
+    }
+
+    async close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        await new Promise((resolve) => this.wss.close(resolve));
+        await new Promise((resolve) => this.server.close(resolve));
+    }
+
+    /**
+     * Push monitor events mined since the last poll to every WebSocket client
+     * @return {Promise<number>} Number of events pushed
+     */
+    async pollEvents() {
+        const toBlock = await this.provider.getBlockNumber();
+        if (toBlock <= this.lastBlock) {
+            return 0;
+        }
+        const events = await this.client.getEvents(STREAMED_EVENTS, this.lastBlock + 1, toBlock);
+        this.lastBlock = toBlock;
+
+        for (const event of events) {
+            const message = JSON.stringify(decodeEvent(event));
+            for (const client of this.wss.clients) {
+                if (client.readyState === client.OPEN) {
+                    client.send(message);
+                }
+            }
+        }
+        return events.length;
+    }
+
+    _schedulePoll() {
+        this.timer = setTimeout(async () => {
+            try {
+                await this.pollEvents();
+            } catch (error) {
+                console.error("API event poll failed:", error.shortMessage || error.message);
+            }
+            if (this.timer) {
+                this._schedulePoll();
+            }
+        }, this.options.pollInterval);
+    }
+
+    async _handle(request, response) {
+        let status = 200;
+        let body;
+        try {
+            if (request.method !== "GET") {
+                throw new HttpError(405, "Read-only API: only GET is supported");
+            }
+            const url = new URL(request.url, "http://localhost");
+            ({ status = 200, body } = await this._route(url));
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.status ? error.message : (error.shortMessage || error.message) };
+        }
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(body));
+    }
+
+    async _route(url) {
+        const parts = url.pathname.split("/").filter(Boolean);
+
+        if (parts.length === 1 && parts[0] === "health") {
+            const health = await this.health();
+            return { status: health.status === "ok" ? 200 : 503, body: health };
+        }
+        if (parts.length === 1 && parts[0] === "tokens") {
+            const tokens = await this.priceMonitor.getSupportedTokens();
+            return { body: tokens.map((address) => ({ symbol: this._symbol(address), address })) };
+        }
+        if (parts.length === 3 && parts[0] === "tokens") {
+            const token = await this._resolveToken(parts[1]);
+            switch (parts[2]) {
+                case "prices": {
+                    const prices = await this.client.getPrices(token);
+                    return { body: { token, symbol: this._symbol(token), ...decodePrices(prices) } };
+                }
+                case "opportunity": {
+                    const opportunity = await this.client.getOpportunity(token);
+                    return { body: { token, symbol: this._symbol(token), ...decodeOpportunity(opportunity) } };
+                }
+                case "freshness": {
+                    const maxAge = this._maxAge(url.searchParams.get("maxAge"));
+                    return { body: { token, maxAge, ...(await this._freshness(token, maxAge)) } };
+                }
+                case "oracles": {
+                    const oracles = (await this.client.getOracleConfig(token)).map((oracle) => ({
+                        chainId: Number(oracle.chainId),
+                        chainlinkFeed: oracle.chainlinkFeed,
+                        maxStaleness: Number(oracle.maxStaleness),
+                        isActive: oracle.isActive,
+                        uniswapV3Pool: oracle.uniswapV3Pool
+                    }));
+                    return { body: { token, symbol: this._symbol(token), oracles } };
+                }
+                default:
+                    break;
+            }
+        }
+        throw new HttpError(404, `Unknown endpoint ${url.pathname}`);
+    }
+
+    /**
+     * Health report: "ok", "stale" if any token's data is older than maxAge, or "paused"
+     * @return {Promise<object>}
+     */
+    async health() {
+        const [blockNumber, paused, tokens] = await Promise.all([
+            this.provider.getBlockNumber(),
+            this.priceMonitor.paused(),
+            this.priceMonitor.getSupportedTokens()
+        ]);
+        const { maxAge } = this.options;
+        const tokenHealth = [];
+        for (const token of tokens) {
+            tokenHealth.push({ token, symbol: this._symbol(token), ...(await this._freshness(token, maxAge)) });
+        }
+
+        let status = "ok";
+        if (paused) {
+            status = "paused";
+        } else if (tokenHealth.some((entry) => !entry.fresh)) {
+            status = "stale";
+        }
+        return { status, blockNumber, paused, maxAge, tokens: tokenHealth };
+    }
+
+    async _freshness(token, maxAge) {
+        const [fresh, priceData, block] = await Promise.all([
+            this.client.isFresh(token, maxAge),
+            this.priceMonitor.getTokenPriceData(token),
+            this.provider.getBlock("latest")
+        ]);
+        const updated = priceData.timestamp > 0n;
+        return {
+            fresh,
+            ageSeconds: updated ? block.timestamp - Number(priceData.timestamp) : null,
+            updatedAt: formatTimestamp(priceData.timestamp)
+        };
+    }
+
+    _maxAge(value) {
+        if (value === null) {
+            return this.options.maxAge;
+        }
+        if (!/^\d+$/.test(value)) {
+            throw new HttpError(400, `Invalid maxAge "${value}"; expected seconds`);
+        }
+        return Number(value);
+    }
+
+    async _resolveToken(token) {
+        let address;
+        if (ethers.isAddress(token)) {
+            address = ethers.getAddress(token);
+        } else {
+            const match = this.options.tokens.find((entry) => entry.symbol.toUpperCase() === token.toUpperCase());
+            address = match && match.address;
+        }
+        if (!address || !(await this.priceMonitor.isTokenSupported(address))) {
+            throw new HttpError(404, `Unknown token "${token}"`);
+        }
+        return address;
+    }
+
+    _symbol(address) {
+        const match = this.options.tokens.find((entry) => entry.address.toLowerCase() === address.toLowerCase());
+        return match ? match.symbol : null;
+    }
+}
+
+module.exports = { PriceApiServer, decodePrices, decodeOpportunity, decodeEvent, DEFAULT_OPTIONS };
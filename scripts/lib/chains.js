@@ -0,0 +1,55 @@
+const fs = require("fs");
+const path = require("path");
+
+// Loaded by hardhat.config.js, so this must not require("hardhat")
+const DEFAULT_CHAIN_CONFIG = path.join(__dirname, "..", "..", "config", "chains.json");
+
+/**
+ * Load monitored chains and hardhat network definitions
+ * @param {string} [configPath] Path to the config file (defaults to CHAIN_CONFIG or config/chains.json)
+ * @return {object} Parsed chain config: { monitored: { [name]: chainId }, nativeTokens: { [name]: symbol },
+ *   networks: { [name]: network } }; chains missing from nativeTokens pay gas in ETH
+ */
+function loadChainConfig(configPath = process.env.CHAIN_CONFIG || DEFAULT_CHAIN_CONFIG) {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * Chain ID of a monitored chain, by name ("optimism") or ID ("10")
+ * @param {string|number|bigint} chain Chain name or ID
+ * @param {object} [chainConfig] Parsed chain config
+ * @return {bigint}
+ */
+function monitoredChainId(chain, chainConfig = loadChainConfig()) {
+    const key = String(chain).toLowerCase();
+    const chainIds = Object.values(chainConfig.monitored).map(String);
+    if (chainConfig.monitored[key] !== undefined) {
+        return BigInt(chainConfig.monitored[key]);
+    }
+    if (chainIds.includes(key)) {
+        return BigInt(key);
+    }
+    throw new Error(`Unsupported chain "${chain}" (expected ${Object.keys(chainConfig.monitored).join(", ")} or a chain ID)`);
+}
+
+/**
+ * Build hardhat network entries, filling {VAR} placeholders in URLs from the environment
+ * @param {string[]} accounts Deployment accounts
+ * @param {object} [chainConfig] Parsed chain config
+ * @param {object} [env] Environment to read placeholders from
+ * @return {object} Hardhat `networks` entries keyed by network name
+ */
+function hardhatNetworks(accounts, chainConfig = loadChainConfig(), env = process.env) {
+    const networks = {};
+    for (const [name, network] of Object.entries(chainConfig.networks)) {
+        networks[name] = {
+            url: network.url.replace(/\{(\w+)\}/g, (match, variable) => env[variable] || ""),
+            accounts,
+            chainId: network.chainId,
+            ...(network.gasPriceGwei && { gasPrice: Math.round(Number(network.gasPriceGwei) * 1e9) })
+        };
+    }
+    return networks;
+}
+
+module.exports = { loadChainConfig, monitoredChainId, hardhatNetworks, DEFAULT_CHAIN_CONFIG };
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+// Contract names recorded in the registry and the env vars that override them
+const ADDRESS_ENV_VARS = {
+    BasicPriceMonitor: "PRICE_MONITOR_ADDRESS",
+    CrossChainGasEstimator: "GAS_ESTIMATOR_ADDRESS",
+    ArbitrageLimitOrderExtension: "LIMIT_ORDER_EXTENSION_ADDRESS",
+    ArbitrageExecutor: "ARBITRAGE_EXECUTOR_ADDRESS",
+    ArbitrageRiskManager: "RISK_MANAGER_ADDRESS",
+    ExecutorAsset: "EXECUTOR_ASSET",
+    ExecutorQuoteToken: "EXECUTOR_QUOTE_TOKEN"
+};
+
+/**
+ * Path of a network's deployment record
+ * @param {string} networkName Hardhat network name
+ * @param {string} [dir] Registry directory (defaults to DEPLOYMENTS_DIR or deployments/)
+ * @return {string}
+ */
+function deploymentPath(networkName, dir = process.env.DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR) {
+    return path.join(dir, `${networkName}.json`);
+}
+
+/**
+ * Load a network's deployment record
+ * @param {string} networkName Hardhat network name
+ * @param {string} [dir] Registry directory
+ * @return {object|null} { network, chainId, deployer, configHash, contracts: { Name: { address, ... } }, tokens, ... }, or null if never deployed
+ */
+function loadDeployment(networkName, dir) {
+    const file = deploymentPath(networkName, dir);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Write a network's deployment record (bigints are stored as strings)
+ * @param {string} networkName Hardhat network name
+ * @param {object} deployment Deployment record
+ * @param {string} [dir] Registry directory
+ * @return {string} Path written
+ */
+function saveDeployment(networkName, deployment, dir) {
+    const file = deploymentPath(networkName, dir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(deployment, (key, value) => (
+        typeof value === "bigint" ? value.toString() : value
+    ), 2) + "\n");
+    return file;
+}
+
+/**
+ * Add or replace one contract in a network's deployment record
+ * @param {string} networkName Hardhat network name
+ * @param {string} name Contract name
+ * @param {object} entry { address, constructorArgs, abiHash, blockNumber, ... }
+ * @param {string} [dir] Registry directory
+ * @return {object} Updated deployment record
+ */
+function recordContract(networkName, name, entry, dir) {
+    const deployment = loadDeployment(networkName, dir) || { network: networkName, contracts: {} };
+    deployment.contracts = { ...deployment.contracts, [name]: entry };
+    saveDeployment(networkName, deployment, dir);
+    return deployment;
+}
+
+/**
+ * Resolve a deployed contract address: the override env var first, then the registry
+ * @param {string} networkName Hardhat network name
+ * @param {string} [name] Contract name (BasicPriceMonitor by default)
+ * @param {string} [dir] Registry directory
+ * @return {string} Contract address
+ */
+function resolveAddress(networkName, name = "BasicPriceMonitor", dir) {
+    const envVar = ADDRESS_ENV_VARS[name];
+    const override = envVar && process.env[envVar];
+    if (override && override !== "0x...") {
+        return override;
+    }
+
+    const deployment = loadDeployment(networkName, dir);
+    const entry = deployment && deployment.contracts && deployment.contracts[name];
+    if (!entry) {
+        const hint = envVar ? `set ${envVar} or ` : "";
+        throw new Error(`No ${name} deployment for "${networkName}": ${hint}deploy first (${deploymentPath(networkName, dir)})`);
+    }
+    return entry.address;
+}
+
+/**
+ * Hash of a contract ABI, to spot deployments made from an older interface
+ * @param {object[]} abi Contract ABI
+ * @return {string} keccak256 of the JSON-encoded ABI
+ */
+function abiHash(abi) {
+    return ethers.id(JSON.stringify(abi));
+}
+
+module.exports = {
+    DEFAULT_DEPLOYMENTS_DIR,
+    ADDRESS_ENV_VARS,
+    deploymentPath,
+    loadDeployment,
+    saveDeployment,
+    recordContract,
+    resolveAddress,
+    abiHash
+};
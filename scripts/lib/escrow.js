@@ -0,0 +1,267 @@
+const { ethers } = require("ethers");
+const { decodeMonitorError } = require("../../src");
+
+// Escrow.status values (IEscrow.Status)
+const ESCROW_STATUS = { NONE: 0n, ACTIVE: 1n, WITHDRAWN: 2n, CANCELLED: 3n };
+
+// Seconds from escrow creation, per chain. The destination escrow must expire well before the
+// source one: after revealing the secret there, the resolver still has to withdraw here.
+const DEFAULT_TIMELOCKS = {
+    srcWithdrawDelay: 60,     // finality lock before the resolver may claim the maker's funds
+    srcCancelDelay: 3600,
+    dstWithdrawDelay: 60,
+    dstCancelDelay: 1800,
+    safetyGap: 600            // minimum time between the destination and source cancellations
+};
+
+const erc20Interface = new ethers.Interface([
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)"
+]);
+
+/**
+ * Fresh random secret and its hashlock
+ * @return {{secret: string, hashlock: string}}
+ */
+function createSecret() {
+    const secret = ethers.hexlify(ethers.randomBytes(32));
+    return { secret, hashlock: hashSecret(secret) };
+}
+
+/**
+ * Hashlock for a secret, as the escrows compute it
+ * @param {string} secret 32-byte hex secret
+ * @return {string} keccak256(secret)
+ */
+function hashSecret(secret) {
+    return ethers.keccak256(secret);
+}
+
+/**
+ * Identifier shared by both escrows of a cross-chain order
+ * @param {object} order { maker, srcChainId, dstChainId, srcToken, dstToken, srcAmount, dstAmount, hashlock, salt }
+ * @return {string} bytes32 order hash
+ */
+function computeOrderHash(order) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["address", "uint256", "uint256", "address", "address", "uint256", "uint256", "bytes32", "uint256"],
+        [
+            order.maker,
+            order.srcChainId,
+            order.dstChainId,
+            order.srcToken,
+            order.dstToken,
+            order.srcAmount,
+            order.dstAmount,
+            order.hashlock,
+            order.salt
+        ]
+    ));
+}
+
+/**
+ * Key of an escrow on its chain, as the escrows compute it (IEscrow.escrowId)
+ * @param {object} immutables IEscrow.Immutables
+ * @return {string} keccak256(abi.encode(immutables))
+ */
+function escrowId(immutables) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ["tuple(bytes32, bytes32, address, address, address, uint256, uint64, uint64)"],
+        [[
+            immutables.orderHash,
+            immutables.hashlock,
+            immutables.maker,
+            immutables.taker,
+            immutables.token,
+            immutables.amount,
+            immutables.withdrawAfter,
+            immutables.cancelAfter
+        ]]
+    ));
+}
+
+/**
+ * Terms of the maker's source escrow
+ * @param {object} order Cross-chain order (see computeOrderHash)
+ * @param {string} taker Resolver address
+ * @param {number} now Source chain timestamp
+ * @param {object} [timelocks] See DEFAULT_TIMELOCKS
+ * @return {object} IEscrow.Immutables
+ */
+function sourceImmutables(order, taker, now, timelocks = {}) {
+    const { srcWithdrawDelay, srcCancelDelay } = { ...DEFAULT_TIMELOCKS, ...timelocks };
+    return {
+        orderHash: computeOrderHash(order),
+        hashlock: order.hashlock,
+        maker: order.maker,
+        taker,
+        token: order.srcToken,
+        amount: BigInt(order.srcAmount),
+        withdrawAfter: BigInt(now + srcWithdrawDelay),
+        cancelAfter: BigInt(now + srcCancelDelay)
+    };
+}
+
+/**
+ * Terms of the resolver's destination escrow for an order
+ * @param {object} order Cross-chain order (see computeOrderHash)
+ * @param {string} taker Resolver address
+ * @param {number} now Destination chain timestamp
+ * @param {object} [timelocks] See DEFAULT_TIMELOCKS
+ * @return {object} IEscrow.Immutables
+ */
+function destinationImmutables(order, taker, now, timelocks = {}) {
+    const { dstWithdrawDelay, dstCancelDelay } = { ...DEFAULT_TIMELOCKS, ...timelocks };
+    return {
+        orderHash: computeOrderHash(order),
+        hashlock: order.hashlock,
+        maker: order.maker,
+        taker,
+        token: order.dstToken,
+        amount: BigInt(order.dstAmount),
+        withdrawAfter: BigInt(now + dstWithdrawDelay),
+        cancelAfter: BigInt(now + dstCancelDelay)
+    };
+}
+
+/**
+ * Resolver side of a cross-chain order: funds the destination escrow once the maker's funds
+ * are locked, then settles with the secret or refunds after the timelocks.
+ *
+ * Reverts are rethrown as MonitorError (src/errors.js) with the escrows' error names, e.g.
+ * "InvalidTime" or "SpreadConditionNotMet".
+ */
+class CrossChainResolver {
+    /**
+     * @param {object} escrowSrc EscrowSrc on the source chain, connected to the resolver
+     * @param {object} escrowDst EscrowDst on the destination chain, connected to the resolver
+     * @param {object} [timelocks] See DEFAULT_TIMELOCKS
+     */
+    constructor(escrowSrc, escrowDst, timelocks = {}) {
+        this.escrowSrc = escrowSrc;
+        this.escrowDst = escrowDst;
+        this.timelocks = { ...DEFAULT_TIMELOCKS, ...timelocks };
+    }
+
+    /**
+     * Lock the resolver's funds for an order whose source escrow is live
+     * @param {object} order Cross-chain order (see computeOrderHash)
+     * @return {Promise<{src: object, dst: object, receipt: object}>} Terms of both escrows
+     */
+    async fundDestination(order) {
+        const taker = await this.escrowDst.runner.getAddress();
+        const orderHash = computeOrderHash(order);
+        const src = await this.findSourceEscrow(order, taker);
+
+        const now = (await this.escrowDst.runner.provider.getBlock("latest")).timestamp;
+        const immutables = destinationImmutables(order, taker, now, this.timelocks);
+        if (immutables.cancelAfter + BigInt(this.timelocks.safetyGap) > src.cancelAfter) {
+            throw new Error(`Source escrow for order ${orderHash} expires too soon to fund the destination`);
+        }
+
+        const token = new ethers.Contract(order.dstToken, erc20Interface, this.escrowDst.runner);
+        const escrowAddress = await this.escrowDst.getAddress();
+        if (await token.allowance(taker, escrowAddress) < immutables.amount) {
+            await (await token.approve(escrowAddress, immutables.amount)).wait();
+        }
+        const receipt = await this._call(this.escrowDst, async () => (
+            await this.escrowDst.createEscrow(immutables)
+        ).wait());
+        return { src, dst: immutables, receipt };
+    }
+
+    /**
+     * Active source escrow locking the maker's funds for this resolver. Anyone can create
+     * escrows under an order's hash, so the terms are checked against the order.
+     * @param {object} order Cross-chain order (see computeOrderHash)
+     * @param {string} taker Resolver address
+     * @return {Promise<object>} IEscrow.Immutables of the source escrow
+     */
+    async findSourceEscrow(order, taker) {
+        const orderHash = computeOrderHash(order);
+        const active = [];
+        for (const log of await this.escrowSrc.queryFilter(this.escrowSrc.filters.EscrowCreated(null, orderHash))) {
+            const { status } = await this.escrowSrc.getEscrow(log.args.escrowId);
+            if (status === ESCROW_STATUS.ACTIVE) {
+                active.push(log.args.immutables.toObject());
+            }
+        }
+        if (active.length === 0) {
+            throw new Error(`No active source escrow for order ${orderHash}`);
+        }
+        const src = active.find((immutables) => (
+            immutables.maker === order.maker &&
+            immutables.taker === taker &&
+            immutables.token === order.srcToken &&
+            immutables.hashlock === order.hashlock &&
+            immutables.amount === BigInt(order.srcAmount)
+        ));
+        if (!src) {
+            throw new Error(`Source escrow for order ${orderHash} does not match the order`);
+        }
+        return src;
+    }
+
+    /**
+     * Settle with the maker's secret: pay the maker on the destination chain, then claim the
+     * maker's funds on the source chain
+     * @param {{src: object, dst: object}} escrows Terms of both escrows, as fundDestination returns them
+     * @param {string} secret Secret the maker shared once both escrows were funded
+     * @return {Promise<{dst: object, src: object}>} Receipts
+     */
+    async withdraw(escrows, secret) {
+        const dstId = escrowId(escrows.dst);
+        const srcId = escrowId(escrows.src);
+        const dst = await this._call(this.escrowDst, async () => (await this.escrowDst.withdraw(dstId, secret)).wait());
+        const src = await this._call(this.escrowSrc, async () => (await this.escrowSrc.withdraw(srcId, secret)).wait());
+        return { dst, src };
+    }
+
+    /**
+     * Cancel every escrow of an order that is still active and has expired: the resolver's
+     * funds go back to it, the maker's to the maker
+     * @param {{src: object, dst: object}} escrows Terms of both escrows, as fundDestination returns them
+     * @return {Promise<{dst: (object|null), src: (object|null)}>} Receipts, null where nothing was cancelled
+     */
+    async refund(escrows) {
+        const result = { dst: null, src: null };
+        for (const [side, escrow] of [["dst", this.escrowDst], ["src", this.escrowSrc]]) {
+            const id = escrowId(escrows[side]);
+            const { status } = await escrow.getEscrow(id);
+            if (status !== ESCROW_STATUS.ACTIVE) {
+                continue;
+            }
+            // Let the escrow judge expiry on its own chain's clock
+            try {
+                await this._call(escrow, () => escrow.cancel.staticCall(id));
+            } catch (error) {
+                if (error.reason === "InvalidTime") {
+                    continue;
+                }
+                throw error;
+            }
+            result[side] = await this._call(escrow, async () => (await escrow.cancel(id)).wait());
+        }
+        return result;
+    }
+
+    async _call(escrow, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw decodeMonitorError(error, escrow.interface);
+        }
+    }
+}
+
+module.exports = {
+    ESCROW_STATUS,
+    DEFAULT_TIMELOCKS,
+    CrossChainResolver,
+    createSecret,
+    hashSecret,
+    computeOrderHash,
+    escrowId,
+    sourceImmutables,
+    destinationImmutables
+};
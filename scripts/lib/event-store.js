@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_INDEX_DIR = path.join(__dirname, "..", "..", "data", "index");
+
+// Columns of exported CSV files; fields an event does not have are left empty
+const CSV_COLUMNS = [
+    "event",
+    "blockNumber",
+    "transactionHash",
+    "logIndex",
+    "timestamp",
+    "time",
+    "token",
+    "spread",
+    "ethereumPrice",
+    "arbitrumPrice",
+    "estimatedProfit",
+    "isEthToArb",
+    "buyChainId",
+    "sellChainId",
+    "buyPrice",
+    "sellPrice",
+    "oldPrice",
+    "newPrice"
+];
+
+/**
+ * Path of a network's event log (the sync state sits next to it as <network>.state.json)
+ * @param {string} networkName Hardhat network name
+ * @param {string} [dir] Index directory (defaults to INDEXER_DIR or data/index/)
+ * @return {string}
+ */
+function eventLogPath(networkName, dir = process.env.INDEXER_DIR || DEFAULT_INDEX_DIR) {
+    return path.join(dir, `${networkName}.jsonl`);
+}
+
+/**
+ * Append-only JSONL store of indexed monitor events, one JSON object per line.
+ * Values are plain JSON: bigints are written as decimal strings.
+ */
+class EventStore {
+    /**
+     * @param {string} file Event log path (see eventLogPath)
+     */
+    constructor(file) {
+        this.file = file;
+        this.stateFile = file.replace(/\.jsonl$/, "") + ".state.json";
+    }
+
+    /**
+     * Sync progress
+     * @return {{address: (string|undefined), lastBlock: (number|undefined), checkpoints: object[]}}
+     */
+    loadState() {
+        if (!fs.existsSync(this.stateFile)) {
+            return { checkpoints: [] };
+        }
+        return JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+    }
+
+    saveState(state) {
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2) + "\n");
+    }
+
+    /**
+     * Append events to the log
+     * @param {object[]} events Event records
+     */
+    append(events) {
+        if (events.length === 0) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, events.map((event) => JSON.stringify(event, jsonValue) + "\n").join(""));
+    }
+
+    /**
+     * Every stored event, in block order
+     * @return {object[]}
+     */
+    readAll() {
+        if (!fs.existsSync(this.file)) {
+            return [];
+        }
+        return fs.readFileSync(this.file, "utf8")
+            .split("\n")
+            .filter(Boolean)
+            .map((line) => JSON.parse(line));
+    }
+
+    /**
+     * Drop events after a block (used to unwind a reorg)
+     * @param {number} blockNumber Last block to keep
+     * @return {number} Number of events removed
+     */
+    truncateAfter(blockNumber) {
+        const events = this.readAll();
+        const kept = events.filter((event) => event.blockNumber <= blockNumber);
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, kept.map((event) => JSON.stringify(event) + "\n").join(""));
+        return events.length - kept.length;
+    }
+
+    /**
+     * Forget everything (a different monitor address or a reorg past every checkpoint)
+     */
+    reset() {
+        fs.rmSync(this.file, { force: true });
+        fs.rmSync(this.stateFile, { force: true });
+    }
+}
+
+function jsonValue(key, value) {
+    return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Parse a time bound: unix seconds or anything Date understands (2024-05-01, ISO timestamps)
+ * @param {string|number} value Time argument
+ * @return {number} Unix seconds
+ */
+function parseTime(value) {
+    if (/^\d+$/.test(String(value))) {
+        return Number(value);
+    }
+    const millis = Date.parse(value);
+    if (Number.isNaN(millis)) {
+        throw new Error(`Invalid time "${value}"; use unix seconds or an ISO date`);
+    }
+    return Math.floor(millis / 1000);
+}
+
+/**
+ * Filter stored events
+ * @param {object[]} events Event records
+ * @param {object} [filters]
+ * @param {string} [filters.event] Event name (PricesUpdated, ArbitrageOpportunityDetected, GasPriceUpdated)
+ * @param {string} [filters.token] Token address (case-insensitive)
+ * @param {number|string} [filters.chainId] Chain the route buys or sells on (drops events without a route)
+ * @param {number} [filters.from] Earliest timestamp (unix seconds, inclusive)
+ * @param {number} [filters.to] Latest timestamp (unix seconds, inclusive)
+ * @param {number} [filters.minSpread] Minimum spread in basis points (drops events without a spread)
+ * @return {object[]}
+ */
+function queryEvents(events, { event, token, chainId, from, to, minSpread } = {}) {
+    return events.filter((record) => {
+        if (event && record.event !== event) return false;
+        if (token && (!record.token || record.token.toLowerCase() !== token.toLowerCase())) return false;
+        if (chainId !== undefined && record.buyChainId !== String(chainId) && record.sellChainId !== String(chainId)) return false;
+        if (from !== undefined && record.timestamp < from) return false;
+        if (to !== undefined && record.timestamp > to) return false;
+        if (minSpread !== undefined && (record.spread === undefined || Number(record.spread) < minSpread)) return false;
+        return true;
+    });
+}
+
+/**
+ * Group consecutive PricesUpdated events at or above a spread into windows, per token
+ * @param {object[]} events Event records (other events are ignored)
+ * @param {number} minSpread Spread in basis points that counts as open
+ * @return {object[]} Windows: { token, start, end, duration, updates, maxSpread } (end is the
+ * first update below the threshold, or the last update seen while still open)
+ */
+function spreadWindows(events, minSpread) {
+    const windows = [];
+    const open = {};
+    for (const record of events) {
+        if (record.event !== "PricesUpdated") {
+            continue;
+        }
+        const spread = Number(record.spread);
+        const current = open[record.token];
+        if (spread >= minSpread) {
+            if (current) {
+                current.end = record.timestamp;
+                current.updates++;
+                current.maxSpread = Math.max(current.maxSpread, spread);
+            } else {
+                open[record.token] = { token: record.token, start: record.timestamp, end: record.timestamp, updates: 1, maxSpread: spread };
+            }
+        } else if (current) {
+            current.end = record.timestamp;
+            windows.push(current);
+            delete open[record.token];
+        }
+    }
+    windows.push(...Object.values(open));
+    return windows
+        .map((window) => ({ ...window, duration: window.end - window.start }))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Render events as CSV
+ * @param {object[]} events Event records
+ * @return {string}
+ */
+function toCsv(events) {
+    const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value);
+    const rows = events.map((record) => CSV_COLUMNS.map((column) => {
+        if (column === "time") {
+            return new Date(record.timestamp * 1000).toISOString();
+        }
+        return record[column] === undefined ? "" : escape(String(record[column]));
+    }).join(","));
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = { EventStore, eventLogPath, parseTime, queryEvents, spreadWindows, toCsv, DEFAULT_INDEX_DIR, CSV_COLUMNS };
@@ -0,0 +1,209 @@
+const { ethers } = require("ethers");
+const { PriceMonitorClient, ETH_ADDRESS, BASIS_POINTS, PRICE_PRECISION, decodeMonitorError } = require("../../src");
+
+const DEFAULT_OPTIONS = {
+    token: ETH_ADDRESS,               // Monitored token whose opportunities are traded
+    slippageBasisPoints: 50,          // Tolerance applied to every leg's quoted output
+    spreadToleranceBasisPoints: 50,   // Abort if the spread shrinks by more than this after detection
+    deadlineSeconds: 120,             // Execution deadline after the block the plan is made in
+    maxPriceAge: 300,                 // seconds; abort if the monitor's prices are older
+    unlimitedApproval: false          // Approve MaxUint256 once instead of amountIn before each trade
+};
+
+const erc20Interface = new ethers.Interface([
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function decimals() view returns (uint8)"
+]);
+
+const riskManagerInterface = new ethers.Interface([
+    "function canExecute(address token, uint256 amount) view returns (bool)"
+]);
+
+/**
+ * Swap rates for a mock venue trading asset against a USD quote token at a monitor price
+ * @param {bigint} price Asset price in USD, 18 decimals (as stored by the monitor)
+ * @param {number} assetDecimals Asset token decimals
+ * @param {number} quoteDecimals Quote token decimals
+ * @return {{buyRate: bigint, sellRate: bigint}} MockSwapAdapter rates for quote→asset and asset→quote
+ */
+function mockSwapRates(price, assetDecimals, quoteDecimals) {
+    const assetUnit = 10n ** BigInt(assetDecimals);
+    const quoteUnit = 10n ** BigInt(quoteDecimals);
+    return {
+        buyRate: (PRICE_PRECISION * assetUnit * PRICE_PRECISION) / (price * quoteUnit),
+        sellRate: (price * quoteUnit) / assetUnit
+    };
+}
+
+/**
+ * Lower an expected amount by a slippage tolerance
+ * @param {bigint} amount Quoted amount
+ * @param {number|bigint} slippageBasisPoints Tolerance
+ * @return {bigint}
+ */
+function withSlippage(amount, slippageBasisPoints) {
+    return (amount * (BASIS_POINTS - BigInt(slippageBasisPoints))) / BASIS_POINTS;
+}
+
+/**
+ * Turns monitor opportunities into ArbitrageExecutor trades.
+ *
+ * Each trade re-reads the opportunity, quotes every leg through the executor's adapters and
+ * sets the min-outs, minimum spread and deadline from the options, so the contract aborts if
+ * prices moved between planning and inclusion. Trades the executor's risk manager would refuse
+ * (caps reached) are skipped. Reverts are rethrown as MonitorError (src/errors.js) with the
+ * executor's error names, e.g. "SpreadCollapsed".
+ */
+class ArbitrageOrchestrator {
+    /**
+     * @param {object} executor ArbitrageExecutor contract, connected to the signer that trades
+     * @param {object} priceMonitor BasicPriceMonitor contract
+     * @param {object} options
+     * @param {string} options.asset ERC20 bought, bridged and sold
+     * @param {string} options.quoteToken ERC20 spent and received
+     * @param {bigint} options.amountIn quoteToken spent per trade
+     * @param {boolean} [options.unlimitedApproval] Let the executor pull any amount of quoteToken
+     *   from the trading wallet, saving an approval per trade (off by default)
+     */
+    constructor(executor, priceMonitor, options) {
+        if (!options || !options.asset || !options.quoteToken || !options.amountIn) {
+            throw new Error("ArbitrageOrchestrator needs asset, quoteToken and amountIn");
+        }
+        this.executor = executor;
+        this.client = new PriceMonitorClient(priceMonitor);
+        this.options = { ...DEFAULT_OPTIONS, ...options, amountIn: BigInt(options.amountIn) };
+        this.quoteToken = new ethers.Contract(this.options.quoteToken, erc20Interface, executor.runner);
+        this.asset = new ethers.Contract(this.options.asset, erc20Interface, executor.runner);
+    }
+
+    /**
+     * Build execution parameters for the current opportunity
+     * @param {object} [opportunity] ArbitrageOpportunity fields or an ArbitrageOpportunityDetected
+     *   event; read from the monitor when omitted
+     * @return {Promise<{params: object, quote: object}|null>} null if there is nothing to trade
+     */
+    async plan(opportunity = undefined) {
+        const { token, asset, quoteToken, amountIn, slippageBasisPoints, spreadToleranceBasisPoints, deadlineSeconds, maxPriceAge } = this.options;
+        const detected = opportunity || await this.client.getOpportunity(token);
+        if (detected.isProfitable === false || detected.buyChainId === detected.sellChainId) {
+            return null;
+        }
+
+        const [assetOut, bridgedOut, quoteOut] = await this._call(() => this.executor.quoteExecution(
+            asset, quoteToken, amountIn, detected.buyChainId, detected.sellChainId
+        ));
+        const minQuoteOut = withSlippage(quoteOut, slippageBasisPoints);
+        if (minQuoteOut <= amountIn) {
+            return null; // Venue prices leave nothing after slippage
+        }
+
+        const spread = BigInt(detected.spreadBasisPoints);
+        const tolerance = BigInt(spreadToleranceBasisPoints);
+        const block = await this.client.provider.getBlock("latest");
+        return {
+            params: {
+                token,
+                asset,
+                quoteToken,
+                amountIn,
+                buyChainId: detected.buyChainId,
+                sellChainId: detected.sellChainId,
+                minSpreadBasisPoints: spread > tolerance ? spread - tolerance : 0n,
+                maxPriceAge: BigInt(maxPriceAge),
+                minAssetOut: withSlippage(assetOut, slippageBasisPoints),
+                minBridgedOut: withSlippage(bridgedOut, slippageBasisPoints),
+                minQuoteOut,
+                deadline: BigInt(block.timestamp + deadlineSeconds)
+            },
+            quote: { assetOut, bridgedOut, quoteOut }
+        };
+    }
+
+    /**
+     * Plan and execute one trade, approving the executor for amountIn if needed
+     * @param {object} [opportunity] See plan()
+     * @return {Promise<object>} { executed: false, reason } or
+     *   { executed: true, amountIn, amountOut, profit, spreadBasisPoints, receipt }
+     */
+    async execute(opportunity = undefined) {
+        const planned = await this.plan(opportunity);
+        if (!planned) {
+            return { executed: false, reason: "No profitable route" };
+        }
+        if (!(await this.withinRiskLimits(planned))) {
+            return { executed: false, reason: "Risk limits" };
+        }
+        await this.ensureAllowance();
+
+        const receipt = await this._call(async () => (await this.executor.execute(planned.params)).wait());
+        const executedLog = receipt.logs
+            .map((log) => { try { return this.executor.interface.parseLog(log); } catch (error) { return null; } })
+            .find((parsed) => parsed && parsed.name === "ArbitrageExecuted");
+        const { amountIn, amountOut, spreadBasisPoints } = executedLog.args;
+        return { executed: true, amountIn, amountOut, profit: amountOut - amountIn, spreadBasisPoints, receipt };
+    }
+
+    /**
+     * Check a planned trade against the executor's risk manager, if it has one
+     * @param {object} planned Result of plan()
+     * @return {Promise<boolean>} False if the manager's caps or checks would refuse the trade
+     */
+    async withinRiskLimits(planned) {
+        const managerAddress = await this.executor.riskManager();
+        if (managerAddress === ethers.ZeroAddress) {
+            return true;
+        }
+        const manager = new ethers.Contract(managerAddress, riskManagerInterface, this.executor.runner);
+        // The manager values trades in 18-decimal token units, like the monitor
+        const amount = (planned.quote.assetOut * PRICE_PRECISION) / 10n ** (await this.asset.decimals());
+        return manager.canExecute(this.options.token, amount);
+    }
+
+    /**
+     * Approve the executor to pull amountIn of quoteToken (MaxUint256 with unlimitedApproval),
+     * if it cannot already
+     * @return {Promise<boolean>} True if an approval was sent
+     */
+    async ensureAllowance() {
+        const { amountIn, unlimitedApproval } = this.options;
+        const owner = await this.executor.runner.getAddress();
+        const spender = await this.executor.getAddress();
+        if (await this.quoteToken.allowance(owner, spender) >= amountIn) {
+            return false;
+        }
+        await (await this.quoteToken.approve(spender, unlimitedApproval ? ethers.MaxUint256 : amountIn)).wait();
+        return true;
+    }
+
+    /**
+     * Trade every new ArbitrageOpportunityDetected event for the configured token
+     * @param {function(object): void} onResult Called with each execute() result
+     * @param {object} [options] PriceMonitorClient.watchEvents options; onError also receives
+     *   failed trades (as MonitorError when the executor reverted)
+     * @return {{poll: function(): Promise<number>, stop: function(): void}}
+     */
+    watch(onResult, options = {}) {
+        const onError = options.onError || (() => {});
+        return this.client.watchOpportunities(async (event) => {
+            if (event.token.toLowerCase() !== this.options.token.toLowerCase()) {
+                return;
+            }
+            try {
+                await onResult(await this.execute(event));
+            } catch (error) {
+                onError(error);
+            }
+        }, options);
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw decodeMonitorError(error, this.executor.interface);
+        }
+    }
+}
+
+module.exports = { ArbitrageOrchestrator, DEFAULT_OPTIONS, mockSwapRates, withSlippage };
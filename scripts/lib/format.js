@@ -0,0 +1,73 @@
+const { loadChainConfig } = require("./chains");
+const { formatUsd, formatTimestamp } = require("../../src/units");
+
+/**
+ * Name of a monitored chain from config/chains.json
+ * @param {bigint} chainId Chain ID
+ * @return {string} e.g. "optimism", or "chain 56" if it is not configured
+ */
+function formatChain(chainId) {
+    const match = Object.entries(loadChainConfig().monitored).find(([, id]) => String(id) === String(chainId));
+    return match ? match[0] : `chain ${chainId}`;
+}
+
+/**
+ * Describe a buy/sell route by chain name, e.g. "optimism → base"
+ * @param {bigint} buyChainId Chain bought on (0 when there is no route)
+ * @param {bigint} sellChainId Chain sold on
+ * @return {string}
+ */
+function formatRoute(buyChainId, sellChainId) {
+    if (!buyChainId) {
+        return "none";
+    }
+    return `${formatChain(buyChainId)} → ${formatChain(sellChainId)}`;
+}
+
+/**
+ * Print a ProfitBreakdown returned by BasicPriceMonitor.getProfitBreakdown
+ * @param {object} breakdown Decoded ProfitBreakdown struct (USD values, 18 decimals)
+ * @param {string} symbol Token symbol for the trade size line
+ */
+function printProfitBreakdown(breakdown, symbol) {
+    const usd = (value) => `$ ${formatUsd(value)}`;
+
+    console.log(`  Trade Size: ${formatUsd(breakdown.tradeAmount)} ${symbol}`);
+    console.log("  Route:", formatRoute(breakdown.buyChainId, breakdown.sellChainId));
+    console.log("  Gross Spread:", usd(breakdown.grossSpread));
+    console.log("  Buy Chain Gas:", usd(breakdown.buyGasCost));
+    console.log("  Sell Chain Gas:", usd(breakdown.sellGasCost));
+    console.log("  DEX Fees:", usd(breakdown.dexFees));
+    console.log("  Bridge Fees:", usd(breakdown.bridgeFees));
+    console.log("  Slippage:", usd(breakdown.slippageCost));
+    console.log("  Total Costs:", usd(breakdown.totalCosts));
+    console.log("  Net Profit:", usd(breakdown.netProfit));
+    console.log("  Is Profitable:", breakdown.isProfitable);
+}
+
+/**
+ * Print stored prices from PriceMonitorClient.getPrices
+ * @param {object} prices PriceData fields plus chains: [{ chainId, price }]
+ */
+function printPriceData(prices) {
+    for (const { chainId, price } of prices.chains) {
+        console.log(`  ${formatChain(chainId)} Price: $`, formatUsd(price));
+    }
+    console.log("  Spread:", prices.spread.toString(), "basis points");
+    console.log("  Best Route:", formatRoute(prices.buyChainId, prices.sellChainId));
+    console.log("  Last Update:", formatTimestamp(prices.timestamp) || "never");
+}
+
+/**
+ * Print an ArbitrageOpportunity from PriceMonitorClient.getOpportunity
+ * @param {object} opportunity ArbitrageOpportunity fields
+ */
+function printOpportunity(opportunity) {
+    console.log("  Is Profitable:", opportunity.isProfitable);
+    console.log("  Spread:", opportunity.spreadBasisPoints.toString(), "basis points");
+    console.log("  Estimated Profit: $", formatUsd(opportunity.estimatedProfit));
+    console.log("  Gas Estimate: $", formatUsd(opportunity.gasEstimate));
+    console.log("  Route:", formatRoute(opportunity.buyChainId, opportunity.sellChainId));
+}
+
+module.exports = { printProfitBreakdown, printPriceData, printOpportunity, formatRoute, formatChain };
@@ -0,0 +1,212 @@
+// Loaded by tasks/events.js, so this must not require("hardhat")
+
+// Monitor events copied into the store
+const INDEXED_EVENTS = ["PricesUpdated", "ArbitrageOpportunityDetected", "GasPriceUpdated"];
+
+const DEFAULT_OPTIONS = {
+    confirmations: 3,      // blocks behind the head before a log is indexed
+    batchSize: 2000,       // blocks per eth_getLogs query
+    pollInterval: 15000,   // ms between syncs when following
+    maxCheckpoints: 50,    // synced block hashes kept for reorg detection
+    fromBlock: 0           // first block to backfill (the monitor's deployment block)
+};
+
+/**
+ * Backfills and follows BasicPriceMonitor events into an EventStore.
+ *
+ * Only blocks at least `confirmations` deep are indexed. The hash of the last block of every
+ * sync is kept as a checkpoint; if a deeper reorg replaces a checkpoint, events after the
+ * newest surviving checkpoint are dropped and indexed again.
+ */
+class EventIndexer {
+    /**
+     * @param {object} priceMonitor BasicPriceMonitor contract (with a provider)
+     * @param {object} store EventStore (scripts/lib/event-store.js)
+     * @param {object} [options] See DEFAULT_OPTIONS
+     */
+    constructor(priceMonitor, store, options = {}) {
+        this.priceMonitor = priceMonitor;
+        this.store = store;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.running = false;
+        this.timer = null;
+        this._blockTimestamps = new Map();
+    }
+
+    get provider() {
+        return this.priceMonitor.runner.provider;
+    }
+
+    /**
+     * Index every confirmed block since the last sync
+     * @return {Promise<{indexed: number, unwound: number, lastBlock: (number|undefined)}>}
+     */
+    async sync() {
+        const address = await this.priceMonitor.getAddress();
+        let state = this.store.loadState();
+        if (state.address && state.address !== address) {
+            // The store belongs to another deployment
+            this.store.reset();
+            state = { checkpoints: [] };
+        }
+
+        const unwound = await this._unwindReorg(state);
+        state = this.store.loadState();
+
+        const { confirmations, batchSize, maxCheckpoints } = this.options;
+        const safeHead = (await this.provider.getBlockNumber()) - confirmations;
+        let fromBlock = state.lastBlock !== undefined ? state.lastBlock + 1 : this.options.fromBlock;
+        let indexed = 0;
+
+        while (fromBlock <= safeHead) {
+            const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+            const records = await this._fetch(fromBlock, toBlock);
+            const block = await this.provider.getBlock(toBlock);
+            // Cached timestamps only serve the batch just fetched; keep follow mode from growing the cache
+            this._blockTimestamps.clear();
+
+            this.store.append(records);
+            state = {
+                address,
+                lastBlock: toBlock,
+                checkpoints: [...(state.checkpoints || []), { number: toBlock, hash: block.hash }].slice(-maxCheckpoints)
+            };
+            this.store.saveState(state);
+
+            indexed += records.length;
+            fromBlock = toBlock + 1;
+        }
+
+        return { indexed, unwound, lastBlock: state.lastBlock };
+    }
+
+    /**
+     * Sync now and then every pollInterval
+     * @param {function(object): void} [onSync] Called with each sync result
+     * @param {function(Error): void} [onError] Called when a sync fails
+     */
+    start(onSync = () => {}, onError = () => {}) {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        const loop = async () => {
+            try {
+                onSync(await this.sync());
+            } catch (error) {
+                onError(error);
+            }
+            if (this.running) {
+                this.timer = setTimeout(loop, this.options.pollInterval);
+            }
+        };
+        loop();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Roll the store back to the newest checkpoint still on the canonical chain
+     * @param {object} state Store state
+     * @return {Promise<number>} Number of events dropped
+     */
+    async _unwindReorg(state) {
+        const checkpoints = state.checkpoints || [];
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const block = await this.provider.getBlock(checkpoints[i].number);
+            if (block && block.hash === checkpoints[i].hash) {
+                if (i === checkpoints.length - 1) {
+                    return 0;
+                }
+                const removed = this.store.truncateAfter(checkpoints[i].number);
+                this.store.saveState({ ...state, lastBlock: checkpoints[i].number, checkpoints: checkpoints.slice(0, i + 1) });
+                return removed;
+            }
+        }
+        if (checkpoints.length === 0) {
+            return 0;
+        }
+
+        // Reorged past every checkpoint: start over
+        const removed = this.store.readAll().length;
+        this.store.reset();
+        return removed;
+    }
+
+    /**
+     * Read monitor events in a block range as store records, in log order
+     * @param {number} fromBlock First block
+     * @param {number} toBlock Last block
+     * @return {Promise<object[]>}
+     */
+    async _fetch(fromBlock, toBlock) {
+        const batches = await Promise.all(INDEXED_EVENTS.map((name) => (
+            this.priceMonitor.queryFilter(this.priceMonitor.filters[name](), fromBlock, toBlock)
+        )));
+        const events = batches.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const records = [];
+        for (const event of events) {
+            records.push({
+                event: event.fragment.name,
+                blockNumber: event.blockNumber,
+                blockHash: event.blockHash,
+                transactionHash: event.transactionHash,
+                logIndex: event.index,
+                ...(await this._fields(event))
+            });
+        }
+        return records;
+    }
+
+    async _fields(event) {
+        const { args } = event;
+        switch (event.fragment.name) {
+            case "PricesUpdated":
+                return {
+                    timestamp: Number(args.timestamp),
+                    token: args.token,
+                    spread: args.spread,
+                    ethereumPrice: args.ethereumPrice,
+                    arbitrumPrice: args.arbitrumPrice,
+                    buyChainId: args.buyChainId,
+                    sellChainId: args.sellChainId,
+                    buyPrice: args.buyPrice,
+                    sellPrice: args.sellPrice
+                };
+            case "ArbitrageOpportunityDetected":
+                return {
+                    timestamp: Number(args.timestamp),
+                    token: args.token,
+                    spread: args.spreadBasisPoints,
+                    estimatedProfit: args.estimatedProfit,
+                    isEthToArb: args.isEthToArb,
+                    buyChainId: args.buyChainId,
+                    sellChainId: args.sellChainId
+                };
+            default:
+                // GasPriceUpdated carries no timestamp; use the block's
+                return {
+                    timestamp: await this._blockTimestamp(event.blockNumber),
+                    oldPrice: args.oldPrice,
+                    newPrice: args.newPrice
+                };
+        }
+    }
+
+    async _blockTimestamp(blockNumber) {
+        if (!this._blockTimestamps.has(blockNumber)) {
+            this._blockTimestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+        }
+        return this._blockTimestamps.get(blockNumber);
+    }
+}
+
+module.exports = { EventIndexer, INDEXED_EVENTS, DEFAULT_OPTIONS };
@@ -0,0 +1,287 @@
+const { ethers } = require("ethers");
+
+// 1inch Limit Order Protocol v4 (Aggregation Router v6), same address on Ethereum and Arbitrum
+const LIMIT_ORDER_PROTOCOL_ADDRESS = "0x111111125421cA6dc452d289314280a0f8842A65";
+
+const ORDER_DOMAIN_NAME = "1inch Aggregation Router";
+const ORDER_DOMAIN_VERSION = "6";
+
+const ORDER_TYPES = {
+    Order: [
+        { name: "salt", type: "uint256" },
+        { name: "maker", type: "address" },
+        { name: "receiver", type: "address" },
+        { name: "makerAsset", type: "address" },
+        { name: "takerAsset", type: "address" },
+        { name: "makingAmount", type: "uint256" },
+        { name: "takingAmount", type: "uint256" },
+        { name: "makerTraits", type: "uint256" }
+    ]
+};
+
+// MakerTraits flag bits (MakerTraitsLib)
+const MAKER_TRAITS = {
+    NO_PARTIAL_FILLS_FLAG: 255n,
+    ALLOW_MULTIPLE_FILLS_FLAG: 254n,
+    NEED_CHECK_EPOCH_MANAGER_FLAG: 250n,
+    HAS_EXTENSION_FLAG: 249n,
+    USE_PERMIT2_FLAG: 248n,
+    UNWRAP_WETH_FLAG: 247n
+};
+
+// Extension fields in offset order (ExtensionLib.DynamicField); customData follows without an offset
+const EXTENSION_FIELDS = [
+    "makerAssetSuffix",
+    "takerAssetSuffix",
+    "makingAmountData",
+    "takingAmountData",
+    "predicate",
+    "makerPermit",
+    "preInteractionData",
+    "postInteractionData"
+];
+
+const protocolInterface = new ethers.Interface([
+    "function arbitraryStaticCall(address target, bytes data) view returns (uint256)"
+]);
+
+const extensionInterface = new ethers.Interface([
+    "function checkArbitrage(address token, uint256 minSpreadBasisPoints, bool isEthToArb, uint256 maxPriceAge) view returns (uint256)",
+    "function checkArbitrageRoute(address token, uint256 minSpreadBasisPoints, uint256 buyChainId, uint256 sellChainId, uint256 maxPriceAge) view returns (uint256)"
+]);
+
+const UINT160_MASK = (1n << 160n) - 1n;
+const UINT80_MASK = (1n << 80n) - 1n;
+
+/**
+ * Encode an order predicate that calls ArbitrageLimitOrderExtension.checkArbitrage, or
+ * checkArbitrageRoute when the route is given as chain IDs
+ * @param {string} extensionAddress Deployed ArbitrageLimitOrderExtension
+ * @param {object} conditions Fill conditions
+ * @param {string} conditions.token Monitored token the order arbitrages
+ * @param {number|bigint} conditions.minSpreadBasisPoints Minimum cross-chain spread
+ * @param {boolean} [conditions.isEthToArb] True to fill only when buying on Ethereum and selling on Arbitrum
+ * @param {number|bigint} [conditions.buyChainId] Chain the maker buys on (instead of isEthToArb)
+ * @param {number|bigint} [conditions.sellChainId] Chain the maker sells on
+ * @param {number|bigint} conditions.maxPriceAge Maximum age of the monitor's price data in seconds
+ * @return {string} Predicate calldata, executed by the protocol against itself
+ */
+function encodeArbitragePredicate(extensionAddress, { token, minSpreadBasisPoints, isEthToArb, buyChainId, sellChainId, maxPriceAge }) {
+    const checkCall = buyChainId !== undefined
+        ? extensionInterface.encodeFunctionData("checkArbitrageRoute", [
+            token,
+            minSpreadBasisPoints,
+            buyChainId,
+            sellChainId,
+            maxPriceAge
+        ])
+        : extensionInterface.encodeFunctionData("checkArbitrage", [
+            token,
+            minSpreadBasisPoints,
+            isEthToArb,
+            maxPriceAge
+        ]);
+    return protocolInterface.encodeFunctionData("arbitraryStaticCall", [extensionAddress, checkCall]);
+}
+
+/**
+ * Pack maker traits (expiry, nonce, allowed sender and fill flags) into a uint256
+ * @param {object} [options]
+ * @param {string} [options.allowedSender] Only this taker may fill (zero address for anyone)
+ * @param {number|bigint} [options.expiry] Unix timestamp after which the order expires (0 for never)
+ * @param {number|bigint} [options.nonce] Nonce or epoch
+ * @param {number|bigint} [options.series] Epoch series
+ * @param {boolean} [options.allowPartialFill] Allow partial fills (default true)
+ * @param {boolean} [options.allowMultipleFills] Allow more than one fill (default true)
+ * @param {boolean} [options.shouldCheckEpoch] Check the nonce against the epoch manager
+ * @param {boolean} [options.usePermit2] Pull maker funds through Permit2
+ * @param {boolean} [options.unwrapWeth] Unwrap WETH to ETH for the maker
+ * @return {bigint} Maker traits
+ */
+function buildMakerTraits({
+    allowedSender = ethers.ZeroAddress,
+    expiry = 0,
+    nonce = 0,
+    series = 0,
+    allowPartialFill = true,
+    allowMultipleFills = true,
+    shouldCheckEpoch = false,
+    usePermit2 = false,
+    unwrapWeth = false
+} = {}) {
+    const flag = (bit, enabled) => (enabled ? 1n << bit : 0n);
+
+    return (BigInt(series) << 160n) |
+        (BigInt(nonce) << 120n) |
+        (BigInt(expiry) << 80n) |
+        (BigInt(allowedSender) & UINT80_MASK) |
+        flag(MAKER_TRAITS.NO_PARTIAL_FILLS_FLAG, !allowPartialFill) |
+        flag(MAKER_TRAITS.ALLOW_MULTIPLE_FILLS_FLAG, allowMultipleFills) |
+        flag(MAKER_TRAITS.NEED_CHECK_EPOCH_MANAGER_FLAG, shouldCheckEpoch) |
+        flag(MAKER_TRAITS.USE_PERMIT2_FLAG, usePermit2) |
+        flag(MAKER_TRAITS.UNWRAP_WETH_FLAG, unwrapWeth);
+}
+
+/**
+ * Encode an order extension: a 32-byte table of cumulative field end offsets, then the fields
+ * @param {object} fields Hex strings keyed by EXTENSION_FIELDS names, plus optional customData
+ * @return {string} Extension bytes ("0x" when empty)
+ */
+function buildExtension(fields = {}) {
+    const values = EXTENSION_FIELDS.map((name) => ethers.getBytes(fields[name] || "0x"));
+    const customData = ethers.getBytes(fields.customData || "0x");
+
+    let offsets = 0n;
+    let end = 0;
+    values.forEach((value, i) => {
+        end += value.length;
+        offsets |= BigInt(end) << BigInt(32 * i);
+    });
+
+    if (end === 0 && customData.length === 0) {
+        return "0x";
+    }
+    return ethers.concat([ethers.toBeHex(offsets, 32), ...values, customData]);
+}
+
+/**
+ * Split an extension back into its fields
+ * @param {string} extension Extension bytes
+ * @return {object} Hex strings keyed by EXTENSION_FIELDS names, plus customData
+ */
+function parseExtension(extension) {
+    const bytes = ethers.getBytes(extension);
+    const fields = {};
+    if (bytes.length === 0) {
+        EXTENSION_FIELDS.forEach((name) => { fields[name] = "0x"; });
+        fields.customData = "0x";
+        return fields;
+    }
+
+    const offsets = BigInt(ethers.hexlify(bytes.slice(0, 32)));
+    const data = bytes.slice(32);
+    let start = 0;
+    EXTENSION_FIELDS.forEach((name, i) => {
+        const end = Number((offsets >> BigInt(32 * i)) & 0xffffffffn);
+        fields[name] = ethers.hexlify(data.slice(start, end));
+        start = end;
+    });
+    fields.customData = ethers.hexlify(data.slice(start));
+    return fields;
+}
+
+/**
+ * Build an order that is fillable only while the monitor reports a matching arbitrage window
+ * @param {object} params
+ * @param {string} params.maker Maker address
+ * @param {string} params.makerAsset Token the maker sells
+ * @param {string} params.takerAsset Token the maker buys
+ * @param {bigint} params.makingAmount Amount of makerAsset
+ * @param {bigint} params.takingAmount Amount of takerAsset
+ * @param {string} [params.receiver] Receiver of takerAsset (zero address for the maker)
+ * @param {string} params.extensionAddress Deployed ArbitrageLimitOrderExtension
+ * @param {string} params.token Monitored token (see encodeArbitragePredicate)
+ * @param {number|bigint} params.minSpreadBasisPoints Minimum cross-chain spread
+ * @param {boolean} [params.isEthToArb] Required arbitrage direction
+ * @param {number|bigint} [params.buyChainId] Required buy chain (instead of isEthToArb)
+ * @param {number|bigint} [params.sellChainId] Required sell chain
+ * @param {number|bigint} params.maxPriceAge Maximum age of the monitor's price data in seconds
+ * @param {object} [params.traits] Extra buildMakerTraits options (expiry, nonce, ...)
+ * @return {{order: object, extension: string}} Order struct and its extension
+ */
+function buildArbitrageOrder({
+    maker,
+    makerAsset,
+    takerAsset,
+    makingAmount,
+    takingAmount,
+    receiver = ethers.ZeroAddress,
+    extensionAddress,
+    token,
+    minSpreadBasisPoints,
+    isEthToArb,
+    buyChainId,
+    sellChainId,
+    maxPriceAge,
+    traits = {}
+}) {
+    const predicate = encodeArbitragePredicate(extensionAddress, {
+        token,
+        minSpreadBasisPoints,
+        isEthToArb,
+        buyChainId,
+        sellChainId,
+        maxPriceAge
+    });
+    const extension = buildExtension({ predicate });
+
+    // The protocol matches the extension to the order through the low 160 bits of the salt
+    const nonceBits = BigInt(ethers.hexlify(ethers.randomBytes(12))) << 160n;
+    const salt = nonceBits | (BigInt(ethers.keccak256(extension)) & UINT160_MASK);
+    const makerTraits = buildMakerTraits(traits) | (1n << MAKER_TRAITS.HAS_EXTENSION_FLAG);
+
+    const order = {
+        salt,
+        maker,
+        receiver,
+        makerAsset,
+        takerAsset,
+        makingAmount: BigInt(makingAmount),
+        takingAmount: BigInt(takingAmount),
+        makerTraits
+    };
+    return { order, extension };
+}
+
+/**
+ * EIP-712 domain of the limit order protocol
+ * @param {number|bigint} chainId Chain the order is filled on
+ * @param {string} [protocolAddress] Limit order protocol address
+ * @return {object}
+ */
+function orderDomain(chainId, protocolAddress = LIMIT_ORDER_PROTOCOL_ADDRESS) {
+    return {
+        name: ORDER_DOMAIN_NAME,
+        version: ORDER_DOMAIN_VERSION,
+        chainId,
+        verifyingContract: protocolAddress
+    };
+}
+
+/**
+ * Hash of an order as the protocol computes it
+ * @param {object} order Order struct
+ * @param {number|bigint} chainId Chain the order is filled on
+ * @param {string} [protocolAddress] Limit order protocol address
+ * @return {string} Order hash
+ */
+function getOrderHash(order, chainId, protocolAddress) {
+    return ethers.TypedDataEncoder.hash(orderDomain(chainId, protocolAddress), ORDER_TYPES, order);
+}
+
+/**
+ * Sign an order as the maker
+ * @param {object} signer ethers signer for the maker
+ * @param {object} order Order struct
+ * @param {number|bigint} chainId Chain the order is filled on
+ * @param {string} [protocolAddress] Limit order protocol address
+ * @return {Promise<string>} EIP-712 signature
+ */
+async function signOrder(signer, order, chainId, protocolAddress) {
+    return signer.signTypedData(orderDomain(chainId, protocolAddress), ORDER_TYPES, order);
+}
+
+module.exports = {
+    LIMIT_ORDER_PROTOCOL_ADDRESS,
+    ORDER_TYPES,
+    MAKER_TRAITS,
+    EXTENSION_FIELDS,
+    encodeArbitragePredicate,
+    buildMakerTraits,
+    buildExtension,
+    parseExtension,
+    buildArbitrageOrder,
+    orderDomain,
+    getOrderHash,
+    signOrder
+};
@@ -0,0 +1,35 @@
+const { ethers } = require("hardhat");
+
+// Libraries BasicPriceMonitor is linked against (see contracts/libraries)
+const MONITOR_LIBRARIES = ["ArbitrageRoutes", "OracleReader", "PriceHistory"];
+
+/**
+ * Deploy the libraries BasicPriceMonitor is linked against
+ * @param {object} [signer] Deployer (defaults to the first signer)
+ * @return {Promise<object>} { [libraryName]: contract }
+ */
+async function deployMonitorLibraries(signer) {
+    const libraries = {};
+    for (const name of MONITOR_LIBRARIES) {
+        libraries[name] = await (await ethers.getContractFactory(name, signer)).deploy();
+        await libraries[name].waitForDeployment();
+    }
+    return libraries;
+}
+
+/**
+ * BasicPriceMonitor factory linked against its libraries
+ * @param {object} [signer] Deployer (defaults to the first signer)
+ * @param {object} [libraries] Deployed libraries, fresh ones are deployed if omitted
+ * @return {Promise<object>} Contract factory
+ */
+async function getPriceMonitorFactory(signer, libraries) {
+    const deployed = libraries || await deployMonitorLibraries(signer);
+    const addresses = {};
+    for (const [name, library] of Object.entries(deployed)) {
+        addresses[name] = await library.getAddress();
+    }
+    return ethers.getContractFactory("BasicPriceMonitor", { signer, libraries: addresses });
+}
+
+module.exports = { MONITOR_LIBRARIES, deployMonitorLibraries, getPriceMonitorFactory };
@@ -0,0 +1,32 @@
+const { ethers, network, config } = require("hardhat");
+const { LOCAL_NETWORKS } = require("./tokens");
+
+/**
+ * Resolve which hardhat network to read for each monitored chain
+ * @param {object} sources Per deploy network: { [networkName]: { [chainId]: sourceNetworkName } }
+ * @return {function(string): object} providerFor(chainId)
+ */
+function networkProviders(sources) {
+    const networkSources = sources[network.name];
+    if (!networkSources && !LOCAL_NETWORKS.includes(network.name)) {
+        throw new Error(`No chain sources configured for network "${network.name}"`);
+    }
+
+    const providers = {};
+    return (chainId) => {
+        // Local chains stand in for every monitored chain
+        const source = networkSources ? networkSources[chainId] : network.name;
+        if (!source) {
+            throw new Error(`No source network for chain ${chainId} on "${network.name}"`);
+        }
+        if (source === network.name) {
+            return ethers.provider;
+        }
+        if (!providers[source]) {
+            providers[source] = new ethers.JsonRpcProvider(config.networks[source].url);
+        }
+        return providers[source];
+    };
+}
+
+module.exports = { networkProviders };
@@ -0,0 +1,95 @@
+// Integer port of the Uniswap V3 tick math in contracts/libraries/TickMath.sol and
+// UniswapV3TwapOracle, so off-chain TWAP reads match the on-chain ones to the wei
+
+const MIN_TICK = -887272n;
+const MAX_TICK = 887272n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+// Multipliers for each set bit of |tick|, as in TickMath.getSqrtRatioAtTick
+const TICK_RATIOS = [
+    [0x2n, 0xfff97272373d413259a46990580e213an],
+    [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000n, 0x48a170391f7dc42444e8fa2n]
+];
+
+/**
+ * sqrt(1.0001^tick) * 2^96, as TickMath.getSqrtRatioAtTick
+ * @param {bigint} tick Pool tick
+ * @return {bigint} Q64.96 square root of token1/token0
+ */
+function getSqrtRatioAtTick(tick) {
+    if (tick < MIN_TICK || tick > MAX_TICK) {
+        throw new Error(`Tick ${tick} out of range`);
+    }
+    const absTick = tick < 0n ? -tick : tick;
+
+    let ratio = (absTick & 0x1n) !== 0n ? 0xfffcb933bd6fad37aa2d162d1a594001n : 1n << 128n;
+    for (const [bit, multiplier] of TICK_RATIOS) {
+        if ((absTick & bit) !== 0n) {
+            ratio = (ratio * multiplier) >> 128n;
+        }
+    }
+    if (tick > 0n) {
+        ratio = MAX_UINT256 / ratio;
+    }
+
+    // Q128.128 to Q128.96, rounding up
+    return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+/**
+ * Amount of the other token received for `baseAmount` at a tick, as UniswapV3TwapOracle._getQuoteAtTick
+ * @param {bigint} tick Pool tick
+ * @param {bigint} baseAmount Amount of the base token in raw units
+ * @param {boolean} baseIsToken0 True if the base token is token0
+ * @return {bigint} Amount of the quote token in raw units
+ */
+function getQuoteAtTick(tick, baseAmount, baseIsToken0) {
+    const sqrtRatioX96 = getSqrtRatioAtTick(tick);
+
+    // Same precision split as the contract, so rounding matches exactly
+    if (sqrtRatioX96 <= MAX_UINT128) {
+        const ratioX192 = sqrtRatioX96 * sqrtRatioX96;
+        return baseIsToken0
+            ? (ratioX192 * baseAmount) / (1n << 192n)
+            : ((1n << 192n) * baseAmount) / ratioX192;
+    }
+    const ratioX128 = (sqrtRatioX96 * sqrtRatioX96) / (1n << 64n);
+    return baseIsToken0
+        ? (ratioX128 * baseAmount) / (1n << 128n)
+        : ((1n << 128n) * baseAmount) / ratioX128;
+}
+
+/**
+ * Price of one base token in quote tokens at a tick, as UniswapV3TwapOracle.getTwapPrice
+ * @param {bigint} tick Mean pool tick
+ * @param {boolean} baseIsToken0 True if the base token is token0
+ * @param {number} baseDecimals Base token decimals
+ * @param {number} quoteDecimals Quote token decimals
+ * @return {bigint} Price (18 decimals)
+ */
+function priceAtTick(tick, baseIsToken0, baseDecimals, quoteDecimals) {
+    const quoteAmount = getQuoteAtTick(tick, 10n ** BigInt(baseDecimals), baseIsToken0);
+    return quoteDecimals < 18
+        ? quoteAmount * 10n ** BigInt(18 - quoteDecimals)
+        : quoteAmount / 10n ** BigInt(quoteDecimals - 18);
+}
+
+module.exports = { MIN_TICK, MAX_TICK, getSqrtRatioAtTick, getQuoteAtTick, priceAtTick };
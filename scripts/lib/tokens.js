@@ -0,0 +1,29 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_TOKEN_CONFIG = path.join(__dirname, "..", "..", "config", "tokens.json");
+
+// hardhat and localhost share the offline token list
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Load the token list for a network from the JSON token config
+ * @param {string} networkName Hardhat network name, or a config key such as "mainnet"
+ * @param {string} [configPath] Path to the config file (defaults to TOKEN_CONFIG or config/tokens.json)
+ * @return {object[]} Token entries: { symbol, address, maxStaleness, feeds?, twap?, mockPrices? }
+ */
+function loadTokenConfig(networkName, configPath = process.env.TOKEN_CONFIG || DEFAULT_TOKEN_CONFIG) {
+    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    const key = LOCAL_NETWORKS.includes(networkName) ? "local" : networkName;
+    const tokens = config[key];
+
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+        throw new Error(`No tokens configured for network "${networkName}" in ${configPath}`);
+    }
+
+    // Optional TOKENS=ETH,LINK filter
+    const filter = process.env.TOKENS ? process.env.TOKENS.split(",").map((s) => s.trim().toUpperCase()) : null;
+    return filter ? tokens.filter((token) => filter.includes(token.symbol.toUpperCase())) : tokens;
+}
+
+module.exports = { loadTokenConfig, DEFAULT_TOKEN_CONFIG, LOCAL_NETWORKS };
@@ -0,0 +1,299 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { loadTokenConfig } = require("./lib/tokens");
+const { networkProviders } = require("./lib/networks");
+const { resolveAddress } = require("./lib/deployments");
+const { priceAtTick } = require("./lib/tick-math");
+
+const DEFAULT_RELAY_CONFIG = path.join(__dirname, "..", "config", "relay.json");
+
+const FEED_ABI = [
+    "function decimals() view returns (uint8)",
+    "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+const POOL_ABI = [
+    "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)"
+];
+
+// Must match SignedPriceFeed.REPORT_TYPEHASH
+const REPORT_TYPES = {
+    PriceReport: [
+        { name: "sourceChainId", type: "uint256" },
+        { name: "sourceFeed", type: "address" },
+        { name: "roundId", type: "uint80" },
+        { name: "answer", type: "int256" },
+        { name: "observedAt", type: "uint256" }
+    ]
+};
+
+/**
+ * Load relayed chains, signer threshold and report limits
+ * @param {string} [configPath] Path to the config file (defaults to RELAY_CONFIG or config/relay.json)
+ * @return {object} Parsed relay config
+ */
+function loadRelayConfig(configPath = process.env.RELAY_CONFIG || DEFAULT_RELAY_CONFIG) {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * Convert a fixed-point value between decimal precisions
+ * @param {bigint} value Value with `fromDecimals` decimals
+ * @param {number} fromDecimals Source precision
+ * @param {number} toDecimals Target precision
+ * @return {bigint}
+ */
+function rescale(value, fromDecimals, toDecimals) {
+    if (fromDecimals === toDecimals) {
+        return value;
+    }
+    return fromDecimals < toDecimals
+        ? value * 10n ** BigInt(toDecimals - fromDecimals)
+        : value / 10n ** BigInt(fromDecimals - toDecimals);
+}
+
+/**
+ * Read the latest answer of a Chainlink feed on its own network
+ * @param {object} provider ethers provider for the source network
+ * @param {string} feedAddress Chainlink feed on the source network
+ * @param {number} decimals Precision to return the answer in
+ * @return {Promise<{answer: bigint, decimals: number, updatedAt: bigint, source: string}>}
+ */
+async function readChainlinkPrice(provider, feedAddress, decimals) {
+    const feed = new ethers.Contract(feedAddress, FEED_ABI, provider);
+    const [feedDecimals, round] = await Promise.all([feed.decimals(), feed.latestRoundData()]);
+    return {
+        answer: rescale(round.answer, Number(feedDecimals), decimals),
+        decimals,
+        updatedAt: round.updatedAt,
+        source: "chainlink"
+    };
+}
+
+/**
+ * Read a Uniswap V3 TWAP on its own network (same math as UniswapV3TwapOracle.getTwapPrice)
+ * @param {object} provider ethers provider for the source network
+ * @param {object} twap TWAP entry from the token config: { pool, window, baseIsToken0, baseDecimals, quoteDecimals }
+ * @param {number} decimals Precision to return the answer in
+ * @return {Promise<{answer: bigint, decimals: number, updatedAt: bigint, source: string}>}
+ */
+async function readTwapPrice(provider, twap, decimals) {
+    const pool = new ethers.Contract(twap.pool, POOL_ABI, provider);
+    const [[tickCumulatives], block] = await Promise.all([
+        pool.observe([twap.window, 0]),
+        provider.getBlock("latest")
+    ]);
+
+    // Mean tick, rounded towards negative infinity
+    const window = BigInt(twap.window);
+    const delta = tickCumulatives[1] - tickCumulatives[0];
+    let tick = delta / window;
+    if (delta < 0n && delta % window !== 0n) {
+        tick--;
+    }
+
+    const price = priceAtTick(tick, twap.baseIsToken0, twap.baseDecimals, twap.quoteDecimals);
+
+    return {
+        answer: rescale(price, 18, decimals),
+        decimals,
+        updatedAt: BigInt(block.timestamp),
+        source: "twap"
+    };
+}
+
+/**
+ * Read a token's price on a source network, falling back to the TWAP when Chainlink is stale
+ * @param {object} provider ethers provider for the source network
+ * @param {string} feedAddress Chainlink feed on the source network
+ * @param {object} [twap] Optional TWAP entry for this chain from the token config
+ * @param {number} decimals Precision to return the answer in
+ * @param {bigint} maxAge Oldest Chainlink answer to relay, in seconds
+ * @return {Promise<{answer: bigint, decimals: number, updatedAt: bigint, source: string}>}
+ */
+async function readSourcePrice(provider, feedAddress, twap, decimals, maxAge) {
+    const reading = await readChainlinkPrice(provider, feedAddress, decimals);
+    if (!twap) {
+        return reading;
+    }
+
+    const block = await provider.getBlock("latest");
+    const isStale = BigInt(block.timestamp) - reading.updatedAt > maxAge;
+    return reading.answer <= 0n || isStale ? readTwapPrice(provider, twap, decimals) : reading;
+}
+
+/**
+ * Sign a price report with every signer, ordered by ascending signer address
+ * @param {object} relayFeed SignedPriceFeed contract on the destination chain
+ * @param {object} report PriceReport fields
+ * @param {object[]} signers ethers signers in the feed's signer set
+ * @return {Promise<string[]>} Signatures in the order submitReport expects
+ */
+async function signReport(relayFeed, report, signers) {
+    const { name, version, chainId, verifyingContract } = await relayFeed.eip712Domain();
+    const domain = { name, version, chainId, verifyingContract };
+
+    const signed = await Promise.all(signers.map(async (signer) => ({
+        address: BigInt(await signer.getAddress()),
+        signature: await signer.signTypedData(domain, REPORT_TYPES, report)
+    })));
+
+    signed.sort((a, b) => (a.address < b.address ? -1 : a.address > b.address ? 1 : 0));
+    return signed.map((entry) => entry.signature);
+}
+
+/**
+ * Relay the latest source price into one SignedPriceFeed
+ * @param {object} relayFeed SignedPriceFeed contract (connected to the submitting account)
+ * @param {object} provider ethers provider for the feed's source network
+ * @param {object[]} signers ethers signers in the feed's signer set
+ * @param {object} [twap] Optional TWAP fallback for the source chain
+ * @return {Promise<object>} { submitted, reason?, reading, report?, receipt? }
+ */
+async function relayPrice(relayFeed, provider, signers, twap) {
+    const [sourceChainId, sourceFeed, decimals, maxReportAge, latestRound, latest, destBlock] = await Promise.all([
+        relayFeed.sourceChainId(),
+        relayFeed.sourceFeed(),
+        relayFeed.decimals(),
+        relayFeed.maxReportAge(),
+        relayFeed.latestRound(),
+        relayFeed.latestRoundData(),
+        relayFeed.runner.provider.getBlock("latest")
+    ]);
+
+    const reading = await readSourcePrice(provider, sourceFeed, twap, Number(decimals), maxReportAge);
+    // The feed rejects these, and one bad source must not hold up the other relays
+    if (reading.answer <= 0n) {
+        return { submitted: false, reason: "Nonpositive answer", reading };
+    }
+
+    // Chains' clocks drift apart; never report an observation ahead of the destination chain
+    const destTimestamp = BigInt(destBlock.timestamp);
+    const observedAt = reading.updatedAt < destTimestamp ? reading.updatedAt : destTimestamp;
+
+    if (observedAt <= latest.updatedAt) {
+        return { submitted: false, reason: "No new observation", reading };
+    }
+    if (destTimestamp - observedAt > maxReportAge) {
+        return { submitted: false, reason: "Source price too old", reading };
+    }
+
+    const report = {
+        sourceChainId,
+        sourceFeed,
+        roundId: latestRound + 1n,
+        answer: reading.answer,
+        observedAt
+    };
+    const signatures = await signReport(relayFeed, report, signers);
+    const receipt = await (await relayFeed.submitReport(report, signatures)).wait();
+
+    return { submitted: true, reading, report, receipt };
+}
+
+/**
+ * Relay every token's remote-chain prices into the relay feeds the monitor reads
+ * @param {object} priceMonitor BasicPriceMonitor contract (connected to the submitting account)
+ * @param {object[]} tokens Token entries from the token config
+ * @param {object[]} routes Relayed chains: { chainId, name, provider }
+ * @param {object[]} signers ethers signers in the feeds' signer set
+ * @return {Promise<object[]>} One result per token and chain: { symbol, chainId, ...relayPrice result }
+ */
+async function relayOnce(priceMonitor, tokens, routes, signers) {
+    const results = [];
+    for (const token of tokens) {
+        for (const route of routes) {
+            const oracle = await priceMonitor.oracles(route.chainId, token.address);
+            if (oracle.chainlinkFeed === ethers.ZeroAddress) {
+                continue; // Token not monitored on this chain
+            }
+            const relayFeed = await ethers.getContractAt("SignedPriceFeed", oracle.chainlinkFeed, priceMonitor.runner);
+            const twap = token.twap ? token.twap[route.name] : undefined;
+
+            const result = await relayPrice(relayFeed, route.provider, signers, twap);
+            results.push({ symbol: token.symbol, chainId: route.chainId, ...result });
+        }
+    }
+    return results;
+}
+
+/**
+ * Signers for report signing: RELAY_SIGNER_KEYS, or the default account
+ * @return {Promise<object[]>}
+ */
+async function loadSigners() {
+    if (process.env.RELAY_SIGNER_KEYS) {
+        return process.env.RELAY_SIGNER_KEYS.split(",").map((key) => new ethers.Wallet(key.trim()));
+    }
+    const [signer] = await ethers.getSigners();
+    return [signer];
+}
+
+async function relayAndLog(priceMonitor, tokens, routes, signers) {
+    const results = await relayOnce(priceMonitor, tokens, routes, signers);
+
+    console.log(`[${new Date().toISOString()}] Relay results:`);
+    for (const result of results) {
+        const price = ethers.formatUnits(result.reading.answer, result.reading.decimals);
+        if (result.submitted) {
+            console.log(`  ${result.symbol} (${result.chainId}): $${price} from ${result.reading.source}, round ${result.report.roundId}`);
+        } else {
+            console.log(`  ${result.symbol} (${result.chainId}): skipped (${result.reason})`);
+        }
+    }
+}
+
+async function main() {
+    const contractAddress = resolveAddress(network.name);
+
+    const relayConfig = loadRelayConfig();
+    const relayed = relayConfig.relayed[network.name];
+    if (!relayed) {
+        console.error(`No relayed chains configured for network "${network.name}"`);
+        process.exit(1);
+    }
+
+    const providerFor = networkProviders(relayConfig.relayed);
+    const routes = Object.keys(relayed).map((chainId) => ({
+        chainId: BigInt(chainId),
+        name: relayConfig.chains[chainId],
+        provider: providerFor(chainId)
+    }));
+
+    const priceMonitor = await ethers.getContractAt("BasicPriceMonitor", contractAddress);
+    const tokens = loadTokenConfig(network.name);
+    const signers = await loadSigners();
+
+    await relayAndLog(priceMonitor, tokens, routes, signers);
+
+    // Optional: keep relaying every RELAY_INTERVAL seconds
+    const interval = Number(process.env.RELAY_INTERVAL || 0) * 1000;
+    if (interval > 0) {
+        setInterval(() => {
+            relayAndLog(priceMonitor, tokens, routes, signers).catch((error) => {
+                console.error("Relay failed:", error.shortMessage || error.message);
+            });
+        }, interval);
+    } else {
+        process.exit(0);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Relayer error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    REPORT_TYPES,
+    loadRelayConfig,
+    readChainlinkPrice,
+    readTwapPrice,
+    readSourcePrice,
+    signReport,
+    relayPrice,
+    relayOnce
+};
@@ -0,0 +1,162 @@
+const { ethers, network, config } = require("hardhat");
+const { LOCAL_NETWORKS } = require("./lib/tokens");
+const { resolveAddress } = require("./lib/deployments");
+const { formatRoute } = require("./lib/format");
+const { CrossChainResolver, ESCROW_STATUS, createSecret, escrowId, sourceImmutables } = require("./lib/escrow");
+const { PriceMonitorClient, ETH_ADDRESS } = require("../src");
+
+// Walks a cross-chain order through both escrows on two local nodes:
+//   npx hardhat node                 (source chain, with the monitor and limit order extension deployed)
+//   npx hardhat node --port 8546     (destination chain)
+//   npm run resolver:local
+
+const SRC_AMOUNT = ethers.parseEther("1");           // mWETH the maker locks on the source chain
+const DST_AMOUNT = ethers.parseUnits("3000", 6);     // mUSD the resolver pays on the destination chain
+
+// Short timelocks so the skipped time does not leave the monitor's mock feeds stale for long
+const WALKTHROUGH_TIMELOCKS = {
+    srcWithdrawDelay: 12,
+    srcCancelDelay: 600,
+    dstWithdrawDelay: 12,
+    dstCancelDelay: 300,
+    safetyGap: 120
+};
+
+/**
+ * Advance a local node's clock and mine a block
+ * @param {object} provider JSON-RPC provider of a hardhat node
+ * @param {number} seconds Seconds to skip
+ */
+async function increaseTime(provider, seconds) {
+    await provider.send("evm_increaseTime", [seconds]);
+    await provider.send("evm_mine", []);
+}
+
+async function deploy(name, signer, args = []) {
+    const contract = await (await ethers.getContractFactory(name, signer)).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * Maker side: build an order and lock the source funds while the monitor's window is open
+ * @param {object} ctx Chains, contracts and signers from setup()
+ * @param {object} condition EscrowSrc.SpreadCondition
+ * @return {Promise<{order: object, secret: string, orderHash: string}>}
+ */
+async function openOrder(ctx, condition) {
+    const { secret, hashlock } = createSecret();
+    const order = {
+        maker: ctx.maker.address,
+        srcChainId: ctx.src.chainId,
+        dstChainId: ctx.dst.chainId,
+        srcToken: await ctx.src.token.getAddress(),
+        dstToken: await ctx.dst.token.getAddress(),
+        srcAmount: SRC_AMOUNT,
+        dstAmount: DST_AMOUNT,
+        hashlock,
+        salt: BigInt(ethers.hexlify(ethers.randomBytes(8)))
+    };
+
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const immutables = sourceImmutables(order, ctx.resolverAddress, now, WALKTHROUGH_TIMELOCKS);
+    await (await ctx.src.token.connect(ctx.maker).approve(await ctx.src.escrow.getAddress(), SRC_AMOUNT)).wait();
+    await (await ctx.src.escrow.connect(ctx.maker).createEscrow(immutables, condition)).wait();
+    return { order, secret, orderHash: immutables.orderHash };
+}
+
+async function balances(ctx) {
+    const [makerDst, resolverSrc, resolverDst] = await Promise.all([
+        ctx.dst.token.balanceOf(ctx.maker.address),
+        ctx.src.token.balanceOf(ctx.resolverAddress),
+        ctx.dst.token.balanceOf(ctx.resolverAddress)
+    ]);
+    return `maker ${ethers.formatUnits(makerDst, 6)} mUSD, resolver ${ethers.formatEther(resolverSrc)} mWETH / ${ethers.formatUnits(resolverDst, 6)} mUSD`;
+}
+
+async function setup() {
+    const dstNetwork = process.env.ESCROW_DST_NETWORK || "localhostDst";
+    const dstProvider = new ethers.JsonRpcProvider(config.networks[dstNetwork].url);
+    const [admin, maker, resolver] = await ethers.getSigners();
+    const resolverDst = await dstProvider.getSigner(resolver.address);
+
+    const src = { chainId: (await ethers.provider.getNetwork()).chainId };
+    const dst = { chainId: (await dstProvider.getNetwork()).chainId };
+    src.token = await deploy("MockERC20", admin, ["Mock Wrapped Ether", "mWETH", 18]);
+    dst.token = await deploy("MockERC20", await dstProvider.getSigner(0), ["Mock USD", "mUSD", 6]);
+    src.escrow = await deploy("EscrowSrc", admin, [resolveAddress(network.name, "ArbitrageLimitOrderExtension")]);
+    dst.escrow = await deploy("EscrowDst", await dstProvider.getSigner(0));
+
+    await (await src.token.mint(maker.address, SRC_AMOUNT * 2n)).wait();
+    await (await dst.token.mint(resolver.address, DST_AMOUNT * 2n)).wait();
+
+    console.log("Source escrow:", await src.escrow.getAddress(), `(${network.name}, chain ${src.chainId})`);
+    console.log("Destination escrow:", await dst.escrow.getAddress(), `(${dstNetwork}, chain ${dst.chainId})`);
+    return {
+        src,
+        dst,
+        maker,
+        resolverAddress: resolver.address,
+        dstProvider,
+        resolver: new CrossChainResolver(src.escrow.connect(resolver), dst.escrow.connect(resolverDst), WALKTHROUGH_TIMELOCKS)
+    };
+}
+
+async function main() {
+    if (!LOCAL_NETWORKS.includes(network.name)) {
+        throw new Error("The resolver walkthrough skips time on both nodes; run it with --network localhost");
+    }
+    // Escrows only open while the monitor shows a spread
+    const client = new PriceMonitorClient(await ethers.getContractAt("BasicPriceMonitor", resolveAddress(network.name)));
+    await client.refresh([ETH_ADDRESS]);
+    const opportunity = await client.getOpportunity(ETH_ADDRESS);
+    if (!opportunity.isProfitable) {
+        throw new Error("No open arbitrage window: redeploy the monitor with e.g. MOCK_ARBITRUM_PRICE=3100");
+    }
+    const condition = {
+        token: ETH_ADDRESS,
+        minSpreadBasisPoints: 0,
+        buyChainId: opportunity.buyChainId,
+        sellChainId: opportunity.sellChainId,
+        maxPriceAge: 300
+    };
+    console.log(`Window open: ${formatRoute(opportunity.buyChainId, opportunity.sellChainId)}, ${opportunity.spreadBasisPoints} bps`);
+    const ctx = await setup();
+
+    // Happy path: both escrows funded, the maker shares the secret, the resolver settles
+    console.log("\nHappy path");
+    const happy = await openOrder(ctx, condition);
+    console.log("  Maker locked 1 mWETH:", happy.orderHash);
+    const happyEscrows = await ctx.resolver.fundDestination(happy.order);
+    const { status } = await ctx.dst.escrow.getEscrow(escrowId(happyEscrows.dst));
+    if (status !== ESCROW_STATUS.ACTIVE) {
+        throw new Error("Destination escrow missing; the maker keeps the secret");
+    }
+    console.log("  Resolver locked 3000 mUSD; maker shares the secret");
+    await increaseTime(ethers.provider, WALKTHROUGH_TIMELOCKS.srcWithdrawDelay);
+    await increaseTime(ctx.dstProvider, WALKTHROUGH_TIMELOCKS.dstWithdrawDelay);
+    await ctx.resolver.withdraw(happyEscrows, happy.secret);
+    console.log("  Settled:", await balances(ctx));
+
+    // Refund path: the maker never reveals, both sides take their funds back
+    console.log("\nRefund path");
+    const refund = await openOrder(ctx, condition);
+    const refundEscrows = await ctx.resolver.fundDestination(refund.order);
+    console.log("  Both escrows funded; the secret is never shared");
+    await increaseTime(ctx.dstProvider, WALKTHROUGH_TIMELOCKS.dstCancelDelay);
+    console.log("  Destination expired, refunded to resolver:", (await ctx.resolver.refund(refundEscrows)).dst !== null);
+    await increaseTime(ethers.provider, WALKTHROUGH_TIMELOCKS.srcCancelDelay);
+    console.log("  Source expired, refunded to maker:", (await ctx.resolver.refund(refundEscrows)).src !== null);
+    console.log("  Final:", await balances(ctx));
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("Resolver error:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { increaseTime, openOrder };
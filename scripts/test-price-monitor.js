@@ -1,15 +1,15 @@
 const { ethers, network } = require("hardhat");
+const { loadTokenConfig } = require("./lib/tokens");
+const { printProfitBreakdown, printPriceData, printOpportunity, formatChain } = require("./lib/format");
+const { resolveAddress } = require("./lib/deployments");
+const { PriceMonitorClient } = require("../src");
+const { getPriceMonitorFactory } = require("./lib/monitor");
 
 async function testPriceMonitor() {
     console.log("Testing Price Monitor functionality...\n");
     
-    // Get contract address from environment or command line
-    const contractAddress = process.env.PRICE_MONITOR_ADDRESS || process.argv[3] || "0x...";
-    
-    if (!contractAddress || contractAddress === "0x...") {
-        console.error("Please provide contract address");
-        process.exit(1);
-    }
+    // PRICE_MONITOR_ADDRESS overrides deployments/<network>.json
+    const contractAddress = resolveAddress(network.name);
     
     console.log("Contract Address:", contractAddress);
     console.log("Network:", network.name);
@@ -17,69 +17,79 @@ async function testPriceMonitor() {
     
     try {
         // Connect to deployed contract
-        const BasicPriceMonitor = await ethers.getContractFactory("BasicPriceMonitor");
+        const BasicPriceMonitor = await getPriceMonitorFactory();
         const priceMonitor = BasicPriceMonitor.attach(contractAddress);
+        const client = new PriceMonitorClient(priceMonitor);
         
         // Verify contract is accessible
         console.log("\nVerifying contract...");
-        const owner = await priceMonitor.owner();
-        console.log("  Contract Owner:", owner);
+        const [signer] = await ethers.getSigners();
+        const updaterRole = await priceMonitor.UPDATER_ROLE();
+        console.log("  Paused:", await priceMonitor.paused());
+        console.log("  Updater Role Required:", await priceMonitor.updaterRoleRequired());
+        console.log("  Signer Is Updater:", await priceMonitor.hasRole(updaterRole, signer.address));
+        
+        // Tokens to exercise (config/tokens.json, optionally filtered with TOKENS=ETH,LINK)
+        const tokens = loadTokenConfig(network.name);
         
         // Check oracle configuration
         console.log("\nChecking oracle configuration...");
-        const ethOracle = await priceMonitor.oracles(1, "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE");
-        const arbOracle = await priceMonitor.oracles(42161, "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE");
-        
-        console.log("  Ethereum Oracle:");
-        console.log("    Feed Address:", ethOracle.chainlinkFeed);
-        console.log("    Is Active:", ethOracle.isActive);
-        console.log("  Arbitrum Oracle:");
-        console.log("    Feed Address:", arbOracle.chainlinkFeed);
-        console.log("    Is Active:", arbOracle.isActive);
-        
-        if (!ethOracle.isActive || !arbOracle.isActive) {
-            throw new Error("Oracles not properly initialized");
+        for (const token of tokens) {
+            for (const oracle of await client.getOracleConfig(token.address)) {
+                console.log(`  ${token.symbol} ${formatChain(oracle.chainId)} Oracle:`);
+                console.log("    Feed Address:", oracle.chainlinkFeed);
+                console.log("    Is Active:", oracle.isActive);
+                
+                if (!oracle.isActive) {
+                    throw new Error(`${token.symbol} oracles not properly initialized`);
+                }
+            }
         }
         
         // Update prices
-        console.log("\nUpdating ETH prices...");
-        const updateTx = await priceMonitor.updateETHPrices({
-            gasLimit: 500000 // Safety margin
-        });
-        const receipt = await updateTx.wait();
+        console.log(`\nUpdating prices for ${tokens.map((token) => token.symbol).join(", ")}...`);
+        const receipt = await client.refresh(tokens.map((token) => token.address));
         console.log("Update successful, gas used:", receipt.gasUsed.toString());
         
-        // Get price data
-        const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
-        const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
-        
-        console.log("\nCurrent Price Data:");
-        console.log("  Ethereum Price: $", ethers.formatEther(priceData.ethereumPrice));
-        console.log("  Arbitrum Price: $", ethers.formatEther(priceData.arbitrumPrice));
-        console.log("  Spread:", priceData.spread.toString(), "basis points");
-        console.log("  Ethereum Higher:", priceData.isEthereumHigher);
-        console.log("  Last Update:", new Date(Number(priceData.timestamp) * 1000).toLocaleString());
-        
-        // Check arbitrage opportunity
-        const opportunity = await priceMonitor.getArbitrageOpportunity();
-        
-        console.log("\nArbitrage Opportunity:");
-        console.log("  Is Profitable:", opportunity.isProfitable);
-        console.log("  Spread:", opportunity.spreadBasisPoints.toString(), "basis points");
-        console.log("  Estimated Profit:", ethers.formatEther(opportunity.estimatedProfit), "ETH");
-        console.log("  Gas Estimate:", ethers.formatEther(opportunity.gasEstimate), "ETH");
-        console.log("  Direction:", opportunity.isEthToArb ? "ETH → ARB" : "ARB → ETH");
-        
-        // Quick check function
-        const [isProfitable, spreadBPs] = await priceMonitor.isProfitableArbitrage();
-        console.log("\nQuick Profitability Check:");
-        console.log("  Currently Profitable:", isProfitable);
-        console.log("  Current Spread:", spreadBPs.toString(), "basis points");
+        for (const token of tokens) {
+            console.log(`\n${token.symbol} Current Price Data:`);
+            printPriceData(await client.getPrices(token.address));
+            
+            // Check arbitrage opportunity
+            console.log(`\n${token.symbol} Arbitrage Opportunity:`);
+            printOpportunity(await client.getOpportunity(token.address));
+            
+            // Profit model for a chosen size (TRADE_AMOUNT, in whole tokens)
+            const tradeAmount = process.env.TRADE_AMOUNT
+                ? ethers.parseEther(process.env.TRADE_AMOUNT)
+                : await priceMonitor.defaultTradeAmount();
+            const breakdown = await client.getProfitBreakdown(token.address, tradeAmount);
+            console.log(`\n${token.symbol} Profit Breakdown:`);
+            printProfitBreakdown(breakdown, token.symbol);
+            
+            // Quick check function
+            const [isProfitable, spreadBPs] = await priceMonitor["isProfitableArbitrage(address)"](token.address);
+            console.log(`\n${token.symbol} Quick Profitability Check:`);
+            console.log("  Currently Profitable:", isProfitable);
+            console.log("  Current Spread:", spreadBPs.toString(), "basis points");
+            
+            // Spread persistence over the stored history
+            const historyLength = await priceMonitor.historyLength();
+            const stats = await priceMonitor.getSpreadStatistics(token.address, historyLength);
+            console.log(`\n${token.symbol} Spread Statistics (last ${stats.observations} updates):`);
+            console.log("  Average Spread:", stats.averageSpread.toString(), "basis points");
+            console.log("  Max Spread:", stats.maxSpread.toString(), "basis points");
+            console.log("  Consecutive Updates Above Threshold:", stats.consecutiveUpdates.toString());
+            console.log("  Above Threshold For:", stats.aboveThresholdDuration.toString(), "seconds");
+        }
 
         console.log("\nAll tests passed! Contract is working correctly!");
         
     } catch (error) {
         console.error("\nTest failed:", error.message);
+        if (error.args && Object.keys(error.args).length > 0) {
+            console.error("  Details:", error.args);
+        }
         
         console.log("\nTry redeploying with:");
         console.log(`  npm run deploy:${network.name}`);
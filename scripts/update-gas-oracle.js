@@ -0,0 +1,184 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { networkProviders } = require("./lib/networks");
+const { resolveAddress } = require("./lib/deployments");
+
+const DEFAULT_GAS_CONFIG = path.join(__dirname, "..", "config", "gas.json");
+
+// eth_feeHistory window and priority fee percentile
+const FEE_HISTORY_BLOCKS = 5;
+const PRIORITY_FEE_PERCENTILE = 50;
+
+/**
+ * Load per-chain leg gas limits and RPC source mapping
+ * @param {string} [configPath] Path to the config file (defaults to GAS_CONFIG or config/gas.json)
+ * @return {object} Parsed gas config
+ */
+function loadGasConfig(configPath = process.env.GAS_CONFIG || DEFAULT_GAS_CONFIG) {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * Read a gas price suggestion from a network
+ * @param {object} provider ethers provider for the network
+ * @return {Promise<{gasPrice: bigint, baseFee: (bigint|null), priorityFee: bigint, legacyGasPrice: bigint}>}
+ */
+async function readGasPrice(provider) {
+    const legacyGasPrice = BigInt(await provider.send("eth_gasPrice", []));
+
+    let baseFee = null;
+    let priorityFee = 0n;
+    try {
+        const history = await provider.send("eth_feeHistory", [
+            ethers.toQuantity(FEE_HISTORY_BLOCKS),
+            "latest",
+            [PRIORITY_FEE_PERCENTILE]
+        ]);
+        // Last entry is the base fee of the next (pending) block
+        baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+        const rewards = (history.reward || []).map((reward) => BigInt(reward[0])).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        if (rewards.length > 0) {
+            priorityFee = rewards[Math.floor(rewards.length / 2)];
+        }
+    } catch (error) {
+        // Pre-London chains don't support eth_feeHistory; eth_gasPrice is all we have
+    }
+
+    const gasPrice = baseFee !== null ? baseFee + priorityFee : legacyGasPrice;
+    return { gasPrice, baseFee, priorityFee, legacyGasPrice };
+}
+
+/**
+ * Read gas prices for the configured chains
+ * @param {object} gasConfig Parsed gas config
+ * @param {function(string): object} providerFor Returns the provider to read for a chain ID
+ * @param {string[]} [chainIds] Chains to read (defaults to every configured chain); the L1 of an
+ *   L2 in the list is read for its base fee even when it is not in the list itself
+ * @return {Promise<object[]>} Readings for chainIds: { chainId, name, gasPrice, l1BaseFee }
+ */
+async function collectGasReadings(gasConfig, providerFor, chainIds = Object.keys(gasConfig.chains)) {
+    const raw = {};
+    for (const chainId of chainIds) {
+        raw[chainId] = await readGasPrice(providerFor(chainId));
+    }
+    for (const chainId of chainIds) {
+        const l1ChainId = gasConfig.chains[chainId].l1ChainId;
+        if (l1ChainId === undefined || raw[l1ChainId]) {
+            continue;
+        }
+        let provider;
+        try {
+            provider = providerFor(String(l1ChainId));
+        } catch (error) {
+            throw new Error(`Cannot read the L1 base fee of chain ${chainId}: ${error.message}`);
+        }
+        raw[l1ChainId] = await readGasPrice(provider);
+    }
+
+    return chainIds.map((chainId) => {
+        const chain = gasConfig.chains[chainId];
+        let l1BaseFee = 0n;
+        if (chain.l1ChainId !== undefined) {
+            // L2 data is posted to L1 at the L1 base fee
+            const l1 = raw[chain.l1ChainId];
+            l1BaseFee = l1.baseFee !== null ? l1.baseFee : l1.gasPrice;
+        }
+        return { chainId: BigInt(chainId), name: chain.name, gasPrice: raw[chainId].gasPrice, l1BaseFee };
+    });
+}
+
+/**
+ * Push gas readings to a CrossChainGasEstimator in one transaction
+ * @param {object} estimator CrossChainGasEstimator contract (connected to an updater)
+ * @param {object[]} readings Output of collectGasReadings
+ * @return {Promise<object>} Transaction receipt
+ */
+async function pushGasReadings(estimator, readings) {
+    const tx = await estimator.updateGasPrices(
+        readings.map((reading) => reading.chainId),
+        readings.map((reading) => reading.gasPrice),
+        readings.map((reading) => reading.l1BaseFee)
+    );
+    return tx.wait();
+}
+
+/**
+ * Configure chains on a freshly deployed estimator and seed default gas prices
+ * @param {object} estimator CrossChainGasEstimator contract (connected to the owner)
+ * @param {object} gasConfig Parsed gas config
+ */
+async function configureEstimator(estimator, gasConfig) {
+    if (gasConfig.maxAgeSeconds !== undefined) {
+        await (await estimator.setMaxAge(gasConfig.maxAgeSeconds)).wait();
+    }
+    const readings = [];
+    for (const [chainId, chain] of Object.entries(gasConfig.chains)) {
+        await (await estimator.configureChain(
+            chainId, chain.legs.swap, chain.legs.bridge, chain.legs.settle, chain.l1DataGasPerTx
+        )).wait();
+
+        const l1 = chain.l1ChainId !== undefined ? gasConfig.chains[chain.l1ChainId] : null;
+        readings.push({
+            chainId: BigInt(chainId),
+            gasPrice: ethers.parseUnits(chain.defaultGasPriceGwei, "gwei"),
+            l1BaseFee: l1 ? ethers.parseUnits(l1.defaultGasPriceGwei, "gwei") : 0n
+        });
+    }
+    await pushGasReadings(estimator, readings);
+}
+
+async function updateOnce(estimator, gasConfig, providerFor, chainIds) {
+    const readings = await collectGasReadings(gasConfig, providerFor, chainIds);
+
+    console.log(`[${new Date().toISOString()}] Gas readings:`);
+    for (const reading of readings) {
+        const l1 = reading.l1BaseFee > 0n ? `, L1 base fee ${ethers.formatUnits(reading.l1BaseFee, "gwei")} gwei` : "";
+        console.log(`  ${reading.name} (${reading.chainId}): ${ethers.formatUnits(reading.gasPrice, "gwei")} gwei${l1}`);
+    }
+
+    const receipt = await pushGasReadings(estimator, readings);
+    console.log("Pushed to estimator, gas used:", receipt.gasUsed.toString());
+}
+
+async function main() {
+    const estimatorAddress = resolveAddress(network.name, "CrossChainGasEstimator");
+
+    const gasConfig = loadGasConfig();
+    const providerFor = networkProviders(gasConfig.sources);
+    const estimator = await ethers.getContractAt("CrossChainGasEstimator", estimatorAddress);
+
+    // Only chains with an RPC source on this network (testnets cover Ethereum and Arbitrum)
+    const sources = gasConfig.sources[network.name];
+    const chainIds = sources ? Object.keys(sources) : Object.keys(gasConfig.chains);
+
+    await updateOnce(estimator, gasConfig, providerFor, chainIds);
+
+    // Optional: keep pushing every GAS_ORACLE_INTERVAL seconds
+    const interval = Number(process.env.GAS_ORACLE_INTERVAL || 0) * 1000;
+    if (interval > 0) {
+        setInterval(() => {
+            updateOnce(estimator, gasConfig, providerFor, chainIds).catch((error) => {
+                console.error("Gas update failed:", error.shortMessage || error.message);
+            });
+        }, interval);
+    } else {
+        process.exit(0);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("Gas oracle error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadGasConfig,
+    readGasPrice,
+    collectGasReadings,
+    pushGasReadings,
+    configureEstimator
+};
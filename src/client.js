@@ -0,0 +1,264 @@
+const { ETH_ADDRESS } = require("./constants");
+const { decodeMonitorError } = require("./errors");
+const { bestRoute } = require("./math");
+
+// Events the client can query and watch
+const MONITOR_EVENTS = ["PricesUpdated", "ArbitrageOpportunityDetected", "CircuitBreakerTripped", "GasPriceUpdated"];
+
+/**
+ * Copy an ethers Result (struct or event args) into a plain object
+ * @param {object} result ethers Result
+ * @return {object}
+ */
+function toPlain(result) {
+    return result.toObject();
+}
+
+/**
+ * Typed wrapper around a deployed BasicPriceMonitor.
+ *
+ * Values stay in the contract's units (bigint, 18-decimal USD, basis points, wei); use
+ * src/units.js to format them. Reverts are rethrown as MonitorError subclasses (src/errors.js).
+ */
+class PriceMonitorClient {
+    /**
+     * @param {object} priceMonitor BasicPriceMonitor contract, connected to a signer to send updates
+     */
+    constructor(priceMonitor) {
+        this.priceMonitor = priceMonitor;
+    }
+
+    get provider() {
+        return this.priceMonitor.runner.provider;
+    }
+
+    /**
+     * Pull fresh prices for tokens and wait for the update to be mined
+     * @param {string[]} [tokens] Token addresses (defaults to ETH)
+     * @param {object} [overrides] Transaction overrides such as gasLimit
+     * @return {Promise<object>} Transaction receipt
+     */
+    async refresh(tokens = [ETH_ADDRESS], overrides = {}) {
+        return this._call(async () => (await this.priceMonitor.updatePrices(tokens, overrides)).wait());
+    }
+
+    /**
+     * Stored prices for a token
+     * @param {string} [token] Token address
+     * @return {Promise<object>} PriceData fields plus chains: [{ chainId, price }]
+     */
+    async getPrices(token = ETH_ADDRESS) {
+        const [priceData, [chainIds, prices]] = await this._call(() => Promise.all([
+            this.priceMonitor.getTokenPriceData(token),
+            this.priceMonitor.getChainPrices(token)
+        ]));
+        return {
+            ...toPlain(priceData),
+            chains: chainIds.map((chainId, i) => ({ chainId, price: prices[i] }))
+        };
+    }
+
+    /**
+     * Best opportunity for the monitor's defaultTradeAmount
+     * @param {string} [token] Token address
+     * @return {Promise<object>} ArbitrageOpportunity fields
+     */
+    async getOpportunity(token = ETH_ADDRESS) {
+        return toPlain(await this._call(() => this.priceMonitor["getArbitrageOpportunity(address)"](token)));
+    }
+
+    /**
+     * Cost breakdown of the best route for a trade size
+     * @param {string} [token] Token address
+     * @param {bigint} [amount] Notional in token units (defaults to defaultTradeAmount)
+     * @return {Promise<object>} ProfitBreakdown fields
+     */
+    async getProfitBreakdown(token = ETH_ADDRESS, amount = undefined) {
+        const tradeAmount = amount !== undefined ? amount : await this.priceMonitor.defaultTradeAmount();
+        return toPlain(await this._call(() => this.priceMonitor.getProfitBreakdown(token, tradeAmount)));
+    }
+
+    /**
+     * @param {string} token Token address
+     * @param {number} maxAge Seconds
+     * @return {Promise<boolean>} True if the stored prices are at most maxAge old
+     */
+    async isFresh(token, maxAge) {
+        return this._call(() => this.priceMonitor.isPriceDataFresh(token, maxAge));
+    }
+
+    /**
+     * Oracle configuration on every chain a token is registered on
+     * @param {string} [token] Token address
+     * @return {Promise<object[]>} [{ chainId, chainlinkFeed, uniswapV3Pool, maxStaleness, isActive }]
+     */
+    async getOracleConfig(token = ETH_ADDRESS) {
+        const chainIds = await this._call(() => this.priceMonitor.getTokenChains(token));
+        return Promise.all(chainIds.map(async (chainId) => ({
+            chainId,
+            ...toPlain(await this.priceMonitor.oracles(chainId, token))
+        })));
+    }
+
+    /**
+     * Live fee parameters in the shape src/math.js expects
+     * @param {string} [token] Token address; trading is disabled while its sources are flagged
+     * @return {Promise<object>}
+     */
+    async getCostModel(token = ETH_ADDRESS) {
+        const [dexFee, bridgeFee, slippage, minProfit, paused, flagged, ethPrices] = await Promise.all([
+            this.priceMonitor.dexFeeBasisPoints(),
+            this.priceMonitor.bridgeFeeBasisPoints(),
+            this.priceMonitor.slippageBasisPoints(),
+            this.priceMonitor.minProfitBasisPoints(),
+            this.priceMonitor.paused(),
+            this.priceMonitor.isPriceFlagged(token),
+            this.priceMonitor.getTokenPriceData(ETH_ADDRESS)
+        ]);
+        return {
+            dexFeeBasisPoints: dexFee,
+            bridgeFeeBasisPoints: bridgeFee,
+            slippageBasisPoints: slippage,
+            minProfitBasisPoints: minProfit,
+            tradingEnabled: !paused && !flagged && ethPrices.timestamp > 0n
+        };
+    }
+
+    /**
+     * Off-chain preview of the best route if some chain prices were different, using the
+     * monitor's current gas costs and fees
+     * @param {string} [token] Token address
+     * @param {object} [options]
+     * @param {object} [options.prices] Price overrides by chain ID (18 decimals)
+     * @param {bigint} [options.amount] Notional in token units (defaults to defaultTradeAmount)
+     * @return {Promise<object>} ProfitBreakdown fields
+     */
+    async previewBestRoute(token = ETH_ADDRESS, { prices = {}, amount = undefined } = {}) {
+        const tradeAmount = amount !== undefined ? amount : await this.priceMonitor.defaultTradeAmount();
+        const [{ chains }, costModel, oracles] = await Promise.all([
+            this.getPrices(token),
+            this.getCostModel(token),
+            this.getOracleConfig(token)
+        ]);
+        const active = chains.filter((chain, i) => oracles[i].isActive);
+
+        const routed = active.map((chain) => {
+            const override = prices[chain.chainId] !== undefined ? prices[chain.chainId] : prices[String(chain.chainId)];
+            return { chainId: chain.chainId, price: override !== undefined ? BigInt(override) : chain.price, buyGasCost: 0n, sellGasCost: 0n };
+        });
+
+        // Routing each chain to the next one yields the buy-leg gas of every chain and the
+        // sell-leg gas of every chain
+        if (routed.length > 1) {
+            await Promise.all(routed.map(async (buy, i) => {
+                const sell = routed[(i + 1) % routed.length];
+                const route = await this.priceMonitor.getRouteBreakdown(token, buy.chainId, sell.chainId, tradeAmount);
+                buy.buyGasCost = route.buyGasCost;
+                sell.sellGasCost = route.sellGasCost;
+            }));
+        }
+        return bestRoute(routed, tradeAmount, costModel);
+    }
+
+    /**
+     * Monitor events in a block range, decoded and in log order
+     * @param {string[]} [names] Event names (defaults to every monitor event)
+     * @param {number} fromBlock First block
+     * @param {number|string} [toBlock] Last block
+     * @return {Promise<object[]>} { event, ...args, blockNumber, transactionHash, logIndex }
+     */
+    async getEvents(names = MONITOR_EVENTS, fromBlock = 0, toBlock = "latest") {
+        const batches = await Promise.all(names.map((name) => (
+            this.priceMonitor.queryFilter(this.priceMonitor.filters[name](), fromBlock, toBlock)
+        )));
+        return batches.flat()
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .map((event) => ({
+                event: event.fragment.name,
+                ...toPlain(event.args),
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                logIndex: event.index
+            }));
+    }
+
+    /**
+     * Poll for new events and hand each one to a callback
+     * @param {string[]} names Event names
+     * @param {function(object): void} onEvent Called with each decoded event, in log order
+     * @param {object} [options]
+     * @param {number} [options.pollInterval] ms between polls (default 5000)
+     * @param {number} [options.fromBlock] First block (default: the next block mined)
+     * @param {function(Error): void} [options.onError] Called when a poll fails
+     * @return {{poll: function(): Promise<number>, stop: function(): void}} poll() runs one poll now
+     */
+    watchEvents(names, onEvent, { pollInterval = 5000, fromBlock = undefined, onError = () => {} } = {}) {
+        let lastBlock;
+        let timer = null;
+        let stopped = false;
+
+        // Without fromBlock, only events mined after this call are delivered
+        let pending = fromBlock !== undefined
+            ? Promise.resolve((lastBlock = fromBlock - 1))
+            : this.provider.getBlockNumber().then((head) => { lastBlock = head; });
+
+        const pollOnce = async () => {
+            const head = await this.provider.getBlockNumber();
+            if (head <= lastBlock) {
+                return 0;
+            }
+            const events = await this.getEvents(names, lastBlock + 1, head);
+            lastBlock = head;
+            for (const event of events) {
+                await onEvent(event);
+            }
+            return events.length;
+        };
+        // Polls never overlap, so no event is delivered twice
+        const poll = () => {
+            const result = pending.then(pollOnce);
+            pending = result.catch(() => {});
+            return result;
+        };
+
+        const loop = async () => {
+            try {
+                await poll();
+            } catch (error) {
+                onError(error);
+            }
+            if (!stopped) {
+                timer = setTimeout(loop, pollInterval);
+            }
+        };
+        timer = setTimeout(loop, pollInterval);
+
+        return {
+            poll,
+            stop() {
+                stopped = true;
+                clearTimeout(timer);
+            }
+        };
+    }
+
+    /**
+     * Watch ArbitrageOpportunityDetected events
+     * @param {function(object): void} onOpportunity Called with each decoded event
+     * @param {object} [options] See watchEvents
+     * @return {{poll: function(): Promise<number>, stop: function(): void}}
+     */
+    watchOpportunities(onOpportunity, options = {}) {
+        return this.watchEvents(["ArbitrageOpportunityDetected"], onOpportunity, options);
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw decodeMonitorError(error, this.priceMonitor.interface);
+        }
+    }
+}
+
+module.exports = { PriceMonitorClient, MONITOR_EVENTS };
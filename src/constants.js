@@ -0,0 +1,18 @@
+// Values mirrored from BasicPriceMonitor so callers do not have to read them on-chain
+
+// Sentinel address the monitor uses for native ETH
+const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+// The two chains every token is registered on (ETHEREUM_CHAIN_ID / ARBITRUM_CHAIN_ID)
+const CHAIN_IDS = {
+    ethereum: 1n,
+    arbitrum: 42161n
+};
+
+const BASIS_POINTS = 10000n;
+const PRICE_PRECISION = 10n ** 18n; // Prices and USD amounts carry 18 decimals
+
+// Gas units charged per leg when no CrossChainGasEstimator is set (ARBITRAGE_GAS_LIMIT)
+const ARBITRAGE_GAS_LIMIT = 350000n;
+
+module.exports = { ETH_ADDRESS, CHAIN_IDS, BASIS_POINTS, PRICE_PRECISION, ARBITRAGE_GAS_LIMIT };
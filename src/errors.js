@@ -0,0 +1,143 @@
+/**
+ * Base class for decoded BasicPriceMonitor reverts
+ * @property {string} reason Custom error name or revert string, e.g. "StalePrice" or "Token not supported"
+ * @property {object} args Custom error arguments by name (empty for revert strings)
+ * @property {boolean} retryable True when the same call may succeed shortly without intervention
+ * @property {Error} cause The original ethers/hardhat error
+ */
+class MonitorError extends Error {
+    constructor(reason, args = {}, cause = undefined) {
+        super(reason);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.args = args;
+        this.cause = cause;
+    }
+
+    get retryable() {
+        return false;
+    }
+}
+
+// A feed has not published a usable round yet; a new round may land any block
+class StalePriceError extends MonitorError {
+    get retryable() {
+        return true;
+    }
+}
+
+// The L2 sequencer is down or just came back up
+class SequencerDownError extends MonitorError {
+    get retryable() {
+        return true;
+    }
+}
+
+// A source returned a price the monitor refuses to use
+class InvalidPriceError extends MonitorError {}
+
+// The token or chain is not registered, or its oracle is switched off
+class OracleNotActiveError extends MonitorError {}
+
+// The monitor is paused (manually or by the circuit breaker)
+class MonitorPausedError extends MonitorError {}
+
+// The caller lacks the role the function requires
+class AccessDeniedError extends MonitorError {}
+
+// Revert reason -> error class; anything else decodes to a plain MonitorError
+const ERROR_CLASSES = {
+    StalePrice: StalePriceError,
+    StaleRound: StalePriceError,
+    IncompleteRound: StalePriceError,
+    SequencerDown: SequencerDownError,
+    SequencerGracePeriodNotOver: SequencerDownError,
+    InvalidChainlinkPrice: InvalidPriceError,
+    "Price sources deviate": InvalidPriceError,
+    "Invalid TWAP price": InvalidPriceError,
+    OracleNotActive: OracleNotActiveError,
+    NotEnoughActiveChains: OracleNotActiveError,
+    "Oracle not active": OracleNotActiveError,
+    "Token not supported": OracleNotActiveError,
+    "Token not on chain": OracleNotActiveError,
+    "Pausable: paused": MonitorPausedError
+};
+
+/**
+ * Pull the revert reason out of an ethers or hardhat error
+ * @param {Error} error Thrown error
+ * @param {object} [contractInterface] ethers Interface used to parse raw revert data
+ * @return {{reason: string, args: object}|null} null if the error is not a revert
+ */
+function revertOf(error, contractInterface) {
+    let revert = error.revert;
+    if (!revert && contractInterface && typeof error.data === "string") {
+        try {
+            revert = contractInterface.parseError(error.data);
+        } catch (parseError) {
+            revert = null;
+        }
+    }
+    if (revert && revert.name && revert.name !== "Error") {
+        return { reason: revert.name, args: namedArgs(revert.args) };
+    }
+    if (error.reason) {
+        return { reason: error.reason, args: {} };
+    }
+
+    // Hardhat network messages: "reverted with custom error 'Name(...)'" / "reverted with reason string '...'"
+    const message = [error.shortMessage, error.message].filter(Boolean).join(" ");
+    const custom = /reverted with custom error '(\w+)\(/.exec(message);
+    if (custom) {
+        return { reason: custom[1], args: {} };
+    }
+    const reasonString = /reverted with reason string '(.*?)'/.exec(message);
+    if (reasonString) {
+        return { reason: reasonString[1], args: {} };
+    }
+    return null;
+}
+
+function namedArgs(args) {
+    if (!args || typeof args.toObject !== "function") {
+        return {};
+    }
+    try {
+        return args.toObject();
+    } catch (error) {
+        return {}; // Unnamed outputs
+    }
+}
+
+/**
+ * Turn a failed monitor call or transaction into a typed MonitorError
+ * @param {Error} error Error thrown by ethers (or the hardhat network)
+ * @param {object} [contractInterface] BasicPriceMonitor Interface, to parse raw revert data
+ * @return {Error} A MonitorError subclass, or the original error if it is not a revert
+ */
+function decodeMonitorError(error, contractInterface = undefined) {
+    if (error instanceof MonitorError) {
+        return error;
+    }
+    const revert = revertOf(error, contractInterface);
+    if (!revert) {
+        return error;
+    }
+
+    let ErrorClass = ERROR_CLASSES[revert.reason] || MonitorError;
+    if (/^AccessControl: account .* is missing role/.test(revert.reason)) {
+        ErrorClass = AccessDeniedError;
+    }
+    return new ErrorClass(revert.reason, revert.args, error);
+}
+
+module.exports = {
+    MonitorError,
+    StalePriceError,
+    SequencerDownError,
+    InvalidPriceError,
+    OracleNotActiveError,
+    MonitorPausedError,
+    AccessDeniedError,
+    decodeMonitorError
+};
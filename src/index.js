@@ -0,0 +1,15 @@
+// JS client library for BasicPriceMonitor; depends on ethers only, never on hardhat
+const constants = require("./constants");
+const units = require("./units");
+const errors = require("./errors");
+const math = require("./math");
+const { PriceMonitorClient, MONITOR_EVENTS } = require("./client");
+
+module.exports = {
+    PriceMonitorClient,
+    MONITOR_EVENTS,
+    ...constants,
+    ...units,
+    ...errors,
+    ...math
+};
@@ -0,0 +1,133 @@
+const { BASIS_POINTS, PRICE_PRECISION, CHAIN_IDS } = require("./constants");
+
+// BasicPriceMonitor's default cost parameters (see getCostModel on the client for live values)
+const DEFAULT_COST_MODEL = {
+    dexFeeBasisPoints: 30n,
+    bridgeFeeBasisPoints: 5n,
+    slippageBasisPoints: 10n,
+    minProfitBasisPoints: 50n,
+    // False while the monitor is paused, the token's sources disagree, or ETH has no price yet
+    tradingEnabled: true
+};
+
+/**
+ * Spread between two prices, in basis points of the buy price (0 unless selling is dearer)
+ * @param {bigint} buyPrice Buy-side price (18 decimals)
+ * @param {bigint} sellPrice Sell-side price (18 decimals)
+ * @return {bigint}
+ */
+function spreadBasisPoints(buyPrice, sellPrice) {
+    if (buyPrice === 0n || sellPrice <= buyPrice) {
+        return 0n;
+    }
+    return ((sellPrice - buyPrice) * BASIS_POINTS) / buyPrice;
+}
+
+/**
+ * Gas cost in USD
+ * @param {bigint} gasCostWei Cost in wei of the token the chain pays gas in (ETH, or POL on Polygon)
+ * @param {bigint} nativePrice USD price of that token on the chain (18 decimals)
+ * @return {bigint} USD (18 decimals)
+ */
+function gasCostUsd(gasCostWei, nativePrice) {
+    return (gasCostWei * nativePrice) / PRICE_PRECISION;
+}
+
+/**
+ * Model buying `amount` on one chain and selling it on another, rounding exactly like
+ * ArbitrageRoutes.routeBreakdown (contracts/libraries/ArbitrageRoutes.sol)
+ * @param {object} route
+ * @param {bigint} route.buyPrice Price on the buy chain (18 decimals)
+ * @param {bigint} route.sellPrice Price on the sell chain (18 decimals)
+ * @param {bigint} route.amount Notional in token units (18 decimals)
+ * @param {bigint} [route.buyGasCost] Gas on the buy chain in USD (18 decimals)
+ * @param {bigint} [route.sellGasCost] Gas on the sell chain in USD (18 decimals)
+ * @param {bigint} [route.buyChainId] Buy chain, carried into the result
+ * @param {bigint} [route.sellChainId] Sell chain, carried into the result
+ * @param {object} [costModel] Fee parameters, see DEFAULT_COST_MODEL
+ * @return {object} Same fields as the ProfitBreakdown struct
+ */
+function routeBreakdown(route, costModel = DEFAULT_COST_MODEL) {
+    const { buyPrice, sellPrice, amount, buyGasCost = 0n, sellGasCost = 0n, buyChainId = 0n, sellChainId = 0n } = route;
+    const model = { ...DEFAULT_COST_MODEL, ...costModel };
+
+    const breakdown = {
+        tradeAmount: amount,
+        grossSpread: 0n,
+        buyGasCost: 0n,
+        sellGasCost: 0n,
+        dexFees: 0n,
+        bridgeFees: 0n,
+        slippageCost: 0n,
+        totalCosts: 0n,
+        netProfit: 0n,
+        isProfitable: false,
+        isEthToArb: buyChainId === CHAIN_IDS.ethereum && sellChainId === CHAIN_IDS.arbitrum,
+        spreadBasisPoints: 0n,
+        buyChainId,
+        sellChainId
+    };
+    if (buyPrice === 0n || sellPrice === 0n) {
+        return breakdown;
+    }
+
+    const buyValue = (amount * buyPrice) / PRICE_PRECISION;
+    const sellValue = (amount * sellPrice) / PRICE_PRECISION;
+    if (sellPrice > buyPrice) {
+        breakdown.grossSpread = sellValue - buyValue;
+        breakdown.spreadBasisPoints = spreadBasisPoints(buyPrice, sellPrice);
+    }
+
+    breakdown.buyGasCost = buyGasCost;
+    breakdown.sellGasCost = sellGasCost;
+    breakdown.dexFees = ((buyValue + sellValue) * model.dexFeeBasisPoints) / BASIS_POINTS;
+    breakdown.bridgeFees = (buyValue * model.bridgeFeeBasisPoints) / BASIS_POINTS;
+    breakdown.slippageCost = ((buyValue + sellValue) * model.slippageBasisPoints) / BASIS_POINTS;
+    breakdown.totalCosts = buyGasCost + sellGasCost + breakdown.dexFees + breakdown.bridgeFees + breakdown.slippageCost;
+
+    if (breakdown.grossSpread > breakdown.totalCosts) {
+        breakdown.netProfit = breakdown.grossSpread - breakdown.totalCosts;
+    }
+    breakdown.isProfitable = model.tradingEnabled &&
+        breakdown.netProfit > 0n &&
+        breakdown.spreadBasisPoints >= model.minProfitBasisPoints;
+    return breakdown;
+}
+
+/**
+ * Pick the most profitable route among every pair of chains, with the monitor's tie-breaking
+ * (wider spread, then the earlier chain in the list)
+ * @param {object[]} chains { chainId, price, buyGasCost, sellGasCost } in the monitor's chain order
+ * @param {bigint} amount Notional in token units (18 decimals)
+ * @param {object} [costModel] Fee parameters, see DEFAULT_COST_MODEL
+ * @return {object} Breakdown of the best route (zero chain IDs if there is none)
+ */
+function bestRoute(chains, amount, costModel = DEFAULT_COST_MODEL) {
+    let best = routeBreakdown({ buyPrice: 0n, sellPrice: 0n, amount }, costModel);
+    for (const buy of chains) {
+        for (const sell of chains) {
+            if (buy === sell || buy.price === 0n || sell.price < buy.price) {
+                continue;
+            }
+            const route = routeBreakdown({
+                buyPrice: buy.price,
+                sellPrice: sell.price,
+                amount,
+                buyGasCost: buy.buyGasCost,
+                sellGasCost: sell.sellGasCost,
+                buyChainId: buy.chainId,
+                sellChainId: sell.chainId
+            }, costModel);
+            if (
+                best.buyChainId === 0n ||
+                route.netProfit > best.netProfit ||
+                (route.netProfit === best.netProfit && route.spreadBasisPoints > best.spreadBasisPoints)
+            ) {
+                best = route;
+            }
+        }
+    }
+    return best;
+}
+
+module.exports = { DEFAULT_COST_MODEL, spreadBasisPoints, gasCostUsd, routeBreakdown, bestRoute };
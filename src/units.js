@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+const { BASIS_POINTS } = require("./constants");
+
+/**
+ * Parse a USD amount into the monitor's 18-decimal representation
+ * @param {string|number} value USD amount, e.g. "3000.5"
+ * @return {bigint}
+ */
+function parseUsd(value) {
+    return ethers.parseEther(String(value));
+}
+
+/**
+ * Format an 18-decimal USD amount (prices, profits, costs)
+ * @param {bigint} value Amount with 18 decimals
+ * @return {string} e.g. "3000.0"
+ */
+function formatUsd(value) {
+    return ethers.formatEther(value);
+}
+
+/**
+ * Parse a gas price in gwei into wei
+ * @param {string|number} value Gas price in gwei
+ * @return {bigint}
+ */
+function parseGwei(value) {
+    return ethers.parseUnits(String(value), "gwei");
+}
+
+/**
+ * Format a wei amount (gas prices, gas cost estimates) in gwei
+ * @param {bigint} value Amount in wei
+ * @return {string}
+ */
+function formatGwei(value) {
+    return ethers.formatUnits(value, "gwei");
+}
+
+/**
+ * Basis points as a percentage
+ * @param {bigint|number} basisPoints Value in basis points
+ * @return {number} e.g. 150 -> 1.5
+ */
+function basisPointsToPercent(basisPoints) {
+    return Number(basisPoints) / (Number(BASIS_POINTS) / 100);
+}
+
+/**
+ * Scale a Chainlink answer to 18 decimals the way the monitor does
+ * @param {bigint} answer Feed answer
+ * @param {number|bigint} decimals Feed decimals
+ * @return {bigint}
+ */
+function scaleTo18Decimals(answer, decimals) {
+    const feedDecimals = Number(decimals);
+    if (feedDecimals <= 18) {
+        return answer * 10n ** BigInt(18 - feedDecimals);
+    }
+    return answer / 10n ** BigInt(feedDecimals - 18);
+}
+
+/**
+ * Convert a block timestamp to an ISO date
+ * @param {bigint|number} timestamp Unix seconds (0 for never)
+ * @return {string|null}
+ */
+function formatTimestamp(timestamp) {
+    return Number(timestamp) > 0 ? new Date(Number(timestamp) * 1000).toISOString() : null;
+}
+
+module.exports = {
+    parseUsd,
+    formatUsd,
+    parseGwei,
+    formatGwei,
+    basisPointsToPercent,
+    scaleTo18Decimals,
+    formatTimestamp
+};
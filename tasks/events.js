@@ -0,0 +1,90 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { EventStore, eventLogPath, parseTime, queryEvents, spreadWindows, toCsv } = require("../scripts/lib/event-store");
+const { EventIndexer, DEFAULT_OPTIONS } = require("../scripts/lib/indexer");
+const { monitoredChainId } = require("../scripts/lib/chains");
+const { resolveMonitor, resolveToken } = require("./monitor");
+
+// Short names accepted by --event
+const EVENT_NAMES = {
+    prices: "PricesUpdated",
+    opportunities: "ArbitrageOpportunityDetected",
+    gas: "GasPriceUpdated"
+};
+
+/**
+ * Resolve an --event argument to a monitor event name
+ * @param {string} [event] prices, opportunities, gas, a full event name, or empty for all
+ * @return {string|undefined}
+ */
+function resolveEventName(event) {
+    if (!event) {
+        return undefined;
+    }
+    const name = EVENT_NAMES[event.toLowerCase()] || Object.values(EVENT_NAMES).find((value) => value === event);
+    if (!name) {
+        throw new Error(`Unknown event "${event}"; use ${Object.keys(EVENT_NAMES).join(", ")}`);
+    }
+    return name;
+}
+
+task("events:sync", "Index confirmed monitor events into data/index/<network>.jsonl")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addOptionalParam("confirmations", "Blocks behind the head before a log is indexed", DEFAULT_OPTIONS.confirmations, types.int)
+    .addOptionalParam("fromBlock", "First block to backfill", DEFAULT_OPTIONS.fromBlock, types.int)
+    .addOptionalParam("dir", "Index directory (defaults to INDEXER_DIR or data/index/)")
+    .setAction(async ({ address, confirmations, fromBlock, dir }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const store = new EventStore(eventLogPath(hre.network.name, dir));
+        const indexer = new EventIndexer(monitor, store, { confirmations, fromBlock });
+
+        const result = await indexer.sync();
+        if (result.unwound > 0) {
+            console.log(`Reorg: dropped ${result.unwound} event(s) for re-indexing`);
+        }
+        console.log(`Indexed ${result.indexed} event(s) up to block ${result.lastBlock} into ${store.file}`);
+        return result;
+    });
+
+task("events:query", "Query indexed monitor events and spread windows, optionally exporting CSV")
+    .addOptionalParam("event", `Event to return: ${Object.keys(EVENT_NAMES).join(", ")} (default all)`)
+    .addOptionalParam("token", "Token symbol or address")
+    .addOptionalParam("chain", "Only events whose route buys or sells on this chain (name or ID)")
+    .addOptionalParam("from", "Earliest time: unix seconds or ISO date")
+    .addOptionalParam("to", "Latest time: unix seconds or ISO date")
+    .addOptionalParam("minSpread", "Minimum spread in basis points", undefined, types.int)
+    .addOptionalParam("csv", "Write the matching events to this CSV file")
+    .addOptionalParam("dir", "Index directory (defaults to INDEXER_DIR or data/index/)")
+    .setAction(async ({ event, token, chain, from, to, minSpread, csv, dir }, hre) => {
+        const store = new EventStore(eventLogPath(hre.network.name, dir));
+        const filters = {
+            token: token ? resolveToken(hre, token).address : undefined,
+            chainId: chain !== undefined ? monitoredChainId(chain) : undefined,
+            from: from !== undefined ? parseTime(from) : undefined,
+            to: to !== undefined ? parseTime(to) : undefined
+        };
+
+        const inRange = queryEvents(store.readAll(), filters);
+        const events = queryEvents(inRange, { event: resolveEventName(event), minSpread });
+        console.log(`${events.length} matching event(s) in ${store.file}`);
+
+        // How often and how long the spread stayed at or above --min-spread
+        let windows = [];
+        if (minSpread !== undefined) {
+            windows = spreadWindows(inRange, minSpread);
+            const totalSeconds = windows.reduce((sum, window) => sum + window.duration, 0);
+            console.log(`${windows.length} spread window(s) at or above ${minSpread} bps, ${totalSeconds}s open in total`);
+            for (const window of windows) {
+                console.log(`  ${new Date(window.start * 1000).toISOString()}  ${window.token}  ` +
+                    `${window.duration}s over ${window.updates} update(s), max ${window.maxSpread} bps`);
+            }
+        }
+
+        if (csv) {
+            fs.writeFileSync(csv, toCsv(events));
+            console.log("CSV written to", csv);
+        }
+        return { events, windows };
+    });
+
+module.exports = { resolveEventName };
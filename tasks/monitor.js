@@ -0,0 +1,424 @@
+const { task, types } = require("hardhat/config");
+const { loadTokenConfig } = require("../scripts/lib/tokens");
+const { resolveAddress } = require("../scripts/lib/deployments");
+const { loadChainConfig, monitoredChainId } = require("../scripts/lib/chains");
+const { ETH_ADDRESS, CHAIN_IDS } = require("../src");
+const CHAIN_PARAM = "Chain name from config/chains.json or chain ID";
+const ROLES = ["admin", "updater", "risk-manager", "pauser"];
+
+/**
+ * Attach to the deployed monitor (--address, PRICE_MONITOR_ADDRESS, or deployments/<network>.json)
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} [address] Explicit monitor address
+ * @return {Promise<object>} BasicPriceMonitor contract
+ */
+async function resolveMonitor(hre, address) {
+    return hre.ethers.getContractAt("BasicPriceMonitor", address || resolveAddress(hre.network.name));
+}
+
+/**
+ * Resolve a token argument: an address, or a symbol from config/tokens.json for the network
+ * @param {object} hre Hardhat runtime environment
+ * @param {string} token Address or symbol (ETH is the native sentinel)
+ * @return {{symbol: string, address: string}}
+ */
+function resolveToken(hre, token) {
+    if (hre.ethers.isAddress(token)) {
+        return { symbol: token, address: hre.ethers.getAddress(token) };
+    }
+    if (token.toUpperCase() === "ETH") {
+        return { symbol: "ETH", address: ETH_ADDRESS };
+    }
+
+    const match = loadTokenConfig(hre.network.name).find((entry) => entry.symbol.toUpperCase() === token.toUpperCase());
+    if (!match) {
+        throw new Error(`Unknown token "${token}" on ${hre.network.name}; pass a symbol from config/tokens.json or an address`);
+    }
+    return { symbol: match.symbol, address: match.address };
+}
+
+/**
+ * Display name of a monitored chain
+ * @param {bigint} chainId Chain ID
+ * @return {string} Name from config/chains.json, or the ID itself
+ */
+function chainName(chainId) {
+    const match = Object.entries(loadChainConfig().monitored).find(([, id]) => BigInt(id) === chainId);
+    return match ? match[0] : chainId.toString();
+}
+
+/**
+ * Resolve a role argument to its AccessControl role ID
+ * @param {object} monitor BasicPriceMonitor contract
+ * @param {string} role admin, updater, risk-manager or pauser
+ * @return {Promise<string>} bytes32 role ID
+ */
+async function resolveRole(monitor, role) {
+    switch (role.toLowerCase()) {
+        case "admin": return monitor.DEFAULT_ADMIN_ROLE();
+        case "updater": return monitor.UPDATER_ROLE();
+        case "risk-manager": return monitor.RISK_MANAGER_ROLE();
+        case "pauser": return monitor.PAUSER_ROLE();
+        default: throw new Error(`Unknown role "${role}"; use ${ROLES.join(", ")}`);
+    }
+}
+
+/**
+ * Parse a boolean task argument
+ * @param {string} value "true"/"false" (also on/off, 1/0)
+ * @return {boolean}
+ */
+function parseBoolean(value) {
+    const normalized = String(value).toLowerCase();
+    if (["true", "on", "1"].includes(normalized)) return true;
+    if (["false", "off", "0"].includes(normalized)) return false;
+    throw new Error(`Expected true or false, got "${value}"`);
+}
+
+/**
+ * Read the monitor-wide settings
+ * @param {object} monitor BasicPriceMonitor contract
+ * @return {Promise<object>}
+ */
+async function readSettings(monitor) {
+    return {
+        paused: await monitor.paused(),
+        updaterRoleRequired: await monitor.updaterRoleRequired(),
+        maxPriceMoveBasisPoints: await monitor.maxPriceMoveBasisPoints(),
+        minProfitBasisPoints: await monitor.minProfitBasisPoints(),
+        gasPrice: await monitor.gasPrice(),
+        gasEstimator: await monitor.gasEstimator(),
+        dexFeeBasisPoints: await monitor.dexFeeBasisPoints(),
+        bridgeFeeBasisPoints: await monitor.bridgeFeeBasisPoints(),
+        slippageBasisPoints: await monitor.slippageBasisPoints(),
+        defaultTradeAmount: await monitor.defaultTradeAmount(),
+        upkeepHeartbeat: await monitor.upkeepHeartbeat(),
+        sequencerUptimeFeed: await monitor.sequencerUptimeFeed()
+    };
+}
+
+/**
+ * Read a token's oracle config on one chain
+ * @param {object} monitor BasicPriceMonitor contract
+ * @param {bigint} chainId Monitored chain ID
+ * @param {string} token Token address
+ * @return {Promise<{chainlinkFeed: string, maxStaleness: bigint, isActive: boolean, uniswapV3Pool: string}>}
+ */
+async function readOracle(monitor, chainId, token) {
+    const oracle = await monitor.oracles(chainId, token);
+    return {
+        chainlinkFeed: oracle.chainlinkFeed,
+        maxStaleness: oracle.maxStaleness,
+        isActive: oracle.isActive,
+        uniswapV3Pool: oracle.uniswapV3Pool
+    };
+}
+
+/**
+ * Print one line of oracle config
+ * @param {string} label Line label
+ * @param {object} oracle Output of readOracle
+ */
+function printOracle(label, oracle) {
+    console.log(`  ${label}: ${oracle.chainlinkFeed} (max age ${oracle.maxStaleness}s, ${oracle.isActive ? "active" : "inactive"})`);
+}
+
+/**
+ * Print before/after state of a configuration change, then send it
+ * @param {string} label What changes
+ * @param {Function} read Async reader of the affected state
+ * @param {Function} send Async sender returning the transaction
+ * @param {Function} print Printer for the state
+ * @return {Promise<object>} State after the change
+ */
+async function applyChange(label, read, send, print) {
+    console.log(`${label} before:`);
+    print(await read());
+
+    const receipt = await (await send()).wait();
+    console.log(`Transaction ${receipt.hash} (gas used ${receipt.gasUsed})`);
+
+    const after = await read();
+    console.log(`${label} after:`);
+    print(after);
+    return after;
+}
+
+task("monitor:status", "Print the configuration and latest prices of a deployed monitor")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .setAction(async ({ address }, hre) => {
+        const { ethers } = hre;
+        const monitor = await resolveMonitor(hre, address);
+        const settings = await readSettings(monitor);
+
+        console.log(`BasicPriceMonitor ${await monitor.getAddress()} on ${hre.network.name}`);
+        console.log("  Paused:", settings.paused);
+        console.log("  Updater Role Required:", settings.updaterRoleRequired);
+        console.log("  Circuit Breaker:", settings.maxPriceMoveBasisPoints > 0n
+            ? `pauses on a ${settings.maxPriceMoveBasisPoints} bps move` : "disabled");
+        console.log("  Min Profit:", settings.minProfitBasisPoints.toString(), "basis points");
+        console.log("  Gas Price:", ethers.formatUnits(settings.gasPrice, "gwei"), "gwei");
+        console.log("  Gas Estimator:", settings.gasEstimator);
+        console.log(`  Costs: DEX ${settings.dexFeeBasisPoints} / bridge ${settings.bridgeFeeBasisPoints} / slippage ${settings.slippageBasisPoints} bps`);
+        console.log("  Default Trade Amount:", ethers.formatEther(settings.defaultTradeAmount));
+        console.log("  Upkeep Heartbeat:", settings.upkeepHeartbeat.toString(), "seconds");
+        console.log("  Sequencer Uptime Feed:", settings.sequencerUptimeFeed);
+
+        const tokens = await monitor.getSupportedTokens();
+        const status = { settings, tokens: [] };
+        for (const token of tokens) {
+            const [chainIds, prices] = await monitor.getChainPrices(token);
+            const priceData = await monitor.getTokenPriceData(token);
+
+            console.log(`\n${token === ETH_ADDRESS ? "ETH" : token}`);
+            const chains = {};
+            for (const [i, chainId] of chainIds.entries()) {
+                chains[chainId] = await readOracle(monitor, chainId, token);
+                const price = prices[i] > 0n ? ` $${ethers.formatEther(prices[i])}` : "";
+                printOracle(`${chainName(chainId)} Feed`, chains[chainId]);
+                if (price) console.log(`    Price:${price}`);
+            }
+            if (priceData.timestamp > 0n) {
+                const route = priceData.buyChainId > 0n
+                    ? `buy ${chainName(priceData.buyChainId)}, sell ${chainName(priceData.sellChainId)}`
+                    : "no route";
+                console.log(`  Best Route: ${route}, spread ${priceData.spread} bps, ` +
+                    `updated ${new Date(Number(priceData.timestamp) * 1000).toISOString()}`);
+            } else {
+                console.log("  Prices: never updated");
+            }
+            status.tokens.push({
+                token,
+                chains,
+                ethereum: chains[CHAIN_IDS.ethereum],
+                arbitrum: chains[CHAIN_IDS.arbitrum],
+                priceData
+            });
+        }
+        return status;
+    });
+
+task("monitor:set-threshold", "Set the minimum spread for a profitable opportunity")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("bps", "Minimum spread in basis points", undefined, types.int)
+    .setAction(async ({ address, bps }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Min profit",
+            () => monitor.minProfitBasisPoints(),
+            () => monitor.setMinProfitBasisPoints(bps),
+            (value) => console.log(`  ${value} basis points`)
+        );
+    });
+
+task("monitor:set-feed", "Replace a token's Chainlink feed on one chain")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("token", "Token symbol or address")
+    .addParam("chain", CHAIN_PARAM)
+    .addParam("feed", "New feed address")
+    .setAction(async ({ address, token, chain, feed }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const { symbol, address: tokenAddress } = resolveToken(hre, token);
+        const chainId = monitoredChainId(chain);
+        return applyChange(
+            `${symbol} ${chain} feed`,
+            () => readOracle(monitor, chainId, tokenAddress),
+            () => monitor.setFeed(chainId, tokenAddress, feed),
+            (oracle) => printOracle("Feed", oracle)
+        );
+    });
+
+task("monitor:set-staleness", "Set the maximum age of a token's feed on one chain")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("token", "Token symbol or address")
+    .addParam("chain", CHAIN_PARAM)
+    .addParam("seconds", "Maximum feed age in seconds", undefined, types.int)
+    .setAction(async ({ address, token, chain, seconds }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const { symbol, address: tokenAddress } = resolveToken(hre, token);
+        const chainId = monitoredChainId(chain);
+        return applyChange(
+            `${symbol} ${chain} staleness`,
+            () => readOracle(monitor, chainId, tokenAddress),
+            () => monitor.setMaxStaleness(chainId, tokenAddress, seconds),
+            (oracle) => printOracle("Feed", oracle)
+        );
+    });
+
+task("monitor:set-active", "Enable or disable a token's oracle on one chain")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("token", "Token symbol or address")
+    .addParam("chain", CHAIN_PARAM)
+    .addParam("active", "true or false")
+    .setAction(async ({ address, token, chain, active }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const { symbol, address: tokenAddress } = resolveToken(hre, token);
+        const chainId = monitoredChainId(chain);
+        return applyChange(
+            `${symbol} ${chain} oracle`,
+            () => readOracle(monitor, chainId, tokenAddress),
+            () => monitor.setOracleActive(chainId, tokenAddress, parseBoolean(active)),
+            (oracle) => printOracle("Feed", oracle)
+        );
+    });
+
+task("monitor:add-chain", "Start monitoring another chain")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("chain", CHAIN_PARAM)
+    .setAction(async ({ address, chain }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const chainId = monitoredChainId(chain);
+        return applyChange(
+            "Monitored chains",
+            () => monitor.getSupportedChains(),
+            () => monitor.addChain(chainId),
+            (chainIds) => console.log(`  ${chainIds.map(chainName).join(", ")}`)
+        );
+    });
+
+task("monitor:register-chain", "Register a token's Chainlink feed on one monitored chain")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("token", "Token symbol or address")
+    .addParam("chain", CHAIN_PARAM)
+    .addParam("feed", "Feed address")
+    .addOptionalParam("seconds", "Maximum feed age in seconds", 3600, types.int)
+    .setAction(async ({ address, token, chain, feed, seconds }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const { symbol, address: tokenAddress } = resolveToken(hre, token);
+        const chainId = monitoredChainId(chain);
+        return applyChange(
+            `${symbol} ${chain} feed`,
+            () => readOracle(monitor, chainId, tokenAddress),
+            () => monitor.registerTokenChain(tokenAddress, chainId, feed, seconds),
+            (oracle) => printOracle("Feed", oracle)
+        );
+    });
+
+task("monitor:set-gas", "Set the fallback gas price used when no gas estimator is configured")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("gwei", "Gas price in gwei")
+    .setAction(async ({ address, gwei }, hre) => {
+        const { ethers } = hre;
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Gas price",
+            () => monitor.gasPrice(),
+            () => monitor.updateGasPrice(ethers.parseUnits(gwei, "gwei")),
+            (value) => console.log(`  ${ethers.formatUnits(value, "gwei")} gwei`)
+        );
+    });
+
+task("monitor:set-costs", "Set DEX fee, bridge fee and slippage assumptions")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("dex", "Swap fee per leg in basis points", undefined, types.int)
+    .addParam("bridge", "Bridge fee in basis points", undefined, types.int)
+    .addParam("slippage", "Slippage allowance per leg in basis points", undefined, types.int)
+    .setAction(async ({ address, dex, bridge, slippage }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Cost parameters",
+            async () => ({
+                dex: await monitor.dexFeeBasisPoints(),
+                bridge: await monitor.bridgeFeeBasisPoints(),
+                slippage: await monitor.slippageBasisPoints()
+            }),
+            () => monitor.setCostParameters(dex, bridge, slippage),
+            (costs) => console.log(`  DEX ${costs.dex} / bridge ${costs.bridge} / slippage ${costs.slippage} bps`)
+        );
+    });
+
+task("monitor:set-trade-amount", "Set the notional used for opportunity detection")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("amount", "Trade size in whole tokens")
+    .setAction(async ({ address, amount }, hre) => {
+        const { ethers } = hre;
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Default trade amount",
+            () => monitor.defaultTradeAmount(),
+            () => monitor.setDefaultTradeAmount(ethers.parseEther(amount)),
+            (value) => console.log(`  ${ethers.formatEther(value)} tokens`)
+        );
+    });
+
+task("monitor:pause", "Pause price updates (requires PAUSER_ROLE)")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .setAction(async ({ address }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Paused",
+            () => monitor.paused(),
+            () => monitor.pause(),
+            (value) => console.log(`  ${value}`)
+        );
+    });
+
+task("monitor:unpause", "Resume price updates after a pause or a tripped circuit breaker (requires the admin role)")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .setAction(async ({ address }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Paused",
+            () => monitor.paused(),
+            () => monitor.unpause(),
+            (value) => console.log(`  ${value}`)
+        );
+    });
+
+task("monitor:set-max-move", "Set the single-update price move that trips the circuit breaker")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("bps", "Maximum move in basis points, 0 to disable", undefined, types.int)
+    .setAction(async ({ address, bps }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Max price move",
+            () => monitor.maxPriceMoveBasisPoints(),
+            () => monitor.setMaxPriceMove(bps),
+            (value) => console.log(`  ${value} basis points`)
+        );
+    });
+
+task("monitor:require-updater", "Restrict price updates to UPDATER_ROLE holders, or open them to anyone")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("required", "true or false")
+    .setAction(async ({ address, required }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        return applyChange(
+            "Updater role required",
+            () => monitor.updaterRoleRequired(),
+            () => monitor.setUpdaterRoleRequired(parseBoolean(required)),
+            (value) => console.log(`  ${value}`)
+        );
+    });
+
+task("monitor:grant-role", "Grant a role on the monitor")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("role", ROLES.join(", "))
+    .addParam("account", "Account receiving the role")
+    .setAction(async ({ address, role, account }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const roleId = await resolveRole(monitor, role);
+        return applyChange(
+            `${account} ${role}`,
+            () => monitor.hasRole(roleId, account),
+            () => monitor.grantRole(roleId, account),
+            (value) => console.log(`  ${value ? "granted" : "not granted"}`)
+        );
+    });
+
+task("monitor:revoke-role", "Revoke a role on the monitor")
+    .addOptionalParam("address", "BasicPriceMonitor address (defaults to the recorded deployment)")
+    .addParam("role", ROLES.join(", "))
+    .addParam("account", "Account losing the role")
+    .setAction(async ({ address, role, account }, hre) => {
+        const monitor = await resolveMonitor(hre, address);
+        const roleId = await resolveRole(monitor, role);
+        return applyChange(
+            `${account} ${role}`,
+            () => monitor.hasRole(roleId, account),
+            () => monitor.revokeRole(roleId, account),
+            (value) => console.log(`  ${value ? "granted" : "not granted"}`)
+        );
+    });
+
+module.exports = { resolveMonitor, resolveToken, resolveRole, parseBoolean };
@@ -0,0 +1,148 @@
+// test/ApiServer.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const WebSocket = require("ws");
+const { PriceApiServer } = require("../scripts/lib/api");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("PriceApiServer", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+    let api;
+    let baseUrl;
+
+    async function deployApiFixture() {
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+
+        // $3000 on Ethereum, $3090 on Arbitrum: a 300 bps spread
+        await mockChainlinkArb.setPrice(309000000000n);
+        await priceMonitor.updateETHPrices();
+
+        return { priceMonitor, mockChainlinkArb };
+    }
+
+    async function startApi(priceMonitor, options = {}) {
+        // Events are pushed by calling pollEvents() directly
+        api = new PriceApiServer(priceMonitor, { pollInterval: 60000, ...options });
+        const port = await api.listen(0);
+        baseUrl = `http://127.0.0.1:${port}`;
+        return port;
+    }
+
+    async function get(pathname) {
+        const response = await fetch(baseUrl + pathname);
+        return { status: response.status, body: await response.json() };
+    }
+
+    afterEach(async function () {
+        if (api) {
+            await api.close();
+            api = undefined;
+        }
+    });
+
+    describe("REST", function () {
+        it("Should serve prices and opportunities in human units", async function () {
+            const { priceMonitor } = await loadFixture(deployApiFixture);
+            await startApi(priceMonitor);
+
+            const prices = await get("/tokens/eth/prices");
+            expect(prices.status).to.equal(200);
+            expect(prices.body).to.include({
+                token: ETH_ADDRESS,
+                symbol: "ETH",
+                ethereumPriceUsd: "3000.0",
+                arbitrumPriceUsd: "3090.0",
+                spreadBps: 300,
+                route: "ethereum → arbitrum"
+            });
+            expect(prices.body.chains).to.deep.equal([
+                { chainId: 1, priceUsd: "3000.0" },
+                { chainId: 42161, priceUsd: "3090.0" }
+            ]);
+
+            const opportunity = await get(`/tokens/${ETH_ADDRESS}/opportunity`);
+            expect(opportunity.body).to.include({ isProfitable: true, spreadBps: 300, buyChainId: 1, sellChainId: 42161 });
+            expect(Number(opportunity.body.estimatedProfitUsd)).to.be.greaterThan(0);
+            expect(Number(opportunity.body.gasCostUsd)).to.be.greaterThan(0);
+        });
+
+        it("Should serve freshness and oracle config", async function () {
+            const { priceMonitor } = await loadFixture(deployApiFixture);
+            await startApi(priceMonitor);
+
+            const oracles = await get("/tokens/ETH/oracles");
+            expect(oracles.body.oracles).to.have.length(2);
+            expect(oracles.body.oracles[0]).to.include({ chainId: 1, maxStaleness: 3600, isActive: true });
+
+            await time.increase(120);
+            const fresh = await get("/tokens/ETH/freshness?maxAge=300");
+            expect(fresh.body).to.include({ fresh: true, maxAge: 300 });
+            expect(fresh.body.ageSeconds).to.be.at.least(120);
+            expect((await get("/tokens/ETH/freshness?maxAge=60")).body.fresh).to.equal(false);
+        });
+
+        it("Should reject unknown tokens, endpoints and bad input", async function () {
+            const { priceMonitor } = await loadFixture(deployApiFixture);
+            await startApi(priceMonitor);
+
+            expect((await get("/tokens/DOGE/prices")).status).to.equal(404);
+            expect((await get("/tokens/ETH/trades")).status).to.equal(404);
+            expect((await get("/tokens/ETH/freshness?maxAge=soon")).status).to.equal(400);
+
+            const response = await fetch(`${baseUrl}/tokens`, { method: "POST" });
+            expect(response.status).to.equal(405);
+        });
+
+        it("Should report stale data on the health endpoint", async function () {
+            const { priceMonitor } = await loadFixture(deployApiFixture);
+            await startApi(priceMonitor, { maxAge: 300 });
+
+            const healthy = await get("/health");
+            expect(healthy.status).to.equal(200);
+            expect(healthy.body.status).to.equal("ok");
+            expect(healthy.body.tokens[0]).to.include({ symbol: "ETH", fresh: true });
+
+            await time.increase(301);
+            const stale = await get("/health");
+            expect(stale.status).to.equal(503);
+            expect(stale.body.status).to.equal("stale");
+            expect(stale.body.tokens[0].fresh).to.equal(false);
+        });
+    });
+
+    describe("WebSocket", function () {
+        it("Should push price updates and opportunities as they are mined", async function () {
+            const { priceMonitor } = await loadFixture(deployApiFixture);
+            const port = await startApi(priceMonitor);
+
+            const client = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+            const messages = [];
+            client.on("message", (data) => messages.push(JSON.parse(data)));
+            await new Promise((resolve, reject) => {
+                client.once("open", resolve);
+                client.once("error", reject);
+            });
+
+            await priceMonitor.updateETHPrices();
+            expect(await api.pollEvents()).to.equal(2);
+            await new Promise((resolve) => setTimeout(resolve, 100));
+            client.close();
+
+            expect(messages.map((message) => message.type)).to.deep.equal(["PricesUpdated", "ArbitrageOpportunityDetected"]);
+            expect(messages[0].data).to.include({
+                token: ETH_ADDRESS, ethereumPriceUsd: "3000.0", spreadBps: 300,
+                buyChainId: 1, sellChainId: 42161, buyPriceUsd: "3000.0", sellPriceUsd: "3090.0", route: "ethereum → arbitrum"
+            });
+            expect(messages[1].data).to.include({ spreadBps: 300, route: "ethereum → arbitrum" });
+            expect(await api.pollEvents()).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,237 @@
+// test/ArbitrageExecutor.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ArbitrageOrchestrator, mockSwapRates } = require("../scripts/lib/executor");
+const { ETH_ADDRESS, CHAIN_IDS, MonitorError, parseUsd } = require("../src");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("ArbitrageExecutor", function () {
+    const ETH = CHAIN_IDS.ethereum;
+    const ARB = CHAIN_IDS.arbitrum;
+    const AMOUNT_IN = ethers.parseUnits("10000", 6);
+
+    // ETH at $3000 on Ethereum and $3090 on Arbitrum, with mock venues at the same prices
+    async function deployExecutorFixture() {
+        const [owner, trader, outsider] = await ethers.getSigners();
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await mockChainlinkArb.setPrice(309000000000n);
+        await priceMonitor.updateETHPrices();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const weth = await MockERC20.deploy("Mock Wrapped Ether", "mWETH", 18);
+        const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+
+        const ArbitrageExecutor = await ethers.getContractFactory("ArbitrageExecutor");
+        const executor = await ArbitrageExecutor.deploy(await priceMonitor.getAddress());
+        await executor.setExecutor(trader.address, true);
+
+        const MockSwapAdapter = await ethers.getContractFactory("MockSwapAdapter");
+        const venues = {};
+        for (const [chainId, price] of [[ETH, parseUsd(3000)], [ARB, parseUsd(3090)]]) {
+            const venue = await MockSwapAdapter.deploy();
+            const { buyRate, sellRate } = mockSwapRates(price, 18, 6);
+            await venue.setRate(await usd.getAddress(), await weth.getAddress(), buyRate);
+            await venue.setRate(await weth.getAddress(), await usd.getAddress(), sellRate);
+            await weth.mint(await venue.getAddress(), ethers.parseEther("1000"));
+            await usd.mint(await venue.getAddress(), ethers.parseUnits("10000000", 6));
+            await executor.setSwapAdapter(chainId, await venue.getAddress());
+            venues[chainId] = venue;
+        }
+
+        const MockBridgeAdapter = await ethers.getContractFactory("MockBridgeAdapter");
+        const bridge = await MockBridgeAdapter.deploy(5);
+        await executor.setBridgeAdapter(ETH, ARB, await bridge.getAddress());
+        await executor.setBridgeAdapter(ARB, ETH, await bridge.getAddress());
+
+        await usd.mint(trader.address, ethers.parseUnits("1000000", 6));
+        await usd.connect(trader).approve(await executor.getAddress(), ethers.MaxUint256);
+
+        return { priceMonitor, mockChainlinkArb, executor, venues, bridge, weth, usd, owner, trader, outsider };
+    }
+
+    async function executionParams({ executor, weth, usd }, overrides = {}) {
+        const [assetOut, bridgedOut, quoteOut] = await executor.quoteExecution(
+            await weth.getAddress(), await usd.getAddress(), AMOUNT_IN, ETH, ARB
+        );
+        return {
+            token: ETH_ADDRESS,
+            asset: await weth.getAddress(),
+            quoteToken: await usd.getAddress(),
+            amountIn: AMOUNT_IN,
+            buyChainId: ETH,
+            sellChainId: ARB,
+            minSpreadBasisPoints: 250n,
+            maxPriceAge: 300n,
+            minAssetOut: assetOut,
+            minBridgedOut: bridgedOut,
+            minQuoteOut: quoteOut,
+            deadline: BigInt((await time.latest()) + 120),
+            ...overrides
+        };
+    }
+
+    it("Should buy, bridge and sell along the monitor's route", async function () {
+        const fixture = await loadFixture(deployExecutorFixture);
+        const { executor, usd, trader } = fixture;
+        const params = await executionParams(fixture);
+
+        // $10,000 buys 3.333 ETH at $3000; 5 bps bridge fee; sold at $3090
+        expect(params.minQuoteOut).to.equal(10294850000n);
+
+        const tx = executor.connect(trader).execute(params);
+        await expect(tx)
+            .to.emit(executor, "ArbitrageExecuted")
+            .withArgs(ETH_ADDRESS, trader.address, ETH, ARB, AMOUNT_IN, params.minQuoteOut, 300n);
+        await expect(tx).to.changeTokenBalance(usd, trader, params.minQuoteOut - AMOUNT_IN);
+        expect(await fixture.weth.balanceOf(await executor.getAddress())).to.equal(0n);
+    });
+
+    it("Should abort past the deadline, on stale prices or when the spread collapsed", async function () {
+        const fixture = await loadFixture(deployExecutorFixture);
+        const { executor, priceMonitor, mockChainlinkArb, trader } = fixture;
+
+        const expired = await executionParams(fixture, { deadline: BigInt(await time.latest()) });
+        await expect(executor.connect(trader).execute(expired))
+            .to.be.revertedWithCustomError(executor, "DeadlineExpired");
+
+        const params = await executionParams(fixture, { deadline: BigInt((await time.latest()) + 3600) });
+        await expect(executor.connect(trader).execute({ ...params, minSpreadBasisPoints: 301n }))
+            .to.be.revertedWithCustomError(executor, "SpreadCollapsed")
+            .withArgs(ETH_ADDRESS, 300n, 301n);
+
+        // Arbitrum falls back to $3001 after detection
+        await mockChainlinkArb.setPrice(300100000000n);
+        await priceMonitor.updateETHPrices();
+        await expect(executor.connect(trader).execute(params))
+            .to.be.revertedWithCustomError(executor, "SpreadCollapsed");
+
+        // Arbitrum drops below Ethereum: the route flipped
+        await mockChainlinkArb.setPrice(290000000000n);
+        await priceMonitor.updateETHPrices();
+        await expect(executor.connect(trader).execute(params))
+            .to.be.revertedWithCustomError(executor, "RouteChanged")
+            .withArgs(ETH_ADDRESS, ARB, ETH);
+
+        await time.increase(301);
+        await expect(executor.connect(trader).execute(params))
+            .to.be.revertedWithCustomError(executor, "StalePrices");
+    });
+
+    it("Should enforce min-outs and never settle at a loss", async function () {
+        const fixture = await loadFixture(deployExecutorFixture);
+        const { executor, venues, bridge, weth, usd, trader } = fixture;
+        const params = await executionParams(fixture);
+
+        await expect(executor.connect(trader).execute({ ...params, minAssetOut: params.minAssetOut + 1n }))
+            .to.be.revertedWith("Insufficient output");
+        await bridge.setFee(10);
+        await expect(executor.connect(trader).execute(params)).to.be.revertedWith("Insufficient output");
+        await bridge.setFee(5);
+
+        // The Arbitrum venue trades below the monitor's price
+        await venues[ARB].setRate(await weth.getAddress(), await usd.getAddress(), mockSwapRates(parseUsd(2990), 18, 6).sellRate);
+        await expect(executor.connect(trader).execute({ ...params, minQuoteOut: 0n }))
+            .to.be.revertedWithCustomError(executor, "Unprofitable");
+    });
+
+    it("Should restrict execution and adapter setup", async function () {
+        const fixture = await loadFixture(deployExecutorFixture);
+        const { executor, outsider } = fixture;
+        const params = await executionParams(fixture);
+
+        await expect(executor.connect(outsider).execute(params)).to.be.revertedWith("Not executor");
+        await expect(executor.connect(outsider).setSwapAdapter(ETH, outsider.address))
+            .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(executor.setBridgeAdapter(ETH, ETH, outsider.address)).to.be.revertedWith("Invalid chain");
+
+        await expect(executor.setBridgeAdapter(ETH, ARB, ethers.ZeroAddress))
+            .to.emit(executor, "BridgeAdapterUpdated")
+            .withArgs(ETH, ARB, await fixture.bridge.getAddress(), ethers.ZeroAddress);
+        await expect(executor.execute(params))
+            .to.be.revertedWithCustomError(executor, "AdapterNotSet")
+            .withArgs(ETH, ARB);
+    });
+
+    describe("ArbitrageOrchestrator", function () {
+        async function orchestratorFixture() {
+            const fixture = await deployExecutorFixture();
+            const orchestrator = new ArbitrageOrchestrator(fixture.executor.connect(fixture.owner), fixture.priceMonitor, {
+                asset: await fixture.weth.getAddress(),
+                quoteToken: await fixture.usd.getAddress(),
+                amountIn: AMOUNT_IN
+            });
+            await fixture.usd.mint(fixture.owner.address, AMOUNT_IN * 10n);
+            return { ...fixture, orchestrator };
+        }
+
+        it("Should plan with slippage and execute the current opportunity", async function () {
+            const { orchestrator, usd, owner } = await loadFixture(orchestratorFixture);
+
+            const planned = await orchestrator.plan();
+            expect(planned.params).to.include({ buyChainId: ETH, sellChainId: ARB, minSpreadBasisPoints: 250n });
+            expect(planned.params.minQuoteOut).to.equal(planned.quote.quoteOut * 9950n / 10000n);
+
+            const before = await usd.balanceOf(owner.address);
+            const result = await orchestrator.execute();
+            expect(result).to.include({ executed: true, amountIn: AMOUNT_IN, amountOut: planned.quote.quoteOut });
+            expect(await usd.balanceOf(owner.address)).to.equal(before + result.profit);
+
+            // Only amountIn is approved, and the trade used it up
+            const executorAddress = await orchestrator.executor.getAddress();
+            expect(await usd.allowance(owner.address, executorAddress)).to.equal(0);
+            expect(await orchestrator.ensureAllowance()).to.be.true;
+            expect(await usd.allowance(owner.address, executorAddress)).to.equal(AMOUNT_IN);
+            expect(await orchestrator.ensureAllowance()).to.be.false;
+        });
+
+        it("Should approve without limit only when asked to", async function () {
+            const { executor, priceMonitor, weth, usd, owner } = await loadFixture(orchestratorFixture);
+            const orchestrator = new ArbitrageOrchestrator(executor.connect(owner), priceMonitor, {
+                asset: await weth.getAddress(),
+                quoteToken: await usd.getAddress(),
+                amountIn: AMOUNT_IN,
+                unlimitedApproval: true
+            });
+
+            expect(await orchestrator.ensureAllowance()).to.be.true;
+            expect(await usd.allowance(owner.address, await executor.getAddress())).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should skip dead opportunities and surface aborted trades", async function () {
+            const { orchestrator, priceMonitor, mockChainlinkArb } = await loadFixture(orchestratorFixture);
+            const detected = await orchestrator.client.getOpportunity(ETH_ADDRESS);
+
+            await mockChainlinkArb.setPrice(300100000000n);
+            await priceMonitor.updateETHPrices();
+            expect(await orchestrator.execute()).to.deep.equal({ executed: false, reason: "No profitable route" });
+
+            // Acting on the stale detection: the executor refuses
+            const error = await orchestrator.execute(detected).catch((caught) => caught);
+            expect(error).to.be.instanceOf(MonitorError);
+            expect(error.reason).to.equal("SpreadCollapsed");
+        });
+
+        it("Should trade new opportunities as they are detected", async function () {
+            const { orchestrator, priceMonitor } = await loadFixture(orchestratorFixture);
+            const results = [];
+            const watcher = orchestrator.watch((result) => results.push(result), { pollInterval: 60000 });
+
+            try {
+                await priceMonitor.updateETHPrices();
+                expect(await watcher.poll()).to.equal(1);
+            } finally {
+                watcher.stop();
+            }
+            expect(results).to.have.length(1);
+            expect(results[0].executed).to.be.true;
+            expect(results[0].profit).to.be.greaterThan(0n);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+// test/ArbitrageLimitOrderExtension.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+const {
+    MAKER_TRAITS,
+    encodeArbitragePredicate,
+    buildMakerTraits,
+    buildExtension,
+    parseExtension,
+    buildArbitrageOrder,
+    getOrderHash,
+    signOrder
+} = require("../scripts/lib/limit-orders");
+
+describe("ArbitrageLimitOrderExtension", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    const WETH_ADDRESS = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2";
+    const USDC_ADDRESS = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+    const MAX_PRICE_AGE = 300;
+
+    async function deployExtensionFixture() {
+        const [owner, maker] = await ethers.getSigners();
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+        await mockChainlinkArb.setPrice(310000000000n); // $3100: buy on Ethereum, sell on Arbitrum
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await priceMonitor.updateETHPrices();
+
+        const ArbitrageLimitOrderExtension = await ethers.getContractFactory("ArbitrageLimitOrderExtension");
+        const extension = await ArbitrageLimitOrderExtension.deploy(await priceMonitor.getAddress());
+
+        const MockLimitOrderProtocol = await ethers.getContractFactory("MockLimitOrderProtocol");
+        const limitOrderProtocol = await MockLimitOrderProtocol.deploy();
+
+        return { priceMonitor, extension, limitOrderProtocol, mockChainlinkEth, mockChainlinkArb, owner, maker };
+    }
+
+    describe("Predicate", function () {
+        it("Should be fillable for a fresh, profitable spread in the maker's direction", async function () {
+            const { extension } = await loadFixture(deployExtensionFixture);
+
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 100, true, MAX_PRICE_AGE)).to.equal(1);
+            expect(await extension.isArbitrageFillable(ETH_ADDRESS, 100, true, MAX_PRICE_AGE)).to.be.true;
+        });
+
+        it("Should not be fillable in the opposite direction", async function () {
+            const { extension } = await loadFixture(deployExtensionFixture);
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 100, false, MAX_PRICE_AGE)).to.equal(0);
+        });
+
+        it("Should match routes on other chains by chain ID", async function () {
+            const { priceMonitor, extension, mockChainlinkArb } = await loadFixture(deployExtensionFixture);
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const baseFeed = await MockChainlinkFeed.deploy();
+            await baseFeed.setPrice(290000000000n); // $2900: now buy on Base, sell on Arbitrum
+
+            await priceMonitor.addChain(8453);
+            await priceMonitor.registerTokenChain(ETH_ADDRESS, 8453, await baseFeed.getAddress(), 3600);
+            await mockChainlinkArb.setPrice(310000000000n);
+            await priceMonitor.updateETHPrices();
+
+            expect(await extension.checkArbitrageRoute(ETH_ADDRESS, 100, 8453, 42161, MAX_PRICE_AGE)).to.equal(1);
+            expect(await extension.isRouteFillable(ETH_ADDRESS, 100, 1, 42161, MAX_PRICE_AGE)).to.be.false;
+            expect(await extension.isArbitrageFillable(ETH_ADDRESS, 100, true, MAX_PRICE_AGE)).to.be.false;
+        });
+
+        it("Should not be fillable below the maker's spread threshold", async function () {
+            const { extension } = await loadFixture(deployExtensionFixture);
+
+            // Spread is ~333 bps
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 333, true, MAX_PRICE_AGE)).to.equal(1);
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 400, true, MAX_PRICE_AGE)).to.equal(0);
+        });
+
+        it("Should not be fillable once price data is stale", async function () {
+            const { extension } = await loadFixture(deployExtensionFixture);
+
+            await time.increase(MAX_PRICE_AGE + 1);
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 100, true, MAX_PRICE_AGE)).to.equal(0);
+        });
+
+        it("Should not be fillable when the monitor reports no profit", async function () {
+            const { priceMonitor, extension, mockChainlinkArb } = await loadFixture(deployExtensionFixture);
+
+            await mockChainlinkArb.setPrice(300000000000n);
+            await priceMonitor.updateETHPrices();
+            expect(await extension.checkArbitrage(ETH_ADDRESS, 0, true, MAX_PRICE_AGE)).to.equal(0);
+        });
+    });
+
+    describe("Order Builder", function () {
+        async function buildTestOrder(extensionAddress, maker, conditions = {}) {
+            return buildArbitrageOrder({
+                maker: maker.address,
+                makerAsset: USDC_ADDRESS,
+                takerAsset: WETH_ADDRESS,
+                makingAmount: 3000n * 10n ** 6n,
+                takingAmount: ethers.parseEther("1"),
+                extensionAddress,
+                token: ETH_ADDRESS,
+                minSpreadBasisPoints: 100,
+                isEthToArb: true,
+                maxPriceAge: MAX_PRICE_AGE,
+                ...conditions
+            });
+        }
+
+        it("Should bind the extension to the order through salt and traits", async function () {
+            const { extension, maker } = await loadFixture(deployExtensionFixture);
+            const { order, extension: extensionBytes } = await buildTestOrder(await extension.getAddress(), maker);
+
+            const mask = (1n << 160n) - 1n;
+            expect(order.salt & mask).to.equal(BigInt(ethers.keccak256(extensionBytes)) & mask);
+            expect((order.makerTraits >> MAKER_TRAITS.HAS_EXTENSION_FLAG) & 1n).to.equal(1n);
+            expect(parseExtension(extensionBytes).predicate).to.equal(
+                encodeArbitragePredicate(await extension.getAddress(), {
+                    token: ETH_ADDRESS, minSpreadBasisPoints: 100, isEthToArb: true, maxPriceAge: MAX_PRICE_AGE
+                })
+            );
+        });
+
+        it("Should produce a predicate the protocol evaluates against the monitor", async function () {
+            const { extension, limitOrderProtocol, maker } = await loadFixture(deployExtensionFixture);
+            const extensionAddress = await extension.getAddress();
+
+            const fillable = parseExtension((await buildTestOrder(extensionAddress, maker)).extension).predicate;
+            const wrongWay = parseExtension((await buildTestOrder(extensionAddress, maker, { isEthToArb: false })).extension).predicate;
+            const byRoute = parseExtension((await buildTestOrder(extensionAddress, maker, { buyChainId: 1, sellChainId: 42161 })).extension).predicate;
+
+            expect(await limitOrderProtocol.checkPredicate(fillable)).to.be.true;
+            expect(await limitOrderProtocol.checkPredicate(wrongWay)).to.be.false;
+            expect(await limitOrderProtocol.checkPredicate(byRoute)).to.be.true;
+
+            await time.increase(MAX_PRICE_AGE + 1);
+            expect(await limitOrderProtocol.checkPredicate(fillable)).to.be.false;
+        });
+
+        it("Should round-trip every extension field", async function () {
+            const fields = { predicate: "0x1234", makerPermit: "0xabcdef", postInteractionData: "0x01", customData: "0xff" };
+            const parsed = parseExtension(buildExtension(fields));
+
+            expect(parsed.predicate).to.equal("0x1234");
+            expect(parsed.makerPermit).to.equal("0xabcdef");
+            expect(parsed.postInteractionData).to.equal("0x01");
+            expect(parsed.customData).to.equal("0xff");
+            expect(parsed.makerAssetSuffix).to.equal("0x");
+            expect(buildExtension({})).to.equal("0x");
+        });
+
+        it("Should pack expiry, nonce and fill flags into maker traits", async function () {
+            const traits = buildMakerTraits({ expiry: 1700000000, nonce: 7, allowPartialFill: false });
+
+            expect((traits >> 80n) & ((1n << 40n) - 1n)).to.equal(1700000000n);
+            expect((traits >> 120n) & ((1n << 40n) - 1n)).to.equal(7n);
+            expect((traits >> MAKER_TRAITS.NO_PARTIAL_FILLS_FLAG) & 1n).to.equal(1n);
+            expect((traits >> MAKER_TRAITS.ALLOW_MULTIPLE_FILLS_FLAG) & 1n).to.equal(1n);
+        });
+
+        it("Should sign orders for the protocol's EIP-712 domain", async function () {
+            const { extension, limitOrderProtocol, maker } = await loadFixture(deployExtensionFixture);
+            const { order } = await buildTestOrder(await extension.getAddress(), maker);
+            const protocolAddress = await limitOrderProtocol.getAddress();
+            const { chainId } = await ethers.provider.getNetwork();
+
+            const signature = await signOrder(maker, order, chainId, protocolAddress);
+            expect(ethers.recoverAddress(getOrderHash(order, chainId, protocolAddress), signature)).to.equal(maker.address);
+        });
+    });
+});
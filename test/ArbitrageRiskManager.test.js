@@ -0,0 +1,206 @@
+// test/ArbitrageRiskManager.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ArbitrageOrchestrator, mockSwapRates } = require("../scripts/lib/executor");
+const { ETH_ADDRESS, CHAIN_IDS, parseUsd } = require("../src");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("ArbitrageRiskManager", function () {
+    const ETH = CHAIN_IDS.ethereum;
+    const ARB = CHAIN_IDS.arbitrum;
+    const COOLDOWN = 300;
+
+    // ETH at $3000 on Ethereum and $3090 on Arbitrum (300 bps), with the risk manager plugged in
+    async function deployRiskFixture() {
+        const [owner, trader, outsider] = await ethers.getSigners();
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await mockChainlinkArb.setPrice(309000000000n);
+
+        const ArbitrageRiskManager = await ethers.getContractFactory("ArbitrageRiskManager");
+        const riskManager = await ArbitrageRiskManager.deploy(await priceMonitor.getAddress());
+        await riskManager.setSignalParameters(COOLDOWN, 10);
+        await priceMonitor.setRiskManager(await riskManager.getAddress());
+
+        return { priceMonitor, riskManager, mockChainlinkEth, mockChainlinkArb, owner, trader, outsider };
+    }
+
+    // Refresh both feeds so the mocks stay fresh across skipped time
+    async function setPrices({ mockChainlinkEth, mockChainlinkArb }, ethPrice, arbPrice) {
+        await mockChainlinkEth.setPrice(ethPrice);
+        await mockChainlinkArb.setPrice(arbPrice);
+    }
+
+    it("Should signal a token/direction once per cooldown and only when the spread widens", async function () {
+        const fixture = await loadFixture(deployRiskFixture);
+        const { priceMonitor, riskManager, outsider } = fixture;
+
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+            .withArgs(ETH_ADDRESS, 300, anyValue, true, anyValue, ETH, ARB);
+        const signal = await riskManager.lastSignal(ETH_ADDRESS, ETH, ARB);
+        expect(signal.spreadBasisPoints).to.equal(300);
+
+        // Same spread: held back, within the cooldown or not
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(riskManager, "SignalSuppressed").withArgs(ETH_ADDRESS, ETH, ARB, 300)
+            .and.not.to.emit(priceMonitor, "ArbitrageOpportunityDetected");
+        await time.increase(COOLDOWN);
+        await setPrices(fixture, 300000000000n, 309200000000n); // 306 bps, below the 10 bps delta
+        await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+
+        // Cooled down and widened by the delta
+        await setPrices(fixture, 300000000000n, 309300000000n); // 310 bps
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+            .withArgs(ETH_ADDRESS, 310, anyValue, true, anyValue, ETH, ARB);
+
+        // Wider again right away: the cooldown holds it back
+        await setPrices(fixture, 300000000000n, 310000000000n);
+        await expect(priceMonitor.updateETHPrices()).to.emit(riskManager, "SignalSuppressed");
+
+        await expect(riskManager.connect(outsider).recordSignal(ETH_ADDRESS)).to.be.revertedWith("Not monitor");
+    });
+
+    it("Should signal again once the spread closes and reopens", async function () {
+        const fixture = await loadFixture(deployRiskFixture);
+        const { priceMonitor, riskManager } = fixture;
+        await priceMonitor.updateETHPrices();
+
+        await setPrices(fixture, 300000000000n, 300000000000n);
+        await priceMonitor.updateETHPrices();
+        await time.increase(COOLDOWN);
+        await setPrices(fixture, 300000000000n, 309000000000n);
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+            .withArgs(ETH_ADDRESS, 300, anyValue, true, anyValue, ETH, ARB);
+
+        // The other direction is tracked separately
+        await setPrices(fixture, 309000000000n, 300000000000n);
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+            .withArgs(ETH_ADDRESS, 300, anyValue, false, anyValue, ARB, ETH);
+
+        // Without a risk manager every profitable update signals
+        await priceMonitor.setRiskManager(ethers.ZeroAddress);
+        await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "ArbitrageOpportunityDetected");
+        expect(await riskManager.signalCooldown()).to.equal(COOLDOWN);
+    });
+
+    it("Should keep updating prices and signal when the risk manager fails", async function () {
+        const { priceMonitor, riskManager } = await loadFixture(deployRiskFixture);
+
+        // A risk manager wired to another monitor reverts with "Not monitor"
+        const otherManager = await (await ethers.getContractFactory("ArbitrageRiskManager")).deploy(await riskManager.getAddress());
+        await priceMonitor.setRiskManager(await otherManager.getAddress());
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "RiskHookFailed").withArgs(ETH_ADDRESS, await otherManager.getAddress())
+            .and.to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+            .withArgs(ETH_ADDRESS, 300, anyValue, true, anyValue, ETH, ARB);
+        expect((await priceMonitor.tokenPrices(ETH_ADDRESS)).spread).to.equal(300);
+
+        // An account without code could not be called at all
+        const [, , , eoa] = await ethers.getSigners();
+        await expect(priceMonitor.setRiskManager(eoa.address)).to.be.revertedWith("Invalid risk manager");
+    });
+
+    it("Should cap the USD notional traded per token and globally each day", async function () {
+        const { priceMonitor, riskManager, trader, outsider } = await loadFixture(deployRiskFixture);
+        await priceMonitor.updateETHPrices();
+        await riskManager.setExecutor(trader.address, true);
+        await riskManager.setGlobalDailyCap(parseUsd(10000));
+        await riskManager.setTokenDailyCap(ETH_ADDRESS, parseUsd(7500));
+
+        // Valued at the $3000 buy-chain price
+        expect(await riskManager.notionalValue(ETH_ADDRESS, ethers.parseEther("2"))).to.equal(parseUsd(6000));
+        await expect(riskManager.connect(trader).recordExecution(ETH_ADDRESS, ethers.parseEther("2")))
+            .to.emit(riskManager, "ExecutionRecorded")
+            .withArgs(ETH_ADDRESS, trader.address, ethers.parseEther("2"), parseUsd(6000), await riskManager.currentDay());
+        expect(await riskManager.remainingNotional(ETH_ADDRESS)).to.equal(parseUsd(1500));
+
+        await expect(riskManager.connect(trader).recordExecution(ETH_ADDRESS, ethers.parseEther("1")))
+            .to.be.revertedWithCustomError(riskManager, "NotionalCapExceeded")
+            .withArgs(ETH_ADDRESS, parseUsd(3000), parseUsd(1500));
+        await expect(riskManager.connect(outsider).recordExecution(ETH_ADDRESS, 1n)).to.be.revertedWith("Not executor");
+
+        // The global cap binds once the token cap is lifted
+        await riskManager.setTokenDailyCap(ETH_ADDRESS, 0);
+        expect(await riskManager.remainingNotional(ETH_ADDRESS)).to.equal(parseUsd(4000));
+
+        // Counters are per UTC day
+        await time.increase(24 * 60 * 60);
+        expect(await riskManager.remainingNotional(ETH_ADDRESS)).to.equal(parseUsd(10000));
+        await riskManager.setGlobalDailyCap(0);
+        expect(await riskManager.remainingNotional(ETH_ADDRESS)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should only allow fresh, profitable trades within the caps", async function () {
+        const fixture = await loadFixture(deployRiskFixture);
+        const { priceMonitor, riskManager } = fixture;
+        await priceMonitor.updateETHPrices();
+        await riskManager.setMaxPriceAge(300);
+
+        expect(await riskManager.canExecute(ETH_ADDRESS, ethers.parseEther("1"))).to.equal(true);
+
+        await riskManager.setTokenDailyCap(ETH_ADDRESS, parseUsd(2000));
+        expect(await riskManager.canExecute(ETH_ADDRESS, ethers.parseEther("1"))).to.equal(false);
+        await riskManager.setTokenDailyCap(ETH_ADDRESS, 0);
+
+        await time.increase(301);
+        expect(await riskManager.canExecute(ETH_ADDRESS, ethers.parseEther("1"))).to.equal(false);
+
+        await setPrices(fixture, 300000000000n, 300000000000n);
+        await priceMonitor.updateETHPrices();
+        expect(await riskManager.canExecute(ETH_ADDRESS, ethers.parseEther("1"))).to.equal(false);
+    });
+
+    it("Should count executor trades and let the orchestrator skip capped ones", async function () {
+        const { priceMonitor, riskManager, owner, trader } = await loadFixture(deployRiskFixture);
+        await priceMonitor.updateETHPrices();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const weth = await MockERC20.deploy("Mock Wrapped Ether", "mWETH", 18);
+        const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        const executor = await (await ethers.getContractFactory("ArbitrageExecutor")).deploy(await priceMonitor.getAddress());
+        await executor.setExecutor(trader.address, true);
+        const MockSwapAdapter = await ethers.getContractFactory("MockSwapAdapter");
+        for (const [chainId, price] of [[ETH, parseUsd(3000)], [ARB, parseUsd(3090)]]) {
+            const venue = await MockSwapAdapter.deploy();
+            const { buyRate, sellRate } = mockSwapRates(price, 18, 6);
+            await venue.setRate(await usd.getAddress(), await weth.getAddress(), buyRate);
+            await venue.setRate(await weth.getAddress(), await usd.getAddress(), sellRate);
+            await weth.mint(await venue.getAddress(), ethers.parseEther("1000"));
+            await usd.mint(await venue.getAddress(), ethers.parseUnits("10000000", 6));
+            await executor.setSwapAdapter(chainId, await venue.getAddress());
+        }
+        const bridge = await (await ethers.getContractFactory("MockBridgeAdapter")).deploy(5);
+        await executor.setBridgeAdapter(ETH, ARB, await bridge.getAddress());
+        await usd.mint(trader.address, ethers.parseUnits("100000", 6));
+
+        await expect(executor.connect(owner).setRiskManager(await riskManager.getAddress()))
+            .to.emit(executor, "RiskManagerUpdated")
+            .withArgs(ethers.ZeroAddress, await riskManager.getAddress());
+        await riskManager.setExecutor(await executor.getAddress(), true);
+        await riskManager.setTokenDailyCap(ETH_ADDRESS, parseUsd(15000));
+
+        const orchestrator = new ArbitrageOrchestrator(executor.connect(trader), priceMonitor, {
+            asset: await weth.getAddress(),
+            quoteToken: await usd.getAddress(),
+            amountIn: ethers.parseUnits("9000", 6)
+        });
+        const first = await orchestrator.execute();
+        expect(first.executed).to.equal(true);
+        await expect(first.receipt).to.emit(riskManager, "ExecutionRecorded");
+        // 9000 mUSD buys 3 mWETH, less rounding in the mock venue
+        expect(await riskManager.remainingNotional(ETH_ADDRESS)).to.be.closeTo(parseUsd(6000), parseUsd("0.01"));
+
+        expect(await orchestrator.execute()).to.deep.equal({ executed: false, reason: "Risk limits" });
+    });
+});
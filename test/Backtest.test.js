@@ -0,0 +1,98 @@
+// test/Backtest.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseCsv, loadRounds, summarizeThresholds, runBacktest } = require("../scripts/backtest");
+
+describe("Backtest", function () {
+    const START = 1700000000;
+
+    const ROUNDS = [
+        { timestamp: START, chain: "ethereum", price: "2000", gasPriceGwei: "20" },
+        { timestamp: START, chain: "arbitrum", price: "2002", gasPriceGwei: "0.1" },
+        { timestamp: START + 600, chain: "arbitrum", price: "2060" },     // 300 bps, ETH → ARB
+        { timestamp: START + 1200, chain: "ethereum", price: "2050" },    // ~48 bps
+        { timestamp: START + 1800, chain: "arbitrum", price: "2010" },    // ~199 bps, ARB → ETH
+        { timestamp: START + 6000, chain: "arbitrum", price: "2011" }     // Ethereum feed stale
+    ];
+
+    describe("Input", function () {
+        it("Should parse CSV rounds with optional gas prices", async function () {
+            const rows = parseCsv("# comment\ntimestamp,chain,price,gasPriceGwei\n1,ethereum,2000.5,25\n2,arbitrum,2001,\n");
+
+            expect(rows).to.deep.equal([
+                { timestamp: "1", chain: "ethereum", price: "2000.5", gasPriceGwei: "25" },
+                { timestamp: "2", chain: "arbitrum", price: "2001" }
+            ]);
+        });
+
+        it("Should load and sort JSON rounds", async function () {
+            const file = path.join(os.tmpdir(), `backtest-${Date.now()}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                rounds: [
+                    { timestamp: 20, chain: "Arbitrum", price: 2001 },
+                    { timestamp: 10, chain: "ethereum", price: 2000 }
+                ]
+            }));
+
+            try {
+                const rounds = loadRounds(file);
+                expect(rounds.map((round) => round.chain)).to.deep.equal(["ethereum", "arbitrum"]);
+                expect(rounds[1].price).to.equal("2001");
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it("Should reject rounds for unknown chains", async function () {
+            const file = path.join(os.tmpdir(), `backtest-${Date.now()}.csv`);
+            fs.writeFileSync(file, "timestamp,chain,price\n1,optimism,2000\n");
+
+            try {
+                expect(() => loadRounds(file)).to.throw("unknown chain");
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+    });
+
+    describe("Replay", function () {
+        let result;
+
+        before(async function () {
+            result = await runBacktest(ROUNDS, { tradeAmount: ethers.parseEther("10"), thresholds: [25, 50, 250, 350] });
+        });
+
+        it("Should replay one update per round batch and skip stale updates", async function () {
+            expect(result.observations.map((obs) => obs.timestamp)).to.deep.equal([
+                START, START + 600, START + 1200, START + 1800
+            ]);
+            expect(result.skipped).to.have.length(1);
+            expect(result.skipped[0]).to.include({ timestamp: START + 6000, reason: "StalePrice" });
+        });
+
+        it("Should report the opportunities the monitor detected", async function () {
+            expect(result.detections.map((detection) => detection.timestamp)).to.deep.equal([START + 600, START + 1800]);
+            expect(result.detections[0].isEthToArb).to.be.true;
+            expect(result.detections[1].isEthToArb).to.be.false;
+            expect(result.detections[0].estimatedProfit).to.equal(result.detections[0].netProfit);
+        });
+
+        it("Should match the monitor's detections at its own threshold", async function () {
+            const [atMinimum] = summarizeThresholds(result.observations, [Number(result.minProfitBasisPoints)]);
+            expect(atMinimum.hits).to.equal(result.detections.length);
+        });
+
+        it("Should find fewer opportunities at higher thresholds", async function () {
+            expect(result.thresholds.map((row) => row.hits)).to.deep.equal([2, 2, 1, 0]);
+            expect(result.thresholds[2].hitRate).to.equal(0.25);
+            expect(result.thresholds[3].averageProfit).to.equal(0n);
+        });
+
+        it("Should restore automine after the replay", async function () {
+            expect(await ethers.provider.send("hardhat_getAutomine", [])).to.be.true;
+        });
+    });
+});
@@ -2,13 +2,24 @@
 // test/BasicPriceMonitor.test.js
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
 
 describe("BasicPriceMonitor", function () {
     // Test constants
     const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
     const ETHEREUM_CHAIN_ID = 1;
     const ARBITRUM_CHAIN_ID = 42161;
+    const ADMIN_ROLE = ethers.ZeroHash;
+    const UPDATER_ROLE = ethers.id("UPDATER_ROLE");
+    const RISK_MANAGER_ROLE = ethers.id("RISK_MANAGER_ROLE");
+    const PAUSER_ROLE = ethers.id("PAUSER_ROLE");
+
+    // AccessControl revert reason for an account lacking a role
+    function missingRole(account, role) {
+        return `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+    }
 
     async function deployPriceMonitorFixture() {
         const [owner, user1] = await ethers.getSigners();
@@ -19,7 +30,7 @@ describe("BasicPriceMonitor", function () {
         const mockChainlinkArb = await MockChainlinkFeed.deploy();
 
         // Deploy BasicPriceMonitor
-        const BasicPriceMonitor = await ethers.getContractFactory("BasicPriceMonitor");
+        const BasicPriceMonitor = await getPriceMonitorFactory();
         const priceMonitor = await BasicPriceMonitor.deploy();
 
         // Initialize oracles
@@ -38,9 +49,13 @@ describe("BasicPriceMonitor", function () {
     }
 
     describe("Deployment", function () {
-        it("Should set the right owner", async function () {
-            const { priceMonitor, owner } = await loadFixture(deployPriceMonitorFixture);
-            expect(await priceMonitor.owner()).to.equal(owner.address);
+        it("Should grant every role to the deployer", async function () {
+            const { priceMonitor, owner, user1 } = await loadFixture(deployPriceMonitorFixture);
+            for (const role of [ADMIN_ROLE, UPDATER_ROLE, RISK_MANAGER_ROLE, PAUSER_ROLE]) {
+                expect(await priceMonitor.hasRole(role, owner.address)).to.be.true;
+                expect(await priceMonitor.hasRole(role, user1.address)).to.be.false;
+            }
+            expect(await priceMonitor.updaterRoleRequired()).to.be.false;
         });
 
         it("Should initialize with correct constants", async function () {
@@ -173,6 +188,207 @@ describe("BasicPriceMonitor", function () {
         });
     });
 
+    describe("Profit Estimation", function () {
+        async function deploySpreadFixture() {
+            const base = await deployPriceMonitorFixture();
+            // ETH = $3000, ARB = $3100, gas = 20 gwei * 350000 per chain
+            await base.mockChainlinkEth.setPrice(300000000000n);
+            await base.mockChainlinkArb.setPrice(310000000000n);
+            await base.priceMonitor.updateETHPrices();
+            return base;
+        }
+
+        it("Should break down costs in USD for one ETH", async function () {
+            const { priceMonitor } = await loadFixture(deploySpreadFixture);
+
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+
+            expect(breakdown.grossSpread).to.equal(ethers.parseEther("100"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("21"));   // 0.007 ETH * $3000
+            expect(breakdown.sellGasCost).to.equal(ethers.parseEther("21.7")); // 0.007 ETH * $3100
+            expect(breakdown.dexFees).to.equal(ethers.parseEther("18.3"));         // 0.3% of $3000 + $3100
+            expect(breakdown.bridgeFees).to.equal(ethers.parseEther("1.5"));       // 0.05% of $3000
+            expect(breakdown.slippageCost).to.equal(ethers.parseEther("6.1"));     // 0.1% of $3000 + $3100
+            expect(breakdown.totalCosts).to.equal(ethers.parseEther("68.6"));
+            expect(breakdown.netProfit).to.equal(ethers.parseEther("31.4"));
+            expect(breakdown.isProfitable).to.be.true;
+            expect(breakdown.isEthToArb).to.be.true;
+        });
+
+        it("Should scale spread and fees with trade size but not gas", async function () {
+            const { priceMonitor } = await loadFixture(deploySpreadFixture);
+
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("10"));
+
+            expect(breakdown.grossSpread).to.equal(ethers.parseEther("1000"));
+            expect(breakdown.dexFees).to.equal(ethers.parseEther("183"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("21"));
+            // Costs: $42.7 gas + $183 DEX + $15 bridge + $61 slippage
+            expect(breakdown.netProfit).to.equal(ethers.parseEther("698.3"));
+        });
+
+        it("Should report estimatedProfit in USD for the default trade amount", async function () {
+            const { priceMonitor } = await loadFixture(deploySpreadFixture);
+
+            const opportunity = await priceMonitor.getArbitrageOpportunity();
+            expect(opportunity.estimatedProfit).to.equal(ethers.parseEther("31.4"));
+            // 350000 gas at 20 gwei on each chain, priced in ETH there: $21 + $21.7
+            expect(opportunity.gasEstimate).to.equal(ethers.parseEther("42.7"));
+
+            await expect(priceMonitor.setDefaultTradeAmount(ethers.parseEther("2")))
+                .to.emit(priceMonitor, "DefaultTradeAmountUpdated")
+                .withArgs(ethers.parseEther("1"), ethers.parseEther("2"));
+            const larger = await priceMonitor.getArbitrageOpportunity();
+            expect(larger.estimatedProfit).to.be.gt(opportunity.estimatedProfit);
+        });
+
+        it("Should become unprofitable when gas outweighs the spread", async function () {
+            const { priceMonitor } = await loadFixture(deploySpreadFixture);
+
+            await priceMonitor.updateGasPrice(ethers.parseUnits("500", "gwei"));
+
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.totalCosts).to.be.gt(breakdown.grossSpread);
+            expect(breakdown.netProfit).to.equal(0);
+            expect(breakdown.isProfitable).to.be.false;
+        });
+
+        it("Should apply configurable fees, bridge costs and slippage", async function () {
+            const { priceMonitor, user1 } = await loadFixture(deploySpreadFixture);
+
+            await expect(priceMonitor.setCostParameters(0, 0, 0))
+                .to.emit(priceMonitor, "CostParametersUpdated")
+                .withArgs(0, 0, 0);
+
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.totalCosts).to.equal(ethers.parseEther("42.7")); // gas only
+
+            await expect(priceMonitor.setCostParameters(10001, 0, 0)).to.be.revertedWith("Invalid basis points");
+            await expect(priceMonitor.connect(user1).setCostParameters(1, 1, 1)).to.be.reverted;
+        });
+
+        it("Should not report other tokens as profitable before ETH gas can be priced", async function () {
+            const { priceMonitor } = await loadFixture(deployPriceMonitorFixture);
+            const WBTC_ADDRESS = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const wbtcEth = await MockChainlinkFeed.deploy();
+            const wbtcArb = await MockChainlinkFeed.deploy();
+            await wbtcEth.setPrice(6000000000000n);
+            await wbtcArb.setPrice(6300000000000n);
+            await priceMonitor.registerToken(WBTC_ADDRESS, await wbtcEth.getAddress(), await wbtcArb.getAddress(), 3600);
+
+            await priceMonitor.updateTokenPrices(WBTC_ADDRESS);
+            expect((await priceMonitor.getProfitBreakdown(WBTC_ADDRESS, ethers.parseEther("1"))).isProfitable).to.be.false;
+
+            await priceMonitor.updateETHPrices();
+            expect((await priceMonitor.getProfitBreakdown(WBTC_ADDRESS, ethers.parseEther("1"))).isProfitable).to.be.true;
+        });
+    });
+
+    describe("Multi-Token Monitoring", function () {
+        const WBTC_ADDRESS = "0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599";
+        const LINK_ADDRESS = "0x514910771AF9Ca656af840dff83E8264EcF986CA";
+
+        async function deployMultiTokenFixture() {
+            const base = await deployPriceMonitorFixture();
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+
+            const wbtcEth = await MockChainlinkFeed.deploy();
+            const wbtcArb = await MockChainlinkFeed.deploy();
+            await wbtcEth.setPrice(6000000000000n); // $60000
+            await wbtcArb.setPrice(6120000000000n); // $61200 (2% spread)
+
+            const linkEth = await MockChainlinkFeed.deploy();
+            const linkArb = await MockChainlinkFeed.deploy();
+            await linkEth.setPrice(1500000000n); // $15
+            await linkArb.setPrice(1500000000n); // $15
+
+            await base.priceMonitor.registerToken(WBTC_ADDRESS, await wbtcEth.getAddress(), await wbtcArb.getAddress(), 7200);
+            await base.priceMonitor.registerToken(LINK_ADDRESS, await linkEth.getAddress(), await linkArb.getAddress(), 3600);
+
+            return { ...base, wbtcEth, wbtcArb, linkEth, linkArb };
+        }
+
+        it("Should register tokens with per-chain feeds and staleness", async function () {
+            const { priceMonitor, wbtcEth, wbtcArb } = await loadFixture(deployMultiTokenFixture);
+
+            const ethOracle = await priceMonitor.oracles(ETHEREUM_CHAIN_ID, WBTC_ADDRESS);
+            const arbOracle = await priceMonitor.oracles(ARBITRUM_CHAIN_ID, WBTC_ADDRESS);
+            expect(ethOracle.chainlinkFeed).to.equal(await wbtcEth.getAddress());
+            expect(arbOracle.chainlinkFeed).to.equal(await wbtcArb.getAddress());
+            expect(ethOracle.maxStaleness).to.equal(7200);
+
+            expect(await priceMonitor.getSupportedTokens()).to.deep.equal([ETH_ADDRESS, WBTC_ADDRESS, LINK_ADDRESS]);
+        });
+
+        it("Should not duplicate a token when its feeds are replaced", async function () {
+            const { priceMonitor, linkEth, linkArb } = await loadFixture(deployMultiTokenFixture);
+
+            await expect(priceMonitor.registerToken(LINK_ADDRESS, await linkArb.getAddress(), await linkEth.getAddress(), 600))
+                .to.emit(priceMonitor, "TokenRegistered")
+                .withArgs(LINK_ADDRESS, await linkArb.getAddress(), await linkEth.getAddress(), 600);
+
+            expect(await priceMonitor.getSupportedTokens()).to.have.length(3);
+        });
+
+        it("Should only allow owner to register tokens", async function () {
+            const { priceMonitor, linkEth, linkArb, user1 } = await loadFixture(deployMultiTokenFixture);
+
+            await expect(
+                priceMonitor.connect(user1).registerToken(LINK_ADDRESS, await linkEth.getAddress(), await linkArb.getAddress(), 3600)
+            ).to.be.reverted;
+        });
+
+        it("Should update a batch of tokens", async function () {
+            const { priceMonitor } = await loadFixture(deployMultiTokenFixture);
+
+            await expect(priceMonitor.updatePrices([ETH_ADDRESS, WBTC_ADDRESS, LINK_ADDRESS]))
+                .to.emit(priceMonitor, "PricesUpdated").withArgs(
+                    WBTC_ADDRESS, ethers.parseEther("60000"), ethers.parseEther("61200"), 200, anyValue,
+                    ETHEREUM_CHAIN_ID, ARBITRUM_CHAIN_ID, ethers.parseEther("60000"), ethers.parseEther("61200")
+                );
+
+            const linkData = await priceMonitor.getTokenPriceData(LINK_ADDRESS);
+            expect(linkData.ethereumPrice).to.equal(ethers.parseEther("15"));
+            expect(await priceMonitor.isPriceDataFresh(WBTC_ADDRESS, 300)).to.be.true;
+        });
+
+        it("Should query opportunities per token", async function () {
+            const { priceMonitor } = await loadFixture(deployMultiTokenFixture);
+            await priceMonitor.updateTokenPrices(WBTC_ADDRESS);
+
+            const opportunity = await priceMonitor["getArbitrageOpportunity(address)"](WBTC_ADDRESS);
+            expect(opportunity.spreadBasisPoints).to.equal(200);
+            expect(opportunity.isEthToArb).to.be.true;
+
+            const [isProfitable, spread] = await priceMonitor["isProfitableArbitrage(address)"](WBTC_ADDRESS);
+            expect(isProfitable).to.equal(opportunity.isProfitable);
+            expect(spread).to.equal(200);
+
+            // ETH has not been updated, so the ETH-only variant still reports nothing
+            const [ethProfitable] = await priceMonitor["isProfitableArbitrage()"]();
+            expect(ethProfitable).to.be.false;
+        });
+
+        it("Should query opportunities in batches", async function () {
+            const { priceMonitor } = await loadFixture(deployMultiTokenFixture);
+            await priceMonitor.updatePrices([WBTC_ADDRESS, LINK_ADDRESS]);
+
+            const opportunities = await priceMonitor.getArbitrageOpportunities([WBTC_ADDRESS, LINK_ADDRESS, ETH_ADDRESS]);
+            expect(opportunities).to.have.length(3);
+            expect(opportunities[0].spreadBasisPoints).to.equal(200);
+            expect(opportunities[1].spreadBasisPoints).to.equal(0);
+            expect(opportunities[2].spreadBasisPoints).to.equal(0);
+        });
+
+        it("Should revert for unregistered tokens", async function () {
+            const { priceMonitor } = await loadFixture(deployMultiTokenFixture);
+            await expect(priceMonitor.updatePrices([WBTC_ADDRESS, ethers.ZeroAddress]))
+                .to.be.revertedWithCustomError(priceMonitor, "NotEnoughActiveChains")
+                .withArgs(ethers.ZeroAddress, 0);
+        });
+    });
+
     describe("Gas Price Management", function () {
         it("Should update gas price correctly", async function () {
             const { priceMonitor } = await loadFixture(deployPriceMonitorFixture);
@@ -219,7 +435,717 @@ describe("BasicPriceMonitor", function () {
             await mockChainlinkEth.setUpdatedAt(staleTimestamp);
 
             await expect(priceMonitor.updateETHPrices())
-                .to.be.revertedWith("Price data too stale");
+                .to.be.revertedWithCustomError(priceMonitor, "StalePrice")
+                .withArgs(await mockChainlinkEth.getAddress(), staleTimestamp, 3600);
+        });
+    });
+
+    describe("Price History", function () {
+        // Push a sequence of Arbitrum prices (8 decimals) against Ethereum at $3000
+        async function updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, prices) {
+            for (const price of prices) {
+                await mockChainlinkArb.setPrice(price);
+                await priceMonitor.updateETHPrices();
+            }
+        }
+
+        it("Should return the last N updates oldest first", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [301000000000n, 302000000000n, 303000000000n]);
+
+            const history = await priceMonitor.getPriceHistory(ETH_ADDRESS, 2);
+            expect(history.length).to.equal(2);
+            expect(history[0].arbitrumPrice).to.equal(ethers.parseEther("3020"));
+            expect(history[1].arbitrumPrice).to.equal(ethers.parseEther("3030"));
+            expect(history[1].spread).to.equal(100);
+            expect(history[1].timestamp).to.be.gt(history[0].timestamp);
+
+            // Asking for more than is stored returns everything
+            expect((await priceMonitor.getPriceHistory(ETH_ADDRESS, 10)).length).to.equal(3);
+        });
+
+        it("Should overwrite the oldest entries once the buffer is full", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await expect(priceMonitor.setHistoryLength(3))
+                .to.emit(priceMonitor, "HistoryLengthUpdated").withArgs(24, 3);
+
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [
+                301000000000n, 302000000000n, 303000000000n, 304000000000n, 305000000000n
+            ]);
+
+            const history = await priceMonitor.getPriceHistory(ETH_ADDRESS, 5);
+            expect(history.map((entry) => entry.arbitrumPrice)).to.deep.equal([
+                ethers.parseEther("3030"), ethers.parseEther("3040"), ethers.parseEther("3050")
+            ]);
+            expect(await priceMonitor.historyCount(ETH_ADDRESS)).to.equal(5);
+        });
+
+        it("Should clear history when the length changes", async function () {
+            const { priceMonitor, mockChainlinkArb, user1 } = await loadFixture(deployPriceMonitorFixture);
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [301000000000n]);
+
+            await priceMonitor.setHistoryLength(10);
+            expect((await priceMonitor.getPriceHistory(ETH_ADDRESS, 10)).length).to.equal(0);
+
+            await expect(priceMonitor.setHistoryLength(0)).to.be.revertedWith("Invalid history length");
+            await expect(priceMonitor.setHistoryLength(1001)).to.be.revertedWith("Invalid history length");
+            await expect(priceMonitor.connect(user1).setHistoryLength(5)).to.be.reverted;
+        });
+
+        it("Should revert instead of truncating values that do not fit an observation", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            // 8-decimal answer that scales past uint128 at 18 decimals
+            const tooLarge = 2n ** 128n / 10n ** 10n + 1n;
+            await mockChainlinkEth.setPrice(tooLarge);
+            await mockChainlinkArb.setPrice(tooLarge);
+
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWith("SafeCast: value doesn't fit in 128 bits");
+        });
+
+        it("Should report average and max spread and how long it stayed above threshold", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+
+            // 10 bps (below the 50 bps threshold), then 100 and 200 bps
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [300300000000n, 303000000000n]);
+            const startedAt = await time.latest();
+            await time.increase(60);
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [306000000000n]);
+            await time.increase(30);
+
+            const stats = await priceMonitor.getSpreadStatistics(ETH_ADDRESS, 3);
+            expect(stats.observations).to.equal(3);
+            expect(stats.averageSpread).to.equal(103); // (10 + 100 + 200) / 3
+            expect(stats.maxSpread).to.equal(200);
+            expect(stats.consecutiveUpdates).to.equal(2);
+            expect(stats.aboveThresholdSince).to.equal(startedAt);
+            expect(stats.aboveThresholdDuration).to.equal((await time.latest()) - startedAt);
+
+            // Dropping below the threshold ends the run
+            await updateWithArbitrumPrices(priceMonitor, mockChainlinkArb, [300000000000n]);
+            const after = await priceMonitor.getSpreadStatistics(ETH_ADDRESS, 1);
+            expect(after.consecutiveUpdates).to.equal(0);
+            expect(after.aboveThresholdDuration).to.equal(0);
+        });
+
+        it("Should only detect opportunities after the spread persists for K updates", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await expect(priceMonitor.setMinPersistenceUpdates(3))
+                .to.emit(priceMonitor, "MinPersistenceUpdatesUpdated").withArgs(1, 3);
+
+            await mockChainlinkArb.setPrice(310000000000n);
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "ArbitrageOpportunityDetected");
+
+            // A direction flip starts a new run
+            await mockChainlinkArb.setPrice(290000000000n);
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+            expect(await priceMonitor.spreadStreak(ETH_ADDRESS)).to.equal(1);
+        });
+
+        it("Should only allow owner to set persistence", async function () {
+            const { priceMonitor, user1 } = await loadFixture(deployPriceMonitorFixture);
+
+            await expect(priceMonitor.setMinPersistenceUpdates(0)).to.be.revertedWith("Invalid persistence");
+            await expect(priceMonitor.connect(user1).setMinPersistenceUpdates(2)).to.be.reverted;
+        });
+    });
+
+    describe("Admin Configuration", function () {
+        it("Should let the owner change the profit threshold", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await mockChainlinkArb.setPrice(303000000000n); // 100 bps
+
+            await expect(priceMonitor.setMinProfitBasisPoints(150))
+                .to.emit(priceMonitor, "MinProfitBasisPointsUpdated")
+                .withArgs(50, 150);
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+
+            await expect(priceMonitor.setMinProfitBasisPoints(10001))
+                .to.be.revertedWith("Invalid basis points");
+        });
+
+        it("Should replace a single feed", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const newFeed = await MockChainlinkFeed.deploy();
+            await newFeed.setPrice(310000000000n);
+
+            await expect(priceMonitor.setFeed(ARBITRUM_CHAIN_ID, ETH_ADDRESS, await newFeed.getAddress()))
+                .to.emit(priceMonitor, "OracleFeedUpdated")
+                .withArgs(ARBITRUM_CHAIN_ID, ETH_ADDRESS, await mockChainlinkArb.getAddress(), await newFeed.getAddress());
+
+            const oracle = await priceMonitor.oracles(ARBITRUM_CHAIN_ID, ETH_ADDRESS);
+            expect(oracle.maxStaleness).to.equal(3600);
+            expect(oracle.isActive).to.be.true;
+
+            await priceMonitor.updateETHPrices();
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).arbitrumPrice).to.equal(ethers.parseEther("3100"));
+
+            await expect(priceMonitor.setFeed(ARBITRUM_CHAIN_ID, ETH_ADDRESS, ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid feed");
+        });
+
+        it("Should set staleness per feed", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
+
+            await expect(priceMonitor.setMaxStaleness(ETHEREUM_CHAIN_ID, ETH_ADDRESS, 7200))
+                .to.emit(priceMonitor, "OracleStalenessUpdated")
+                .withArgs(ETHEREUM_CHAIN_ID, ETH_ADDRESS, 3600, 7200);
+
+            // 1.5 hours old: fine on Ethereum (2h), still too old on Arbitrum (1h)
+            await mockChainlinkEth.setUpdatedAt((await time.latest()) - 5400);
+            await priceMonitor.updateETHPrices();
+
+            await expect(priceMonitor.setMaxStaleness(ETHEREUM_CHAIN_ID, ETH_ADDRESS, 0))
+                .to.be.revertedWith("Invalid staleness");
+        });
+
+        it("Should deactivate and reactivate a single oracle", async function () {
+            const { priceMonitor } = await loadFixture(deployPriceMonitorFixture);
+
+            await expect(priceMonitor.setOracleActive(ARBITRUM_CHAIN_ID, ETH_ADDRESS, false))
+                .to.emit(priceMonitor, "OracleActiveUpdated")
+                .withArgs(ARBITRUM_CHAIN_ID, ETH_ADDRESS, false);
+            // Ethereum alone has nothing to compare against
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "NotEnoughActiveChains")
+                .withArgs(ETH_ADDRESS, 1);
+
+            await priceMonitor.setOracleActive(ARBITRUM_CHAIN_ID, ETH_ADDRESS, true);
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "PricesUpdated");
+        });
+
+        it("Should reject unknown chains and tokens", async function () {
+            const { priceMonitor } = await loadFixture(deployPriceMonitorFixture);
+
+            await expect(priceMonitor.setOracleActive(10, ETH_ADDRESS, false))
+                .to.be.revertedWith("Unsupported chain");
+            await expect(priceMonitor.setMaxStaleness(ETHEREUM_CHAIN_ID, ethers.ZeroAddress, 60))
+                .to.be.revertedWith("Token not supported");
+        });
+
+        it("Should restrict configuration to the admin and risk manager roles", async function () {
+            const { priceMonitor, user1 } = await loadFixture(deployPriceMonitorFixture);
+            const asUser = priceMonitor.connect(user1);
+
+            await expect(asUser.setMinProfitBasisPoints(10)).to.be.revertedWith(missingRole(user1, RISK_MANAGER_ROLE));
+            await expect(asUser.setFeed(ETHEREUM_CHAIN_ID, ETH_ADDRESS, user1.address)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+            await expect(asUser.setMaxStaleness(ETHEREUM_CHAIN_ID, ETH_ADDRESS, 60)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+            await expect(asUser.setOracleActive(ETHEREUM_CHAIN_ID, ETH_ADDRESS, false)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+        });
+    });
+
+    describe("Chainlink Read Hardening", function () {
+        async function deploySequencerFixture() {
+            const base = await deployPriceMonitorFixture();
+
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const sequencerFeed = await MockChainlinkFeed.deploy();
+            await sequencerFeed.setSequencerStatus(false, (await time.latest()) - 7200);
+            await base.priceMonitor.setSequencerUptimeFeed(await sequencerFeed.getAddress(), 3600);
+
+            return { ...base, sequencerFeed };
+        }
+
+        it("Should reject incomplete rounds", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
+            await mockChainlinkEth.setUpdatedAt(0);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "IncompleteRound")
+                .withArgs(await mockChainlinkEth.getAddress(), 1);
+        });
+
+        it("Should reject answers carried over from an earlier round", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await mockChainlinkArb.setRound(5, 4);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "StaleRound")
+                .withArgs(await mockChainlinkArb.getAddress(), 5, 4);
+        });
+
+        it("Should scale answers up or down for any feed decimals", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+
+            await mockChainlinkEth.setDecimals(6);
+            await mockChainlinkEth.setPrice(3000n * 10n ** 6n);
+            await mockChainlinkArb.setDecimals(24);
+            await mockChainlinkArb.setPrice(3030n * 10n ** 24n);
+            await priceMonitor.updateETHPrices();
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.ethereumPrice).to.equal(ethers.parseEther("3000"));
+            expect(priceData.arbitrumPrice).to.equal(ethers.parseEther("3030"));
+        });
+
+        it("Should treat answers that scale to zero as invalid", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
+            await mockChainlinkEth.setDecimals(100);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "InvalidChainlinkPrice")
+                .withArgs(await mockChainlinkEth.getAddress(), 300000000000n);
+        });
+
+        it("Should update while the sequencer is up past the grace period", async function () {
+            const { priceMonitor } = await loadFixture(deploySequencerFixture);
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "PricesUpdated");
+        });
+
+        it("Should reject updates while the sequencer is down", async function () {
+            const { priceMonitor, sequencerFeed } = await loadFixture(deploySequencerFixture);
+            await sequencerFeed.setSequencerStatus(true, await time.latest());
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "SequencerDown")
+                .withArgs(await sequencerFeed.getAddress());
+        });
+
+        it("Should reject updates within the grace period after a restart", async function () {
+            const { priceMonitor, sequencerFeed, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deploySequencerFixture);
+            const restartedAt = await time.latest();
+            await sequencerFeed.setSequencerStatus(false, restartedAt);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "SequencerGracePeriodNotOver")
+                .withArgs(await sequencerFeed.getAddress(), restartedAt, 3600);
+
+            await time.increaseTo(restartedAt + 3601);
+            await mockChainlinkEth.setPrice(300000000000n);
+            await mockChainlinkArb.setPrice(300000000000n);
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "PricesUpdated");
+        });
+
+        it("Should reject an uninitialized sequencer feed", async function () {
+            const { priceMonitor, sequencerFeed } = await loadFixture(deploySequencerFixture);
+            await sequencerFeed.setSequencerStatus(false, 0);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "IncompleteRound");
+        });
+
+        it("Should allow only the admin to set the sequencer feed", async function () {
+            const { priceMonitor, sequencerFeed, user1 } = await loadFixture(deploySequencerFixture);
+            const feedAddress = await sequencerFeed.getAddress();
+
+            await expect(priceMonitor.setSequencerUptimeFeed(ethers.ZeroAddress, 0))
+                .to.emit(priceMonitor, "SequencerUptimeFeedUpdated")
+                .withArgs(feedAddress, ethers.ZeroAddress, 0);
+            await expect(priceMonitor.connect(user1).setSequencerUptimeFeed(feedAddress, 3600))
+                .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+        });
+    });
+
+    describe("Chainlink Automation", function () {
+        const LINK_ADDRESS = "0x514910771AF9Ca656af840dff83E8264EcF986CA";
+        const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+        const encodeTokens = (tokens) => abiCoder.encode(["address[]"], [tokens]);
+
+        async function deployAutomationFixture() {
+            const base = await deployPriceMonitorFixture();
+
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const linkEth = await MockChainlinkFeed.deploy();
+            const linkArb = await MockChainlinkFeed.deploy();
+            await base.priceMonitor.registerToken(LINK_ADDRESS, await linkEth.getAddress(), await linkArb.getAddress(), 3600);
+
+            const MockAutomationRegistry = await ethers.getContractFactory("MockAutomationRegistry");
+            const registry = await MockAutomationRegistry.deploy();
+
+            return { ...base, linkEth, linkArb, registry };
+        }
+
+        it("Should request an update for every token that was never updated", async function () {
+            const { priceMonitor } = await loadFixture(deployAutomationFixture);
+
+            const [upkeepNeeded, performData] = await priceMonitor.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.true;
+            expect(performData).to.equal(encodeTokens([ETH_ADDRESS, LINK_ADDRESS]));
+        });
+
+        it("Should update due tokens through the registry", async function () {
+            const { priceMonitor, registry, mockChainlinkArb } = await loadFixture(deployAutomationFixture);
+            await mockChainlinkArb.setPrice(310000000000n);
+
+            await expect(registry.runUpkeep(await priceMonitor.getAddress(), "0x"))
+                .to.emit(priceMonitor, "PricesUpdated")
+                .and.to.emit(priceMonitor, "ArbitrageOpportunityDetected");
+
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).arbitrumPrice).to.equal(ethers.parseEther("3100"));
+            expect((await priceMonitor.getTokenPriceData(LINK_ADDRESS)).timestamp).to.be.gt(0);
+
+            const [upkeepNeeded] = await priceMonitor.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.false;
+        });
+
+        it("Should request an update when a feed publishes a new round", async function () {
+            const { priceMonitor, registry, linkArb } = await loadFixture(deployAutomationFixture);
+            await registry.runUpkeep(await priceMonitor.getAddress(), "0x");
+
+            await linkArb.setPrice(1600000000n);
+
+            const [upkeepNeeded, performData] = await priceMonitor.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.true;
+            expect(performData).to.equal(encodeTokens([LINK_ADDRESS]));
+        });
+
+        it("Should request an update once the heartbeat elapses", async function () {
+            const { priceMonitor, registry } = await loadFixture(deployAutomationFixture);
+            await priceMonitor.setUpkeepHeartbeat(600);
+            await registry.runUpkeep(await priceMonitor.getAddress(), "0x");
+
+            const { timestamp } = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+
+            await time.increaseTo(timestamp + 599n);
+            expect((await priceMonitor.checkUpkeep("0x"))[0]).to.be.false;
+
+            await time.increaseTo(timestamp + 600n);
+            expect((await priceMonitor.checkUpkeep("0x"))[0]).to.be.true;
+        });
+
+        it("Should only watch the tokens in checkData", async function () {
+            const { priceMonitor, registry } = await loadFixture(deployAutomationFixture);
+            const checkData = encodeTokens([LINK_ADDRESS]);
+
+            const [, performData] = await priceMonitor.checkUpkeep(checkData);
+            expect(performData).to.equal(encodeTokens([LINK_ADDRESS]));
+
+            await registry.runUpkeep(await priceMonitor.getAddress(), checkData);
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).timestamp).to.equal(0);
+            expect((await priceMonitor.checkUpkeep(checkData))[0]).to.be.false;
+        });
+
+        it("Should re-validate tokens in performUpkeep", async function () {
+            const { priceMonitor, linkArb } = await loadFixture(deployAutomationFixture);
+            const [, performData] = await priceMonitor.checkUpkeep("0x");
+            await priceMonitor.performUpkeep(performData);
+
+            await expect(priceMonitor.performUpkeep(performData))
+                .to.be.revertedWith("Upkeep not needed");
+
+            // Only LINK is due again, so ETH is skipped
+            await linkArb.setPrice(1600000000n);
+            await expect(priceMonitor.performUpkeep(performData))
+                .to.emit(priceMonitor, "PricesUpdated")
+                .withArgs(LINK_ADDRESS, ...Array(8).fill(anyValue));
+        });
+
+        it("Should update the other due tokens when one token's update reverts", async function () {
+            const { priceMonitor, registry, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployAutomationFixture);
+            await registry.runUpkeep(await priceMonitor.getAddress(), "0x");
+
+            // LINK's feeds go quiet past their staleness limit while ETH's keep publishing
+            await time.increase(3601);
+            await mockChainlinkEth.setPrice(300000000000n);
+            await mockChainlinkArb.setPrice(310000000000n);
+
+            const tx = registry.runUpkeep(await priceMonitor.getAddress(), "0x");
+            await expect(tx)
+                .to.emit(priceMonitor, "UpkeepTokenFailed")
+                .withArgs(LINK_ADDRESS, (reason) => reason.startsWith(priceMonitor.interface.getError("StalePrice").selector))
+                .and.to.emit(priceMonitor, "PricesUpdated")
+                .withArgs(ETH_ADDRESS, ...Array(8).fill(anyValue));
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).arbitrumPrice).to.equal(ethers.parseEther("3100"));
+
+            // A feed that cannot even report its round leaves checkUpkeep working
+            const notAFeed = await (await ethers.getContractFactory("MockERC20")).deploy("Not a feed", "NAF", 18);
+            await priceMonitor.setFeed(ETHEREUM_CHAIN_ID, LINK_ADDRESS, await notAFeed.getAddress());
+            const [upkeepNeeded, performData] = await priceMonitor.checkUpkeep("0x");
+            expect(upkeepNeeded).to.be.true;
+            expect(performData).to.equal(encodeTokens([LINK_ADDRESS]));
+
+            // With nothing else due, an upkeep that cannot make progress reverts
+            await expect(priceMonitor.performUpkeep(performData)).to.be.revertedWith("Upkeep not needed");
+            await expect(priceMonitor.performTokenUpkeep(ETH_ADDRESS)).to.be.revertedWith("Only the monitor");
+        });
+
+        it("Should allow only the admin to set a non-zero heartbeat", async function () {
+            const { priceMonitor, user1 } = await loadFixture(deployAutomationFixture);
+
+            await expect(priceMonitor.setUpkeepHeartbeat(900))
+                .to.emit(priceMonitor, "UpkeepHeartbeatUpdated")
+                .withArgs(3600, 900);
+            await expect(priceMonitor.setUpkeepHeartbeat(0))
+                .to.be.revertedWith("Invalid heartbeat");
+            await expect(priceMonitor.connect(user1).setUpkeepHeartbeat(900))
+                .to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+        });
+    });
+
+    describe("Access Control & Circuit Breaker", function () {
+        it("Should enforce the updater role only when required", async function () {
+            const { priceMonitor, user1 } = await loadFixture(deployPriceMonitorFixture);
+            const asUser = priceMonitor.connect(user1);
+
+            await expect(asUser.updateETHPrices()).to.emit(priceMonitor, "PricesUpdated");
+
+            await expect(priceMonitor.setUpdaterRoleRequired(true))
+                .to.emit(priceMonitor, "UpdaterRoleRequiredUpdated")
+                .withArgs(true);
+            await expect(asUser.updateETHPrices()).to.be.revertedWith(missingRole(user1, UPDATER_ROLE));
+            await expect(asUser.updatePrices([ETH_ADDRESS])).to.be.revertedWith(missingRole(user1, UPDATER_ROLE));
+
+            await priceMonitor.grantRole(UPDATER_ROLE, user1.address);
+            await expect(asUser.updateTokenPrices(ETH_ADDRESS)).to.emit(priceMonitor, "PricesUpdated");
+        });
+
+        it("Should separate risk, pauser and admin permissions", async function () {
+            const { priceMonitor, owner, user1 } = await loadFixture(deployPriceMonitorFixture);
+            const asUser = priceMonitor.connect(user1);
+
+            await priceMonitor.grantRole(RISK_MANAGER_ROLE, user1.address);
+            await priceMonitor.grantRole(PAUSER_ROLE, user1.address);
+
+            await expect(asUser.setMinProfitBasisPoints(75)).to.emit(priceMonitor, "MinProfitBasisPointsUpdated");
+            await expect(asUser.setMaxPriceMove(1000)).to.emit(priceMonitor, "MaxPriceMoveUpdated").withArgs(0, 1000);
+            await expect(asUser.setFeed(ETHEREUM_CHAIN_ID, ETH_ADDRESS, user1.address)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+            await expect(asUser.setUpdaterRoleRequired(true)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+
+            // Pausers can stop the monitor, only the admin can resume it
+            await expect(asUser.pause()).to.emit(priceMonitor, "Paused").withArgs(user1.address);
+            await expect(asUser.unpause()).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+            await expect(priceMonitor.unpause()).to.emit(priceMonitor, "Unpaused").withArgs(owner.address);
+
+            await priceMonitor.revokeRole(PAUSER_ROLE, user1.address);
+            await expect(asUser.pause()).to.be.revertedWith(missingRole(user1, PAUSER_ROLE));
+        });
+
+        it("Should freeze updates and report nothing profitable while paused", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await mockChainlinkArb.setPrice(310000000000n);
+            await priceMonitor.updateETHPrices();
+            expect((await priceMonitor["isProfitableArbitrage()"]())[0]).to.be.true;
+
+            await priceMonitor.pause();
+
+            const [isProfitable, spread] = await priceMonitor["isProfitableArbitrage()"]();
+            expect(isProfitable).to.be.false;
+            expect(spread).to.equal(333);
+            expect((await priceMonitor["getArbitrageOpportunity()"]()).isProfitable).to.be.false;
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWith("Pausable: paused");
+            await expect(priceMonitor.performUpkeep(ethers.AbiCoder.defaultAbiCoder().encode(["address[]"], [[ETH_ADDRESS]])))
+                .to.be.revertedWith("Pausable: paused");
+
+            await time.increase(3600);
+            expect((await priceMonitor.checkUpkeep("0x"))[0]).to.be.false;
+
+            await priceMonitor.unpause();
+            expect((await priceMonitor["isProfitableArbitrage()"]())[0]).to.be.true;
+        });
+
+        it("Should trip the circuit breaker on a large price move without storing it", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
+            await priceMonitor.setMaxPriceMove(1000); // 10%
+            await priceMonitor.updateETHPrices();
+
+            // 5% is within bounds
+            await mockChainlinkEth.setPrice(315000000000n);
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "PricesUpdated");
+
+            // 20% from $3150 trips the breaker
+            await mockChainlinkEth.setPrice(378000000000n);
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "CircuitBreakerTripped")
+                .withArgs(ETHEREUM_CHAIN_ID, ETH_ADDRESS, ethers.parseEther("3150"), ethers.parseEther("3780"), 2000)
+                .and.to.emit(priceMonitor, "Paused")
+                .and.not.to.emit(priceMonitor, "PricesUpdated");
+
+            expect(await priceMonitor.paused()).to.be.true;
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).ethereumPrice).to.equal(ethers.parseEther("3150"));
+        });
+
+        it("Should accept the new price as reference after an unpause", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployPriceMonitorFixture);
+            await priceMonitor.setMaxPriceMove(1000);
+            await priceMonitor.updateETHPrices();
+
+            await mockChainlinkArb.setPrice(240000000000n);
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "CircuitBreakerTripped")
+                .withArgs(ARBITRUM_CHAIN_ID, ETH_ADDRESS, ethers.parseEther("3000"), ethers.parseEther("2400"), 2000);
+
+            // After review the admin resumes; the move is accepted once
+            await priceMonitor.unpause();
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "PricesUpdated")
+                .and.not.to.emit(priceMonitor, "CircuitBreakerTripped");
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).arbitrumPrice).to.equal(ethers.parseEther("2400"));
+
+            // Later updates are guarded again
+            await mockChainlinkEth.setPrice(200000000000n);
+            await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "CircuitBreakerTripped");
+        });
+
+        it("Should stop a batch update at the token that trips the breaker", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
+            const LINK_ADDRESS = "0x514910771AF9Ca656af840dff83E8264EcF986CA";
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const linkFeed = await MockChainlinkFeed.deploy();
+            await priceMonitor.registerToken(LINK_ADDRESS, await linkFeed.getAddress(), await linkFeed.getAddress(), 3600);
+
+            await priceMonitor.setMaxPriceMove(1000);
+            await priceMonitor.updatePrices([ETH_ADDRESS, LINK_ADDRESS]);
+            const linkUpdatedAt = (await priceMonitor.getTokenPriceData(LINK_ADDRESS)).timestamp;
+
+            await mockChainlinkEth.setPrice(400000000000n);
+            await expect(priceMonitor.updatePrices([ETH_ADDRESS, LINK_ADDRESS]))
+                .to.emit(priceMonitor, "CircuitBreakerTripped")
+                .and.not.to.emit(priceMonitor, "PricesUpdated");
+            expect((await priceMonitor.getTokenPriceData(LINK_ADDRESS)).timestamp).to.equal(linkUpdatedAt);
+        });
+    });
+
+    describe("Multi-Chain Routes", function () {
+        const OPTIMISM_CHAIN_ID = 10;
+        const BASE_CHAIN_ID = 8453;
+        const POLYGON_CHAIN_ID = 137;
+
+        // ETH on five chains: Ethereum $3000, Arbitrum $3030, Optimism $2950, Base $3100, Polygon $3060
+        async function deployFiveChainFixture() {
+            const base = await deployPriceMonitorFixture();
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = base;
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+
+            const feeds = {};
+            for (const chainId of [OPTIMISM_CHAIN_ID, BASE_CHAIN_ID, POLYGON_CHAIN_ID]) {
+                feeds[chainId] = await MockChainlinkFeed.deploy();
+                await priceMonitor.addChain(chainId);
+                await priceMonitor.registerTokenChain(ETH_ADDRESS, chainId, await feeds[chainId].getAddress(), 3600);
+            }
+
+            await mockChainlinkEth.setPrice(300000000000n);
+            await mockChainlinkArb.setPrice(303000000000n);
+            await feeds[OPTIMISM_CHAIN_ID].setPrice(295000000000n);
+            await feeds[BASE_CHAIN_ID].setPrice(310000000000n);
+            await feeds[POLYGON_CHAIN_ID].setPrice(306000000000n);
+
+            return { ...base, feeds };
+        }
+
+        it("Should add chains and register tokens on them", async function () {
+            const { priceMonitor, feeds, user1 } = await loadFixture(deployFiveChainFixture);
+
+            expect(await priceMonitor.getSupportedChains())
+                .to.deep.equal([1n, 42161n, 10n, 8453n, 137n]);
+            expect(await priceMonitor.getTokenChains(ETH_ADDRESS))
+                .to.deep.equal([1n, 42161n, 10n, 8453n, 137n]);
+            expect((await priceMonitor.oracles(BASE_CHAIN_ID, ETH_ADDRESS)).chainlinkFeed)
+                .to.equal(await feeds[BASE_CHAIN_ID].getAddress());
+
+            await expect(priceMonitor.addChain(BASE_CHAIN_ID)).to.be.revertedWith("Chain already added");
+            await expect(priceMonitor.addChain(0)).to.be.revertedWith("Invalid chain");
+            await expect(priceMonitor.registerTokenChain(ETH_ADDRESS, 56, user1.address, 3600))
+                .to.be.revertedWith("Unsupported chain");
+            await expect(priceMonitor.connect(user1).addChain(56)).to.be.revertedWith(missingRole(user1, ADMIN_ROLE));
+
+            await expect(priceMonitor.addChain(56)).to.emit(priceMonitor, "ChainAdded").withArgs(56);
+            await expect(priceMonitor.registerTokenChain(ETH_ADDRESS, 56, user1.address, 3600))
+                .to.emit(priceMonitor, "TokenChainRegistered")
+                .withArgs(ETH_ADDRESS, 56, user1.address, 3600);
+        });
+
+        it("Should pick the most profitable buy/sell pair across all chains", async function () {
+            const { priceMonitor } = await loadFixture(deployFiveChainFixture);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "ArbitrageOpportunityDetected")
+                .withArgs(ETH_ADDRESS, 508, anyValue, false, anyValue, OPTIMISM_CHAIN_ID, BASE_CHAIN_ID);
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.buyChainId).to.equal(OPTIMISM_CHAIN_ID);
+            expect(priceData.sellChainId).to.equal(BASE_CHAIN_ID);
+            expect(priceData.spread).to.equal(508); // $150 on $2950
+            expect(priceData.ethereumPrice).to.equal(ethers.parseEther("3000"));
+            expect(priceData.arbitrumPrice).to.equal(ethers.parseEther("3030"));
+
+            const opportunity = await priceMonitor.getArbitrageOpportunity();
+            expect(opportunity.buyChainId).to.equal(OPTIMISM_CHAIN_ID);
+            expect(opportunity.sellChainId).to.equal(BASE_CHAIN_ID);
+            expect(opportunity.isEthToArb).to.be.false;
+
+            const history = await priceMonitor.getPriceHistory(ETH_ADDRESS, 1);
+            expect(history[0].buyChainId).to.equal(OPTIMISM_CHAIN_ID);
+        });
+
+        it("Should rank routes by net profit rather than spread", async function () {
+            const { priceMonitor, feeds } = await loadFixture(deployFiveChainFixture);
+            const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+            const gasEstimator = await CrossChainGasEstimator.deploy();
+
+            // 250k gas per leg; at 200 gwei Optimism and Base gas outweighs their wider spread
+            const chainIds = [ETHEREUM_CHAIN_ID, ARBITRUM_CHAIN_ID, OPTIMISM_CHAIN_ID, BASE_CHAIN_ID, POLYGON_CHAIN_ID];
+            for (const chainId of chainIds) {
+                await gasEstimator.configureChain(chainId, 150000, 100000, 100000, 0);
+            }
+            await gasEstimator.updateGasPrices(
+                chainIds,
+                ["1", "1", "200", "200", "1"].map((gwei) => ethers.parseUnits(gwei, "gwei")),
+                chainIds.map(() => 0)
+            );
+            await priceMonitor.setGasEstimator(await gasEstimator.getAddress());
+            await feeds[BASE_CHAIN_ID].setPrice(306100000000n);
+            await priceMonitor.updateETHPrices();
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.buyChainId).to.equal(ETHEREUM_CHAIN_ID);
+            expect(priceData.sellChainId).to.equal(POLYGON_CHAIN_ID);
+
+            const best = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            const widest = await priceMonitor.getRouteBreakdown(ETH_ADDRESS, OPTIMISM_CHAIN_ID, BASE_CHAIN_ID, ethers.parseEther("1"));
+            expect(widest.spreadBasisPoints).to.be.greaterThan(best.spreadBasisPoints);
+            expect(best.netProfit).to.be.greaterThan(widest.netProfit);
+        });
+
+        it("Should expose per-chain prices and the pairwise spread matrix", async function () {
+            const { priceMonitor } = await loadFixture(deployFiveChainFixture);
+            await priceMonitor.updateETHPrices();
+
+            const [chainIds, prices] = await priceMonitor.getChainPrices(ETH_ADDRESS);
+            expect(chainIds).to.deep.equal([1n, 42161n, 10n, 8453n, 137n]);
+            expect(prices[3]).to.equal(ethers.parseEther("3100"));
+
+            const [matrixChains, spreads] = await priceMonitor.getSpreadMatrix(ETH_ADDRESS);
+            expect(matrixChains).to.deep.equal(chainIds);
+            expect(spreads[0][0]).to.equal(0);
+            expect(spreads[0][1]).to.equal(100);   // Buy Ethereum $3000, sell Arbitrum $3030
+            expect(spreads[1][0]).to.equal(-99);   // The reverse loses $30 on $3030
+            expect(spreads[2][3]).to.equal(508);   // Buy Optimism, sell Base
+        });
+
+        it("Should skip inactive chains and require two active ones", async function () {
+            const { priceMonitor } = await loadFixture(deployFiveChainFixture);
+
+            await priceMonitor.setOracleActive(OPTIMISM_CHAIN_ID, ETH_ADDRESS, false);
+            await priceMonitor.setOracleActive(BASE_CHAIN_ID, ETH_ADDRESS, false);
+            await priceMonitor.updateETHPrices();
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.buyChainId).to.equal(ETHEREUM_CHAIN_ID);
+            expect(priceData.sellChainId).to.equal(POLYGON_CHAIN_ID);
+            const [matrixChains] = await priceMonitor.getSpreadMatrix(ETH_ADDRESS);
+            expect(matrixChains).to.deep.equal([1n, 42161n, 137n]);
+
+            await priceMonitor.setOracleActive(ETHEREUM_CHAIN_ID, ETH_ADDRESS, false);
+            await priceMonitor.setOracleActive(ARBITRUM_CHAIN_ID, ETH_ADDRESS, false);
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "NotEnoughActiveChains")
+                .withArgs(ETH_ADDRESS, 1);
+            expect((await priceMonitor.checkUpkeep("0x")).upkeepNeeded).to.be.false;
+        });
+
+        it("Should restart the spread streak when the best route changes", async function () {
+            const { priceMonitor, feeds } = await loadFixture(deployFiveChainFixture);
+
+            await priceMonitor.updateETHPrices();
+            await priceMonitor.updateETHPrices();
+            expect((await priceMonitor.getSpreadStatistics(ETH_ADDRESS, 2)).consecutiveUpdates).to.equal(2);
+
+            await feeds[POLYGON_CHAIN_ID].setPrice(320000000000n);
+            await priceMonitor.updateETHPrices();
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).sellChainId).to.equal(POLYGON_CHAIN_ID);
+            expect((await priceMonitor.getSpreadStatistics(ETH_ADDRESS, 3)).consecutiveUpdates).to.equal(1);
         });
     });
 
@@ -228,7 +1154,9 @@ describe("BasicPriceMonitor", function () {
             const { priceMonitor, mockChainlinkEth } = await loadFixture(deployPriceMonitorFixture);
             
             await mockChainlinkEth.setPrice(0);
-            await expect(priceMonitor.updateETHPrices()).to.be.revertedWith("Invalid price from Chainlink");
+            await expect(priceMonitor.updateETHPrices())
+                .to.be.revertedWithCustomError(priceMonitor, "InvalidChainlinkPrice")
+                .withArgs(await mockChainlinkEth.getAddress(), 0);
         });
 
         it("Should handle equal prices", async function () {
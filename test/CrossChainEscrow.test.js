@@ -0,0 +1,227 @@
+// test/CrossChainEscrow.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const {
+    CrossChainResolver,
+    ESCROW_STATUS,
+    DEFAULT_TIMELOCKS,
+    createSecret,
+    computeOrderHash,
+    escrowId,
+    sourceImmutables,
+    destinationImmutables
+} = require("../scripts/lib/escrow");
+const { ETH_ADDRESS, CHAIN_IDS, MonitorError } = require("../src");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("Cross-chain escrows", function () {
+    const SRC_AMOUNT = ethers.parseEther("1");
+    const DST_AMOUNT = ethers.parseUnits("3000", 6);
+    const CONDITION = {
+        token: ETH_ADDRESS,
+        minSpreadBasisPoints: 100,
+        buyChainId: CHAIN_IDS.ethereum,
+        sellChainId: CHAIN_IDS.arbitrum,
+        maxPriceAge: 300
+    };
+
+    // Both escrows live on the hardhat network; the monitor shows a 300 bps Ethereum → Arbitrum spread
+    async function deployEscrowFixture() {
+        const [owner, maker, resolver, outsider] = await ethers.getSigners();
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await mockChainlinkArb.setPrice(309000000000n);
+        await priceMonitor.updateETHPrices();
+
+        const ArbitrageLimitOrderExtension = await ethers.getContractFactory("ArbitrageLimitOrderExtension");
+        const extension = await ArbitrageLimitOrderExtension.deploy(await priceMonitor.getAddress());
+        const escrowSrc = await (await ethers.getContractFactory("EscrowSrc")).deploy(await extension.getAddress());
+        const escrowDst = await (await ethers.getContractFactory("EscrowDst")).deploy();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const weth = await MockERC20.deploy("Mock Wrapped Ether", "mWETH", 18);
+        const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+        await weth.mint(maker.address, SRC_AMOUNT * 2n);
+        await usd.mint(resolver.address, DST_AMOUNT * 2n);
+        await weth.connect(maker).approve(await escrowSrc.getAddress(), ethers.MaxUint256);
+
+        const { secret, hashlock } = createSecret();
+        const order = {
+            maker: maker.address,
+            srcChainId: 31337n,
+            dstChainId: 31337n,
+            srcToken: await weth.getAddress(),
+            dstToken: await usd.getAddress(),
+            srcAmount: SRC_AMOUNT,
+            dstAmount: DST_AMOUNT,
+            hashlock,
+            salt: 1n
+        };
+        const resolverClient = new CrossChainResolver(escrowSrc.connect(resolver), escrowDst.connect(resolver));
+
+        return { priceMonitor, escrowSrc, escrowDst, weth, usd, order, secret, resolverClient, owner, maker, resolver, outsider };
+    }
+
+    async function lockMakerFunds({ escrowSrc, order, maker, resolver }, condition = CONDITION) {
+        const immutables = sourceImmutables(order, resolver.address, await time.latest());
+        await escrowSrc.connect(maker).createEscrow(immutables, condition);
+        return immutables;
+    }
+
+    it("Should only lock maker funds while the monitor shows the spread", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowSrc, priceMonitor, order, maker, resolver, weth } = fixture;
+        const immutables = sourceImmutables(order, resolver.address, await time.latest());
+
+        await expect(escrowSrc.connect(maker).createEscrow(immutables, { ...CONDITION, minSpreadBasisPoints: 301 }))
+            .to.be.revertedWithCustomError(escrowSrc, "SpreadConditionNotMet")
+            .withArgs(ETH_ADDRESS, CHAIN_IDS.ethereum, CHAIN_IDS.arbitrum);
+        await expect(escrowSrc.connect(maker).createEscrow(immutables, {
+            ...CONDITION, buyChainId: CHAIN_IDS.arbitrum, sellChainId: CHAIN_IDS.ethereum
+        })).to.be.revertedWithCustomError(escrowSrc, "SpreadConditionNotMet");
+        await expect(escrowSrc.connect(resolver).createEscrow(immutables, CONDITION))
+            .to.be.revertedWithCustomError(escrowSrc, "InvalidCaller");
+
+        const id = escrowId(immutables);
+        expect(await escrowSrc.escrowId(immutables)).to.equal(id);
+        await expect(escrowSrc.connect(maker).createEscrow(immutables, CONDITION))
+            .to.emit(escrowSrc, "EscrowCreated")
+            .withArgs(id, immutables.orderHash, resolver.address, Object.values(immutables));
+        expect(await weth.balanceOf(await escrowSrc.getAddress())).to.equal(SRC_AMOUNT);
+        await expect(escrowSrc.connect(maker).createEscrow(immutables, CONDITION))
+            .to.be.revertedWithCustomError(escrowSrc, "EscrowExists").withArgs(id);
+
+        // Stale prices close the window too
+        await time.increase(301);
+        const next = sourceImmutables({ ...order, salt: 2n }, resolver.address, await time.latest());
+        await expect(escrowSrc.connect(maker).createEscrow(next, CONDITION))
+            .to.be.revertedWithCustomError(escrowSrc, "SpreadConditionNotMet");
+        await priceMonitor.updateETHPrices();
+        await expect(escrowSrc.connect(maker).createEscrow(next, CONDITION)).to.not.be.reverted;
+    });
+
+    it("Should settle both legs with the secret", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowSrc, escrowDst, resolverClient, order, secret, weth, usd, maker, resolver } = fixture;
+        const src = await lockMakerFunds(fixture);
+
+        const escrows = await resolverClient.fundDestination(order);
+        expect(escrows.src).to.deep.equal(src);
+        expect(escrows.dst.orderHash).to.equal(src.orderHash);
+        const dstId = escrowId(escrows.dst);
+        expect((await escrowDst.getEscrow(dstId)).status).to.equal(ESCROW_STATUS.ACTIVE);
+
+        // Still within the finality lock
+        await expect(resolverClient.withdraw(escrows, secret)).to.be.rejectedWith(MonitorError, "InvalidTime");
+
+        await time.increase(DEFAULT_TIMELOCKS.srcWithdrawDelay);
+        await expect(escrowDst.connect(resolver).withdraw(dstId, ethers.ZeroHash))
+            .to.be.revertedWithCustomError(escrowDst, "InvalidSecret");
+
+        const receipts = await resolverClient.withdraw(escrows, secret);
+        await expect(receipts.dst).to.emit(escrowDst, "EscrowWithdrawn").withArgs(dstId, secret, maker.address);
+        expect(await usd.balanceOf(maker.address)).to.equal(DST_AMOUNT);
+        expect(await weth.balanceOf(resolver.address)).to.equal(SRC_AMOUNT);
+        expect((await escrowSrc.getEscrow(escrowId(src))).status).to.equal(ESCROW_STATUS.WITHDRAWN);
+        await expect(escrowSrc.connect(maker).cancel(escrowId(src)))
+            .to.be.revertedWithCustomError(escrowSrc, "EscrowNotActive");
+    });
+
+    it("Should let the maker settle the destination when the resolver only claims the source", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowSrc, escrowDst, resolverClient, order, secret, weth, usd, maker, resolver, outsider } = fixture;
+        const srcId = escrowId(await lockMakerFunds(fixture));
+        const dstId = escrowId((await resolverClient.fundDestination(order)).dst);
+        await time.increase(DEFAULT_TIMELOCKS.srcWithdrawDelay);
+
+        await escrowSrc.connect(resolver).withdraw(srcId, secret);
+        expect(await weth.balanceOf(resolver.address)).to.equal(SRC_AMOUNT);
+        await expect(escrowSrc.connect(outsider).withdraw(srcId, secret))
+            .to.be.revertedWithCustomError(escrowSrc, "EscrowNotActive");
+
+        await expect(escrowDst.connect(maker).withdraw(dstId, secret))
+            .to.emit(escrowDst, "EscrowWithdrawn")
+            .withArgs(dstId, secret, maker.address);
+        expect(await usd.balanceOf(maker.address)).to.equal(DST_AMOUNT);
+        await time.increase(DEFAULT_TIMELOCKS.dstCancelDelay);
+        await expect(escrowDst.connect(resolver).cancel(dstId))
+            .to.be.revertedWithCustomError(escrowDst, "EscrowNotActive");
+    });
+
+    it("Should refund each side after its timelock", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowSrc, resolverClient, order, weth, usd, maker, resolver, outsider } = fixture;
+        await lockMakerFunds(fixture);
+        const escrows = await resolverClient.fundDestination(order);
+        const srcId = escrowId(escrows.src);
+
+        await expect(escrowSrc.connect(maker).cancel(srcId))
+            .to.be.revertedWithCustomError(escrowSrc, "InvalidTime");
+        expect(await resolverClient.refund(escrows)).to.deep.equal({ dst: null, src: null });
+
+        // The destination expires first: the resolver takes its funds back
+        await time.increase(DEFAULT_TIMELOCKS.dstCancelDelay);
+        const first = await resolverClient.refund(escrows);
+        expect(first.dst.status).to.equal(1);
+        expect(first.src).to.equal(null);
+        expect(await usd.balanceOf(resolver.address)).to.equal(DST_AMOUNT * 2n);
+
+        // Then the source: either side may cancel, the maker gets the funds
+        await time.increase(DEFAULT_TIMELOCKS.srcCancelDelay - DEFAULT_TIMELOCKS.dstCancelDelay);
+        await expect(escrowSrc.connect(outsider).cancel(srcId))
+            .to.be.revertedWithCustomError(escrowSrc, "InvalidCaller");
+        await expect(escrowSrc.connect(maker).cancel(srcId))
+            .to.emit(escrowSrc, "EscrowCancelled")
+            .withArgs(srcId, maker.address);
+        expect(await weth.balanceOf(maker.address)).to.equal(SRC_AMOUNT * 2n);
+    });
+
+    it("Should refuse to fund a destination that could outlive the source escrow", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowSrc, resolverClient, order, maker, resolver } = fixture;
+
+        await expect(resolverClient.fundDestination(order)).to.be.rejectedWith("No active source escrow");
+
+        const tight = sourceImmutables(order, resolver.address, await time.latest(), { srcCancelDelay: DEFAULT_TIMELOCKS.dstCancelDelay });
+        await escrowSrc.connect(maker).createEscrow(tight, CONDITION);
+        await expect(resolverClient.fundDestination(order)).to.be.rejectedWith("expires too soon");
+
+        const other = { ...order, salt: 2n };
+        expect(computeOrderHash(other)).to.not.equal(computeOrderHash(order));
+        const wrongTaker = sourceImmutables(other, maker.address, await time.latest());
+        await escrowSrc.connect(maker).createEscrow(wrongTaker, CONDITION);
+        await expect(resolverClient.fundDestination(other)).to.be.rejectedWith("does not match");
+
+        const invalid = destinationImmutables(order, resolver.address, await time.latest(), { dstCancelDelay: 0, dstWithdrawDelay: 0 });
+        await expect(fixture.escrowDst.connect(resolver).createEscrow(invalid))
+            .to.be.revertedWithCustomError(fixture.escrowDst, "InvalidImmutables");
+    });
+
+    it("Should not let an escrow with other terms squat the order hash", async function () {
+        const fixture = await loadFixture(deployEscrowFixture);
+        const { escrowDst, resolverClient, order, maker, outsider } = fixture;
+        await lockMakerFunds(fixture);
+
+        // Same orderHash, the outsider as taker and a junk token
+        const junk = await (await ethers.getContractFactory("MockERC20")).deploy("Junk", "JUNK", 18);
+        await junk.mint(outsider.address, 1n);
+        await junk.connect(outsider).approve(await escrowDst.getAddress(), 1n);
+        const squat = { ...destinationImmutables(order, outsider.address, await time.latest()), token: await junk.getAddress(), amount: 1n };
+        await escrowDst.connect(outsider).createEscrow(squat);
+
+        // A second source escrow under the order's hash, for another resolver, is passed over
+        const decoy = sourceImmutables(order, outsider.address, await time.latest());
+        await fixture.escrowSrc.connect(maker).createEscrow(decoy, CONDITION);
+
+        const { src, dst } = await resolverClient.fundDestination(order);
+        expect(src.taker).to.equal(fixture.resolver.address);
+        expect(escrowId(dst)).to.not.equal(escrowId(squat));
+        expect((await escrowDst.getEscrow(escrowId(dst))).status).to.equal(ESCROW_STATUS.ACTIVE);
+    });
+});
@@ -0,0 +1,286 @@
+// test/CrossChainGasEstimator.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+const {
+    loadGasConfig,
+    readGasPrice,
+    collectGasReadings,
+    pushGasReadings,
+    configureEstimator
+} = require("../scripts/update-gas-oracle");
+
+describe("CrossChainGasEstimator", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    const ETHEREUM_CHAIN_ID = 1;
+    const ARBITRUM_CHAIN_ID = 42161;
+    const Leg = { SWAP: 0, BRIDGE: 1, SETTLE: 2 };
+
+    async function deployEstimatorFixture() {
+        const [owner, updater, user1] = await ethers.getSigners();
+
+        const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+        const gasEstimator = await CrossChainGasEstimator.deploy();
+
+        // Ethereum: 150k swap, 100k bridge, 100k settle; Arbitrum adds 2000 L1 data gas per tx
+        await gasEstimator.configureChain(ETHEREUM_CHAIN_ID, 150000, 100000, 100000, 0);
+        await gasEstimator.configureChain(ARBITRUM_CHAIN_ID, 150000, 120000, 100000, 2000);
+        await gasEstimator.updateGasPrices(
+            [ETHEREUM_CHAIN_ID, ARBITRUM_CHAIN_ID],
+            [ethers.parseUnits("20", "gwei"), ethers.parseUnits("0.1", "gwei")],
+            [0, ethers.parseUnits("20", "gwei")]
+        );
+
+        return { gasEstimator, owner, updater, user1 };
+    }
+
+    describe("Configuration", function () {
+        it("Should store leg gas limits per chain", async function () {
+            const { gasEstimator } = await loadFixture(deployEstimatorFixture);
+
+            expect(await gasEstimator.legGasLimits(ARBITRUM_CHAIN_ID, Leg.BRIDGE)).to.equal(120000);
+            expect((await gasEstimator.chainGas(ARBITRUM_CHAIN_ID)).l1DataGasPerTx).to.equal(2000);
+        });
+
+        it("Should only allow owner to configure chains", async function () {
+            const { gasEstimator, user1 } = await loadFixture(deployEstimatorFixture);
+
+            await expect(gasEstimator.connect(user1).configureChain(10, 1, 1, 1, 0)).to.be.reverted;
+        });
+    });
+
+    describe("Gas Price Updates", function () {
+        it("Should accept pushes from owner and allowed updaters only", async function () {
+            const { gasEstimator, updater } = await loadFixture(deployEstimatorFixture);
+
+            await expect(gasEstimator.connect(updater).updateGasPrices([ETHEREUM_CHAIN_ID], [1], [0]))
+                .to.be.revertedWith("Not gas updater");
+
+            await expect(gasEstimator.setUpdater(updater.address, true))
+                .to.emit(gasEstimator, "UpdaterSet").withArgs(updater.address, true);
+
+            await expect(gasEstimator.connect(updater).updateGasPrices([ETHEREUM_CHAIN_ID], [ethers.parseUnits("30", "gwei")], [0]))
+                .to.emit(gasEstimator, "ChainGasPriceUpdated")
+                .withArgs(ETHEREUM_CHAIN_ID, ethers.parseUnits("30", "gwei"), 0);
+        });
+
+        it("Should reject mismatched arrays and unconfigured chains", async function () {
+            const { gasEstimator } = await loadFixture(deployEstimatorFixture);
+
+            await expect(gasEstimator.updateGasPrices([ETHEREUM_CHAIN_ID], [1, 2], [0]))
+                .to.be.revertedWith("Length mismatch");
+            await expect(gasEstimator.updateGasPrices([10], [1], [0]))
+                .to.be.revertedWith("Chain not configured");
+        });
+    });
+
+    describe("Estimation", function () {
+        it("Should price each leg with execution gas plus L1 data fee", async function () {
+            const { gasEstimator } = await loadFixture(deployEstimatorFixture);
+
+            // 150000 * 20 gwei
+            expect(await gasEstimator.estimateLegGasCost(ETHEREUM_CHAIN_ID, Leg.SWAP))
+                .to.equal(ethers.parseUnits("3000000", "gwei"));
+            // 150000 * 0.1 gwei + 2000 * 20 gwei
+            expect(await gasEstimator.estimateLegGasCost(ARBITRUM_CHAIN_ID, Leg.SWAP))
+                .to.equal(ethers.parseUnits("55000", "gwei"));
+        });
+
+        it("Should price source (swap + bridge) and destination (settle + swap) sides", async function () {
+            const { gasEstimator } = await loadFixture(deployEstimatorFixture);
+
+            expect(await gasEstimator.estimateChainGasCost(ETHEREUM_CHAIN_ID, true))
+                .to.equal(ethers.parseUnits("5000000", "gwei")); // 250000 * 20 gwei
+            expect(await gasEstimator.estimateChainGasCost(ETHEREUM_CHAIN_ID, false))
+                .to.equal(ethers.parseUnits("5000000", "gwei"));
+            expect(await gasEstimator.estimateChainGasCost(ARBITRUM_CHAIN_ID, false))
+                .to.equal(ethers.parseUnits("105000", "gwei")); // 250000 * 0.1 gwei + 2 * 2000 * 20 gwei
+
+            expect(await gasEstimator.estimateCrossChainGasCost(ETH_ADDRESS, ethers.parseEther("1"), ETHEREUM_CHAIN_ID, ARBITRUM_CHAIN_ID))
+                .to.equal(ethers.parseUnits("5105000", "gwei"));
+        });
+
+        it("Should revert for unconfigured chains", async function () {
+            const { gasEstimator } = await loadFixture(deployEstimatorFixture);
+            await expect(gasEstimator.estimateChainGasCost(10, true)).to.be.revertedWith("Chain not configured");
+        });
+
+        it("Should stop quoting gas prices older than maxAge", async function () {
+            const { gasEstimator, user1 } = await loadFixture(deployEstimatorFixture);
+            expect(await gasEstimator.isFresh(ETHEREUM_CHAIN_ID)).to.be.true;
+
+            await time.increase(3601);
+            expect(await gasEstimator.isFresh(ETHEREUM_CHAIN_ID)).to.be.false;
+            await expect(gasEstimator.estimateChainGasCost(ETHEREUM_CHAIN_ID, true)).to.be.revertedWith("Gas price stale");
+
+            await expect(gasEstimator.setMaxAge(7200)).to.emit(gasEstimator, "MaxAgeUpdated").withArgs(3600, 7200);
+            expect(await gasEstimator.isFresh(ETHEREUM_CHAIN_ID)).to.be.true;
+            await expect(gasEstimator.setMaxAge(0)).to.be.revertedWith("Invalid max age");
+            await expect(gasEstimator.connect(user1).setMaxAge(60)).to.be.reverted;
+
+            // Configured but never pushed
+            await gasEstimator.configureChain(10, 150000, 120000, 100000, 1600);
+            expect(await gasEstimator.isFresh(10)).to.be.false;
+        });
+    });
+
+    describe("Price Monitor Integration", function () {
+        async function deployMonitorWithEstimatorFixture() {
+            const base = await deployEstimatorFixture();
+
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const mockChainlinkEth = await MockChainlinkFeed.deploy();
+            const mockChainlinkArb = await MockChainlinkFeed.deploy();
+            await mockChainlinkArb.setPrice(310000000000n); // $3100
+
+            const BasicPriceMonitor = await getPriceMonitorFactory();
+            const priceMonitor = await BasicPriceMonitor.deploy();
+            await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+            await priceMonitor.updateETHPrices();
+
+            return { ...base, priceMonitor };
+        }
+
+        it("Should use per-chain estimates once pointed at the estimator", async function () {
+            const { gasEstimator, priceMonitor } = await loadFixture(deployMonitorWithEstimatorFixture);
+
+            await expect(priceMonitor.setGasEstimator(await gasEstimator.getAddress()))
+                .to.emit(priceMonitor, "GasEstimatorUpdated")
+                .withArgs(ethers.ZeroAddress, await gasEstimator.getAddress());
+
+            // Buy on Ethereum (swap + bridge), sell on Arbitrum (settle + swap)
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("15"));       // 0.005 ETH * $3000
+            expect(breakdown.sellGasCost).to.equal(ethers.parseEther("0.3255"));   // 0.000105 ETH * $3100
+
+            const opportunity = await priceMonitor.getArbitrageOpportunity();
+            expect(opportunity.gasEstimate).to.equal(breakdown.buyGasCost + breakdown.sellGasCost);
+        });
+
+        it("Should fall back to the single gas price when the estimator is cleared", async function () {
+            const { gasEstimator, priceMonitor } = await loadFixture(deployMonitorWithEstimatorFixture);
+
+            await priceMonitor.setGasEstimator(await gasEstimator.getAddress());
+            await priceMonitor.setGasEstimator(ethers.ZeroAddress);
+
+            const breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("21"));
+        });
+
+        it("Should fall back to the single gas price for stale or unconfigured chains", async function () {
+            const { gasEstimator, priceMonitor } = await loadFixture(deployMonitorWithEstimatorFixture);
+            await priceMonitor.setGasEstimator(await gasEstimator.getAddress());
+
+            // Arbitrum pushed again, Ethereum left stale
+            await time.increase(3601);
+            await gasEstimator.updateGasPrices([ARBITRUM_CHAIN_ID], [ethers.parseUnits("0.1", "gwei")], [ethers.parseUnits("20", "gwei")]);
+            let breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("21"));        // 350000 * 20 gwei * $3000
+            expect(breakdown.sellGasCost).to.equal(ethers.parseEther("0.3255"));
+
+            // A chain the estimator does not know about
+            const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+            const ethereumOnly = await CrossChainGasEstimator.deploy();
+            await ethereumOnly.configureChain(ETHEREUM_CHAIN_ID, 150000, 100000, 100000, 0);
+            await ethereumOnly.updateGasPrices([ETHEREUM_CHAIN_ID], [ethers.parseUnits("20", "gwei")], [0]);
+            await priceMonitor.setGasEstimator(await ethereumOnly.getAddress());
+            breakdown = await priceMonitor.getProfitBreakdown(ETH_ADDRESS, ethers.parseEther("1"));
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("15"));
+            expect(breakdown.sellGasCost).to.equal(ethers.parseEther("21.7"));      // 350000 * 20 gwei * $3100
+            expect((await priceMonitor.getArbitrageOpportunity()).gasEstimate).to.be.gt(0);
+        });
+
+        it("Should price gas on Polygon in POL", async function () {
+            const { gasEstimator, priceMonitor, user1 } = await loadFixture(deployMonitorWithEstimatorFixture);
+            const POLYGON_CHAIN_ID = 137;
+            const POL_ADDRESS = "0x455e53CBB86018Ac2B8092FdCd39d8444aFFC3F6";
+            await priceMonitor.setGasEstimator(await gasEstimator.getAddress());
+
+            // Polygon: 150k swap, 100k bridge at 50 gwei, so the buy side burns 0.0125 POL
+            await gasEstimator.configureChain(POLYGON_CHAIN_ID, 150000, 100000, 100000, 0);
+            await gasEstimator.updateGasPrices([POLYGON_CHAIN_ID], [ethers.parseUnits("50", "gwei")], [0]);
+
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const feeds = {};
+            for (const name of ["ethPolygon", "polEthereum", "polPolygon"]) {
+                feeds[name] = await MockChainlinkFeed.deploy();
+            }
+            await feeds.polEthereum.setPrice(50000000n); // $0.50
+            await feeds.polPolygon.setPrice(50000000n);
+            await priceMonitor.addChain(POLYGON_CHAIN_ID);
+            await priceMonitor.registerTokenChain(ETH_ADDRESS, POLYGON_CHAIN_ID, await feeds.ethPolygon.getAddress(), 3600);
+            await priceMonitor.registerTokenChain(POL_ADDRESS, ETHEREUM_CHAIN_ID, await feeds.polEthereum.getAddress(), 3600);
+            await priceMonitor.registerTokenChain(POL_ADDRESS, POLYGON_CHAIN_ID, await feeds.polPolygon.getAddress(), 3600);
+            await priceMonitor.updatePrices([ETH_ADDRESS, POL_ADDRESS]);
+
+            const amount = ethers.parseEther("1");
+            let breakdown = await priceMonitor.getRouteBreakdown(ETH_ADDRESS, POLYGON_CHAIN_ID, ARBITRUM_CHAIN_ID, amount);
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("37.5")); // Priced as ETH at $3000
+
+            await expect(priceMonitor.setNativeToken(POLYGON_CHAIN_ID, POL_ADDRESS))
+                .to.emit(priceMonitor, "NativeTokenUpdated")
+                .withArgs(POLYGON_CHAIN_ID, ethers.ZeroAddress, POL_ADDRESS);
+            breakdown = await priceMonitor.getRouteBreakdown(ETH_ADDRESS, POLYGON_CHAIN_ID, ARBITRUM_CHAIN_ID, amount);
+            expect(breakdown.buyGasCost).to.equal(ethers.parseEther("0.00625")); // 0.0125 POL * $0.50
+            expect(breakdown.sellGasCost).to.equal(ethers.parseEther("0.3255"));  // Arbitrum still pays in ETH
+
+            await expect(priceMonitor.setNativeToken(POLYGON_CHAIN_ID, user1.address)).to.be.revertedWith("Unsupported token");
+            await expect(priceMonitor.setNativeToken(56, POL_ADDRESS)).to.be.revertedWith("Unsupported chain");
+        });
+
+        it("Should only allow owner to set the estimator", async function () {
+            const { gasEstimator, priceMonitor, user1 } = await loadFixture(deployMonitorWithEstimatorFixture);
+            await expect(priceMonitor.connect(user1).setGasEstimator(await gasEstimator.getAddress())).to.be.reverted;
+            await expect(priceMonitor.setGasEstimator(user1.address)).to.be.revertedWith("Invalid gas estimator");
+        });
+    });
+
+    describe("Gas Oracle Updater", function () {
+        it("Should read gas prices from eth_gasPrice and eth_feeHistory", async function () {
+            const reading = await readGasPrice(ethers.provider);
+
+            expect(reading.legacyGasPrice).to.be.gt(0);
+            expect(reading.baseFee).to.not.be.null;
+            expect(reading.gasPrice).to.equal(reading.baseFee + reading.priorityFee);
+        });
+
+        it("Should push readings for every configured chain", async function () {
+            const CrossChainGasEstimator = await ethers.getContractFactory("CrossChainGasEstimator");
+            const gasEstimator = await CrossChainGasEstimator.deploy();
+            const gasConfig = loadGasConfig();
+            await configureEstimator(gasEstimator, gasConfig);
+
+            // Seeded from config defaults
+            expect((await gasEstimator.chainGas(ETHEREUM_CHAIN_ID)).gasPrice).to.equal(ethers.parseUnits("20", "gwei"));
+
+            // The local network stands in for both chains
+            const readings = await collectGasReadings(gasConfig, () => ethers.provider);
+            await pushGasReadings(gasEstimator, readings);
+
+            const ethereumGas = await gasEstimator.chainGas(ETHEREUM_CHAIN_ID);
+            const arbitrumGas = await gasEstimator.chainGas(ARBITRUM_CHAIN_ID);
+            const ethereumReading = readings.find((r) => r.chainId === BigInt(ETHEREUM_CHAIN_ID));
+            expect(ethereumGas.gasPrice).to.equal(ethereumReading.gasPrice);
+            expect(ethereumGas.l1BaseFee).to.equal(0);
+            expect(arbitrumGas.l1BaseFee).to.be.gt(0); // L1 base fee taken from the Ethereum reading
+        });
+
+        it("Should read the L1 of an L2 outside the requested chains", async function () {
+            const gasConfig = loadGasConfig();
+            const readings = await collectGasReadings(gasConfig, () => ethers.provider, [String(ARBITRUM_CHAIN_ID)]);
+            expect(readings.map((reading) => reading.chainId)).to.deep.equal([BigInt(ARBITRUM_CHAIN_ID)]);
+            expect(readings[0].l1BaseFee).to.be.gt(0);
+
+            // Without a source for the L1 the error names the chain that needs it
+            const providerFor = (chainId) => {
+                if (chainId === String(ETHEREUM_CHAIN_ID)) {
+                    throw new Error(`No source network for chain ${chainId} on "hardhat"`);
+                }
+                return ethers.provider;
+            };
+            await expect(collectGasReadings(gasConfig, providerFor, [String(ARBITRUM_CHAIN_ID)]))
+                .to.be.rejectedWith(`Cannot read the L1 base fee of chain ${ARBITRUM_CHAIN_ID}`);
+        });
+    });
+});
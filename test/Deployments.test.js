@@ -0,0 +1,86 @@
+// test/Deployments.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { artifacts } = require("hardhat");
+const {
+    deploymentPath,
+    loadDeployment,
+    saveDeployment,
+    recordContract,
+    resolveAddress,
+    abiHash
+} = require("../scripts/lib/deployments");
+
+describe("Deployment Registry", function () {
+    const MONITOR = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const EXTENSION = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+    let dir;
+    let savedEnv;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+        savedEnv = process.env.PRICE_MONITOR_ADDRESS;
+        delete process.env.PRICE_MONITOR_ADDRESS;
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+        if (savedEnv === undefined) {
+            delete process.env.PRICE_MONITOR_ADDRESS;
+        } else {
+            process.env.PRICE_MONITOR_ADDRESS = savedEnv;
+        }
+    });
+
+    it("Should round-trip a deployment record per network", async function () {
+        expect(loadDeployment("sepolia", dir)).to.be.null;
+
+        const file = saveDeployment("sepolia", {
+            network: "sepolia",
+            chainId: 11155111n,
+            contracts: { BasicPriceMonitor: { address: MONITOR, blockNumber: 42 } }
+        }, dir);
+
+        expect(file).to.equal(deploymentPath("sepolia", dir));
+        const deployment = loadDeployment("sepolia", dir);
+        expect(deployment.chainId).to.equal("11155111");
+        expect(deployment.contracts.BasicPriceMonitor.address).to.equal(MONITOR);
+        expect(loadDeployment("arbitrumSepolia", dir)).to.be.null;
+    });
+
+    it("Should add contracts without dropping existing ones", async function () {
+        saveDeployment("sepolia", { network: "sepolia", contracts: { BasicPriceMonitor: { address: MONITOR } } }, dir);
+
+        recordContract("sepolia", "ArbitrageLimitOrderExtension", { address: EXTENSION, constructorArgs: [MONITOR] }, dir);
+
+        const { contracts } = loadDeployment("sepolia", dir);
+        expect(contracts.BasicPriceMonitor.address).to.equal(MONITOR);
+        expect(contracts.ArbitrageLimitOrderExtension.constructorArgs).to.deep.equal([MONITOR]);
+    });
+
+    it("Should resolve addresses from the registry, with env overrides", async function () {
+        expect(() => resolveAddress("sepolia", "BasicPriceMonitor", dir))
+            .to.throw("No BasicPriceMonitor deployment for \"sepolia\": set PRICE_MONITOR_ADDRESS or deploy first");
+
+        saveDeployment("sepolia", { network: "sepolia", contracts: { BasicPriceMonitor: { address: MONITOR } } }, dir);
+        expect(resolveAddress("sepolia", "BasicPriceMonitor", dir)).to.equal(MONITOR);
+
+        process.env.PRICE_MONITOR_ADDRESS = EXTENSION;
+        expect(resolveAddress("sepolia", "BasicPriceMonitor", dir)).to.equal(EXTENSION);
+
+        // The .env.example placeholder is not an override
+        process.env.PRICE_MONITOR_ADDRESS = "0x...";
+        expect(resolveAddress("sepolia", "BasicPriceMonitor", dir)).to.equal(MONITOR);
+    });
+
+    it("Should hash ABIs so interface changes are visible", async function () {
+        const monitorAbi = (await artifacts.readArtifact("BasicPriceMonitor")).abi;
+        const feedAbi = (await artifacts.readArtifact("MockChainlinkFeed")).abi;
+
+        expect(abiHash(monitorAbi)).to.equal(abiHash(JSON.parse(JSON.stringify(monitorAbi))));
+        expect(abiHash(monitorAbi)).to.not.equal(abiHash(feedAbi));
+    });
+});
@@ -0,0 +1,180 @@
+// test/EventIndexer.test.js
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { loadFixture, mine, takeSnapshot } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { EventStore, parseTime, queryEvents, spreadWindows, toCsv } = require("../scripts/lib/event-store");
+const { EventIndexer } = require("../scripts/lib/indexer");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+const { ethers } = hre;
+
+describe("EventIndexer", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+    let dir;
+    let originalLog;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "event-index-"));
+        // The tasks print their results; keep the test output readable
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployIndexedMonitorFixture() {
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+
+        // Flat prices, a gas price change, then a 300 bps spread that is detected
+        await priceMonitor.updateETHPrices();
+        await priceMonitor.updateGasPrice(ethers.parseUnits("20", "gwei"));
+        await mockChainlinkArb.setPrice(309000000000n);
+        await priceMonitor.updateETHPrices();
+
+        return { priceMonitor, mockChainlinkArb, address: await priceMonitor.getAddress() };
+    }
+
+    function newIndexer(priceMonitor, options = {}) {
+        const store = new EventStore(path.join(dir, "hardhat.jsonl"));
+        return { store, indexer: new EventIndexer(priceMonitor, store, { confirmations: 0, ...options }) };
+    }
+
+    describe("Indexing", function () {
+        it("Should backfill every monitor event in log order", async function () {
+            const { priceMonitor } = await loadFixture(deployIndexedMonitorFixture);
+            const { store, indexer } = newIndexer(priceMonitor, { batchSize: 3 });
+
+            const result = await indexer.sync();
+
+            expect(result.indexed).to.equal(4);
+            const events = store.readAll();
+            expect(events.map((event) => event.event)).to.deep.equal([
+                "PricesUpdated", "GasPriceUpdated", "PricesUpdated", "ArbitrageOpportunityDetected"
+            ]);
+            expect(events[1].newPrice).to.equal(ethers.parseUnits("20", "gwei").toString());
+            expect(events[1].timestamp).to.be.greaterThan(0);
+            expect(events[3].spread).to.equal("300");
+            expect(events[3].buyChainId).to.equal("1");
+            expect(events[2]).to.include({ buyChainId: "1", sellChainId: "42161", sellPrice: ethers.parseEther("3090").toString() });
+            expect(store.loadState().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+            expect(indexer._blockTimestamps.size).to.equal(0);
+        });
+
+        it("Should wait for confirmations and not index twice", async function () {
+            const { priceMonitor } = await loadFixture(deployIndexedMonitorFixture);
+            const { store, indexer } = newIndexer(priceMonitor, { confirmations: 2 });
+
+            await indexer.sync();
+            const indexed = store.readAll().length;
+            await priceMonitor.updateETHPrices();
+
+            expect((await indexer.sync()).indexed).to.equal(0);
+            await mine(2);
+            expect((await indexer.sync()).indexed).to.be.greaterThan(0);
+            expect((await indexer.sync()).indexed).to.equal(0);
+            expect(store.readAll().length).to.be.greaterThan(indexed);
+        });
+
+        it("Should drop and re-index events from reorged blocks", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployIndexedMonitorFixture);
+            const { store, indexer } = newIndexer(priceMonitor);
+
+            await indexer.sync();
+            const snapshot = await takeSnapshot();
+            await priceMonitor.updateETHPrices();
+            await indexer.sync();
+            expect(store.readAll()).to.have.length(6);
+
+            // Replace the last block with a different one
+            await snapshot.restore();
+            await mockChainlinkArb.setPrice(300000000000n);
+            await priceMonitor.updateETHPrices();
+
+            const result = await indexer.sync();
+            expect(result.unwound).to.equal(2);
+            const events = store.readAll();
+            expect(events).to.have.length(5);
+            expect(events[4].event).to.equal("PricesUpdated");
+            expect(events[4].spread).to.equal("0");
+        });
+
+        it("Should start over for a different monitor", async function () {
+            const { priceMonitor } = await loadFixture(deployIndexedMonitorFixture);
+            const { store, indexer } = newIndexer(priceMonitor);
+            await indexer.sync();
+
+            const BasicPriceMonitor = await getPriceMonitorFactory();
+            const otherMonitor = await BasicPriceMonitor.deploy();
+            await new EventIndexer(otherMonitor, store, { confirmations: 0 }).sync();
+
+            expect(store.readAll()).to.have.length(0);
+            expect(store.loadState().address).to.equal(await otherMonitor.getAddress());
+        });
+    });
+
+    describe("Queries", function () {
+        const events = [
+            { event: "PricesUpdated", token: ETH_ADDRESS, timestamp: 1000, spread: "20" },
+            { event: "PricesUpdated", token: ETH_ADDRESS, timestamp: 1060, spread: "80" },
+            { event: "ArbitrageOpportunityDetected", token: ETH_ADDRESS, timestamp: 1060, spread: "80", estimatedProfit: "5" },
+            { event: "PricesUpdated", token: ETH_ADDRESS, timestamp: 1120, spread: "120", buyChainId: "1", sellChainId: "10" },
+            { event: "GasPriceUpdated", timestamp: 1150, oldPrice: "1", newPrice: "2" },
+            { event: "PricesUpdated", token: ETH_ADDRESS, timestamp: 1180, spread: "10" },
+            { event: "PricesUpdated", token: ETH_ADDRESS, timestamp: 1240, spread: "90" }
+        ];
+
+        it("Should filter by event, token, chain, time range and spread", async function () {
+            expect(queryEvents(events, { minSpread: 80 })).to.have.length(4);
+            expect(queryEvents(events, { event: "PricesUpdated", minSpread: 80, to: 1200 })).to.have.length(2);
+            expect(queryEvents(events, { token: ETH_ADDRESS.toLowerCase(), from: 1100 })).to.have.length(3);
+            expect(queryEvents(events, { chainId: 10n })).to.deep.equal([events[3]]);
+            expect(parseTime("1970-01-01T00:20:00Z")).to.equal(1200);
+            expect(() => parseTime("yesterday")).to.throw("Invalid time");
+        });
+
+        it("Should measure how long spreads stayed open", async function () {
+            const windows = spreadWindows(events, 50);
+
+            expect(windows).to.have.length(2);
+            expect(windows[0]).to.include({ start: 1060, end: 1180, duration: 120, updates: 2, maxSpread: 120 });
+            expect(windows[1]).to.include({ start: 1240, duration: 0, updates: 1 }); // Still open
+        });
+
+        it("Should export CSV with a column per field", async function () {
+            const lines = toCsv(events.slice(2, 5)).trim().split("\n");
+
+            expect(lines).to.have.length(4);
+            const header = lines[0].split(",");
+            expect(lines[1].split(",")[header.indexOf("estimatedProfit")]).to.equal("5");
+            expect(lines[3].split(",")[header.indexOf("time")]).to.equal("1970-01-01T00:19:10.000Z");
+        });
+
+        it("Should sync and query through the tasks", async function () {
+            const { address } = await loadFixture(deployIndexedMonitorFixture);
+            const csv = path.join(dir, "spreads.csv");
+
+            const synced = await hre.run("events:sync", { address, confirmations: 0, dir });
+            expect(synced.indexed).to.equal(4);
+
+            const result = await hre.run("events:query", { event: "opportunities", token: "ETH", minSpread: 100, csv, dir });
+            expect(result.events).to.have.length(1);
+            expect(result.windows).to.have.length(1);
+            expect(fs.readFileSync(csv, "utf8")).to.contain("ArbitrageOpportunityDetected");
+
+            await expect(hre.run("events:query", { event: "trades", dir })).to.be.rejectedWith("Unknown event");
+        });
+    });
+});
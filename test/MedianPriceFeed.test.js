@@ -0,0 +1,245 @@
+// test/MedianPriceFeed.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { ETH_ADDRESS, CHAIN_IDS } = require("../src");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("MedianPriceFeed", function () {
+    const MAX_STALENESS = 3600;
+    const TWAP_WINDOW = 1800;
+    // USDC (token0, 6 decimals) / WETH (token1, 18 decimals) pool at ~$3000
+    const TICK_USDC_WETH_3000 = 196256;
+
+    // MedianPriceFeed.Exclusion
+    const Exclusion = { NONE: 0, READ_FAILED: 1, INCOMPLETE_ROUND: 2, STALE_ROUND: 3, INVALID_PRICE: 4, STALE_PRICE: 5, DEVIATION: 6 };
+
+    const usd8 = (value) => ethers.parseUnits(String(value), 8);
+
+    // Three agreeing feeds around $3000, quorum 3, 2% outlier cut-off
+    async function deployMedianFixture() {
+        const [owner, outsider] = await ethers.getSigners();
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const feeds = [];
+        for (const price of [3000, 3010, 2990]) {
+            const feed = await MockChainlinkFeed.deploy();
+            await feed.setPrice(usd8(price));
+            feeds.push(feed);
+        }
+
+        const MedianPriceFeed = await ethers.getContractFactory("MedianPriceFeed");
+        const medianFeed = await MedianPriceFeed.deploy("ETH / USD (median)", 3, 200);
+        for (const feed of feeds) {
+            await medianFeed.addChainlinkSource(await feed.getAddress(), MAX_STALENESS);
+        }
+
+        return { medianFeed, feeds, MockChainlinkFeed, owner, outsider };
+    }
+
+    async function addFeed({ medianFeed, MockChainlinkFeed }, price) {
+        const feed = await MockChainlinkFeed.deploy();
+        await feed.setPrice(price);
+        await medianFeed.addChainlinkSource(await feed.getAddress(), MAX_STALENESS);
+        return feed;
+    }
+
+    it("Should store the median of the sources that pass and report the ones left out", async function () {
+        const fixture = await loadFixture(deployMedianFixture);
+        const { medianFeed, feeds } = fixture;
+
+        const divergent = await addFeed(fixture, usd8(3300));
+        const stale = await addFeed(fixture, usd8(3000));
+        const zero = await addFeed(fixture, 0n);
+        const carriedOver = await addFeed(fixture, usd8(3000));
+        await carriedOver.setRound(5, 4);
+        const notAFeed = await (await ethers.getContractFactory("MockERC20")).deploy("Mock USD", "mUSD", 6);
+        await medianFeed.addChainlinkSource(await notAFeed.getAddress(), MAX_STALENESS);
+        await time.increase(MAX_STALENESS + 1);
+        for (const [feed, price] of [[feeds[0], 3000], [feeds[1], 3010], [feeds[2], 2990], [divergent, 3300]]) {
+            await feed.setPrice(usd8(price));
+        }
+
+        const [, , validSources, reasons] = await medianFeed.previewUpdate();
+        expect(validSources).to.equal(3);
+        expect(reasons.map(Number)).to.deep.equal([
+            Exclusion.NONE, Exclusion.NONE, Exclusion.NONE,
+            Exclusion.DEVIATION, Exclusion.STALE_PRICE, Exclusion.INVALID_PRICE, Exclusion.STALE_ROUND, Exclusion.READ_FAILED
+        ]);
+
+        const oldest = (await feeds[0].latestRoundData()).updatedAt;
+        await expect(medianFeed.update())
+            .to.emit(medianFeed, "SourcesExcluded")
+            .withArgs(
+                [divergent, stale, zero, carriedOver, notAFeed].map((contract) => contract.target),
+                [Exclusion.DEVIATION, Exclusion.STALE_PRICE, Exclusion.INVALID_PRICE, Exclusion.STALE_ROUND, Exclusion.READ_FAILED]
+            )
+            .and.to.emit(medianFeed, "AnswerUpdated")
+            .withArgs(1, ethers.parseEther("3000"), oldest, 3);
+
+        const round = await medianFeed.latestRoundData();
+        expect(round.roundId).to.equal(1);
+        expect(round.answer).to.equal(ethers.parseEther("3000"));
+        expect(round.updatedAt).to.equal(oldest);
+        expect(round.answeredInRound).to.equal(1);
+        expect(await medianFeed.decimals()).to.equal(18);
+
+        // An even count averages the middle two
+        await medianFeed.removeSource(3);
+        await divergent.setPrice(usd8(3020));
+        await medianFeed.addChainlinkSource(await divergent.getAddress(), MAX_STALENESS);
+        const [answer, , valid] = await medianFeed.previewUpdate();
+        expect(valid).to.equal(4);
+        expect(answer).to.equal(ethers.parseEther("3005"));
+    });
+
+    it("Should keep the last round when the quorum is not reached", async function () {
+        const { medianFeed, feeds } = await loadFixture(deployMedianFixture);
+        await medianFeed.update();
+
+        await feeds[1].setPrice(0);
+        await expect(medianFeed.update())
+            .to.emit(medianFeed, "QuorumNotReached").withArgs(2, 3)
+            .and.not.to.emit(medianFeed, "AnswerUpdated");
+        expect(await medianFeed.latestRound()).to.equal(1);
+
+        // Two sources far apart widen the cut-off instead of both being excluded
+        await medianFeed.setQuorum(1);
+        await medianFeed.removeSource(1);
+        await feeds[2].setPrice(usd8(3300));
+        const [, , validSources, reasons] = await medianFeed.previewUpdate();
+        expect(validSources).to.equal(2);
+        expect(reasons.map(Number)).to.deep.equal([Exclusion.NONE, Exclusion.NONE]);
+        await expect(medianFeed.update()).to.emit(medianFeed, "AnswerUpdated").withArgs(2, ethers.parseEther("3150"), anyValue, 2);
+    });
+
+    it("Should keep the quorum when outliers make up half of the sources", async function () {
+        const fixture = await loadFixture(deployMedianFixture);
+        const { medianFeed, feeds } = fixture;
+        await medianFeed.update();
+
+        // Two honest sources, one stuck 10% high and one broken far below: the median of all four
+        // ($3005) is within 2% of the honest ones, and the spread widens the cut-off to $450
+        await feeds[2].setPrice(usd8(3300));
+        const broken = await addFeed(fixture, usd8(2000));
+
+        const [answer, , validSources, reasons] = await medianFeed.previewUpdate();
+        expect(validSources).to.equal(3);
+        expect(reasons.map(Number)).to.deep.equal([Exclusion.NONE, Exclusion.NONE, Exclusion.NONE, Exclusion.DEVIATION]);
+        expect(answer).to.equal(ethers.parseEther("3010"));
+
+        await expect(medianFeed.update())
+            .to.emit(medianFeed, "SourcesExcluded").withArgs([broken.target], [Exclusion.DEVIATION])
+            .and.to.emit(medianFeed, "AnswerUpdated").withArgs(2, ethers.parseEther("3010"), anyValue, 3);
+
+        // An even split keeps every source and reports the middle
+        await broken.setPrice(usd8(3300));
+        await feeds[1].setPrice(usd8(3000));
+        const [splitAnswer, , splitSources] = await medianFeed.previewUpdate();
+        expect(splitSources).to.equal(4);
+        expect(splitAnswer).to.equal(ethers.parseEther("3150"));
+    });
+
+    it("Should feed the monitor through one bad source, including a TWAP", async function () {
+        const fixture = await loadFixture(deployMedianFixture);
+        const { medianFeed, feeds } = fixture;
+        for (const [feed, price] of [[feeds[0], 3090], [feeds[1], 3092], [feeds[2], 3088]]) {
+            await feed.setPrice(usd8(price));
+        }
+        const zero = await addFeed(fixture, 0n);
+
+        const twapOracle = await (await ethers.getContractFactory("UniswapV3TwapOracle")).deploy();
+        const pool = await (await ethers.getContractFactory("MockUniswapV3Pool")).deploy(TICK_USDC_WETH_3000);
+        await expect(medianFeed.addTwapSource(await pool.getAddress(), TWAP_WINDOW, false, 18, 6))
+            .to.be.revertedWith("TWAP oracle not set");
+        await medianFeed.setTwapOracle(await twapOracle.getAddress());
+        await medianFeed.addTwapSource(await pool.getAddress(), TWAP_WINDOW, false, 18, 6);
+
+        const monitorEthFeed = await fixture.MockChainlinkFeed.deploy();
+        const priceMonitor = await (await getPriceMonitorFactory()).deploy();
+        await priceMonitor.initializeOracles(await monitorEthFeed.getAddress(), await medianFeed.getAddress());
+        await expect(priceMonitor.setMedianFeed(CHAIN_IDS.arbitrum, ETH_ADDRESS, await medianFeed.getAddress()))
+            .to.emit(priceMonitor, "OracleFeedUpdated");
+        expect((await priceMonitor.oracles(CHAIN_IDS.arbitrum, ETH_ADDRESS)).isAggregated).to.be.true;
+
+        // The update aggregates the slot itself: the ~$3000 TWAP is an outlier among the
+        // Arbitrum feeds and the zero answer is dropped
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(medianFeed, "SourcesExcluded")
+            .withArgs([zero.target, pool.target], [Exclusion.INVALID_PRICE, Exclusion.DEVIATION])
+            .and.to.emit(medianFeed, "AnswerUpdated");
+        const data = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+        expect(data.arbitrumPrice).to.equal(ethers.parseEther("3090"));
+        expect(data.buyChainId).to.equal(CHAIN_IDS.ethereum);
+
+        // With the quorum lost the chain is skipped instead of reverting the update
+        await feeds[0].setPrice(0);
+        await feeds[1].setPrice(0);
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(medianFeed, "QuorumNotReached")
+            .and.to.emit(priceMonitor, "ChainPriceSkipped").withArgs(CHAIN_IDS.arbitrum, ETH_ADDRESS)
+            .and.to.emit(priceMonitor, "PricesUpdated");
+        const skipped = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+        expect(skipped.ethereumPrice).to.equal(ethers.parseEther("3000"));
+        expect(skipped.arbitrumPrice).to.equal(0);
+        expect(skipped.buyChainId).to.equal(0);
+        expect(await priceMonitor.isChainSkipped(ETH_ADDRESS, CHAIN_IDS.arbitrum)).to.be.true;
+        expect(await priceMonitor.chainPrices(ETH_ADDRESS, CHAIN_IDS.arbitrum)).to.equal(ethers.parseEther("3090"));
+        expect((await priceMonitor.getChainPrices(ETH_ADDRESS)).prices[1]).to.equal(0);
+
+        // Set as a plain feed, the stored round ages out like any silent feed
+        await priceMonitor.setFeed(CHAIN_IDS.arbitrum, ETH_ADDRESS, await medianFeed.getAddress());
+        expect((await priceMonitor.oracles(CHAIN_IDS.arbitrum, ETH_ADDRESS)).isAggregated).to.be.false;
+        await time.increase(MAX_STALENESS + 1);
+        await monitorEthFeed.setPrice(usd8(3000));
+        await expect(priceMonitor.updateETHPrices()).to.be.revertedWithCustomError(priceMonitor, "StalePrice");
+    });
+
+    it("Should compare a chain back from a lost quorum with its last price", async function () {
+        const { medianFeed, feeds } = await loadFixture(deployMedianFixture);
+        const monitorEthFeed = await (await ethers.getContractFactory("MockChainlinkFeed")).deploy();
+        const priceMonitor = await (await getPriceMonitorFactory()).deploy();
+        await priceMonitor.initializeOracles(await monitorEthFeed.getAddress(), await medianFeed.getAddress());
+        await priceMonitor.setMedianFeed(CHAIN_IDS.arbitrum, ETH_ADDRESS, await medianFeed.getAddress());
+        await priceMonitor.setMaxPriceMove(1000); // 10%
+        await priceMonitor.updateETHPrices();
+        const roundId = await priceMonitor.lastSeenRoundId(CHAIN_IDS.arbitrum, ETH_ADDRESS);
+
+        await feeds[0].setPrice(0);
+        await expect(priceMonitor.updateETHPrices()).to.emit(priceMonitor, "ChainPriceSkipped");
+        expect(await priceMonitor.lastSeenRoundId(CHAIN_IDS.arbitrum, ETH_ADDRESS)).to.equal(roundId);
+
+        // The quorum returns 50% higher: measured against $3000, not accepted as a first price
+        for (const feed of feeds) {
+            await feed.setPrice(usd8(4500));
+        }
+        await expect(priceMonitor.updateETHPrices())
+            .to.emit(priceMonitor, "CircuitBreakerTripped")
+            .withArgs(CHAIN_IDS.arbitrum, ETH_ADDRESS, ethers.parseEther("3000"), ethers.parseEther("4500"), 5000)
+            .and.not.to.emit(priceMonitor, "PricesUpdated");
+        expect(await priceMonitor.isChainSkipped(ETH_ADDRESS, CHAIN_IDS.arbitrum)).to.be.true;
+    });
+
+    it("Should validate source management", async function () {
+        const { medianFeed, feeds, owner, outsider } = await loadFixture(deployMedianFixture);
+
+        await expect(medianFeed.connect(outsider).addChainlinkSource(await feeds[0].getAddress(), MAX_STALENESS))
+            .to.be.revertedWith("Ownable: caller is not the owner");
+        await expect(medianFeed.addChainlinkSource(await feeds[0].getAddress(), MAX_STALENESS))
+            .to.be.revertedWith("Source already added");
+        await expect(medianFeed.addChainlinkSource(owner.address, MAX_STALENESS)).to.be.revertedWith("Invalid feed");
+        await expect(medianFeed.setQuorum(0)).to.be.revertedWith("Invalid quorum");
+        await expect(medianFeed.setQuorum(11)).to.be.revertedWith("Invalid quorum");
+        await expect(medianFeed.setMaxDeviation(10001)).to.be.revertedWith("Invalid basis points");
+        await expect(medianFeed.removeSource(3)).to.be.revertedWith("Invalid source");
+
+        const removed = feeds[0].target;
+        await expect(medianFeed.removeSource(0)).to.emit(medianFeed, "SourceRemoved").withArgs(removed);
+        expect((await medianFeed.getSources()).map((source) => source.target)).to.deep.equal([feeds[2].target, feeds[1].target]);
+
+        const round = await medianFeed.latestRoundData();
+        expect(round.updatedAt).to.equal(0);
+        await expect(medianFeed.getRoundData(1)).to.be.revertedWith("No data present");
+    });
+});
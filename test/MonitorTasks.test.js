@@ -0,0 +1,138 @@
+// test/MonitorTasks.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { resolveToken, parseBoolean } = require("../tasks/monitor");
+const { monitoredChainId } = require("../scripts/lib/chains");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+const { ethers } = hre;
+
+describe("Monitor Tasks", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    const ARBITRUM_CHAIN_ID = 42161n;
+
+    let originalLog;
+
+    // The tasks print before/after state; keep the test output readable
+    beforeEach(function () {
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+    });
+
+    async function deployMonitorFixture() {
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await priceMonitor.updateETHPrices();
+
+        return { priceMonitor, address: await priceMonitor.getAddress(), mockChainlinkArb };
+    }
+
+    it("Should report settings, feeds and prices", async function () {
+        const { address, mockChainlinkArb } = await loadFixture(deployMonitorFixture);
+
+        const status = await hre.run("monitor:status", { address });
+
+        expect(status.settings.minProfitBasisPoints).to.equal(50);
+        expect(status.tokens).to.have.length(1);
+        expect(status.tokens[0].token).to.equal(ETH_ADDRESS);
+        expect(status.tokens[0].arbitrum.chainlinkFeed).to.equal(await mockChainlinkArb.getAddress());
+        expect(status.tokens[0].priceData.ethereumPrice).to.equal(ethers.parseEther("3000"));
+    });
+
+    it("Should set the threshold and return the new value", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+
+        expect(await hre.run("monitor:set-threshold", { address, bps: 120 })).to.equal(120);
+        expect(await priceMonitor.minProfitBasisPoints()).to.equal(120);
+    });
+
+    it("Should swap a feed by token symbol and chain name", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+        const [, newFeed] = await ethers.getSigners();
+
+        const oracle = await hre.run("monitor:set-feed", { address, token: "ETH", chain: "arbitrum", feed: newFeed.address });
+
+        expect(oracle.chainlinkFeed).to.equal(newFeed.address);
+        expect((await priceMonitor.oracles(ARBITRUM_CHAIN_ID, ETH_ADDRESS)).chainlinkFeed).to.equal(newFeed.address);
+    });
+
+    it("Should set staleness and toggle oracles", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+
+        await hre.run("monitor:set-staleness", { address, token: "ETH", chain: "42161", seconds: 86400 });
+        const oracle = await hre.run("monitor:set-active", { address, token: ETH_ADDRESS, chain: "arbitrum", active: "false" });
+
+        expect(oracle.maxStaleness).to.equal(86400);
+        expect(oracle.isActive).to.be.false;
+        expect((await priceMonitor.oracles(ARBITRUM_CHAIN_ID, ETH_ADDRESS)).isActive).to.be.false;
+    });
+
+    it("Should set gas, costs and trade amount", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+
+        await hre.run("monitor:set-gas", { address, gwei: "35" });
+        await hre.run("monitor:set-costs", { address, dex: 5, bridge: 4, slippage: 20 });
+        await hre.run("monitor:set-trade-amount", { address, amount: "2.5" });
+
+        expect(await priceMonitor.gasPrice()).to.equal(ethers.parseUnits("35", "gwei"));
+        expect(await priceMonitor.slippageBasisPoints()).to.equal(20);
+        expect(await priceMonitor.defaultTradeAmount()).to.equal(ethers.parseEther("2.5"));
+    });
+
+    it("Should add a chain and register a token feed on it", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+        const [, newFeed] = await ethers.getSigners();
+
+        expect(await hre.run("monitor:add-chain", { address, chain: "base" })).to.deep.equal([1n, 42161n, 8453n]);
+        const oracle = await hre.run("monitor:register-chain", { address, token: "ETH", chain: "base", feed: newFeed.address, seconds: 86400 });
+
+        expect(oracle.chainlinkFeed).to.equal(newFeed.address);
+        expect(oracle.isActive).to.be.true;
+        expect(await priceMonitor.getTokenChains(ETH_ADDRESS)).to.deep.equal([1n, 42161n, 8453n]);
+
+        const status = await hre.run("monitor:status", { address });
+        expect(status.tokens[0].chains[8453n].maxStaleness).to.equal(86400);
+    });
+
+    it("Should manage roles, the circuit breaker and pausing", async function () {
+        const { priceMonitor, address } = await loadFixture(deployMonitorFixture);
+        const [, keeper] = await ethers.getSigners();
+
+        expect(await hre.run("monitor:grant-role", { address, role: "updater", account: keeper.address })).to.be.true;
+        expect(await hre.run("monitor:require-updater", { address, required: "true" })).to.be.true;
+        expect(await hre.run("monitor:set-max-move", { address, bps: 1500 })).to.equal(1500);
+        expect(await hre.run("monitor:pause", { address })).to.be.true;
+
+        const status = await hre.run("monitor:status", { address });
+        expect(status.settings.paused).to.be.true;
+        expect(status.settings.updaterRoleRequired).to.be.true;
+
+        expect(await hre.run("monitor:unpause", { address })).to.be.false;
+        expect(await hre.run("monitor:revoke-role", { address, role: "updater", account: keeper.address })).to.be.false;
+        expect(await priceMonitor.hasRole(await priceMonitor.UPDATER_ROLE(), keeper.address)).to.be.false;
+        await expect(hre.run("monitor:grant-role", { address, role: "owner", account: keeper.address }))
+            .to.be.rejectedWith("Unknown role");
+    });
+
+    it("Should resolve task arguments", async function () {
+        expect(resolveToken(hre, "eth").address).to.equal(ETH_ADDRESS);
+        expect(resolveToken(hre, "LINK").address).to.not.equal(ETH_ADDRESS);
+        expect(() => resolveToken(hre, "DOGE")).to.throw("Unknown token");
+        expect(monitoredChainId("Ethereum")).to.equal(1n);
+        expect(monitoredChainId("optimism")).to.equal(10n);
+        expect(monitoredChainId("8453")).to.equal(8453n);
+        expect(() => monitoredChainId("bsc")).to.throw("Unsupported chain");
+        expect(parseBoolean("on")).to.be.true;
+        expect(() => parseBoolean("maybe")).to.throw("Expected true or false");
+    });
+});
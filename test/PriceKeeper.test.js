@@ -0,0 +1,293 @@
+// test/PriceKeeper.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { PriceKeeper, isRetryableError } = require("../scripts/keeper");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("PriceKeeper", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+    async function deployKeeperFixture() {
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+
+        await priceMonitor.initializeOracles(
+            await mockChainlinkEth.getAddress(),
+            await mockChainlinkArb.getAddress()
+        );
+
+        return { priceMonitor, mockChainlinkEth, mockChainlinkArb };
+    }
+
+    // Records every hook call so tests can assert on them
+    function recordingHandler() {
+        const calls = {
+            onPricesUpdated: [], onArbitrageOpportunity: [], onCircuitBreakerTripped: [], onChainPriceSkipped: [],
+            onSourcesExcluded: [], onSkip: [], onRetry: [], onTokenFailed: [], onError: []
+        };
+        const handler = { calls };
+        for (const hook of Object.keys(calls)) {
+            handler[hook] = (payload) => calls[hook].push(payload);
+        }
+        return handler;
+    }
+
+    describe("Scheduling", function () {
+        it("Should update prices when no data is stored yet", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler] });
+
+            const result = await keeper.tick();
+
+            expect(result.updated).to.be.true;
+            expect(handler.calls.onPricesUpdated).to.have.length(1);
+            expect(handler.calls.onPricesUpdated[0].ethereumPrice).to.equal(ethers.parseEther("3000"));
+        });
+
+        it("Should skip the update while price data is fresh", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], maxAge: 300 });
+
+            await keeper.tick();
+            const result = await keeper.tick();
+
+            expect(result.updated).to.be.false;
+            expect(handler.calls.onSkip).to.have.length(1);
+            expect(handler.calls.onPricesUpdated).to.have.length(1);
+        });
+
+        it("Should update again once data is older than maxAge", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], maxAge: 300 });
+
+            await keeper.tick();
+            await time.increase(301);
+            // Keep feeds within the monitor's own staleness window
+            await mockChainlinkEth.setPrice(300000000000n);
+            await mockChainlinkArb.setPrice(300000000000n);
+
+            const result = await keeper.tick();
+            expect(result.updated).to.be.true;
+            expect(handler.calls.onPricesUpdated).to.have.length(2);
+        });
+    });
+
+    describe("Token Batches", function () {
+        it("Should refresh only the stale tokens in one batch", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const LINK_ADDRESS = "0x514910771AF9Ca656af840dff83E8264EcF986CA";
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const linkEth = await MockChainlinkFeed.deploy();
+            const linkArb = await MockChainlinkFeed.deploy();
+            await priceMonitor.registerToken(LINK_ADDRESS, await linkEth.getAddress(), await linkArb.getAddress(), 3600);
+
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], tokens: [ETH_ADDRESS, LINK_ADDRESS] });
+
+            await priceMonitor.updateETHPrices();
+            const result = await keeper.tick();
+
+            expect(result.tokens).to.deep.equal([LINK_ADDRESS]);
+            expect(handler.calls.onPricesUpdated.map((e) => e.token)).to.deep.equal([LINK_ADDRESS]);
+        });
+
+        it("Should report median feed exclusions and skipped chains from its own update", async function () {
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const sources = [await MockChainlinkFeed.deploy(), await MockChainlinkFeed.deploy(), await MockChainlinkFeed.deploy()];
+            await sources[0].setPrice(309000000000n);
+            await sources[1].setPrice(309000000000n);
+            await sources[2].setPrice(0);
+            const medianFeed = await (await ethers.getContractFactory("MedianPriceFeed")).deploy("ETH / USD (median)", 2, 200);
+            for (const source of sources) {
+                await medianFeed.addChainlinkSource(await source.getAddress(), 3600);
+            }
+            const ethFeed = await MockChainlinkFeed.deploy();
+            const priceMonitor = await (await getPriceMonitorFactory()).deploy();
+            await priceMonitor.initializeOracles(await ethFeed.getAddress(), await medianFeed.getAddress());
+            await priceMonitor.setMedianFeed(42161, ETH_ADDRESS, await medianFeed.getAddress());
+
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler] });
+            const result = await keeper.tick();
+
+            expect(result.updated).to.be.true;
+            expect(handler.calls.onPricesUpdated[0].arbitrumPrice).to.equal(ethers.parseEther("3090"));
+            expect(handler.calls.onSourcesExcluded).to.deep.equal([{
+                feed: await medianFeed.getAddress(),
+                sources: [await sources[2].getAddress()],
+                reasons: ["INVALID_PRICE"]
+            }]);
+
+            // Quorum lost: the update still goes through without an Arbitrum price
+            await sources[1].setPrice(0);
+            await time.increase(301);
+            await ethFeed.setPrice(300000000000n);
+            expect((await keeper.tick()).updated).to.be.true;
+            expect(handler.calls.onChainPriceSkipped).to.have.length(1);
+            expect(handler.calls.onChainPriceSkipped[0].chainId).to.equal(42161n);
+            expect(handler.calls.onPricesUpdated[1].arbitrumPrice).to.equal(0n);
+        });
+    });
+
+    describe("Event Handlers", function () {
+        it("Should fire opportunity handlers for a profitable spread", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler] });
+
+            await mockChainlinkEth.setPrice(300000000000n);
+            await mockChainlinkArb.setPrice(310000000000n);
+            await keeper.tick();
+
+            expect(handler.calls.onArbitrageOpportunity).to.have.length(1);
+            expect(handler.calls.onArbitrageOpportunity[0].isEthToArb).to.be.true;
+            expect(handler.calls.onArbitrageOpportunity[0].buyChainId).to.equal(1n);
+            expect(handler.calls.onArbitrageOpportunity[0].sellChainId).to.equal(42161n);
+            expect(handler.calls.onArbitrageOpportunity[0].spreadBasisPoints).to.be.closeTo(333n, 10n);
+        });
+
+        it("Should pick up updates made by other callers", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler] });
+
+            await keeper.processEvents();
+            await priceMonitor.updateETHPrices();
+            await keeper.processEvents();
+
+            expect(handler.calls.onPricesUpdated).to.have.length(1);
+        });
+
+        it("Should report a tripped circuit breaker and skip updates while paused", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], maxAge: 0 });
+
+            await priceMonitor.setMaxPriceMove(1000);
+            await keeper.tick();
+            await mockChainlinkEth.setPrice(360000000000n);
+            await keeper.tick();
+
+            expect(handler.calls.onCircuitBreakerTripped).to.have.length(1);
+            expect(handler.calls.onCircuitBreakerTripped[0].moveBasisPoints).to.equal(2000);
+
+            const result = await keeper.tick();
+            expect(result.updated).to.be.false;
+            expect(handler.calls.onSkip.map((info) => info.reason)).to.deep.equal(["Monitor is paused"]);
+        });
+
+        it("Should keep dispatching when a handler throws", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const broken = { onPricesUpdated: () => { throw new Error("boom"); } };
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [broken, handler] });
+
+            const originalError = console.error;
+            console.error = () => {};
+            try {
+                await keeper.tick();
+            } finally {
+                console.error = originalError;
+            }
+
+            expect(handler.calls.onPricesUpdated).to.have.length(1);
+        });
+    });
+
+    describe("Retries", function () {
+        it("Should retry with backoff on stale price reverts", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, {
+                handlers: [handler],
+                retryDelay: 1,
+                backoffFactor: 2
+            });
+
+            const staleTimestamp = (await time.latest()) - 7200;
+            await mockChainlinkEth.setUpdatedAt(staleTimestamp);
+
+            // Feed publishes a fresh round before the second attempt
+            handler.onRetry = async (info) => {
+                handler.calls.onRetry.push(info);
+                if (info.attempt === 2) {
+                    await mockChainlinkEth.setPrice(300000000000n);
+                }
+            };
+
+            const result = await keeper.tick();
+
+            expect(result.updated).to.be.true;
+            expect(handler.calls.onRetry.map((r) => r.delay)).to.deep.equal([1, 2]);
+        });
+
+        it("Should give up after maxRetries", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], retryDelay: 0, maxRetries: 2 });
+
+            await mockChainlinkEth.setUpdatedAt((await time.latest()) - 7200);
+
+            await expect(keeper.tick()).to.be.revertedWithCustomError(priceMonitor, "StalePrice");
+            expect(handler.calls.onRetry).to.have.length(2);
+        });
+
+        it("Should not retry non-transient reverts", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployKeeperFixture);
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, { handlers: [handler], retryDelay: 0 });
+
+            await mockChainlinkEth.setPrice(0);
+
+            await expect(keeper.tick()).to.be.revertedWithCustomError(priceMonitor, "InvalidChainlinkPrice");
+            expect(handler.calls.onRetry).to.have.length(0);
+        });
+
+        it("Should update the healthy tokens when one token in the batch is stale", async function () {
+            const { priceMonitor } = await loadFixture(deployKeeperFixture);
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const tokens = {
+                LINK: "0x514910771AF9Ca656af840dff83E8264EcF986CA",
+                UNI: "0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984"
+            };
+            const feeds = {};
+            for (const [symbol, address] of Object.entries(tokens)) {
+                feeds[symbol] = [await MockChainlinkFeed.deploy(), await MockChainlinkFeed.deploy()];
+                await priceMonitor.registerToken(address, await feeds[symbol][0].getAddress(), await feeds[symbol][1].getAddress(), 3600);
+            }
+            await feeds.LINK[1].setUpdatedAt((await time.latest()) - 7200);
+
+            const handler = recordingHandler();
+            const keeper = new PriceKeeper(priceMonitor, {
+                handlers: [handler],
+                tokens: [ETH_ADDRESS, tokens.LINK, tokens.UNI],
+                retryDelay: 0,
+                maxRetries: 1
+            });
+            const result = await keeper.tick();
+
+            expect(result.updated).to.be.true;
+            expect(result.failed).to.deep.equal([tokens.LINK]);
+            expect(result.receipts).to.have.length(2);
+            expect(handler.calls.onPricesUpdated.map((e) => e.token)).to.deep.equal([ETH_ADDRESS, tokens.UNI]);
+            expect(handler.calls.onRetry).to.have.length(1);
+            expect(handler.calls.onTokenFailed).to.have.length(1);
+            expect(handler.calls.onTokenFailed[0].token).to.equal(tokens.LINK);
+            expect(handler.calls.onTokenFailed[0].error.message).to.contain("StalePrice");
+        });
+
+        it("Should classify revert reasons", function () {
+            expect(isRetryableError(new Error("reverted with custom error 'StalePrice(\"0x00\", 1, 3600)'"))).to.be.true;
+            expect(isRetryableError(Object.assign(new Error("execution reverted"), { revert: { name: "SequencerDown" } }))).to.be.true;
+            expect(isRetryableError(new Error("reverted with custom error 'OracleNotActive(1, \"0x00\")'"))).to.be.false;
+        });
+    });
+});
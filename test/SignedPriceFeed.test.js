@@ -0,0 +1,286 @@
+// test/SignedPriceFeed.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, artifacts } = hre;
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createProvider } = require("hardhat/internal/core/providers/construction");
+const { REPORT_TYPES, signReport, relayPrice, relayOnce } = require("../scripts/price-relayer");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+
+describe("SignedPriceFeed", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    const ARBITRUM_CHAIN_ID = 42161;
+    const SOURCE_FEED = "0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612";
+    const MAX_REPORT_AGE = 3600;
+
+    async function deployRelayFeed(sourceFeed, signers, threshold) {
+        const SignedPriceFeed = await ethers.getContractFactory("SignedPriceFeed");
+        return SignedPriceFeed.deploy(
+            ARBITRUM_CHAIN_ID,
+            sourceFeed,
+            8,
+            "ETH / USD (arbitrum)",
+            signers.map((signer) => signer.address),
+            threshold,
+            MAX_REPORT_AGE
+        );
+    }
+
+    async function deploySignedFeedFixture() {
+        const [owner, signer1, signer2, outsider] = await ethers.getSigners();
+        const relayFeed = await deployRelayFeed(SOURCE_FEED, [signer1, signer2], 2);
+        return { relayFeed, owner, signer1, signer2, outsider };
+    }
+
+    async function buildReport(relayFeed, overrides = {}) {
+        return {
+            sourceChainId: ARBITRUM_CHAIN_ID,
+            sourceFeed: SOURCE_FEED,
+            roundId: (await relayFeed.latestRound()) + 1n,
+            answer: 310000000000n, // $3100
+            observedAt: await time.latest(),
+            ...overrides
+        };
+    }
+
+    describe("Report Verification", function () {
+        it("Should accept a report signed by the threshold of signers", async function () {
+            const { relayFeed, signer1, signer2 } = await loadFixture(deploySignedFeedFixture);
+            const report = await buildReport(relayFeed);
+            const signatures = await signReport(relayFeed, report, [signer1, signer2]);
+
+            await expect(relayFeed.submitReport(report, signatures))
+                .to.emit(relayFeed, "ReportSubmitted");
+
+            const round = await relayFeed.latestRoundData();
+            expect(round.roundId).to.equal(1);
+            expect(round.answer).to.equal(310000000000n);
+            expect(round.updatedAt).to.equal(report.observedAt);
+            expect((await relayFeed.getRoundData(1)).answer).to.equal(310000000000n);
+        });
+
+        it("Should match the on-chain report digest", async function () {
+            const { relayFeed } = await loadFixture(deploySignedFeedFixture);
+            const report = await buildReport(relayFeed);
+            const { name, version, chainId, verifyingContract } = await relayFeed.eip712Domain();
+
+            expect(await relayFeed.hashReport(report))
+                .to.equal(ethers.TypedDataEncoder.hash({ name, version, chainId, verifyingContract }, REPORT_TYPES, report));
+        });
+
+        it("Should reject too few, unknown, duplicate and unsorted signatures", async function () {
+            const { relayFeed, signer1, signer2, outsider } = await loadFixture(deploySignedFeedFixture);
+            const report = await buildReport(relayFeed);
+            const [first, second] = await signReport(relayFeed, report, [signer1, signer2]);
+
+            await expect(relayFeed.submitReport(report, [first]))
+                .to.be.revertedWith("Not enough signatures");
+            await expect(relayFeed.submitReport(report, await signReport(relayFeed, report, [signer1, outsider])))
+                .to.be.revertedWith("Unknown signer");
+            await expect(relayFeed.submitReport(report, [first, first]))
+                .to.be.revertedWith("Signers not sorted");
+            await expect(relayFeed.submitReport(report, [second, first]))
+                .to.be.revertedWith("Signers not sorted");
+        });
+
+        it("Should reject replayed and skipped rounds", async function () {
+            const { relayFeed, signer1, signer2 } = await loadFixture(deploySignedFeedFixture);
+            const report = await buildReport(relayFeed);
+            const signatures = await signReport(relayFeed, report, [signer1, signer2]);
+            await relayFeed.submitReport(report, signatures);
+
+            await expect(relayFeed.submitReport(report, signatures)).to.be.revertedWith("Invalid round");
+
+            const skipped = await buildReport(relayFeed, { roundId: 3 });
+            await expect(relayFeed.submitReport(skipped, await signReport(relayFeed, skipped, [signer1, signer2])))
+                .to.be.revertedWith("Invalid round");
+        });
+
+        it("Should check the report timestamp", async function () {
+            const { relayFeed, signer1, signer2 } = await loadFixture(deploySignedFeedFixture);
+            const now = await time.latest();
+            const submit = async (overrides) => {
+                const report = await buildReport(relayFeed, overrides);
+                return relayFeed.submitReport(report, await signReport(relayFeed, report, [signer1, signer2]));
+            };
+
+            await expect(submit({ observedAt: now + 600 })).to.be.revertedWith("Report from the future");
+            await expect(submit({ observedAt: now - MAX_REPORT_AGE - 10 })).to.be.revertedWith("Report too old");
+
+            await submit({ observedAt: now });
+            await expect(submit({ observedAt: now })).to.be.revertedWith("Report not newer");
+        });
+
+        it("Should reject reports for another source or without a price", async function () {
+            const { relayFeed, signer1, signer2 } = await loadFixture(deploySignedFeedFixture);
+            const wrongChain = await buildReport(relayFeed, { sourceChainId: 1 });
+            await expect(relayFeed.submitReport(wrongChain, await signReport(relayFeed, wrongChain, [signer1, signer2])))
+                .to.be.revertedWith("Wrong source");
+
+            const noPrice = await buildReport(relayFeed, { answer: 0 });
+            await expect(relayFeed.submitReport(noPrice, await signReport(relayFeed, noPrice, [signer1, signer2])))
+                .to.be.revertedWith("Invalid answer");
+        });
+    });
+
+    describe("Signer Management", function () {
+        it("Should keep the threshold within the signer count", async function () {
+            const { relayFeed, signer1 } = await loadFixture(deploySignedFeedFixture);
+
+            await expect(relayFeed.setThreshold(3)).to.be.revertedWith("Invalid threshold");
+            await expect(relayFeed.setSigner(signer1.address, false))
+                .to.be.revertedWith("Threshold above signer count");
+
+            await expect(relayFeed.setThreshold(1))
+                .to.emit(relayFeed, "ThresholdUpdated").withArgs(2, 1);
+            await expect(relayFeed.setSigner(signer1.address, false))
+                .to.emit(relayFeed, "SignerSet").withArgs(signer1.address, false);
+            expect(await relayFeed.signerCount()).to.equal(1);
+        });
+
+        it("Should only allow owner to manage signers", async function () {
+            const { relayFeed, outsider } = await loadFixture(deploySignedFeedFixture);
+
+            await expect(relayFeed.connect(outsider).setSigner(outsider.address, true)).to.be.reverted;
+            await expect(relayFeed.connect(outsider).setThreshold(1)).to.be.reverted;
+            await expect(relayFeed.connect(outsider).setMaxReportAge(60)).to.be.reverted;
+        });
+    });
+
+    describe("Price Relayer", function () {
+        /**
+         * Start a second in-process hardhat chain standing in for Arbitrum,
+         * with its clock aligned to the destination chain
+         */
+        async function createSourceChain() {
+            const provider = new ethers.BrowserProvider(await createProvider(hre.config, "hardhat", artifacts));
+            await provider.send("evm_setNextBlockTimestamp", [await time.latest()]);
+            await provider.send("evm_mine", []);
+
+            const deployer = await provider.getSigner(0);
+            const deployArtifact = async (name, ...args) => {
+                const artifact = await artifacts.readArtifact(name);
+                const contract = await new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer).deploy(...args);
+                await contract.waitForDeployment();
+                return contract;
+            };
+
+            const sourceFeed = await deployArtifact("MockChainlinkFeed");
+            await (await sourceFeed.setPrice(310000000000n)).wait(); // $3100 on the source chain
+
+            return { provider, sourceFeed, deployArtifact };
+        }
+
+        async function deployRelayedMonitor(sourceFeedAddress, signers, threshold) {
+            const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+            const ethereumFeed = await MockChainlinkFeed.deploy();
+            const relayFeed = await deployRelayFeed(sourceFeedAddress, signers, threshold);
+
+            const BasicPriceMonitor = await getPriceMonitorFactory();
+            const priceMonitor = await BasicPriceMonitor.deploy();
+            await priceMonitor.initializeOracles(await ethereumFeed.getAddress(), await relayFeed.getAddress());
+
+            return { priceMonitor, relayFeed };
+        }
+
+        it("Should relay the source chain price to the monitor", async function () {
+            const [, signer1] = await ethers.getSigners();
+            const source = await createSourceChain();
+            const { priceMonitor, relayFeed } = await deployRelayedMonitor(await source.sourceFeed.getAddress(), [signer1], 1);
+
+            // No report yet: the remote side has no price
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWithCustomError(priceMonitor, "IncompleteRound");
+
+            const routes = [{ chainId: BigInt(ARBITRUM_CHAIN_ID), name: "arbitrum", provider: source.provider }];
+            const [result] = await relayOnce(priceMonitor, [{ symbol: "ETH", address: ETH_ADDRESS }], routes, [signer1]);
+            expect(result.submitted).to.be.true;
+            expect(result.reading.source).to.equal("chainlink");
+            expect(await relayFeed.latestRound()).to.equal(1);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "ArbitrageOpportunityDetected");
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.ethereumPrice).to.equal(ethers.parseEther("3000"));
+            expect(priceData.arbitrumPrice).to.equal(ethers.parseEther("3100"));
+        });
+
+        it("Should skip when the source has no new observation", async function () {
+            const [, signer1] = await ethers.getSigners();
+            const source = await createSourceChain();
+            const { relayFeed } = await deployRelayedMonitor(await source.sourceFeed.getAddress(), [signer1], 1);
+
+            expect((await relayPrice(relayFeed, source.provider, [signer1])).submitted).to.be.true;
+
+            const skipped = await relayPrice(relayFeed, source.provider, [signer1]);
+            expect(skipped.submitted).to.be.false;
+            expect(skipped.reason).to.equal("No new observation");
+
+            await time.increase(60);
+            await (await source.sourceFeed.setPrice(320000000000n)).wait();
+            const next = await relayPrice(relayFeed, source.provider, [signer1]);
+            expect(next.report.roundId).to.equal(2);
+            expect((await relayFeed.latestRoundData()).answer).to.equal(320000000000n);
+        });
+
+        it("Should collect signatures from every signer for a multi-signer feed", async function () {
+            const [, signer1, signer2, signer3] = await ethers.getSigners();
+            const source = await createSourceChain();
+            const { relayFeed } = await deployRelayedMonitor(await source.sourceFeed.getAddress(), [signer1, signer2, signer3], 2);
+
+            const result = await relayPrice(relayFeed, source.provider, [signer3, signer1]);
+            expect(result.submitted).to.be.true;
+        });
+
+        it("Should fall back to the source TWAP when the source feed is stale", async function () {
+            const [, signer1] = await ethers.getSigners();
+            const source = await createSourceChain();
+            const { relayFeed } = await deployRelayedMonitor(await source.sourceFeed.getAddress(), [signer1], 1);
+
+            // USDC (token0) / WETH (token1) pool at ~$3000
+            const pool = await source.deployArtifact("MockUniswapV3Pool", 196256);
+            const twap = {
+                pool: await pool.getAddress(),
+                window: 1800,
+                baseIsToken0: false,
+                baseDecimals: 18,
+                quoteDecimals: 6
+            };
+            await (await source.sourceFeed.setUpdatedAt((await time.latest()) - 7200)).wait();
+
+            const result = await relayPrice(relayFeed, source.provider, [signer1], twap);
+            expect(result.submitted).to.be.true;
+            expect(result.reading.source).to.equal("twap");
+            expect(result.report.answer).to.be.closeTo(300000000000n, 100000000n); // ~$3000 +- $1
+
+            // Same answer as the on-chain oracle, rescaled to the feed's 8 decimals
+            const twapOracle = await (await ethers.getContractFactory("UniswapV3TwapOracle")).deploy();
+            const localPool = await (await ethers.getContractFactory("MockUniswapV3Pool")).deploy(196256);
+            const onChain = await twapOracle.getTwapPrice(await localPool.getAddress(), twap.window, false, 18, 6);
+            expect(result.report.answer).to.equal(onChain / 10n ** 10n);
+        });
+
+        it("Should skip a nonpositive answer and keep relaying the other tokens", async function () {
+            const [, signer1] = await ethers.getSigners();
+            const source = await createSourceChain();
+            const { priceMonitor, relayFeed } = await deployRelayedMonitor(await source.sourceFeed.getAddress(), [signer1], 1);
+
+            // A second token whose source feed reports zero, listed first
+            const LINK_ADDRESS = "0x514910771AF9Ca656af840dff83E8264EcF986CA";
+            const zeroFeed = await source.deployArtifact("MockChainlinkFeed");
+            await (await zeroFeed.setPrice(0)).wait();
+            const zeroRelay = await deployRelayFeed(await zeroFeed.getAddress(), [signer1], 1);
+            const ethereumFeed = (await priceMonitor.oracles(1, ETH_ADDRESS)).chainlinkFeed;
+            await priceMonitor.registerToken(LINK_ADDRESS, ethereumFeed, await zeroRelay.getAddress(), 3600);
+
+            const routes = [{ chainId: BigInt(ARBITRUM_CHAIN_ID), name: "arbitrum", provider: source.provider }];
+            const tokens = [{ symbol: "LINK", address: LINK_ADDRESS }, { symbol: "ETH", address: ETH_ADDRESS }];
+            const [skipped, relayed] = await relayOnce(priceMonitor, tokens, routes, [signer1]);
+
+            expect(skipped).to.include({ symbol: "LINK", submitted: false, reason: "Nonpositive answer" });
+            expect(skipped.reading.answer).to.equal(0n);
+            expect(await zeroRelay.latestRound()).to.equal(0);
+            expect(relayed).to.include({ symbol: "ETH", submitted: true });
+            expect(await relayFeed.latestRound()).to.equal(1);
+        });
+    });
+});
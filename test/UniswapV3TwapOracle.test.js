@@ -0,0 +1,217 @@
+// test/UniswapV3TwapOracle.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getPriceMonitorFactory } = require("../scripts/lib/monitor");
+const { MIN_TICK, MAX_TICK, priceAtTick } = require("../scripts/lib/tick-math");
+
+describe("UniswapV3TwapOracle", function () {
+    const ETH_ADDRESS = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+    const ETHEREUM_CHAIN_ID = 1;
+    const ARBITRUM_CHAIN_ID = 42161;
+    const TWAP_WINDOW = 1800;
+
+    // 1.0001^80068 ~= 3000 (18-decimal token priced in an 18-decimal token)
+    const TICK_3000 = 80068;
+    // USDC (token0, 6 decimals) / WETH (token1, 18 decimals) pool at ~$3000
+    const TICK_USDC_WETH_3000 = 196256;
+
+    async function deployTwapFixture() {
+        const [owner, user1] = await ethers.getSigners();
+
+        const UniswapV3TwapOracle = await ethers.getContractFactory("UniswapV3TwapOracle");
+        const twapOracle = await UniswapV3TwapOracle.deploy();
+
+        const MockUniswapV3Pool = await ethers.getContractFactory("MockUniswapV3Pool");
+        const mockPool = await MockUniswapV3Pool.deploy(TICK_USDC_WETH_3000);
+
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(
+            await mockChainlinkEth.getAddress(),
+            await mockChainlinkArb.getAddress()
+        );
+        await priceMonitor.setTwapOracle(await twapOracle.getAddress());
+        await priceMonitor.setTwapSource(
+            ETHEREUM_CHAIN_ID, ETH_ADDRESS, await mockPool.getAddress(), TWAP_WINDOW, false, 18, 6
+        );
+
+        return { twapOracle, mockPool, mockChainlinkEth, mockChainlinkArb, priceMonitor, owner, user1 };
+    }
+
+    describe("TWAP Calculation", function () {
+        it("Should return 1:1 at tick 0", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+            await mockPool.setTick(0);
+
+            expect(await twapOracle.getTimeWeightedAveragePrice(await mockPool.getAddress(), TWAP_WINDOW))
+                .to.equal(ethers.parseEther("1"));
+        });
+
+        it("Should price token0 in token1 from the mean tick", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+            await mockPool.setTick(TICK_3000);
+
+            const price = await twapOracle.getTimeWeightedAveragePrice(await mockPool.getAddress(), TWAP_WINDOW);
+            expect(price).to.be.closeTo(ethers.parseEther("3000"), ethers.parseEther("1"));
+        });
+
+        it("Should invert and scale for token1 priced in a 6-decimal token0", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+
+            const price = await twapOracle.getTwapPrice(await mockPool.getAddress(), TWAP_WINDOW, false, 18, 6);
+            expect(price).to.be.closeTo(ethers.parseEther("3000"), ethers.parseEther("1"));
+        });
+
+        it("Should handle negative mean ticks", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+            await mockPool.setTick(-5);
+
+            expect(await twapOracle.getArithmeticMeanTick(await mockPool.getAddress(), TWAP_WINDOW)).to.equal(-5);
+        });
+
+        it("Should match the off-chain tick math exactly", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+            const pool = await mockPool.getAddress();
+
+            for (const tick of [0n, 1n, -1n, 5n, BigInt(TICK_3000), BigInt(-TICK_3000), BigInt(TICK_USDC_WETH_3000), 443636n, MIN_TICK, MAX_TICK]) {
+                await mockPool.setTick(tick);
+                for (const [baseIsToken0, baseDecimals, quoteDecimals] of [[true, 18, 18], [false, 18, 6], [true, 8, 18], [false, 6, 24]]) {
+                    expect(await twapOracle.getTwapPrice(pool, TWAP_WINDOW, baseIsToken0, baseDecimals, quoteDecimals))
+                        .to.equal(priceAtTick(tick, baseIsToken0, baseDecimals, quoteDecimals));
+                }
+            }
+        });
+
+        it("Should reject an empty window", async function () {
+            const { twapOracle, mockPool } = await loadFixture(deployTwapFixture);
+            await expect(twapOracle.getArithmeticMeanTick(await mockPool.getAddress(), 0))
+                .to.be.revertedWith("Invalid TWAP window");
+        });
+    });
+
+    describe("Price Monitor Integration", function () {
+        it("Should store the pool on the oracle config", async function () {
+            const { priceMonitor, mockPool } = await loadFixture(deployTwapFixture);
+
+            const oracle = await priceMonitor.oracles(ETHEREUM_CHAIN_ID, ETH_ADDRESS);
+            expect(oracle.uniswapV3Pool).to.equal(await mockPool.getAddress());
+            expect((await priceMonitor.twapConfigs(ETHEREUM_CHAIN_ID, ETH_ADDRESS)).window).to.equal(TWAP_WINDOW);
+            expect(await priceMonitor.getTwapPrice(ETHEREUM_CHAIN_ID, ETH_ADDRESS))
+                .to.be.closeTo(ethers.parseEther("3000"), ethers.parseEther("1"));
+        });
+
+        it("Should keep the pool when a token is re-registered", async function () {
+            const { priceMonitor, mockPool, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployTwapFixture);
+
+            await priceMonitor.registerToken(
+                ETH_ADDRESS, await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress(), 7200
+            );
+
+            const oracle = await priceMonitor.oracles(ETHEREUM_CHAIN_ID, ETH_ADDRESS);
+            expect(oracle.uniswapV3Pool).to.equal(await mockPool.getAddress());
+        });
+
+        it("Should use Chainlink when both sources agree", async function () {
+            const { priceMonitor } = await loadFixture(deployTwapFixture);
+
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "PriceSourceFallback");
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.ethereumPrice).to.equal(ethers.parseEther("3000"));
+            expect(await priceMonitor.isPriceFlagged(ETH_ADDRESS)).to.be.false;
+        });
+
+        it("Should fall back to the TWAP when Chainlink is stale", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployTwapFixture);
+            await mockChainlinkEth.setUpdatedAt((await time.latest()) - 7200);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "PriceSourceFallback");
+
+            const priceData = await priceMonitor.getTokenPriceData(ETH_ADDRESS);
+            expect(priceData.ethereumPrice).to.be.closeTo(ethers.parseEther("3000"), ethers.parseEther("1"));
+            expect(priceData.ethereumPrice).to.not.equal(ethers.parseEther("3000"));
+        });
+
+        it("Should fall back to the TWAP on a carried-over Chainlink round", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployTwapFixture);
+            await mockChainlinkEth.setRound(5, 4);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "PriceSourceFallback");
+        });
+
+        it("Should treat a failing TWAP read as no second source", async function () {
+            const { priceMonitor, mockChainlinkEth, mockChainlinkArb } = await loadFixture(deployTwapFixture);
+            // Chainlink at $3200 would trip the guard against the ~$3000 TWAP
+            await mockChainlinkEth.setPrice(320000000000n);
+            // An oracle without getTwapPrice reverts on every read
+            await priceMonitor.setTwapOracle(await mockChainlinkArb.getAddress());
+
+            await expect(priceMonitor.updateETHPrices()).to.not.emit(priceMonitor, "PriceDeviationFlagged");
+            expect((await priceMonitor.getTokenPriceData(ETH_ADDRESS)).ethereumPrice).to.equal(ethers.parseEther("3200"));
+
+            // Without either source the Chainlink error surfaces
+            await mockChainlinkEth.setUpdatedAt((await time.latest()) - 7200);
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWithCustomError(priceMonitor, "StalePrice");
+        });
+
+        it("Should still revert on stale Chainlink data without a pool", async function () {
+            const { priceMonitor, mockChainlinkArb } = await loadFixture(deployTwapFixture);
+            await mockChainlinkArb.setUpdatedAt((await time.latest()) - 7200);
+
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWithCustomError(priceMonitor, "StalePrice");
+        });
+
+        it("Should revert when sources deviate beyond the guard", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployTwapFixture);
+            await mockChainlinkEth.setPrice(320000000000n); // $3200 vs ~$3000 TWAP (~6.7%)
+
+            await expect(priceMonitor.updateETHPrices()).to.be.revertedWith("Price sources deviate");
+        });
+
+        it("Should flag the token instead of reverting when configured", async function () {
+            const { priceMonitor, mockChainlinkEth } = await loadFixture(deployTwapFixture);
+            await mockChainlinkEth.setPrice(320000000000n);
+
+            await expect(priceMonitor.setDeviationGuard(200, false))
+                .to.emit(priceMonitor, "DeviationGuardUpdated").withArgs(200, false);
+
+            await expect(priceMonitor.updateETHPrices())
+                .to.emit(priceMonitor, "PriceDeviationFlagged")
+                .and.to.not.emit(priceMonitor, "ArbitrageOpportunityDetected");
+
+            expect(await priceMonitor.isPriceFlagged(ETH_ADDRESS)).to.be.true;
+            const [isProfitable] = await priceMonitor["isProfitableArbitrage()"]();
+            expect(isProfitable).to.be.false;
+
+            // Flag clears once the sources agree again
+            await mockChainlinkEth.setPrice(300000000000n);
+            await priceMonitor.updateETHPrices();
+            expect(await priceMonitor.isPriceFlagged(ETH_ADDRESS)).to.be.false;
+        });
+
+        it("Should require the TWAP oracle before configuring a pool", async function () {
+            const { priceMonitor, mockPool } = await loadFixture(deployTwapFixture);
+            await priceMonitor.setTwapOracle(ethers.ZeroAddress);
+
+            await expect(priceMonitor.setTwapSource(
+                ARBITRUM_CHAIN_ID, ETH_ADDRESS, await mockPool.getAddress(), TWAP_WINDOW, false, 18, 6
+            )).to.be.revertedWith("TWAP oracle not set");
+        });
+
+        it("Should only allow owner to configure TWAP settings", async function () {
+            const { priceMonitor, mockPool, user1 } = await loadFixture(deployTwapFixture);
+
+            await expect(priceMonitor.connect(user1).setTwapSource(
+                ARBITRUM_CHAIN_ID, ETH_ADDRESS, await mockPool.getAddress(), TWAP_WINDOW, false, 18, 6
+            )).to.be.reverted;
+            await expect(priceMonitor.connect(user1).setDeviationGuard(100, false)).to.be.reverted;
+        });
+    });
+});
@@ -0,0 +1,117 @@
+// test/sdk/PriceMonitorClient.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getPriceMonitorFactory } = require("../../scripts/lib/monitor");
+const {
+    PriceMonitorClient,
+    ETH_ADDRESS,
+    CHAIN_IDS,
+    StalePriceError,
+    OracleNotActiveError,
+    MonitorPausedError,
+    parseUsd
+} = require("../../src");
+
+describe("PriceMonitorClient", function () {
+    const BASE_CHAIN_ID = 8453n;
+
+    // ETH at $3000 on Ethereum, $3090 on Arbitrum and $3150 on Base
+    async function deployClientFixture() {
+        const [owner] = await ethers.getSigners();
+        const MockChainlinkFeed = await ethers.getContractFactory("MockChainlinkFeed");
+        const mockChainlinkEth = await MockChainlinkFeed.deploy();
+        const mockChainlinkArb = await MockChainlinkFeed.deploy();
+        const mockChainlinkBase = await MockChainlinkFeed.deploy();
+
+        const BasicPriceMonitor = await getPriceMonitorFactory();
+        const priceMonitor = await BasicPriceMonitor.deploy();
+        await priceMonitor.initializeOracles(await mockChainlinkEth.getAddress(), await mockChainlinkArb.getAddress());
+        await priceMonitor.addChain(BASE_CHAIN_ID);
+        await priceMonitor.registerTokenChain(ETH_ADDRESS, BASE_CHAIN_ID, await mockChainlinkBase.getAddress(), 3600);
+
+        await mockChainlinkArb.setPrice(309000000000n);
+        await mockChainlinkBase.setPrice(315000000000n);
+
+        return { priceMonitor, mockChainlinkEth, owner, client: new PriceMonitorClient(priceMonitor) };
+    }
+
+    it("Should refresh and read prices, opportunities and oracle config", async function () {
+        const { client, priceMonitor } = await loadFixture(deployClientFixture);
+
+        const receipt = await client.refresh();
+        expect(receipt.status).to.equal(1);
+
+        const prices = await client.getPrices();
+        expect(prices.ethereumPrice).to.equal(parseUsd(3000));
+        expect(prices.spread).to.equal(500n);
+        expect(prices.chains).to.deep.equal([
+            { chainId: CHAIN_IDS.ethereum, price: parseUsd(3000) },
+            { chainId: CHAIN_IDS.arbitrum, price: parseUsd(3090) },
+            { chainId: BASE_CHAIN_ID, price: parseUsd(3150) }
+        ]);
+
+        const opportunity = await client.getOpportunity(ETH_ADDRESS);
+        expect(opportunity.isProfitable).to.be.true;
+        expect([opportunity.buyChainId, opportunity.sellChainId]).to.deep.equal([CHAIN_IDS.ethereum, BASE_CHAIN_ID]);
+
+        const oracles = await client.getOracleConfig();
+        expect(oracles.map((oracle) => oracle.chainId)).to.deep.equal([1n, 42161n, BASE_CHAIN_ID]);
+        expect(oracles[2]).to.include({ maxStaleness: 3600n, isActive: true });
+
+        expect(await client.isFresh(ETH_ADDRESS, 60)).to.be.true;
+        expect((await client.getProfitBreakdown(ETH_ADDRESS, parseUsd(5))).tradeAmount).to.equal(parseUsd(5));
+        expect((await client.getCostModel()).minProfitBasisPoints).to.equal(await priceMonitor.minProfitBasisPoints());
+    });
+
+    it("Should preview the same route as the contract, and what-if prices", async function () {
+        const { client, priceMonitor } = await loadFixture(deployClientFixture);
+        await client.refresh();
+        await priceMonitor.updateGasPrice(ethers.parseUnits("20", "gwei"));
+
+        const amount = parseUsd(10);
+        const onChain = await client.getProfitBreakdown(ETH_ADDRESS, amount);
+        const preview = await client.previewBestRoute(ETH_ADDRESS, { amount });
+        expect(preview).to.deep.equal(onChain);
+
+        // Arbitrum jumps to $3200: the preview moves the sell leg there
+        const whatIf = await client.previewBestRoute(ETH_ADDRESS, { amount, prices: { [CHAIN_IDS.arbitrum]: parseUsd(3200) } });
+        expect([whatIf.buyChainId, whatIf.sellChainId]).to.deep.equal([CHAIN_IDS.ethereum, CHAIN_IDS.arbitrum]);
+        expect(whatIf.netProfit).to.be.greaterThan(onChain.netProfit);
+    });
+
+    it("Should throw typed errors for reverts", async function () {
+        const { client, priceMonitor, mockChainlinkEth } = await loadFixture(deployClientFixture);
+
+        await expect(client.getPrices(ethers.Wallet.createRandom().address)).to.not.be.rejected;
+        await expect(client.getOracleConfig(ethers.ZeroAddress)).to.not.be.rejected;
+        await expect(client.refresh([ethers.Wallet.createRandom().address])).to.be.rejectedWith(OracleNotActiveError);
+
+        await time.increase(3601);
+        await mockChainlinkEth.setUpdatedAt((await time.latest()) - 3601);
+        const error = await client.refresh().catch((caught) => caught);
+        expect(error).to.be.instanceOf(StalePriceError);
+        expect(error.retryable).to.be.true;
+
+        await priceMonitor.pause();
+        await expect(client.refresh()).to.be.rejectedWith(MonitorPausedError);
+    });
+
+    it("Should watch for new opportunities", async function () {
+        const { client, priceMonitor } = await loadFixture(deployClientFixture);
+        const seen = [];
+        const watcher = client.watchOpportunities((event) => seen.push(event), { pollInterval: 60000 });
+
+        try {
+            expect(await watcher.poll()).to.equal(0);
+            await priceMonitor.updateETHPrices();
+            expect(await watcher.poll()).to.equal(1);
+        } finally {
+            watcher.stop();
+        }
+
+        expect(seen).to.have.length(1);
+        expect(seen[0]).to.include({ event: "ArbitrageOpportunityDetected", token: ETH_ADDRESS, spreadBasisPoints: 500n });
+        expect((await client.getEvents(["PricesUpdated"], 0)).length).to.equal(1);
+    });
+});
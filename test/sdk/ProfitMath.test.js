@@ -0,0 +1,71 @@
+// test/sdk/ProfitMath.test.js
+const { expect } = require("chai");
+const { spreadBasisPoints, gasCostUsd, routeBreakdown, bestRoute, DEFAULT_COST_MODEL } = require("../../src/math");
+const { parseUsd } = require("../../src/units");
+
+describe("SDK profit math", function () {
+    const ONE = 10n ** 18n;
+
+    it("Should compute the spread in basis points of the buy price", function () {
+        expect(spreadBasisPoints(parseUsd(3000), parseUsd(3090))).to.equal(300n);
+        expect(spreadBasisPoints(parseUsd(3000), parseUsd(3000.5))).to.equal(1n); // Rounds down
+        expect(spreadBasisPoints(parseUsd(3090), parseUsd(3000))).to.equal(0n);
+        expect(spreadBasisPoints(0n, parseUsd(3000))).to.equal(0n);
+    });
+
+    it("Should price gas in USD", function () {
+        // 20 gwei * 350k gas at $3000
+        expect(gasCostUsd(20000000000n * 350000n, parseUsd(3000))).to.equal(parseUsd(21));
+        // 50 gwei * 250k gas on Polygon, paid in POL at $0.50
+        expect(gasCostUsd(50000000000n * 250000n, parseUsd(0.5))).to.equal(parseUsd(0.00625));
+    });
+
+    it("Should break a route down into every cost component", function () {
+        const breakdown = routeBreakdown({
+            buyPrice: parseUsd(3000),
+            sellPrice: parseUsd(3090),
+            amount: 10n * ONE,
+            buyGasCost: parseUsd(21),
+            sellGasCost: parseUsd(1),
+            buyChainId: 1n,
+            sellChainId: 42161n
+        });
+
+        expect(breakdown.grossSpread).to.equal(parseUsd(900));
+        expect(breakdown.dexFees).to.equal(parseUsd(182.7));      // 0.3% of $60,900
+        expect(breakdown.bridgeFees).to.equal(parseUsd(15));      // 0.05% of $30,000
+        expect(breakdown.slippageCost).to.equal(parseUsd(60.9));  // 0.1% of $60,900
+        expect(breakdown.totalCosts).to.equal(parseUsd(280.6));
+        expect(breakdown.netProfit).to.equal(parseUsd(619.4));
+        expect(breakdown.spreadBasisPoints).to.equal(300n);
+        expect(breakdown.isEthToArb).to.be.true;
+        expect(breakdown.isProfitable).to.be.true;
+    });
+
+    it("Should respect the minimum spread and the trading switch", function () {
+        const route = { buyPrice: parseUsd(3000), sellPrice: parseUsd(3090), amount: 10n * ONE };
+
+        expect(routeBreakdown(route, { minProfitBasisPoints: 301n }).isProfitable).to.be.false;
+        expect(routeBreakdown(route, { tradingEnabled: false }).isProfitable).to.be.false;
+        expect(routeBreakdown({ ...route, sellPrice: parseUsd(2900) }).netProfit).to.equal(0n);
+        expect(DEFAULT_COST_MODEL.minProfitBasisPoints).to.equal(50n);
+    });
+
+    it("Should pick the most profitable pair and break ties on spread", function () {
+        const chains = [
+            { chainId: 1n, price: parseUsd(3000), buyGasCost: parseUsd(50), sellGasCost: parseUsd(50) },
+            { chainId: 10n, price: parseUsd(2950), buyGasCost: 0n, sellGasCost: 0n },
+            { chainId: 8453n, price: parseUsd(3100), buyGasCost: 0n, sellGasCost: 0n }
+        ];
+
+        const best = bestRoute(chains, ONE);
+        expect([best.buyChainId, best.sellChainId]).to.deep.equal([10n, 8453n]);
+        expect(best.spreadBasisPoints).to.equal(508n);
+
+        // No route sells at a premium: the pair with the wider (zero) spread is kept, unprofitable
+        const flat = bestRoute(chains.map((chain) => ({ ...chain, price: parseUsd(3000) })), ONE);
+        expect(flat.netProfit).to.equal(0n);
+        expect(flat.isProfitable).to.be.false;
+        expect(bestRoute(chains.slice(0, 1), ONE).buyChainId).to.equal(0n);
+    });
+});
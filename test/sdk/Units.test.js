@@ -0,0 +1,63 @@
+// test/sdk/Units.test.js
+const { expect } = require("chai");
+const {
+    parseUsd,
+    formatUsd,
+    parseGwei,
+    formatGwei,
+    basisPointsToPercent,
+    scaleTo18Decimals,
+    formatTimestamp
+} = require("../../src/units");
+const {
+    MonitorError,
+    StalePriceError,
+    SequencerDownError,
+    OracleNotActiveError,
+    MonitorPausedError,
+    AccessDeniedError,
+    decodeMonitorError
+} = require("../../src/errors");
+
+describe("SDK units and errors", function () {
+    it("Should convert USD, gwei and basis points", function () {
+        expect(parseUsd("3000.5")).to.equal(3000500000000000000000n);
+        expect(formatUsd(3000500000000000000000n)).to.equal("3000.5");
+        expect(parseGwei(20)).to.equal(20000000000n);
+        expect(formatGwei(7000000000000000n)).to.equal("7000000.0");
+        expect(basisPointsToPercent(150n)).to.equal(1.5);
+        expect(formatTimestamp(0n)).to.equal(null);
+        expect(formatTimestamp(1200n)).to.equal("1970-01-01T00:20:00.000Z");
+    });
+
+    it("Should scale feed answers to 18 decimals like the monitor", function () {
+        expect(scaleTo18Decimals(300000000000n, 8)).to.equal(parseUsd(3000));
+        expect(scaleTo18Decimals(3000n * 10n ** 20n, 20)).to.equal(parseUsd(3000));
+    });
+
+    it("Should decode reverts into typed errors", function () {
+        const stale = decodeMonitorError(new Error("reverted with custom error 'StalePrice(\"0x00\", 1, 3600)'"));
+        expect(stale).to.be.instanceOf(StalePriceError);
+        expect(stale.reason).to.equal("StalePrice");
+        expect(stale.retryable).to.be.true;
+
+        const sequencer = decodeMonitorError(Object.assign(new Error("execution reverted"), { revert: { name: "SequencerDown" } }));
+        expect(sequencer).to.be.instanceOf(SequencerDownError);
+
+        expect(decodeMonitorError(Object.assign(new Error("x"), { reason: "Token not supported" })))
+            .to.be.instanceOf(OracleNotActiveError);
+        expect(decodeMonitorError(new Error("reverted with reason string 'Pausable: paused'")))
+            .to.be.instanceOf(MonitorPausedError);
+        expect(decodeMonitorError(new Error("reverted with reason string 'AccessControl: account 0xab is missing role 0xcd'")))
+            .to.be.instanceOf(AccessDeniedError);
+
+        const other = decodeMonitorError(Object.assign(new Error("x"), { reason: "Invalid heartbeat" }));
+        expect(other).to.be.instanceOf(MonitorError);
+        expect(other.retryable).to.be.false;
+        expect(other.cause.message).to.equal("x");
+
+        // Not a revert: passed through untouched
+        const network = new Error("connect ECONNREFUSED");
+        expect(decodeMonitorError(network)).to.equal(network);
+    });
+});